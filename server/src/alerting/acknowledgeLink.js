@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { getFrontendUrl } = require('./message');
+
+/**
+ * Signed links to acknowledge an outage without logging in, embedded in DOWN alerts.
+ * The token is "<incident id>.<expiry in unix seconds>.<signature>", where the signature is a
+ * base64url HMAC-SHA256 of the ID and expiry with the server's JWT secret. Anyone holding the
+ * link can acknowledge that one incident until it expires; nothing else is exposed.
+ */
+
+// How long a link stays valid, long enough to cover outages that escalate over days
+const LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Gets the secret the links are signed with
+ * @returns {string}
+ */
+const getSecret = () => process.env.JWT_SECRET || 'your-very-secure-secret';
+
+/**
+ * Signs an incident ID and expiry
+ * @param {number} incidentId Incident ID
+ * @param {number} expires Expiry in unix seconds
+ * @returns {string} base64url signature
+ */
+const sign = (incidentId, expires) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`acknowledge.${incidentId}.${expires}`)
+  .digest('base64url');
+
+/**
+ * Creates the token of an acknowledge link
+ * @param {number} incidentId Incident ID
+ * @param {number} [now] Current time in milliseconds, defaults to now
+ * @returns {string}
+ */
+const createAcknowledgeToken = (incidentId, now = Date.now()) => {
+  const expires = Math.floor(now / 1000) + LINK_TTL_SECONDS;
+  return `${incidentId}.${expires}.${sign(incidentId, expires)}`;
+};
+
+/**
+ * Verifies the token of an acknowledge link
+ * @param {string} token Token from the link
+ * @returns {number|null} Incident ID, or null when the token is malformed, forged or expired
+ */
+const verifyAcknowledgeToken = (token) => {
+  const match = /^(\d+)\.(\d+)\.([\w-]+)$/.exec(String(token || ''));
+  if (!match) return null;
+  const incidentId = parseInt(match[1], 10);
+  const expires = parseInt(match[2], 10);
+  const expected = Buffer.from(sign(incidentId, expires));
+  const actual = Buffer.from(match[3]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  return expires * 1000 > Date.now() ? incidentId : null;
+};
+
+/**
+ * Gets the acknowledge link of an incident, a page of the dashboard that needs no login
+ * @param {number} incidentId Incident ID
+ * @returns {string|null} Link, or null without an incident
+ */
+const getAcknowledgeLink = (incidentId) => {
+  if (!incidentId) return null;
+  return `${getFrontendUrl()}/acknowledge/${createAcknowledgeToken(incidentId)}`;
+};
+
+module.exports = {
+  createAcknowledgeToken,
+  verifyAcknowledgeToken,
+  getAcknowledgeLink,
+};
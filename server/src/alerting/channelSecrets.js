@@ -0,0 +1,96 @@
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+const { getProvider } = require('./providers');
+
+/**
+ * Credentials in the config of notification channels (the secretFields of each provider) are
+ * stored encrypted with utils/secrets. The API only reports which of them are set, in
+ * secrets_set, so an empty value on update keeps the stored secret.
+ */
+
+/**
+ * Gets the config keys holding credentials for a channel type
+ * @param {string} type Channel type
+ * @returns {Array<string>}
+ */
+const getSecretFields = (type) => getProvider(type)?.secretFields || [];
+
+/**
+ * Applies a transform to the secrets set in a channel config
+ * @param {string} type Channel type
+ * @param {object} config Channel config
+ * @param {function(string): string} transform Turns a value into the new one
+ * @returns {object} New config
+ */
+const mapSecrets = (type, config, transform) => {
+  const result = { ...config };
+  for (const field of getSecretFields(type)) {
+    if (typeof result[field] === 'string' && result[field] !== '') {
+      result[field] = transform(result[field]);
+    }
+  }
+  return result;
+};
+
+/**
+ * Encrypts the secrets of a channel config for storage
+ * @param {string} type Channel type
+ * @param {object} config Channel config with plain text secrets
+ * @returns {object} Config to store
+ */
+const encryptChannelSecrets = (type, config) => mapSecrets(type, config, encryptSecret);
+
+/**
+ * Decrypts the secrets of a stored channel config
+ * @param {string} type Channel type
+ * @param {object} config Stored channel config
+ * @returns {object} Config with plain text secrets
+ * @throws {Error} When a secret cannot be decrypted, e.g. after the encryption key changed
+ */
+const decryptChannelSecrets = (type, config) => mapSecrets(type, config, decryptSecret);
+
+/**
+ * Merges a submitted channel config with the stored one: secrets left empty keep their stored
+ * value. Stored secrets that cannot be decrypted are dropped and have to be entered again.
+ * @param {string} type Channel type
+ * @param {object} config Submitted config with plain text secrets
+ * @param {object|null} stored Stored config of the channel, null when it is new or changes type
+ * @returns {object} Config with plain text secrets
+ */
+const mergeChannelSecrets = (type, config, stored) => {
+  const result = { ...config };
+  for (const field of getSecretFields(type)) {
+    if ((result[field] === undefined || result[field] === '') && stored?.[field]) {
+      try {
+        result[field] = decryptSecret(stored[field]);
+      } catch (error) {
+        delete result[field];
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * Prepares a stored channel for an API response: secrets are replaced by secrets_set
+ * @param {object} channel Notification channel row
+ * @returns {object} Channel without its secrets
+ */
+const maskChannelSecrets = (channel) => {
+  const config = { ...(channel.config || {}) };
+  const secretsSet = [];
+  for (const field of getSecretFields(channel.type)) {
+    if (config[field]) {
+      secretsSet.push(field);
+    }
+    delete config[field];
+  }
+  return { ...channel, config, secrets_set: secretsSet };
+};
+
+module.exports = {
+  getSecretFields,
+  encryptChannelSecrets,
+  decryptChannelSecrets,
+  mergeChannelSecrets,
+  maskChannelSecrets,
+};
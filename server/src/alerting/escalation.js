@@ -0,0 +1,90 @@
+const {
+  getIncidentsToNotify,
+  claimIncidentReminder,
+  advanceIncidentEscalation,
+  getNotificationChannelsForWebsite,
+  getEnabledNotificationChannels,
+} = require('../database/db');
+const { sendOutageNotification } = require('./webhook');
+
+/**
+ * Notifications for outages that are still open, evaluated on every scheduler tick:
+ * - reminders to the monitor's channels every renotify_interval_minutes while it stays down
+ * - escalation steps of the monitor's policy, each sent to its own channels once its delay
+ *   (in minutes since the outage started) has passed
+ * Both stop when the monitor recovers or the incident is marked as handled.
+ */
+
+/**
+ * Sends the reminder of an incident when its interval has passed
+ * @param {object} incident - Row from getIncidentsToNotify
+ * @param {import('pg').PoolClient} [dbClient] - Optional database client
+ * @returns {Promise<number>} Notifications sent (0 or 1)
+ */
+const notifyReminder = async (incident, dbClient) => {
+  if (incident.renotify_interval_minutes <= 0) return 0;
+  if (!(await claimIncidentReminder(incident.id, incident.renotify_interval_minutes, dbClient))) return 0;
+
+  const channels = await getNotificationChannelsForWebsite(incident.website_id, dbClient);
+  if (channels.length === 0) {
+    console.log(`No enabled notification channels for website ID: ${incident.website_id}. Skipping reminder.`);
+    return 0;
+  }
+  await sendOutageNotification(incident, channels, { reminder: true });
+  return 1;
+};
+
+/**
+ * Sends the escalation steps of an incident whose delay has passed and that were not sent yet.
+ * Several steps are sent at once when ticks were missed.
+ * @param {object} incident - Row from getIncidentsToNotify
+ * @param {import('pg').PoolClient} [dbClient] - Optional database client
+ * @returns {Promise<number>} Escalation steps sent
+ */
+const notifyEscalation = async (incident, dbClient) => {
+  const steps = incident.escalation_steps || [];
+  const minutesDown = (Date.now() - new Date(incident.started_at).getTime()) / 60000;
+  let nextStep = incident.escalation_step;
+  while (nextStep < steps.length && minutesDown >= steps[nextStep].delay_minutes) {
+    nextStep++;
+  }
+  if (nextStep === incident.escalation_step) return 0;
+  // Another tick may have sent these steps already
+  if (!(await advanceIncidentEscalation(incident.id, incident.escalation_step, nextStep, dbClient))) return 0;
+
+  for (let index = incident.escalation_step; index < nextStep; index++) {
+    const channels = await getEnabledNotificationChannels(incident.user_id, steps[index].channel_ids, dbClient);
+    if (channels.length === 0) {
+      console.log(`Escalation step ${index + 1} of website ID ${incident.website_id} has no enabled channels. Skipping.`);
+      continue;
+    }
+    await sendOutageNotification(incident, channels, {
+      escalation: { step: index + 1, steps: steps.length, policy: incident.escalation_policy_name },
+    });
+  }
+  return nextStep - incident.escalation_step;
+};
+
+/**
+ * Sends the reminders and escalation steps that are due for open incidents.
+ * A failing incident is logged and does not stop the others.
+ * @param {import('pg').PoolClient} [dbClient] - Optional database client
+ * @returns {Promise<number>} Reminders and escalation steps sent
+ */
+const processOutageNotifications = async (dbClient) => {
+  const incidents = await getIncidentsToNotify(dbClient);
+  let sent = 0;
+  for (const incident of incidents) {
+    try {
+      sent += await notifyReminder(incident, dbClient);
+      sent += await notifyEscalation(incident, dbClient);
+    } catch (error) {
+      console.error(`Error sending outage notifications for incident ${incident.id}:`, error.message);
+    }
+  }
+  return sent;
+};
+
+module.exports = {
+  processOutageNotifications,
+};
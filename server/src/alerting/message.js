@@ -0,0 +1,261 @@
+/**
+ * Human readable texts for notifications, shared by the providers that send a message
+ * instead of the raw notification.
+ */
+
+// Colour per kind of notification, as a hex string
+const STATUS_COLORS = {
+  down: '#dc2626',
+  up: '#16a34a',
+  test: '#2563eb',
+  certificate: '#d97706',
+  flapping: '#ea580c',
+  degraded: '#ca8a04',
+};
+
+// Severity of a DOWN notification by error type; other error types are "error"
+const ERROR_SEVERITIES = {
+  CONNECTION_ERROR: 'critical',
+  TIMEOUT: 'critical',
+  DNS_ERROR: 'critical',
+  EAI_AGAIN: 'critical',
+  SSL_INVALID: 'critical',
+  SSL_ERROR: 'critical',
+  PUSH_TIMEOUT: 'critical',
+  DNS_ANSWER_CHANGED: 'warning',
+};
+
+/**
+ * Formats a number of seconds as e.g. "45s", "12m 5s" or "3h 20m"
+ * @param {number} seconds Duration in seconds
+ * @returns {string}
+ */
+const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  if (total < 60) return `${total}s`;
+  if (total < 3600) return `${Math.floor(total / 60)}m ${total % 60}s`;
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return days > 0 ? `${days}d ${hours}h` : `${hours}h ${minutes}m`;
+};
+
+/**
+ * Gets the display name of the notification's monitor
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {string}
+ */
+const getMonitorName = (notification) => notification.website.name || notification.website.url;
+
+/**
+ * Checks whether the notification reports a certificate that reached an expiry threshold
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {boolean}
+ */
+const isCertificateExpiry = (notification) => notification.event === 'certificate_expiring';
+
+/**
+ * Checks whether the notification is about the certificate of the monitor: it expires soon, or it was
+ * renewed after an expiry notification
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {boolean}
+ */
+const isCertificateEvent = (notification) => isCertificateExpiry(notification)
+  || notification.event === 'certificate_renewed';
+
+/**
+ * Checks whether the notification reports a problem: the monitor went down, started flapping,
+ * stopped flapping while down, became degraded, or its certificate expires soon.
+ * Other notifications are recoveries or tests.
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {boolean}
+ */
+const isProblem = (notification) => notification.event === 'down'
+  || notification.event === 'flapping_started'
+  || notification.event === 'degraded'
+  || isCertificateExpiry(notification)
+  || (notification.event === 'flapping_stopped' && notification.status === 'DOWN');
+
+/**
+ * Gets the colour of the notification: red when down, green when up, amber for certificate expiry,
+ * orange when flapping starts, yellow when degraded
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {string} Hex colour, e.g. "#dc2626"
+ */
+const getStatusColor = (notification) => {
+  if (isCertificateExpiry(notification)) return STATUS_COLORS.certificate;
+  if (notification.event === 'flapping_started') return STATUS_COLORS.flapping;
+  if (notification.event === 'degraded') return STATUS_COLORS.degraded;
+  if (notification.event === 'test') return STATUS_COLORS.test;
+  return isProblem(notification) ? STATUS_COLORS.down : STATUS_COLORS.up;
+};
+
+/**
+ * Gets the severity of the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {'critical'|'error'|'warning'|'info'} Severity; recoveries and test notifications are "info"
+ */
+const getSeverity = (notification) => {
+  if (!isProblem(notification)) return 'info';
+  if (notification.event === 'flapping_started') return 'warning';
+  if (notification.event === 'degraded') return notification.degradation?.level === 'critical' ? 'error' : 'warning';
+  if (isCertificateExpiry(notification)) {
+    const days = notification.certificate?.daysUntilExpiration;
+    if (days <= 1) return 'critical';
+    return days <= 7 ? 'error' : 'warning';
+  }
+  return ERROR_SEVERITIES[notification.checkResult.errorType] || 'error';
+};
+
+/**
+ * Gets the key that identifies the alert of a monitor in on-call tools, so a recovery closes
+ * the alert opened when the monitor went down. Certificate expiry has its own alert, which
+ * outages and recoveries leave alone and a certificate renewal closes.
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {string}
+ */
+const getAlertKey = (notification) => {
+  if (notification.event === 'test') return 'uptimefel-test';
+  if (isCertificateEvent(notification)) return `uptimefel-certificate-${notification.website.id}`;
+  return `uptimefel-monitor-${notification.website.id}`;
+};
+
+/**
+ * Gets the base URL of the dashboard, without a trailing slash
+ * @returns {string}
+ */
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+/**
+ * Gets the dashboard link of a monitor
+ * @param {number} websiteId Website ID
+ * @returns {string|null} Link, or null for test notifications (no monitor)
+ */
+const getMonitorLink = (websiteId) => {
+  if (!websiteId) return null;
+  return `${getFrontendUrl()}/monitor/${websiteId}`;
+};
+
+/**
+ * Builds a one-line title, used as e.g. the email subject
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {string}
+ */
+const buildTitle = (notification) => {
+  const name = getMonitorName(notification);
+  if (notification.event === 'test') {
+    return 'Test notification from UptimeFel';
+  }
+  if (notification.escalation) {
+    return `[ESCALATION] ${name} has been down for ${formatDuration(notification.downtimeSeconds)}`;
+  }
+  if (notification.reminder) {
+    return `[STILL DOWN] ${name} has been down for ${formatDuration(notification.downtimeSeconds)}`;
+  }
+  if (notification.event === 'flapping_started') {
+    return `[FLAPPING] ${name} is flapping between UP and DOWN`;
+  }
+  if (notification.event === 'flapping_stopped') {
+    return `[STABLE] ${name} stopped flapping and is ${notification.status}`;
+  }
+  if (notification.event === 'degraded' && notification.degradation?.cause === 'tls') {
+    return `[DEGRADED] ${name} fails the TLS audit`;
+  }
+  if (notification.event === 'degraded_resolved' && notification.degradation?.cause === 'tls') {
+    return `[RESTORED] ${name} passes the TLS audit again`;
+  }
+  if (notification.event === 'degraded') {
+    const level = notification.degradation?.level === 'critical' ? 'critical' : 'warning';
+    return `[DEGRADED] ${name} is slow (${level} threshold reached)`;
+  }
+  if (notification.event === 'degraded_resolved') {
+    return `[RESTORED] ${name} response time is back to normal`;
+  }
+  if (isCertificateExpiry(notification)) {
+    const days = notification.certificate?.daysUntilExpiration;
+    if (days === undefined) return `[CERT] Certificate of ${name} expires soon`;
+    return days <= 0
+      ? `[CERT] Certificate of ${name} has expired`
+      : `[CERT] Certificate of ${name} expires in ${days} day${days === 1 ? '' : 's'}`;
+  }
+  if (notification.event === 'certificate_renewed') {
+    const days = notification.certificate?.daysUntilExpiration;
+    return `[RENEWED] Certificate of ${name} was renewed${days === undefined ? '' : ` and expires in ${days} days`}`;
+  }
+  return notification.event === 'up' ? `[UP] ${name} is back up` : `[DOWN] ${name} is down`;
+};
+
+/**
+ * Builds the label/value lines describing the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {Array<{label: string, value: string}>}
+ */
+const buildDetails = (notification) => {
+  const { checkResult, certificate, flapping, escalation, degradation } = notification;
+  const details = [
+    { label: 'Monitor', value: getMonitorName(notification) },
+    { label: 'URL', value: notification.website.url },
+    { label: 'Status', value: `${notification.previousStatus} -> ${notification.status}` },
+  ];
+  if (escalation) {
+    details.push({ label: 'Escalation', value: `Step ${escalation.step} of ${escalation.steps} (${escalation.policy})` });
+  }
+  if (flapping) {
+    details.push({ label: 'Flapping', value: `${flapping.stateChanges} status changes in ${flapping.windowMinutes} minutes` });
+  }
+  if (degradation?.message) {
+    details.push({ label: degradation.cause === 'tls' ? 'TLS audit' : 'Latency', value: degradation.message });
+  }
+  if (checkResult.errorType) {
+    details.push({ label: 'Error type', value: checkResult.errorType });
+  }
+  if (checkResult.error) {
+    details.push({ label: 'Error', value: checkResult.error });
+  }
+  if (checkResult.statusCode > 0) { // Negative codes mark errors without a response
+    details.push({ label: 'Status code', value: String(checkResult.statusCode) });
+  }
+  if (typeof checkResult.responseTimeMs === 'number') {
+    details.push({ label: 'Response time', value: `${checkResult.responseTimeMs} ms` });
+  }
+  if (typeof notification.downtimeSeconds === 'number') {
+    details.push({ label: 'Downtime', value: formatDuration(notification.downtimeSeconds) });
+  }
+  if (certificate?.expires) {
+    details.push({ label: 'Certificate expires', value: `${certificate.expires} (${certificate.daysUntilExpiration} days)` });
+  }
+  if (certificate?.thresholdDays) {
+    details.push({ label: 'Expiry threshold', value: `${certificate.thresholdDays} days` });
+  }
+  details.push({ label: 'Time', value: notification.timestamp });
+  if (notification.acknowledgeLink) {
+    details.push({ label: 'Acknowledge', value: notification.acknowledgeLink });
+  }
+  return details;
+};
+
+/**
+ * Builds the plain-text body: the title followed by one "Label: value" line per detail
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {string}
+ */
+const buildText = (notification) => [
+  buildTitle(notification),
+  '',
+  ...buildDetails(notification).map(({ label, value }) => `${label}: ${value}`),
+].join('\n');
+
+module.exports = {
+  formatDuration,
+  getMonitorName,
+  isCertificateExpiry,
+  isProblem,
+  getStatusColor,
+  getSeverity,
+  getAlertKey,
+  getFrontendUrl,
+  getMonitorLink,
+  buildTitle,
+  buildDetails,
+  buildText,
+};
@@ -0,0 +1,65 @@
+const { validateHttpUrl, postJson } = require('./http');
+const { buildTitle, buildDetails, getStatusColor } = require('../message');
+
+/**
+ * Discord provider: posts an embed to a channel webhook.
+ * Config: { url }
+ */
+
+// Discord rejects embeds over these lengths
+const MAX_TITLE_LENGTH = 256;
+const MAX_FIELD_LENGTH = 1024;
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => validateHttpUrl(config.url, 'Discord webhook URL');
+
+/**
+ * Shortens text to a maximum length
+ * @param {string} value Text
+ * @param {number} maxLength Maximum length
+ * @returns {string}
+ */
+const truncate = (value, maxLength) =>
+  (value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value);
+
+/**
+ * Builds the webhook body
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {object}
+ */
+const buildPayload = (notification) => ({
+  embeds: [{
+    title: truncate(buildTitle(notification), MAX_TITLE_LENGTH),
+    url: notification.link || undefined,
+    color: parseInt(getStatusColor(notification).slice(1), 16),
+    fields: buildDetails(notification)
+      .filter(({ label }) => label !== 'Time') // Shown as the embed timestamp
+      .map(({ label, value }) => ({
+        name: label,
+        value: truncate(value, MAX_FIELD_LENGTH),
+        inline: value.length <= 40,
+      })),
+    timestamp: notification.timestamp,
+  }],
+});
+
+/**
+ * Sends the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<import('axios').AxiosResponse>} Response of the API
+ */
+const send = async (notification, config) => {
+  return postJson(config.url, buildPayload(notification));
+};
+
+module.exports = {
+  type: 'discord',
+  label: 'Discord',
+  validateConfig,
+  send,
+};
@@ -0,0 +1,159 @@
+const nodemailer = require('nodemailer');
+const { buildTitle, buildDetails, buildText, getStatusColor } = require('../message');
+
+/**
+ * Email provider: sends the notification through an SMTP server.
+ * Config: { host, port, security: none|starttls|ssl, username, password, from, to }
+ * `to` is a list of addresses, as an array or a comma separated string.
+ */
+
+const SECURITY_MODES = ['none', 'starttls', 'ssl'];
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+/**
+ * Splits the recipient list into addresses
+ * @param {Array<string>|string} to Recipients
+ * @returns {Array<string>}
+ */
+const parseRecipients = (to) =>
+  (Array.isArray(to) ? to : String(to || '').split(/[,;\n]/))
+    .map(address => String(address).trim())
+    .filter(Boolean);
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => {
+  if (!config.host || typeof config.host !== 'string') {
+    return 'SMTP host is required';
+  }
+  const port = Number(config.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    return 'SMTP port must be between 1 and 65535';
+  }
+  if (config.security !== undefined && !SECURITY_MODES.includes(config.security)) {
+    return `SMTP security must be one of: ${SECURITY_MODES.join(', ')}`;
+  }
+  if (config.password && !config.username) {
+    return 'SMTP username is required when a password is set';
+  }
+  if (!EMAIL_PATTERN.test(String(config.from || '').replace(/^.*<(.+)>\s*$/, '$1'))) {
+    return 'From must be a valid email address';
+  }
+  const recipients = parseRecipients(config.to);
+  if (recipients.length === 0) {
+    return 'At least one recipient is required';
+  }
+  const invalid = recipients.find(address => !EMAIL_PATTERN.test(address));
+  if (invalid) {
+    return `Invalid recipient address: ${invalid}`;
+  }
+  return null;
+};
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} value Text
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Builds the HTML body
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {string}
+ */
+const buildHtml = (notification) => {
+  const color = getStatusColor(notification);
+  const rows = buildDetails(notification)
+    .map(({ label, value }) => `
+      <tr>
+        <td style="padding:6px 12px;color:#6b7280;white-space:nowrap;vertical-align:top">${escapeHtml(label)}</td>
+        <td style="padding:6px 12px;color:#111827;word-break:break-all">${escapeHtml(value)}</td>
+      </tr>`)
+    .join('');
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif">
+    <table role="presentation" width="100%" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;border-collapse:collapse">
+      <tr>
+        <td style="padding:16px;background:${color};color:#ffffff;font-size:18px;font-weight:bold;border-radius:8px 8px 0 0">
+          ${escapeHtml(buildTitle(notification))}
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:12px 4px">
+          <table role="presentation" style="border-collapse:collapse;font-size:14px">${rows}
+          </table>
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:12px 16px;color:#9ca3af;font-size:12px">Sent by UptimeFel</td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+};
+
+/**
+ * Creates the SMTP transport for a channel
+ * @param {object} config Channel config
+ * @returns {import('nodemailer').Transporter}
+ */
+const createTransport = (config) => {
+  const security = config.security || 'starttls';
+  return nodemailer.createTransport({
+    host: config.host,
+    port: Number(config.port),
+    secure: security === 'ssl', // SMTPS: TLS from the first byte
+    requireTLS: security === 'starttls', // Fail instead of sending in clear text
+    ignoreTLS: security === 'none',
+    auth: config.username ? { user: config.username, pass: config.password || '' } : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 10000,
+  });
+};
+
+/**
+ * Sends the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<object>} Result reported by the SMTP server
+ */
+const send = async (notification, config) => {
+  const transport = createTransport(config);
+  try {
+    return await transport.sendMail({
+      from: config.from,
+      to: parseRecipients(config.to),
+      subject: buildTitle(notification),
+      text: buildText(notification),
+      html: buildHtml(notification),
+    });
+  } finally {
+    transport.close();
+  }
+};
+
+/**
+ * Describes where notifications go, shown in the delivery log
+ * @param {object} config Channel config
+ * @returns {string}
+ */
+const describeTarget = (config) => parseRecipients(config.to).join(', ');
+
+module.exports = {
+  type: 'email',
+  label: 'Email (SMTP)',
+  secretFields: ['password'],
+  validateConfig,
+  describeTarget,
+  send,
+};
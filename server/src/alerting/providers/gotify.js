@@ -0,0 +1,59 @@
+const { validateHttpUrl, postJson } = require('./http');
+const { buildTitle, buildDetails } = require('../message');
+const { validatePriorities, getPriority } = require('./priority');
+
+/**
+ * Gotify provider: sends a message to a self-hosted Gotify server.
+ * Config: { url (server URL), token (application token), downPriority, upPriority }
+ */
+
+// Gotify priorities: 0 to 10; clients alert loudly from 8
+const PRIORITIES = {
+  critical: 10,
+  error: 8,
+  warning: 5,
+  info: 4,
+};
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => {
+  const urlError = validateHttpUrl(config.url, 'Gotify server URL');
+  if (urlError) return urlError;
+  if (typeof config.token !== 'string' || config.token.trim() === '') {
+    return 'Gotify application token is required';
+  }
+  return validatePriorities(config, 0, 10);
+};
+
+/**
+ * Sends the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<import('axios').AxiosResponse>} Response of the API
+ */
+const send = async (notification, config) => {
+  const extras = {
+    'client::display': { contentType: 'text/plain' },
+  };
+  if (notification.link) {
+    extras['client::notification'] = { click: { url: notification.link } };
+  }
+  return postJson(`${config.url.replace(/\/+$/, '')}/message`, {
+    title: buildTitle(notification),
+    message: buildDetails(notification).map(({ label, value }) => `${label}: ${value}`).join('\n'),
+    priority: getPriority(notification, config, PRIORITIES),
+    extras,
+  }, { 'X-Gotify-Key': config.token.trim() });
+};
+
+module.exports = {
+  type: 'gotify',
+  label: 'Gotify',
+  secretFields: ['token'],
+  validateConfig,
+  send,
+};
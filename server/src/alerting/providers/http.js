@@ -0,0 +1,54 @@
+const axios = require('axios');
+
+/**
+ * Helpers for providers that deliver notifications with an HTTP request.
+ */
+
+/**
+ * Validates a http(s) URL from a channel config
+ * @param {string} value URL
+ * @param {string} name Field name used in the error message, e.g. "Webhook URL"
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateHttpUrl = (value, name) => {
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return `${name} must start with http:// or https://`;
+    }
+  } catch (error) {
+    return `${name} is required and must be a valid URL`;
+  }
+  return null;
+};
+
+/**
+ * POSTs an already serialized body, throwing on network errors and non-2xx responses
+ * @param {string} url Target URL
+ * @param {string} body Request body
+ * @param {object} headers Request headers, including Content-Type
+ * @returns {Promise<import('axios').AxiosResponse>}
+ */
+const postBody = (url, body, headers) => axios.post(url, body, {
+  headers,
+  timeout: 10000, // 10 second timeout
+  transformRequest: [data => data], // Send the body exactly as signed
+});
+
+/**
+ * POSTs a JSON body, throwing on network errors and non-2xx responses
+ * @param {string} url Target URL
+ * @param {object} body JSON body
+ * @param {object} [headers] Additional request headers
+ * @returns {Promise<import('axios').AxiosResponse>}
+ */
+const postJson = (url, body, headers = {}) => axios.post(url, body, {
+  headers: { 'Content-Type': 'application/json', ...headers },
+  timeout: 10000 // 10 second timeout
+});
+
+module.exports = {
+  validateHttpUrl,
+  postBody,
+  postJson,
+};
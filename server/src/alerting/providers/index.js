@@ -0,0 +1,53 @@
+/**
+ * Registry of notification providers, keyed by channel type.
+ *
+ * Every provider module exports:
+ *   type                            channel type stored in notification_channels.type
+ *   label                           human readable name
+ *   secretFields                    (optional) config keys holding credentials; they are stored
+ *                                   encrypted and never returned by the API (see channelSecrets)
+ *   validateConfig(config)          returns an error message or null
+ *   send(notification, config)      delivers a notification, throws on failure; resolves
+ *                                   with the HTTP response when there is one
+ *   describeTarget(config)          (optional) where notifications go, for the delivery log;
+ *                                   defaults to config.url
+ */
+const webhook = require('./webhook');
+const email = require('./email');
+const slack = require('./slack');
+const discord = require('./discord');
+const teams = require('./teams');
+const mattermost = require('./mattermost');
+const pagerduty = require('./pagerduty');
+const opsgenie = require('./opsgenie');
+const ntfy = require('./ntfy');
+const gotify = require('./gotify');
+const pushover = require('./pushover');
+const telegram = require('./telegram');
+
+const PROVIDERS = {
+  [webhook.type]: webhook,
+  [email.type]: email,
+  [slack.type]: slack,
+  [discord.type]: discord,
+  [teams.type]: teams,
+  [mattermost.type]: mattermost,
+  [pagerduty.type]: pagerduty,
+  [opsgenie.type]: opsgenie,
+  [ntfy.type]: ntfy,
+  [gotify.type]: gotify,
+  [pushover.type]: pushover,
+  [telegram.type]: telegram,
+};
+
+/**
+ * Gets the provider for a channel type
+ * @param {string} type Channel type
+ * @returns {object|null} Provider module, or null if the type is unknown
+ */
+const getProvider = (type) => PROVIDERS[type] || null;
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+};
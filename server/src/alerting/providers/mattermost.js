@@ -0,0 +1,53 @@
+const { validateHttpUrl, postJson } = require('./http');
+const { buildTitle, buildDetails, getStatusColor } = require('../message');
+
+/**
+ * Mattermost provider: posts a message attachment to an incoming webhook.
+ * Config: { url }
+ */
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => validateHttpUrl(config.url, 'Mattermost webhook URL');
+
+/**
+ * Builds the webhook body
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {object}
+ */
+const buildPayload = (notification) => {
+  const title = buildTitle(notification);
+  return {
+    attachments: [{
+      fallback: title,
+      color: getStatusColor(notification),
+      title,
+      title_link: notification.link || undefined,
+      fields: buildDetails(notification).map(({ label, value }) => ({
+        short: value.length <= 40,
+        title: label,
+        value,
+      })),
+    }],
+  };
+};
+
+/**
+ * Sends the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<import('axios').AxiosResponse>} Response of the API
+ */
+const send = async (notification, config) => {
+  return postJson(config.url, buildPayload(notification));
+};
+
+module.exports = {
+  type: 'mattermost',
+  label: 'Mattermost',
+  validateConfig,
+  send,
+};
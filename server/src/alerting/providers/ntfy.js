@@ -0,0 +1,79 @@
+const { validateHttpUrl, postJson } = require('./http');
+const { buildTitle, buildDetails, isCertificateExpiry, isProblem } = require('../message');
+const { validatePriorities, getPriority } = require('./priority');
+
+/**
+ * ntfy provider: publishes to a topic on ntfy.sh or a self-hosted server.
+ * Config: { url (topic URL, e.g. https://ntfy.sh/my-alerts), token, downPriority, upPriority }
+ */
+
+// ntfy priorities: 1 (min) to 5 (max/urgent)
+const PRIORITIES = {
+  critical: 5,
+  error: 4,
+  warning: 4,
+  info: 3,
+};
+
+/**
+ * Splits a topic URL into the server URL and the topic name
+ * @param {string} topicUrl Topic URL
+ * @returns {{serverUrl: string, topic: string}}
+ */
+const parseTopicUrl = (topicUrl) => {
+  const url = new URL(topicUrl);
+  const segments = url.pathname.split('/').filter(Boolean);
+  const topic = segments.pop() || '';
+  return { serverUrl: `${url.origin}/${segments.map(segment => `${segment}/`).join('')}`, topic };
+};
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => {
+  const urlError = validateHttpUrl(config.url, 'ntfy topic URL');
+  if (urlError) return urlError;
+  if (!/^[\w-]{1,64}$/.test(parseTopicUrl(config.url).topic)) {
+    return 'ntfy topic URL must end with the topic name, e.g. https://ntfy.sh/my-alerts';
+  }
+  return validatePriorities(config, 1, 5);
+};
+
+/**
+ * Gets the emoji tag shown in front of the title
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {string}
+ */
+const getTag = (notification) => {
+  if (notification.event === 'test') return 'test_tube';
+  if (isCertificateExpiry(notification) || ['flapping_started', 'degraded'].includes(notification.event)) return 'warning';
+  return isProblem(notification) ? 'rotating_light' : 'white_check_mark';
+};
+
+/**
+ * Sends the notification. Uses JSON publishing so titles are not limited to header-safe characters.
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<import('axios').AxiosResponse>} Response of the API
+ */
+const send = async (notification, config) => {
+  const { serverUrl, topic } = parseTopicUrl(config.url);
+  return postJson(serverUrl, {
+    topic,
+    title: buildTitle(notification),
+    message: buildDetails(notification).map(({ label, value }) => `${label}: ${value}`).join('\n'),
+    priority: getPriority(notification, config, PRIORITIES),
+    tags: [getTag(notification)],
+    click: notification.link || undefined,
+  }, config.token ? { Authorization: `Bearer ${config.token}` } : {});
+};
+
+module.exports = {
+  type: 'ntfy',
+  label: 'ntfy',
+  secretFields: ['token'],
+  validateConfig,
+  send,
+};
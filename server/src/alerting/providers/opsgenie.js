@@ -0,0 +1,84 @@
+const { postJson } = require('./http');
+const { buildTitle, buildDetails, buildText, getSeverity, getAlertKey, isProblem } = require('../message');
+
+/**
+ * Opsgenie provider: creates an alert when a monitor goes down and closes it when the
+ * monitor is back up. Both use the same alias per monitor.
+ * Config: { apiKey, region: us|eu }
+ */
+
+const API_URLS = {
+  us: 'https://api.opsgenie.com',
+  eu: 'https://api.eu.opsgenie.com',
+};
+
+// Opsgenie priority per severity
+const PRIORITIES = {
+  critical: 'P1',
+  error: 'P2',
+  warning: 'P3',
+  info: 'P5',
+};
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => {
+  if (typeof config.apiKey !== 'string' || config.apiKey.trim() === '') {
+    return 'Opsgenie API key is required';
+  }
+  if (config.region !== undefined && !API_URLS[config.region]) {
+    return `Opsgenie region must be one of: ${Object.keys(API_URLS).join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Sends the notification: DOWN creates, UP closes, a test creates and closes right away
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<import('axios').AxiosResponse>} Response to the last request
+ */
+const send = async (notification, config) => {
+  const baseUrl = API_URLS[config.region || 'us'];
+  const headers = { Authorization: `GenieKey ${config.apiKey.trim()}` };
+  const alias = getAlertKey(notification);
+
+  let response;
+  if (notification.event === 'test' || isProblem(notification)) {
+    response = await postJson(`${baseUrl}/v2/alerts`, {
+      message: buildTitle(notification).slice(0, 130), // Opsgenie limit
+      alias,
+      description: buildText(notification).slice(0, 15000),
+      priority: PRIORITIES[getSeverity(notification)],
+      source: 'UptimeFel',
+      entity: notification.website.url,
+      details: Object.fromEntries(buildDetails(notification).map(({ label, value }) => [label, value])),
+    }, headers);
+  }
+  if (!isProblem(notification)) {
+    response = await postJson(`${baseUrl}/v2/alerts/${encodeURIComponent(alias)}/close?identifierType=alias`, {
+      source: 'UptimeFel',
+      note: buildTitle(notification),
+    }, headers);
+  }
+  return response;
+};
+
+/**
+ * Describes where notifications go, shown in the delivery log
+ * @param {object} config Channel config
+ * @returns {string}
+ */
+const describeTarget = (config) => `Opsgenie API (${(config.region || 'us').toUpperCase()})`;
+
+module.exports = {
+  type: 'opsgenie',
+  label: 'Opsgenie',
+  secretFields: ['apiKey'],
+  validateConfig,
+  describeTarget,
+  send,
+};
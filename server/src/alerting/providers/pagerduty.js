@@ -0,0 +1,90 @@
+const { postJson } = require('./http');
+const { buildTitle, buildDetails, getSeverity, getAlertKey, isProblem } = require('../message');
+
+/**
+ * PagerDuty provider: opens an incident through the Events API v2 when a monitor goes down
+ * and resolves it when the monitor is back up. Both use the same dedup key per monitor.
+ * Config: { routingKey } (the integration key of an Events API v2 integration)
+ */
+
+const EVENTS_URL = 'https://events.pagerduty.com/v2/enqueue';
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => {
+  if (typeof config.routingKey !== 'string' || !/^[A-Za-z0-9]{32}$/.test(config.routingKey.trim())) {
+    return 'PagerDuty integration key must be 32 letters or digits';
+  }
+  return null;
+};
+
+/**
+ * Builds a trigger event
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {object}
+ */
+const buildTriggerEvent = (notification, config) => ({
+  routing_key: config.routingKey.trim(),
+  event_action: 'trigger',
+  dedup_key: getAlertKey(notification),
+  payload: {
+    summary: buildTitle(notification).slice(0, 1024),
+    source: notification.website.url,
+    severity: getSeverity(notification),
+    timestamp: notification.timestamp,
+    class: notification.checkResult.errorType || undefined,
+    custom_details: Object.fromEntries(buildDetails(notification).map(({ label, value }) => [label, value])),
+  },
+  links: notification.link ? [{ href: notification.link, text: 'View monitor' }] : [],
+  client: 'UptimeFel',
+  client_url: notification.link || undefined,
+});
+
+/**
+ * Builds the resolve event for the alert key of the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {object}
+ */
+const buildResolveEvent = (notification, config) => ({
+  routing_key: config.routingKey.trim(),
+  event_action: 'resolve',
+  dedup_key: getAlertKey(notification),
+});
+
+/**
+ * Sends the notification: problems (DOWN, flapping, degraded) trigger, recoveries resolve, a test triggers
+ * and resolves right away
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<import('axios').AxiosResponse>} Response to the last event
+ */
+const send = async (notification, config) => {
+  let response;
+  if (notification.event === 'test' || isProblem(notification)) {
+    response = await postJson(EVENTS_URL, buildTriggerEvent(notification, config));
+  }
+  if (!isProblem(notification)) {
+    response = await postJson(EVENTS_URL, buildResolveEvent(notification, config));
+  }
+  return response;
+};
+
+/**
+ * Describes where notifications go, shown in the delivery log
+ * @returns {string}
+ */
+const describeTarget = () => 'PagerDuty Events API';
+
+module.exports = {
+  type: 'pagerduty',
+  label: 'PagerDuty',
+  secretFields: ['routingKey'],
+  validateConfig,
+  describeTarget,
+  send,
+};
@@ -0,0 +1,48 @@
+const { getSeverity, isProblem } = require('../message');
+
+/**
+ * Priority handling for push providers. Each provider maps severities to its own priority
+ * scale; channels can override the priority of DOWN and UP notifications with
+ * config.downPriority and config.upPriority.
+ */
+
+/**
+ * Validates the optional priority overrides of a channel
+ * @param {object} config Channel config
+ * @param {number} min Lowest priority of the provider
+ * @param {number} max Highest priority of the provider
+ * @returns {string|null} Error message, or null when valid
+ */
+const validatePriorities = (config, min, max) => {
+  for (const key of ['downPriority', 'upPriority']) {
+    if (config[key] === undefined || config[key] === '') continue;
+    const priority = Number(config[key]);
+    if (!Number.isInteger(priority) || priority < min || priority > max) {
+      return `${key === 'downPriority' ? 'Down' : 'Up'} priority must be between ${min} and ${max}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Gets the priority of a notification
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @param {object} priorities Provider priority per severity (critical, error, warning, info)
+ * @returns {number}
+ */
+const getPriority = (notification, config, priorities) => {
+  let override;
+  if (notification.event !== 'test') {
+    override = isProblem(notification) ? config.downPriority : config.upPriority;
+  }
+  if (override !== undefined && override !== '') {
+    return Number(override);
+  }
+  return priorities[getSeverity(notification)];
+};
+
+module.exports = {
+  validatePriorities,
+  getPriority,
+};
@@ -0,0 +1,71 @@
+const { postJson } = require('./http');
+const { buildTitle, buildDetails } = require('../message');
+const { validatePriorities, getPriority } = require('./priority');
+
+/**
+ * Pushover provider.
+ * Config: { token (application token), user (user or group key), device, downPriority, upPriority }
+ */
+
+const MESSAGES_URL = 'https://api.pushover.net/1/messages.json';
+const KEY_PATTERN = /^[A-Za-z0-9]{30}$/;
+
+// Pushover priorities: -2 (no notification) to 1 (high, bypasses quiet hours).
+// Emergency priority 2 needs acknowledgement settings and is not used.
+const PRIORITIES = {
+  critical: 1,
+  error: 1,
+  warning: 0,
+  info: 0,
+};
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => {
+  if (!KEY_PATTERN.test(String(config.token || '').trim())) {
+    return 'Pushover application token must be 30 letters or digits';
+  }
+  if (!KEY_PATTERN.test(String(config.user || '').trim())) {
+    return 'Pushover user key must be 30 letters or digits';
+  }
+  return validatePriorities(config, -2, 1);
+};
+
+/**
+ * Sends the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<import('axios').AxiosResponse>} Response of the API
+ */
+const send = async (notification, config) => {
+  return postJson(MESSAGES_URL, {
+    token: config.token.trim(),
+    user: config.user.trim(),
+    device: config.device || undefined,
+    title: buildTitle(notification).slice(0, 250),
+    message: buildDetails(notification).map(({ label, value }) => `${label}: ${value}`).join('\n').slice(0, 1024),
+    priority: getPriority(notification, config, PRIORITIES),
+    url: notification.link || undefined,
+    url_title: notification.link ? 'View monitor' : undefined,
+    timestamp: Math.floor(new Date(notification.timestamp).getTime() / 1000),
+  });
+};
+
+/**
+ * Describes where notifications go, shown in the delivery log
+ * @param {object} config Channel config
+ * @returns {string}
+ */
+const describeTarget = (config) => `Pushover user ${String(config.user).trim()}`;
+
+module.exports = {
+  type: 'pushover',
+  label: 'Pushover',
+  secretFields: ['token'],
+  validateConfig,
+  describeTarget,
+  send,
+};
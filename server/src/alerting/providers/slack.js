@@ -0,0 +1,78 @@
+const { validateHttpUrl, postJson } = require('./http');
+const { buildTitle, buildDetails, getStatusColor } = require('../message');
+
+/**
+ * Slack provider: posts a Block Kit message to an incoming webhook.
+ * Config: { url }
+ */
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => validateHttpUrl(config.url, 'Slack webhook URL');
+
+/**
+ * Escapes the characters Slack treats as markup
+ * @param {string} value Text
+ * @returns {string}
+ */
+const escapeMrkdwn = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Builds the webhook body. The blocks sit in an attachment so the message gets a status colour bar.
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {object}
+ */
+const buildPayload = (notification) => {
+  const title = buildTitle(notification);
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${escapeMrkdwn(title)}*` },
+    },
+    {
+      type: 'section',
+      // A section holds at most 10 fields
+      fields: buildDetails(notification).slice(0, 10).map(({ label, value }) => ({
+        type: 'mrkdwn',
+        text: `*${label}*\n${escapeMrkdwn(value)}`,
+      })),
+    },
+  ];
+  if (notification.link) {
+    blocks.push({
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        text: { type: 'plain_text', text: 'View monitor' },
+        url: notification.link,
+      }],
+    });
+  }
+  return {
+    text: title, // Shown in desktop and mobile notifications
+    attachments: [{ color: getStatusColor(notification), blocks }],
+  };
+};
+
+/**
+ * Sends the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<import('axios').AxiosResponse>} Response of the API
+ */
+const send = async (notification, config) => {
+  return postJson(config.url, buildPayload(notification));
+};
+
+module.exports = {
+  type: 'slack',
+  label: 'Slack',
+  validateConfig,
+  send,
+};
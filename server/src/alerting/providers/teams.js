@@ -0,0 +1,89 @@
+const { validateHttpUrl, postJson } = require('./http');
+const { buildTitle, buildDetails, isCertificateExpiry, isProblem } = require('../message');
+
+/**
+ * Microsoft Teams provider: posts an Adaptive Card to an incoming webhook (or a Workflows webhook).
+ * Config: { url }
+ */
+
+// Adaptive Cards only support named colours
+const CARD_COLORS = {
+  down: 'Attention',
+  up: 'Good',
+  test: 'Accent',
+  warning: 'Warning',
+};
+
+/**
+ * Gets the colour of the card title
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {string}
+ */
+const getCardColor = (notification) => {
+  if (notification.event === 'test') return CARD_COLORS.test;
+  if (isCertificateExpiry(notification) || ['flapping_started', 'degraded'].includes(notification.event)) return CARD_COLORS.warning;
+  return isProblem(notification) ? CARD_COLORS.down : CARD_COLORS.up;
+};
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => validateHttpUrl(config.url, 'Teams webhook URL');
+
+/**
+ * Builds the webhook body
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {object}
+ */
+const buildPayload = (notification) => {
+  const card = {
+    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+    type: 'AdaptiveCard',
+    version: '1.4',
+    msteams: { width: 'Full' },
+    body: [
+      {
+        type: 'TextBlock',
+        text: buildTitle(notification),
+        weight: 'Bolder',
+        size: 'Medium',
+        wrap: true,
+        color: getCardColor(notification),
+      },
+      {
+        type: 'FactSet',
+        facts: buildDetails(notification).map(({ label, value }) => ({ title: label, value })),
+      },
+    ],
+  };
+  if (notification.link) {
+    card.actions = [{ type: 'Action.OpenUrl', title: 'View monitor', url: notification.link }];
+  }
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content: card,
+    }],
+  };
+};
+
+/**
+ * Sends the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<import('axios').AxiosResponse>} Response of the API
+ */
+const send = async (notification, config) => {
+  return postJson(config.url, buildPayload(notification));
+};
+
+module.exports = {
+  type: 'teams',
+  label: 'Microsoft Teams',
+  validateConfig,
+  send,
+};
@@ -0,0 +1,86 @@
+const { postJson } = require('./http');
+const { buildTitle, buildDetails, isProblem } = require('../message');
+
+/**
+ * Telegram provider: sends a message through the Bot API.
+ * Config: { botToken, chatId }
+ * DOWN messages notify with sound; UP and test messages are delivered silently.
+ */
+
+const API_URL = 'https://api.telegram.org';
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => {
+  if (!/^\d+:[\w-]{30,}$/.test(String(config.botToken || '').trim())) {
+    return 'Telegram bot token must look like 123456789:ABC-DEF...';
+  }
+  // A numeric chat ID (negative for groups) or the @username of a public channel
+  if (!/^(-?\d+|@\w{5,})$/.test(String(config.chatId || '').trim())) {
+    return 'Telegram chat ID must be a number or a @channelusername';
+  }
+  return null;
+};
+
+/**
+ * Escapes text for Telegram's HTML parse mode
+ * @param {string} value Text
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Builds the HTML message text
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {string}
+ */
+const buildMessage = (notification) => {
+  const lines = [
+    `<b>${escapeHtml(buildTitle(notification))}</b>`,
+    '',
+    ...buildDetails(notification).map(({ label, value }) => `<b>${escapeHtml(label)}:</b> ${escapeHtml(value)}`),
+  ];
+  if (notification.link) {
+    lines.push('', `<a href="${escapeHtml(notification.link)}">View monitor</a>`);
+  }
+  return lines.join('\n').slice(0, 4096);
+};
+
+/**
+ * Sends the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<import('axios').AxiosResponse>} Response of the API
+ */
+const send = async (notification, config) => {
+  return postJson(`${API_URL}/bot${config.botToken.trim()}/sendMessage`, {
+    chat_id: config.chatId.trim(),
+    text: buildMessage(notification),
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    disable_notification: !isProblem(notification),
+  });
+};
+
+/**
+ * Describes where notifications go, shown in the delivery log. The API URL contains the
+ * bot token, so it is not shown.
+ * @param {object} config Channel config
+ * @returns {string}
+ */
+const describeTarget = (config) => `Telegram chat ${String(config.chatId).trim()}`;
+
+module.exports = {
+  type: 'telegram',
+  label: 'Telegram',
+  secretFields: ['botToken'],
+  validateConfig,
+  describeTarget,
+  send,
+};
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { validateHttpUrl, postBody } = require('./http');
+const { buildTitle, buildText, formatDuration } = require('../message');
+const { renderTemplate, escapeJson } = require('../template');
+
+/**
+ * Generic webhook provider: POSTs the status change to a URL.
+ * Config: {
+ *   url,
+ *   contentType   application/json (default), application/x-www-form-urlencoded or text/plain
+ *   bodyTemplate  optional body with {{variables}}, see getTemplateVariables; without it a
+ *                 fixed JSON description is sent
+ *   headers       optional extra headers, as an object or JSON text
+ *   secret        optional; signs the request, see signBody
+ * }
+ */
+
+// Escaping of {{ }} template values per content type
+const CONTENT_TYPES = {
+  'application/json': escapeJson,
+  'application/x-www-form-urlencoded': encodeURIComponent,
+  'text/plain': value => value,
+};
+
+// Headers that custom headers may not replace
+const RESERVED_HEADERS = ['content-type', 'content-length', 'host', 'x-signature'];
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// Used to check that a template renders
+const SAMPLE_NOTIFICATION = {
+  event: 'down',
+  website: { id: 1, name: 'Sample "monitor"', url: 'https://example.com/?a=1&b=2' },
+  link: 'http://localhost:5173/monitor/1',
+  acknowledgeLink: 'http://localhost:5173/acknowledge/1.0.signature',
+  status: 'DOWN',
+  previousStatus: 'UP',
+  checkResult: { statusCode: 503, responseTimeMs: 120, isUp: false, errorType: 'STATUS_ERROR', error: 'Line one\nLine "two"' },
+  downtimeSeconds: null,
+  certificate: null,
+  flapping: null,
+  degradation: null,
+  timestamp: new Date(0).toISOString(),
+};
+
+/**
+ * Parses the custom headers of a channel
+ * @param {object|string|undefined} headers Headers as an object or JSON text
+ * @returns {object} Header names to values
+ * @throws {Error} When the headers are not a JSON object of strings
+ */
+const parseHeaders = (headers) => {
+  if (headers === undefined || headers === null || headers === '') return {};
+  const parsed = typeof headers === 'string' ? JSON.parse(headers) : headers;
+  if (typeof parsed !== 'object' || Array.isArray(parsed) ||
+      Object.values(parsed).some(value => typeof value !== 'string')) {
+    throw new Error('Headers must be a JSON object of header names to string values');
+  }
+  return parsed;
+};
+
+/**
+ * Gets the variables available in body templates
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {object}
+ */
+const getTemplateVariables = (notification) => ({
+  event: notification.event,
+  monitor: { ...notification.website, link: notification.link },
+  status: notification.status,
+  previousStatus: notification.previousStatus,
+  checkResult: notification.checkResult,
+  downtimeSeconds: notification.downtimeSeconds,
+  downtime: typeof notification.downtimeSeconds === 'number' ? formatDuration(notification.downtimeSeconds) : '',
+  certificate: notification.certificate,
+  flapping: notification.flapping,
+  degradation: notification.degradation || null,
+  escalation: notification.escalation || null,
+  acknowledgeLink: notification.acknowledgeLink || null,
+  title: buildTitle(notification),
+  message: buildText(notification),
+  timestamp: notification.timestamp,
+});
+
+/**
+ * Builds the fixed JSON body sent when no template is configured
+ * @param {object} notification Notification built by the dispatcher
+ * @returns {object}
+ */
+const buildPayload = (notification) => ({
+  event: notification.event,
+  website: notification.website,
+  statusChange: {
+    from: notification.previousStatus,
+    to: notification.status,
+  },
+  checkResult: {
+    statusCode: notification.checkResult.statusCode,
+    responseTimeMs: notification.checkResult.responseTimeMs,
+    isUp: notification.checkResult.isUp,
+    error: notification.checkResult.error,
+  },
+  degradation: notification.degradation || null, // Set for degraded events
+  acknowledgeLink: notification.acknowledgeLink || null, // Set while the monitor is down
+  timestamp: notification.timestamp,
+});
+
+/**
+ * Serializes the request body for the configured content type
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {string}
+ */
+const buildBody = (notification, config) => {
+  const contentType = config.contentType || 'application/json';
+  if (config.bodyTemplate) {
+    return renderTemplate(config.bodyTemplate, getTemplateVariables(notification), CONTENT_TYPES[contentType]);
+  }
+  const payload = JSON.stringify(buildPayload(notification));
+  if (contentType === 'application/x-www-form-urlencoded') {
+    return `payload=${encodeURIComponent(payload)}`;
+  }
+  return contentType === 'text/plain' ? buildText(notification) : payload;
+};
+
+/**
+ * Signs a request body. The X-Signature header is "t=<unix seconds>,v1=<hex HMAC-SHA256>" where
+ * the HMAC covers "<unix seconds>.<body>". Receivers recompute it with the shared secret and
+ * reject old timestamps to prevent replays.
+ * @param {string} body Request body
+ * @param {string} secret Shared secret
+ * @param {number} [timestamp] Unix seconds, defaults to now
+ * @returns {string} X-Signature header value
+ */
+const signBody = (body, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Validates the channel configuration
+ * @param {object} config Channel config
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateConfig = (config) => {
+  const urlError = validateHttpUrl(config.url, 'Webhook URL');
+  if (urlError) return urlError;
+
+  const contentType = config.contentType || 'application/json';
+  if (!CONTENT_TYPES[contentType]) {
+    return `Content type must be one of: ${Object.keys(CONTENT_TYPES).join(', ')}`;
+  }
+
+  let headers;
+  try {
+    headers = parseHeaders(config.headers);
+  } catch (error) {
+    return error instanceof SyntaxError ? `Headers are not valid JSON: ${error.message}` : error.message;
+  }
+  for (const name of Object.keys(headers)) {
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      return `Invalid header name: ${name}`;
+    }
+    if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+      return `Header ${name} is set automatically and cannot be overridden`;
+    }
+  }
+
+  if (config.bodyTemplate !== undefined && typeof config.bodyTemplate !== 'string') {
+    return 'Body template must be text';
+  }
+  if (config.bodyTemplate && contentType === 'application/json') {
+    try {
+      JSON.parse(buildBody(SAMPLE_NOTIFICATION, config));
+    } catch (error) {
+      return `Body template does not render valid JSON: ${error.message}`;
+    }
+  }
+
+  if (config.secret !== undefined && typeof config.secret !== 'string') {
+    return 'Signing secret must be text';
+  }
+  return null;
+};
+
+/**
+ * Sends the notification
+ * @param {object} notification Notification built by the dispatcher
+ * @param {object} config Channel config
+ * @returns {Promise<import('axios').AxiosResponse>} Response of the webhook
+ */
+const send = async (notification, config) => {
+  const body = buildBody(notification, config);
+  const headers = {
+    ...parseHeaders(config.headers),
+    'Content-Type': config.contentType || 'application/json',
+  };
+  if (config.secret) {
+    headers['X-Signature'] = signBody(body, config.secret);
+  }
+  return postBody(config.url, body, headers);
+};
+
+module.exports = {
+  type: 'webhook',
+  label: 'Webhook',
+  secretFields: ['secret'],
+  validateConfig,
+  send,
+};
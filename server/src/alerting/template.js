@@ -0,0 +1,42 @@
+/**
+ * Handlebars-style variable substitution for notification templates.
+ *
+ *   {{ monitor.name }}    value of a (dotted) variable, escaped for the output format
+ *   {{{ checkResult }}}   raw value, not escaped
+ *
+ * Objects render as JSON, missing values as an empty string.
+ */
+
+const VARIABLE_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Looks up a dotted path, e.g. "checkResult.statusCode"
+ * @param {object} variables Template variables
+ * @param {string} path Dotted path
+ * @returns {*}
+ */
+const lookup = (variables, path) =>
+  path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), variables);
+
+/**
+ * Renders a template
+ * @param {string} template Template text
+ * @param {object} variables Template variables
+ * @param {(value: string) => string} [escape] Escapes {{ }} values for the output format
+ * @returns {string}
+ */
+const renderTemplate = (template, variables, escape = value => value) =>
+  template.replace(VARIABLE_PATTERN, (match, rawPath, path) => {
+    const value = lookup(variables, rawPath || path);
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return rawPath ? text : escape(text);
+  });
+
+// Escapes a value for use inside a JSON string literal
+const escapeJson = (value) => JSON.stringify(value).slice(1, -1);
+
+module.exports = {
+  renderTemplate,
+  escapeJson,
+};
@@ -1,77 +1,389 @@
-const axios = require('axios');
-const { getNotificationSettings } = require('../database/db'); // Import DB function
+const {
+  getNotificationChannel,
+  getNotificationChannelsForWebsite,
+  createNotificationDelivery,
+  recordNotificationDeliveryAttempt,
+  failNotificationDelivery,
+  claimDueNotificationDeliveries,
+} = require('../database/db');
+const { getProvider } = require('./providers');
+const { getMonitorLink } = require('./message');
+const { getAcknowledgeLink } = require('./acknowledgeLink');
+const { decryptChannelSecrets } = require('./channelSecrets');
 
 /**
- * Sends a webhook alert if configured and enabled.
+ * Gets the event of a status change notification: a status change, or the start/end of flapping.
+ * Latency and certificate notifications pass their event explicitly.
+ * @param {object} checkResult - The check result object
+ * @returns {'up'|'down'|'flapping_started'|'flapping_stopped'}
+ */
+const getEvent = (checkResult) => {
+  if (checkResult.flappingChanged) {
+    return `flapping_${checkResult.flappingChanged}`;
+  }
+  return checkResult.isUp ? 'up' : 'down';
+};
+
+/**
+ * Gets the status before and after the check as shown in notifications. Degradation notifications
+ * report DEGRADED instead of UP while the response time or the TLS audit degrades the monitor.
+ * @param {string} event - Notification event
+ * @param {object} checkResult - The check result object
+ * @param {boolean|null} previousStatus - The previous 'is_up' status
+ * @returns {{status: string, previousStatus: string}}
+ */
+const getStatusLabels = (event, checkResult, previousStatus) => {
+  if (event === 'degraded' || event === 'degraded_resolved') {
+    const wasTlsDegraded = checkResult.tlsDegradedChanged ? !checkResult.tlsDegraded : checkResult.tlsDegraded === true;
+    return {
+      status: checkResult.latencyLevel || checkResult.tlsDegraded ? 'DEGRADED' : 'UP',
+      previousStatus: checkResult.previousLatencyLevel || wasTlsDegraded ? 'DEGRADED' : 'UP',
+    };
+  }
+  return {
+    // A pending check (possible when flapping stops) has not changed the status yet
+    status: (checkResult.pending ? previousStatus : checkResult.isUp) ? 'UP' : 'DOWN',
+    previousStatus: previousStatus === null ? 'UNKNOWN' : (previousStatus ? 'UP' : 'DOWN'), // Handle initial check case
+  };
+};
+
+/**
+ * Describes the degradation change of a check for degraded notifications: the latency level, or the
+ * TLS audit findings the monitor degrades on (always at the warning level)
+ * @param {object} website - The website object { latency_warning_ms, latency_critical_ms }
+ * @param {object} checkResult - The check result object
+ * @param {'latency'|'tls'} cause - What changed
+ * @returns {object}
+ */
+const buildDegradation = (website, checkResult, cause) => (cause === 'tls' ? {
+  cause,
+  level: checkResult.tlsDegraded ? 'warning' : null,
+  previousLevel: checkResult.tlsDegraded ? null : 'warning',
+  responseTimeMs: null,
+  warningMs: null,
+  criticalMs: null,
+  message: checkResult.tlsMessage || null,
+} : {
+  cause,
+  level: checkResult.latencyLevel || null,
+  previousLevel: checkResult.previousLatencyLevel || null,
+  responseTimeMs: checkResult.latencyMs ?? null, // Evaluated response time, see the monitor's latency evaluation
+  warningMs: website.latency_warning_ms || null,
+  criticalMs: website.latency_critical_ms || null,
+  message: checkResult.latencyMessage || null,
+});
+
+/**
+ * Builds the provider-independent description of a status change
+ * @param {object} website - The website object { id, url, name, flap_window_minutes, latency thresholds }
+ * @param {object} checkResult - The check result object
+ * @param {boolean|null} previousStatus - The previous 'is_up' status
+ * @param {string} [event] - Notification event, derived from the check result by default
+ * @param {'latency'|'tls'} [cause='latency'] - What changed, for degraded events
+ * @returns {object} Notification passed to every provider
+ */
+const buildNotification = (website, checkResult, previousStatus, event = getEvent(checkResult), cause = 'latency') => ({
+  event,
+  website: {
+    id: website.id,
+    name: website.name,
+    url: website.url,
+  },
+  link: getMonitorLink(website.id), // Monitor page in the dashboard
+  // Set while the monitor is down: signed link to acknowledge the outage without logging in
+  acknowledgeLink: getAcknowledgeLink(checkResult.incidentId),
+  ...getStatusLabels(event, checkResult, previousStatus),
+  checkResult: {
+    statusCode: checkResult.statusCode,
+    responseTimeMs: checkResult.responseTimeMs,
+    isUp: checkResult.isUp,
+    errorType: checkResult.error_type || null,
+    error: checkResult.error_message || null, // Include error if present
+  },
+  // Set on recovery: how long the monitor was down
+  downtimeSeconds: !['degraded', 'certificate_expiring', 'certificate_renewed'].includes(event) && typeof checkResult.downtimeSeconds === 'number'
+    ? checkResult.downtimeSeconds
+    : null,
+  certificate: checkResult.certInfo ? {
+    expires: checkResult.certInfo.expires,
+    issuer: checkResult.certInfo.issuer,
+    daysUntilExpiration: checkResult.certInfo.daysUntilExpiration,
+    subject: checkResult.certInfo.subject || null,
+    serialNumber: checkResult.certInfo.serialNumber || null,
+    // Set for certificate_expiring: the expiry threshold (days) that was reached
+    thresholdDays: event === 'certificate_expiring' ? checkResult.certificateThresholdDays : null,
+  } : null,
+  // Set when flapping starts or stops: status changes within the detection window
+  flapping: checkResult.flappingChanged && event.startsWith('flapping_') ? {
+    stateChanges: checkResult.stateChanges.length,
+    windowMinutes: website.flap_window_minutes || 30,
+  } : null,
+  // Set when the response time crosses a latency threshold or the TLS audit starts or stops degrading the monitor
+  degradation: event === 'degraded' || event === 'degraded_resolved' ? buildDegradation(website, checkResult, cause) : null,
+  timestamp: new Date().toISOString(),
+});
+
+// Attempts per delivery before it is dead-lettered
+const MAX_ATTEMPTS = 5;
+// Wait before the first retry, doubled for each further retry (1, 2, 4, 8 minutes).
+// Retries run with the check cron, so shorter waits would not be honoured anyway.
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+/**
+ * Checks whether a failed send may succeed when repeated: network errors, rate limits and
+ * server errors. Other 4xx responses mean the request itself is wrong.
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean}
+ */
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+/**
+ * Describes a failed send for the delivery log, including the start of the response body
+ * @param {Error} error - Error thrown by the provider
+ * @returns {string}
+ */
+const describeError = (error) => {
+  const data = error.response?.data;
+  if (data === undefined || data === null || data === '') {
+    return error.message;
+  }
+  const body = typeof data === 'string' ? data : JSON.stringify(data);
+  return `${error.message}: ${body.slice(0, 500)}`;
+};
+
+/**
+ * Describes where a channel sends notifications, shown in the delivery log
+ * @param {object} channel - Notification channel row { type, config }
+ * @returns {string|null}
+ */
+const describeTarget = (channel) => {
+  const provider = getProvider(channel.type);
+  const config = channel.config || {};
+  return provider?.describeTarget ? provider.describeTarget(config) : config.url || null;
+};
+
+/**
+ * Makes one attempt of a delivery through its channel and records the outcome: delivered,
+ * retrying with exponential backoff, or dead once the attempts are used up or the error is
+ * not retryable. Deliveries that were already settled are not retried after a failed resend, nor
+ * are deliveries whose channel secrets cannot be decrypted.
+ * @param {object} delivery - Delivery row
+ * @param {object} channel - Notification channel row { id, name, type, config }
+ * @returns {Promise<object>} Updated delivery row; `error` holds the failure, if any
+ */
+const attemptDelivery = async (delivery, channel) => {
+  const provider = getProvider(channel.type);
+  const attempt = { target: describeTarget(channel), statusCode: null, latencyMs: 0, error: null };
+  const startedAt = Date.now();
+  let config = null;
+  let failure = null;
+  try {
+    if (!provider) {
+      throw new Error(`Unknown notification channel type "${channel.type}"`);
+    }
+    try {
+      config = decryptChannelSecrets(channel.type, channel.config || {});
+    } catch (error) {
+      throw new Error(`The channel secrets cannot be decrypted, enter them again (${error.message})`);
+    }
+    const response = await provider.send(delivery.payload, config);
+    attempt.statusCode = response?.status || null;
+  } catch (error) {
+    failure = error;
+    attempt.statusCode = error.response?.status || null;
+    attempt.error = describeError(error);
+  }
+  attempt.latencyMs = Date.now() - startedAt;
+
+  const attempts = delivery.attempts + 1;
+  let outcome = { status: 'delivered', nextAttemptAt: null };
+  if (failure) {
+    const canRetry = config
+      && ['pending', 'retrying'].includes(delivery.status)
+      && attempts < delivery.max_attempts
+      && isRetryable(failure);
+    outcome = canRetry
+      ? { status: 'retrying', nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)) }
+      : { status: 'dead', nextAttemptAt: null };
+  }
+
+  const updated = await recordNotificationDeliveryAttempt(delivery.id, attempt, outcome);
+  if (failure) {
+    console.error(`Attempt ${attempts}/${delivery.max_attempts} of delivery ${delivery.id} via ${channel.type} channel "${channel.name}" failed (${attempt.error}). Delivery is now ${outcome.status}.`);
+  } else {
+    console.log(`Delivery ${delivery.id} sent via ${channel.type} channel "${channel.name}" on attempt ${attempts}.`);
+  }
+  return { ...updated, error: failure };
+};
+
+/**
+ * Logs a notification for one channel and makes its first attempt
+ * @param {object} channel - Notification channel row { id, user_id, name, type, config }
+ * @param {object} notification - Notification from buildNotification
+ * @param {number} maxAttempts - Attempts before the delivery is dead-lettered
+ * @returns {Promise<object>} Delivery row after the attempt
+ */
+const deliver = async (channel, notification, maxAttempts) => {
+  const delivery = await createNotificationDelivery({
+    user_id: channel.user_id,
+    channel_id: channel.id,
+    channel_name: channel.name,
+    channel_type: channel.type,
+    website_id: notification.website.id,
+    event: notification.event,
+    target: describeTarget(channel),
+    payload: notification,
+    max_attempts: maxAttempts,
+  });
+  return attemptDelivery(delivery, channel);
+};
+
+/**
+ * Delivers a notification to several channels.
+ * A failing channel is logged and does not stop the others.
+ * @param {Array<object>} channels - Notification channel rows
+ * @param {object} notification - Notification from buildNotification
+ */
+const deliverAll = async (channels, notification) => {
+  // Failed attempts are logged by attemptDelivery and retried by retryPendingDeliveries
+  await Promise.all(channels.map(async (channel) => {
+    try {
+      await deliver(channel, notification, MAX_ATTEMPTS);
+    } catch (error) {
+      console.error(`Error logging notification delivery via ${channel.type} channel "${channel.name}" for website ID ${notification.website.id}:`, error.message);
+    }
+  }));
+};
+
+/**
+ * Sends a status change alert to every enabled channel attached to the website.
+ * A failing channel is logged and does not stop the others.
  * @param {object} website - The website object { id, url, name }
  * @param {object} checkResult - The check result object { statusCode, isUp, responseTimeMs }
  * @param {boolean} previousStatus - The previous 'is_up' status (true or false)
+ * @param {string} [event] - Notification event, e.g. 'degraded'; derived from the check result by default
+ * @param {'latency'|'tls'} [cause] - What changed, for degraded events
  */
-const triggerWebhookAlert = async (website, checkResult, previousStatus) => {
-  const currentStatus = checkResult.isUp ? 'UP' : 'DOWN';
-  const previousStatusText = previousStatus === null ? 'UNKNOWN' : (previousStatus ? 'UP' : 'DOWN'); // Handle initial check case
+const triggerWebhookAlert = async (website, checkResult, previousStatus, event, cause) => {
+  // Checks during a maintenance window never alert
+  if (checkResult.maintenance) {
+    console.log(`Monitor ${website.id} is under maintenance. Skipping webhook.`);
+    return;
+  }
+
+  const notification = buildNotification(website, checkResult, previousStatus, event, cause);
 
   console.log(`--- ALERT ---`);
   console.log(`Website: ${website.name || website.url} (ID: ${website.id})`);
-  console.log(`Status Change: ${previousStatusText} -> ${currentStatus}`);
+  console.log(`Status Change: ${notification.previousStatus} -> ${notification.status}`);
   console.log(`Details: Status Code=${checkResult.statusCode}, Response Time=${checkResult.responseTimeMs}ms`);
-  console.log(`Timestamp: ${new Date().toISOString()}`);
+  console.log(`Timestamp: ${notification.timestamp}`);
   console.log(`-------------`);
 
-  // --- Actual Webhook Sending Logic ---
+  let channels;
   try {
-    const settings = await getNotificationSettings();
-
-    if (settings && settings.webhook_enabled && settings.webhook_url) {
-      const webhookUrl = settings.webhook_url;
-      const payload = {
-        website: {
-          id: website.id,
-          name: website.name,
-          url: website.url,
-        },
-        statusChange: {
-          from: previousStatusText,
-          to: currentStatus,
-        },
-        checkResult: {
-          statusCode: checkResult.statusCode,
-          responseTimeMs: checkResult.responseTimeMs,
-          isUp: checkResult.isUp,
-          error: checkResult.error_message || null, // Include error if present
-        },
-        timestamp: new Date().toISOString(),
-      };
-
-      console.log(`Sending webhook to: ${webhookUrl}`);
-      await axios.post(webhookUrl, payload, {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 10000 // 10 second timeout
-      });
-      console.log(`Webhook sent successfully for website ID: ${website.id}`);
-
-    } else {
-      console.log(`Webhook notifications are disabled or URL is not configured. Skipping send for website ID: ${website.id}`);
-    }
+    channels = await getNotificationChannelsForWebsite(website.id);
   } catch (error) {
-      console.error(`Error sending webhook for website ID ${website.id}:`, error.message);
-      if (error.response) {
-          // The request was made and the server responded with a status code
-          // that falls out of the range of 2xx
-          console.error('Webhook Error Response Data:', error.response.data);
-          console.error('Webhook Error Response Status:', error.response.status);
-          console.error('Webhook Error Response Headers:', error.response.headers);
-      } else if (error.request) {
-          // The request was made but no response was received
-          console.error('Webhook Error Request:', error.request);
-      } else {
-          // Something happened in setting up the request that triggered an Error
-          console.error('Webhook Error Message:', error.message);
+    console.error(`Error loading notification channels for website ID ${website.id}:`, error.message);
+    return;
+  }
+
+  if (channels.length === 0) {
+    console.log(`No enabled notification channels for website ID: ${website.id}. Skipping send.`);
+    return;
+  }
+
+  await deliverAll(channels, notification);
+};
+
+/**
+ * Sends a reminder or an escalation step for an outage that is still open
+ * @param {object} incident - Open incident with its website { website_id, name, url, started_at, error_type, error_message, status_code }
+ * @param {Array<object>} channels - Notification channel rows to notify
+ * @param {object} details - Either { reminder: true } or { escalation: { step, steps, policy } }
+ */
+const sendOutageNotification = async (incident, channels, details) => {
+  const website = { id: incident.website_id, name: incident.name, url: incident.url };
+  const checkResult = {
+    isUp: false,
+    statusCode: incident.status_code,
+    error_type: incident.error_type,
+    error_message: incident.error_message,
+    incidentId: incident.id,
+    downtimeSeconds: Math.round((Date.now() - new Date(incident.started_at).getTime()) / 1000),
+  };
+  const notification = { ...buildNotification(website, checkResult, false), ...details };
+  console.log(`Outage notification for website ID ${website.id} (${notification.escalation ? `escalation step ${notification.escalation.step}` : 'reminder'}) to ${channels.length} channel(s).`);
+  await deliverAll(channels, notification);
+};
+
+/**
+ * Sends a test notification through a channel, throwing on failure.
+ * The test is logged like any other delivery, but never retried.
+ * @param {object} channel - Notification channel row { id, user_id, name, type, config }
+ * @returns {Promise<object>} Delivery row
+ */
+const sendTestNotification = async (channel) => {
+  const notification = {
+    ...buildNotification(
+      { id: 0, name: 'Test Monitor', url: 'https://example.com' },
+      { isUp: true, statusCode: 200, responseTimeMs: 123 },
+      null
+    ),
+    event: 'test',
+  };
+  // Reported straight back to the user, so no retries
+  const delivery = await deliver(channel, notification, 1);
+  if (delivery.error) {
+    throw delivery.error;
+  }
+  return delivery;
+};
+
+/**
+ * Retries the deliveries whose backoff has passed, with the current config of their channel.
+ * Deliveries whose channel was deleted or disabled in the meantime are dead-lettered.
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const retryPendingDeliveries = async () => {
+  const deliveries = await claimDueNotificationDeliveries();
+  let attempted = 0;
+  for (const delivery of deliveries) {
+    try {
+      const channel = delivery.channel_id ? await getNotificationChannel(delivery.channel_id) : null;
+      if (!channel || !channel.enabled) {
+        await failNotificationDelivery(delivery.id, channel ? 'Notification channel is disabled' : 'Notification channel was deleted');
+        continue;
       }
+      await attemptDelivery(delivery, channel);
+      attempted++;
+    } catch (error) {
+      console.error(`Error retrying notification delivery ${delivery.id}:`, error.message);
+    }
+  }
+  return attempted;
+};
+
+/**
+ * Sends a logged delivery again, e.g. after fixing the channel config
+ * @param {object} delivery - Delivery row
+ * @returns {Promise<object>} Updated delivery row; `error` holds the failure, if any
+ */
+const resendDelivery = async (delivery) => {
+  const channel = delivery.channel_id ? await getNotificationChannel(delivery.channel_id) : null;
+  if (!channel) {
+    throw new Error('Notification channel was deleted');
   }
-  // --- End Webhook Sending Logic ---
+  return attemptDelivery(delivery, channel);
 };
 
 module.exports = {
   triggerWebhookAlert,
+  sendOutageNotification,
+  sendTestNotification,
+  retryPendingDeliveries,
+  resendDelivery,
 };
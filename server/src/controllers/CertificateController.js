@@ -0,0 +1,34 @@
+const db = require('../database/db');
+
+const DEFAULT_EXPIRING_DAYS = 30;
+const MAX_EXPIRING_DAYS = 365;
+
+class CertificateController {
+    /**
+     * List the certificates of the authenticated user's HTTPS monitors that expire soon, soonest first.
+     * Expired certificates are included.
+     * Query parameters: days (default 30), only certificates that expire within this many days
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async getExpiring(req, res) {
+        try {
+            const days = req.query.days !== undefined ? Number(req.query.days) : DEFAULT_EXPIRING_DAYS;
+            if (!Number.isInteger(days) || days < 0 || days > MAX_EXPIRING_DAYS) {
+                return res.status(400).json({
+                    error: `days must be between 0 and ${MAX_EXPIRING_DAYS}`
+                });
+            }
+
+            const certificates = await db.getExpiringCertificatesByUser(req.user.id, days);
+            res.json(certificates);
+        } catch (error) {
+            console.error('Error getting expiring certificates:', error);
+            res.status(500).json({
+                error: 'Failed to get expiring certificates'
+            });
+        }
+    }
+}
+
+module.exports = CertificateController;
@@ -0,0 +1,279 @@
+const db = require('../database/db');
+const { verifyAcknowledgeToken } = require('../alerting/acknowledgeLink');
+
+const INCIDENT_STATUSES = ['open', 'resolved'];
+const INCIDENT_TYPES = ['down', 'slow'];
+const MAX_LIMIT = 500;
+const MAX_NOTE_LENGTH = 1000;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Parses the list filters from the query string
+ * @param {object} query Express query object
+ * @returns {{error: string}|{filters: object}}
+ */
+const parseIncidentFilters = (query) => {
+    const filters = {};
+
+    if (query.status !== undefined) {
+        if (!INCIDENT_STATUSES.includes(query.status)) {
+            return { error: `Status must be one of: ${INCIDENT_STATUSES.join(', ')}` };
+        }
+        filters.status = query.status;
+    }
+
+    if (query.type !== undefined) {
+        if (!INCIDENT_TYPES.includes(query.type)) {
+            return { error: `Type must be one of: ${INCIDENT_TYPES.join(', ')}` };
+        }
+        filters.type = query.type;
+    }
+
+    if (query.websiteId !== undefined) {
+        filters.websiteId = parseInt(query.websiteId, 10);
+        if (isNaN(filters.websiteId)) {
+            return { error: 'websiteId must be a number' };
+        }
+    }
+
+    for (const key of ['since', 'until']) {
+        if (query[key] !== undefined) {
+            filters[key] = new Date(query[key]);
+            if (isNaN(filters[key].getTime())) {
+                return { error: `${key} must be a valid date` };
+            }
+        }
+    }
+
+    filters.limit = query.limit !== undefined ? parseInt(query.limit, 10) : 50;
+    filters.offset = query.offset !== undefined ? parseInt(query.offset, 10) : 0;
+    if (isNaN(filters.limit) || filters.limit < 1 || filters.limit > MAX_LIMIT) {
+        return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+    }
+    if (isNaN(filters.offset) || filters.offset < 0) {
+        return { error: 'offset must be 0 or more' };
+    }
+
+    return { filters };
+};
+
+/**
+ * Parses the optional note, and the name of who acknowledges through an alert link, from the request body
+ * @param {object} body Express request body
+ * @returns {{error: string}|{note: string|null, name: string|null}}
+ */
+const parseAcknowledgement = (body = {}) => {
+    const fields = {};
+    for (const [key, maxLength] of [['note', MAX_NOTE_LENGTH], ['name', MAX_NAME_LENGTH]]) {
+        const value = body[key];
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            return { error: `${key} must be a string` };
+        }
+        fields[key] = value ? value.trim() || null : null;
+        if (fields[key] && fields[key].length > maxLength) {
+            return { error: `${key} must be at most ${maxLength} characters` };
+        }
+    }
+    return fields;
+};
+
+/**
+ * Removes internal fields from an incident row
+ * @param {object} incident Incident row from the database
+ * @returns {object}
+ */
+const toIncidentResponse = ({ user_id, ...incident }) => incident;
+
+/**
+ * Describes an incident for the holder of its acknowledge link: the outage and its acknowledgement,
+ * without user IDs or emails
+ * @param {object} incident Incident row from the database
+ * @returns {object}
+ */
+const toAcknowledgeLinkResponse = (incident) => ({
+    id: incident.id,
+    website_name: incident.website_name,
+    website_url: incident.website_url,
+    started_at: incident.started_at,
+    resolved_at: incident.resolved_at,
+    duration_seconds: incident.duration_seconds,
+    error_message: incident.error_message,
+    acknowledged_at: incident.acknowledged_at,
+    acknowledged_by_name: incident.acknowledged_by_name, // Null when acknowledged in the dashboard
+    acknowledgement_note: incident.acknowledgement_note,
+});
+
+/**
+ * Gets the incident of an acknowledge link
+ * @param {string} token Token from the link
+ * @returns {Promise<object|null>} Incident, or null when the link is invalid or expired or the incident is gone
+ */
+const getIncidentByAcknowledgeToken = async (token) => {
+    const incidentId = verifyAcknowledgeToken(token);
+    return incidentId ? db.getIncident(incidentId) : null;
+};
+
+class IncidentController {
+    /**
+     * Get incidents of the authenticated user's monitors
+     * Query parameters: status=open|resolved, type=down|slow, websiteId, since, until, limit (default 50), offset
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async getAll(req, res) {
+        try {
+            const { error, filters } = parseIncidentFilters(req.query);
+            if (error) {
+                return res.status(400).json({
+                    error
+                });
+            }
+
+            const incidents = await db.getIncidentsByUser(req.user.id, filters);
+            res.json(incidents.map(toIncidentResponse));
+        } catch (error) {
+            console.error('Error getting incidents:', error);
+            res.status(500).json({
+                error: 'Failed to get incidents'
+            });
+        }
+    }
+
+    /**
+     * Get a single incident by ID
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async getById(req, res) {
+        try {
+            const incident = await db.getIncident(req.params.id);
+
+            if (!incident) {
+                return res.status(404).json({
+                    error: 'Incident not found'
+                });
+            }
+
+            if (incident.user_id !== req.user.id) {
+                return res.status(403).json({
+                    error: 'Access denied'
+                });
+            }
+
+            res.json(toIncidentResponse(incident));
+        } catch (error) {
+            console.error('Error getting incident:', error);
+            res.status(500).json({
+                error: 'Failed to get incident'
+            });
+        }
+    }
+
+    /**
+     * Mark an open incident as handled, which stops its repeat notifications and escalation
+     * Body: { note } (optional)
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async acknowledge(req, res) {
+        try {
+            const { error, note } = parseAcknowledgement(req.body);
+            if (error) {
+                return res.status(400).json({
+                    error
+                });
+            }
+
+            const incident = await db.getIncident(req.params.id);
+
+            if (!incident) {
+                return res.status(404).json({
+                    error: 'Incident not found'
+                });
+            }
+
+            if (incident.user_id !== req.user.id) {
+                return res.status(403).json({
+                    error: 'Access denied'
+                });
+            }
+
+            if (!(await db.acknowledgeIncident(incident.id, { userId: req.user.id, note }))) {
+                return res.status(409).json({
+                    error: incident.resolved_at ? 'Incident is already resolved' : 'Incident is already acknowledged'
+                });
+            }
+
+            res.json(toIncidentResponse(await db.getIncident(incident.id)));
+        } catch (error) {
+            console.error('Error acknowledging incident:', error);
+            res.status(500).json({
+                error: 'Failed to acknowledge incident'
+            });
+        }
+    }
+
+    /**
+     * Get the incident of an acknowledge link (public, authorized by the signed token in the URL)
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async getByAcknowledgeToken(req, res) {
+        try {
+            const incident = await getIncidentByAcknowledgeToken(req.params.token);
+
+            if (!incident) {
+                return res.status(404).json({
+                    error: 'This acknowledge link is invalid or has expired'
+                });
+            }
+
+            res.json(toAcknowledgeLinkResponse(incident));
+        } catch (error) {
+            console.error('Error getting incident of acknowledge link:', error);
+            res.status(500).json({
+                error: 'Failed to get incident'
+            });
+        }
+    }
+
+    /**
+     * Acknowledge the incident of an acknowledge link (public, authorized by the signed token in the URL)
+     * Body: { name, note } (both optional)
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async acknowledgeByToken(req, res) {
+        try {
+            const { error, name, note } = parseAcknowledgement(req.body);
+            if (error) {
+                return res.status(400).json({
+                    error
+                });
+            }
+
+            const incident = await getIncidentByAcknowledgeToken(req.params.token);
+
+            if (!incident) {
+                return res.status(404).json({
+                    error: 'This acknowledge link is invalid or has expired'
+                });
+            }
+
+            if (!(await db.acknowledgeIncident(incident.id, { name, note }))) {
+                return res.status(409).json({
+                    error: incident.resolved_at ? 'Incident is already resolved' : 'Incident is already acknowledged'
+                });
+            }
+
+            res.json(toAcknowledgeLinkResponse(await db.getIncident(incident.id)));
+        } catch (error) {
+            console.error('Error acknowledging incident through link:', error);
+            res.status(500).json({
+                error: 'Failed to acknowledge incident'
+            });
+        }
+    }
+}
+
+module.exports = IncidentController;
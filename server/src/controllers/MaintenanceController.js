@@ -0,0 +1,279 @@
+const db = require('../database/db');
+const {
+    STRATEGIES,
+    MAX_DURATION_MINUTES,
+    parseCronExpression,
+    isValidTimezone,
+    parseDateInTimezone,
+    isWindowActive,
+} = require('../monitoring/maintenance');
+
+const START_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validates a maintenance window request and maps it to database fields.
+ * Fields that do not apply to the chosen strategy are cleared.
+ * @param {object} body Request body
+ * @param {object} [existing] Current window when updating (missing fields keep their value)
+ * @returns {{error: string}|{window: object, websiteIds: Array<number>}}
+ */
+const normalizeMaintenanceWindow = (body, existing = {}) => {
+    const data = { ...existing, ...body };
+    const strategy = data.strategy || 'single';
+    const timezone = data.timezone || 'UTC';
+
+    if (typeof data.title !== 'string' || data.title.trim() === '') {
+        return { error: 'Title is required' };
+    }
+    if (!STRATEGIES.includes(strategy)) {
+        return { error: `Strategy must be one of: ${STRATEGIES.join(', ')}` };
+    }
+    if (!isValidTimezone(timezone)) {
+        return { error: `Unknown timezone "${timezone}"` };
+    }
+
+    const startDate = data.start_date ? parseDateInTimezone(data.start_date, timezone) : null;
+    const endDate = data.end_date ? parseDateInTimezone(data.end_date, timezone) : null;
+    if ((data.start_date && !startDate) || (data.end_date && !endDate)) {
+        return { error: 'Start and end date must be valid dates' };
+    }
+    if (startDate && endDate && startDate >= endDate) {
+        return { error: 'End date must be after start date' };
+    }
+
+    const window = {
+        title: data.title.trim(),
+        description: data.description || null,
+        strategy,
+        active: data.active !== undefined ? data.active === true || data.active === 'true' : true,
+        start_date: startDate,
+        end_date: endDate,
+        weekdays: null,
+        start_time: null,
+        duration_minutes: null,
+        cron_expression: null,
+        timezone,
+    };
+
+    if (strategy === 'single') {
+        if (!startDate || !endDate) {
+            return { error: 'Start and end date are required for a one-off window' };
+        }
+    } else {
+        const duration = Number(data.duration_minutes);
+        if (!Number.isInteger(duration) || duration < 1 || duration > MAX_DURATION_MINUTES) {
+            return { error: `Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes` };
+        }
+        window.duration_minutes = duration;
+
+        if (strategy === 'weekday') {
+            const weekdays = Array.isArray(data.weekdays) ? data.weekdays.map(Number) : [];
+            if (weekdays.length === 0 || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+                return { error: 'Select at least one weekday (0 = Sunday to 6 = Saturday)' };
+            }
+            if (!START_TIME_PATTERN.test(data.start_time || '')) {
+                return { error: 'Start time must be in the form HH:mm' };
+            }
+            window.weekdays = [...new Set(weekdays)].sort();
+            window.start_time = data.start_time;
+        } else {
+            try {
+                parseCronExpression(data.cron_expression);
+            } catch (error) {
+                return { error: `Invalid cron expression: ${error.message}` };
+            }
+            window.cron_expression = data.cron_expression.trim();
+        }
+    }
+
+    const websiteIds = data.website_ids || [];
+    if (!Array.isArray(websiteIds) || websiteIds.some(id => !Number.isInteger(Number(id)))) {
+        return { error: 'website_ids must be an array of monitor IDs' };
+    }
+
+    return { window, websiteIds: [...new Set(websiteIds.map(Number))] };
+};
+
+/**
+ * Adds whether the window is in effect right now
+ * @param {object} window Maintenance window row
+ * @returns {object}
+ */
+const withActiveState = (window) => ({
+    ...window,
+    is_active_now: isWindowActive(window),
+});
+
+/**
+ * Checks that all monitors belong to the user
+ * @param {Array<number>} websiteIds Website IDs
+ * @param {number} userId User ID
+ * @returns {Promise<boolean>}
+ */
+const ownsAllWebsites = async (websiteIds, userId) => {
+    if (websiteIds.length === 0) {
+        return true;
+    }
+    const websites = await db.getAllWebsitesByUser(userId);
+    const ownedIds = new Set(websites.map(website => website.id));
+    return websiteIds.every(id => ownedIds.has(id));
+};
+
+class MaintenanceController {
+    /**
+     * Get all maintenance windows for the authenticated user
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async getAll(req, res) {
+        try {
+            const windows = await db.getMaintenanceWindowsByUser(req.user.id);
+            res.json(windows.map(withActiveState));
+        } catch (error) {
+            console.error('Error getting maintenance windows:', error);
+            res.status(500).json({
+                error: 'Failed to get maintenance windows'
+            });
+        }
+    }
+
+    /**
+     * Get a single maintenance window by ID
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async getById(req, res) {
+        try {
+            const window = await db.getMaintenanceWindow(req.params.id);
+
+            if (!window) {
+                return res.status(404).json({
+                    error: 'Maintenance window not found'
+                });
+            }
+
+            if (window.user_id !== req.user.id) {
+                return res.status(403).json({
+                    error: 'Access denied'
+                });
+            }
+
+            res.json(withActiveState(window));
+        } catch (error) {
+            console.error('Error getting maintenance window:', error);
+            res.status(500).json({
+                error: 'Failed to get maintenance window'
+            });
+        }
+    }
+
+    /**
+     * Create a maintenance window
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async create(req, res) {
+        try {
+            const normalized = normalizeMaintenanceWindow(req.body);
+            if (normalized.error) {
+                return res.status(400).json({
+                    error: normalized.error
+                });
+            }
+
+            if (!(await ownsAllWebsites(normalized.websiteIds, req.user.id))) {
+                return res.status(400).json({
+                    error: 'One or more monitors were not found'
+                });
+            }
+
+            const window = await db.createMaintenanceWindow(
+                { ...normalized.window, user_id: req.user.id },
+                normalized.websiteIds
+            );
+            res.status(201).json(withActiveState(window));
+        } catch (error) {
+            console.error('Error creating maintenance window:', error);
+            res.status(500).json({
+                error: 'Failed to create maintenance window'
+            });
+        }
+    }
+
+    /**
+     * Update a maintenance window
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async update(req, res) {
+        try {
+            const existing = await db.getMaintenanceWindow(req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({
+                    error: 'Maintenance window not found'
+                });
+            }
+
+            if (existing.user_id !== req.user.id) {
+                return res.status(403).json({
+                    error: 'Access denied'
+                });
+            }
+
+            const normalized = normalizeMaintenanceWindow(req.body, existing);
+            if (normalized.error) {
+                return res.status(400).json({
+                    error: normalized.error
+                });
+            }
+
+            if (!(await ownsAllWebsites(normalized.websiteIds, req.user.id))) {
+                return res.status(400).json({
+                    error: 'One or more monitors were not found'
+                });
+            }
+
+            const window = await db.updateMaintenanceWindow(existing.id, normalized.window, normalized.websiteIds);
+            res.json(withActiveState(window));
+        } catch (error) {
+            console.error('Error updating maintenance window:', error);
+            res.status(500).json({
+                error: 'Failed to update maintenance window'
+            });
+        }
+    }
+
+    /**
+     * Delete a maintenance window
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async delete(req, res) {
+        try {
+            const existing = await db.getMaintenanceWindow(req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({
+                    error: 'Maintenance window not found'
+                });
+            }
+
+            if (existing.user_id !== req.user.id) {
+                return res.status(403).json({
+                    error: 'Access denied'
+                });
+            }
+
+            await db.deleteMaintenanceWindow(existing.id);
+            res.status(204).send();
+        } catch (error) {
+            console.error('Error deleting maintenance window:', error);
+            res.status(500).json({
+                error: 'Failed to delete maintenance window'
+            });
+        }
+    }
+}
+
+module.exports = MaintenanceController;
@@ -1,48 +1,449 @@
 const db = require('../database/db');
+const { PROVIDERS, getProvider } = require('../alerting/providers');
+const { sendTestNotification, resendDelivery: resendNotificationDelivery } = require('../alerting/webhook');
+const { encryptChannelSecrets, mergeChannelSecrets, maskChannelSecrets } = require('../alerting/channelSecrets');
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'dead'];
+const MAX_DELIVERY_LIMIT = 200;
+const MAX_ESCALATION_STEPS = 10;
+const MAX_ESCALATION_DELAY_MINUTES = 7 * 24 * 60;
+
+/**
+ * Validates a notification channel request and maps it to database fields
+ * @param {object} body Request body
+ * @param {object} [existing] Current channel when updating (missing fields keep their value, and
+ *                            empty secrets keep the stored ones unless the type changes)
+ * @returns {{error: string}|{channel: object, websiteIds: Array<number>|undefined}}
+ */
+const normalizeChannel = (body, existing = {}) => {
+    const data = { ...existing, ...body };
+
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        return { error: 'Name is required' };
+    }
+    const provider = getProvider(data.type);
+    if (!provider) {
+        return { error: `Type must be one of: ${Object.keys(PROVIDERS).join(', ')}` };
+    }
+    const storedConfig = existing.type === data.type ? existing.config || {} : null;
+    const submittedConfig = body.config !== undefined
+        ? body.config || {}
+        : maskChannelSecrets({ type: data.type, config: storedConfig || {} }).config;
+    if (typeof submittedConfig !== 'object' || Array.isArray(submittedConfig)) {
+        return { error: 'Config must be an object' };
+    }
+    const config = mergeChannelSecrets(data.type, submittedConfig, storedConfig);
+    const configError = provider.validateConfig(config);
+    if (configError) {
+        return { error: configError };
+    }
+
+    let websiteIds;
+    if (body.website_ids !== undefined) {
+        if (!Array.isArray(body.website_ids) || body.website_ids.some(id => !Number.isInteger(Number(id)))) {
+            return { error: 'website_ids must be an array of monitor IDs' };
+        }
+        websiteIds = [...new Set(body.website_ids.map(Number))];
+    }
+
+    return {
+        channel: {
+            name: data.name.trim(),
+            type: data.type,
+            config: encryptChannelSecrets(data.type, config),
+            enabled: data.enabled !== undefined ? data.enabled === true : true,
+            is_default: data.is_default === true,
+        },
+        websiteIds,
+    };
+};
+
+/**
+ * Checks that all monitors belong to the user
+ * @param {Array<number>} websiteIds Website IDs
+ * @param {number} userId User ID
+ * @returns {Promise<boolean>}
+ */
+const ownsAllWebsites = async (websiteIds, userId) => {
+    if (websiteIds.length === 0) {
+        return true;
+    }
+    const websites = await db.getAllWebsitesByUser(userId);
+    const ownedIds = new Set(websites.map(website => website.id));
+    return websiteIds.every(id => ownedIds.has(id));
+};
+
+/**
+ * Loads a channel and checks it belongs to the user, sending 404/403 otherwise
+ * @returns {Promise<object|null>} The channel, or null when a response was sent
+ */
+const findOwnChannel = async (req, res) => {
+    const channel = await db.getNotificationChannel(req.params.id);
+    if (!channel) {
+        res.status(404).json({ message: 'Notification channel not found' });
+        return null;
+    }
+    if (channel.user_id !== req.user.id) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return channel;
+};
+
+/**
+ * Validates an escalation policy request and maps it to database fields
+ * @param {object} body Request body
+ * @param {object} [existing] Current policy when updating (missing fields keep their value)
+ * @returns {{error: string}|{policy: object}}
+ */
+const normalizeEscalationPolicy = (body, existing = {}) => {
+    const data = { ...existing, ...body };
+
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        return { error: 'Name is required' };
+    }
+    if (!Array.isArray(data.steps) || data.steps.length === 0 || data.steps.length > MAX_ESCALATION_STEPS) {
+        return { error: `An escalation policy needs between 1 and ${MAX_ESCALATION_STEPS} steps` };
+    }
+
+    const steps = [];
+    for (const [index, step] of data.steps.entries()) {
+        const delay = Number(step?.delay_minutes);
+        if (!Number.isInteger(delay) || delay < 0 || delay > MAX_ESCALATION_DELAY_MINUTES) {
+            return { error: `Step ${index + 1}: delay must be between 0 and ${MAX_ESCALATION_DELAY_MINUTES} minutes` };
+        }
+        if (index > 0 && delay < steps[index - 1].delay_minutes) {
+            return { error: `Step ${index + 1}: delay must not be shorter than the delay of the previous step` };
+        }
+        const channelIds = step.channel_ids;
+        if (!Array.isArray(channelIds) || channelIds.length === 0 || channelIds.some(id => !Number.isInteger(Number(id)))) {
+            return { error: `Step ${index + 1}: select at least one notification channel` };
+        }
+        steps.push({ delay_minutes: delay, channel_ids: [...new Set(channelIds.map(Number))] });
+    }
+
+    return { policy: { name: data.name.trim(), steps } };
+};
+
+/**
+ * Checks that all notification channels of the policy steps belong to the user
+ * @param {Array<object>} steps Normalized steps { delay_minutes, channel_ids }
+ * @param {number} userId User ID
+ * @returns {Promise<boolean>}
+ */
+const ownsAllStepChannels = async (steps, userId) => {
+    const channels = await db.getNotificationChannelsByUser(userId);
+    const ownedIds = new Set(channels.map(channel => channel.id));
+    return steps.every(step => step.channel_ids.every(id => ownedIds.has(id)));
+};
+
+/**
+ * Loads an escalation policy and checks it belongs to the user, sending 404/403 otherwise
+ * @returns {Promise<object|null>} The policy, or null when a response was sent
+ */
+const findOwnEscalationPolicy = async (req, res) => {
+    const policy = await db.getEscalationPolicy(req.params.id);
+    if (!policy) {
+        res.status(404).json({ message: 'Escalation policy not found' });
+        return null;
+    }
+    if (policy.user_id !== req.user.id) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return policy;
+};
+
+/**
+ * Parses the delivery log filters from the query string
+ * @param {object} query Express query object
+ * @returns {{error: string}|{filters: object}}
+ */
+const parseDeliveryFilters = (query) => {
+    const filters = {};
+
+    if (query.status !== undefined) {
+        if (!DELIVERY_STATUSES.includes(query.status)) {
+            return { error: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}` };
+        }
+        filters.status = query.status;
+    }
+
+    for (const key of ['channelId', 'websiteId']) {
+        if (query[key] !== undefined) {
+            filters[key] = parseInt(query[key], 10);
+            if (isNaN(filters[key])) {
+                return { error: `${key} must be a number` };
+            }
+        }
+    }
+
+    filters.limit = query.limit !== undefined ? parseInt(query.limit, 10) : 50;
+    filters.offset = query.offset !== undefined ? parseInt(query.offset, 10) : 0;
+    if (isNaN(filters.limit) || filters.limit < 1 || filters.limit > MAX_DELIVERY_LIMIT) {
+        return { error: `limit must be between 1 and ${MAX_DELIVERY_LIMIT}` };
+    }
+    if (isNaN(filters.offset) || filters.offset < 0) {
+        return { error: 'offset must be 0 or more' };
+    }
+
+    return { filters };
+};
+
+/**
+ * Loads a delivery and checks it belongs to the user, sending 404/403 otherwise
+ * @returns {Promise<object|null>} The delivery, or null when a response was sent
+ */
+const findOwnDelivery = async (req, res) => {
+    const delivery = await db.getNotificationDelivery(req.params.id);
+    if (!delivery) {
+        res.status(404).json({ message: 'Notification delivery not found' });
+        return null;
+    }
+    if (delivery.user_id !== req.user.id) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return delivery;
+};
+
+/**
+ * Controller to list the user's notification channels
+ */
+const getChannels = async (req, res) => {
+    try {
+        const channels = await db.getNotificationChannelsByUser(req.user.id);
+        res.json(channels.map(maskChannelSecrets));
+    } catch (error) {
+        console.error('Error fetching notification channels:', error);
+        res.status(500).json({ message: 'Failed to fetch notification channels' });
+    }
+};
 
 /**
- * Controller to get notification settings
+ * Controller to create a notification channel
  */
-const getSettings = async (req, res) => {
+const createChannel = async (req, res) => {
     try {
-        const settings = await db.getNotificationSettings();
-        if (!settings) {
-            // This case should ideally not happen if the migration ran correctly
-            // and inserted the default row. Return default values.
-            console.warn('Notification settings row not found, returning defaults.');
-            return res.json({ id: 1, webhook_url: '', webhook_enabled: false });
+        const { error, channel, websiteIds } = normalizeChannel(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
         }
-        res.json(settings);
+        if (websiteIds && !(await ownsAllWebsites(websiteIds, req.user.id))) {
+            return res.status(400).json({ message: 'One or more monitors were not found' });
+        }
+
+        const created = await db.createNotificationChannel({ ...channel, user_id: req.user.id });
+        if (websiteIds) {
+            await db.setNotificationChannelWebsites(created.id, websiteIds);
+        }
+        res.status(201).json(maskChannelSecrets(await db.getNotificationChannel(created.id)));
     } catch (error) {
-        console.error('Error fetching notification settings:', error);
-        res.status(500).json({ message: 'Failed to fetch notification settings' });
+        console.error('Error creating notification channel:', error);
+        res.status(500).json({ message: 'Failed to create notification channel' });
     }
 };
 
 /**
- * Controller to update notification settings
+ * Controller to update a notification channel
  */
-const updateSettings = async (req, res) => {
-    const { webhook_url, webhook_enabled } = req.body;
+const updateChannel = async (req, res) => {
+    try {
+        const existing = await findOwnChannel(req, res);
+        if (!existing) return;
 
-    // Basic validation
-    if (typeof webhook_url !== 'string' || typeof webhook_enabled === 'undefined') {
-        return res.status(400).json({ message: 'Missing or invalid parameters: webhook_url (string) and webhook_enabled (boolean) are required.' });
+        const { error, channel, websiteIds } = normalizeChannel(req.body, existing);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (websiteIds && !(await ownsAllWebsites(websiteIds, req.user.id))) {
+            return res.status(400).json({ message: 'One or more monitors were not found' });
+        }
+
+        await db.updateNotificationChannel(existing.id, channel);
+        if (websiteIds) {
+            await db.setNotificationChannelWebsites(existing.id, websiteIds);
+        }
+        res.json(maskChannelSecrets(await db.getNotificationChannel(existing.id)));
+    } catch (error) {
+        console.error('Error updating notification channel:', error);
+        res.status(500).json({ message: 'Failed to update notification channel' });
+    }
+};
+
+/**
+ * Controller to delete a notification channel
+ */
+const deleteChannel = async (req, res) => {
+    try {
+        const existing = await findOwnChannel(req, res);
+        if (!existing) return;
+
+        await db.deleteNotificationChannel(existing.id);
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error deleting notification channel:', error);
+        res.status(500).json({ message: 'Failed to delete notification channel' });
+    }
+};
+
+/**
+ * Controller to send a test notification through a saved channel
+ */
+const testChannel = async (req, res) => {
+    try {
+        const channel = await findOwnChannel(req, res);
+        if (!channel) return;
+
+        await sendTestNotification(channel);
+        res.json({ message: 'Test notification sent' });
+    } catch (error) {
+        console.error('Error sending test notification:', error.message);
+        if (!res.headersSent) {
+            res.status(502).json({ message: `Test notification failed: ${error.message}` });
+        }
+    }
+};
+
+/**
+ * Controller to list the user's notification deliveries, newest first.
+ * Query parameters: status=pending|retrying|delivered|dead, channelId, websiteId, limit (default 50), offset
+ */
+const getDeliveries = async (req, res) => {
+    try {
+        const { error, filters } = parseDeliveryFilters(req.query);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        const deliveries = await db.getNotificationDeliveriesByUser(req.user.id, filters);
+        res.json(deliveries);
+    } catch (error) {
+        console.error('Error fetching notification deliveries:', error);
+        res.status(500).json({ message: 'Failed to fetch notification deliveries' });
+    }
+};
+
+/**
+ * Controller to get a notification delivery with its attempts
+ */
+const getDelivery = async (req, res) => {
+    try {
+        const delivery = await findOwnDelivery(req, res);
+        if (!delivery) return;
+
+        res.json(delivery);
+    } catch (error) {
+        console.error('Error fetching notification delivery:', error);
+        res.status(500).json({ message: 'Failed to fetch notification delivery' });
     }
+};
 
+/**
+ * Controller to send a logged delivery again through its channel
+ */
+const resendDelivery = async (req, res) => {
     try {
-        const updatedSettings = await db.updateNotificationSettings({
-            webhook_url,
-            webhook_enabled
-        });
-        res.json(updatedSettings);
+        const delivery = await findOwnDelivery(req, res);
+        if (!delivery) return;
+        if (!delivery.channel_id) {
+            return res.status(409).json({ message: 'The notification channel of this delivery was deleted' });
+        }
+
+        const result = await resendNotificationDelivery(delivery);
+        if (result.error) {
+            return res.status(502).json({ message: `Resend failed: ${result.last_error}` });
+        }
+        res.json(await db.getNotificationDelivery(delivery.id));
+    } catch (error) {
+        console.error('Error resending notification delivery:', error);
+        res.status(500).json({ message: 'Failed to resend notification delivery' });
+    }
+};
+
+/**
+ * Controller to list the user's escalation policies
+ */
+const getEscalationPolicies = async (req, res) => {
+    try {
+        const policies = await db.getEscalationPoliciesByUser(req.user.id);
+        res.json(policies);
+    } catch (error) {
+        console.error('Error fetching escalation policies:', error);
+        res.status(500).json({ message: 'Failed to fetch escalation policies' });
+    }
+};
+
+/**
+ * Controller to create an escalation policy
+ */
+const createEscalationPolicy = async (req, res) => {
+    try {
+        const { error, policy } = normalizeEscalationPolicy(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (!(await ownsAllStepChannels(policy.steps, req.user.id))) {
+            return res.status(400).json({ message: 'One or more notification channels were not found' });
+        }
+
+        const created = await db.createEscalationPolicy({ ...policy, user_id: req.user.id });
+        res.status(201).json(created);
+    } catch (error) {
+        console.error('Error creating escalation policy:', error);
+        res.status(500).json({ message: 'Failed to create escalation policy' });
+    }
+};
+
+/**
+ * Controller to update an escalation policy
+ */
+const updateEscalationPolicy = async (req, res) => {
+    try {
+        const existing = await findOwnEscalationPolicy(req, res);
+        if (!existing) return;
+
+        const { error, policy } = normalizeEscalationPolicy(req.body, existing);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (!(await ownsAllStepChannels(policy.steps, req.user.id))) {
+            return res.status(400).json({ message: 'One or more notification channels were not found' });
+        }
+
+        res.json(await db.updateEscalationPolicy(existing.id, policy));
+    } catch (error) {
+        console.error('Error updating escalation policy:', error);
+        res.status(500).json({ message: 'Failed to update escalation policy' });
+    }
+};
+
+/**
+ * Controller to delete an escalation policy
+ */
+const deleteEscalationPolicy = async (req, res) => {
+    try {
+        const existing = await findOwnEscalationPolicy(req, res);
+        if (!existing) return;
+
+        await db.deleteEscalationPolicy(existing.id);
+        res.status(204).send();
     } catch (error) {
-        console.error('Error updating notification settings:', error);
-        res.status(500).json({ message: 'Failed to update notification settings' });
+        console.error('Error deleting escalation policy:', error);
+        res.status(500).json({ message: 'Failed to delete escalation policy' });
     }
 };
 
 module.exports = {
-    getSettings,
-    updateSettings,
+    getChannels,
+    createChannel,
+    updateChannel,
+    deleteChannel,
+    testChannel,
+    getDeliveries,
+    getDelivery,
+    resendDelivery,
+    getEscalationPolicies,
+    createEscalationPolicy,
+    updateEscalationPolicy,
+    deleteEscalationPolicy,
 };
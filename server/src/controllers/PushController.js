@@ -0,0 +1,49 @@
+const { getWebsiteByPushToken } = require('../database/db');
+const { recordPush } = require('../monitoring/checker');
+const { log } = require('../utils/logger');
+
+const MAX_PUSH_MESSAGE_LENGTH = 500;
+
+class PushController {
+    /**
+     * Receive a push from a job or worker (public, authenticated by the token in the URL)
+     * Query parameters: status=up|down (default up), msg (default OK), ping (ms, optional)
+     * @param {object} req Express request
+     * @param {object} res Express response
+     */
+    static async receive(req, res) {
+        try {
+            const website = await getWebsiteByPushToken(req.params.token);
+
+            if (!website || website.monitorType !== 'push' || website.active !== true) {
+                return res.status(404).json({
+                    error: 'Push monitor not found or inactive'
+                });
+            }
+
+            const status = String(req.query.status || 'up').toLowerCase();
+            if (status !== 'up' && status !== 'down') {
+                return res.status(400).json({
+                    error: 'Status must be up or down'
+                });
+            }
+
+            const ping = parseInt(req.query.ping, 10);
+            const push = {
+                isUp: status === 'up',
+                message: String(req.query.msg || 'OK').slice(0, MAX_PUSH_MESSAGE_LENGTH),
+                ping: isNaN(ping) || ping < 0 ? null : ping,
+            };
+
+            await recordPush(website, push);
+            res.json({ ok: true });
+        } catch (error) {
+            log.error('Error receiving push:', error);
+            res.status(500).json({
+                error: 'Failed to record push'
+            });
+        }
+    }
+}
+
+module.exports = PushController;
@@ -1,8 +1,35 @@
 const { getDatabase } = require('../database/init'); // Use pg Pool access
 const UptimeCalculator = require('../services/UptimeCalculator');
 const { log } = require('../utils/logger');
+const { getIncidentSummary, getWebsiteCertificate } = require('../database/db');
 const dayjs = require('dayjs');
 
+/**
+ * Describes the stored certificate of a monitor for the summary API
+ * @param {object} row Row from website_certificates
+ * @returns {object}
+ */
+const toCertificateResponse = (row) => ({
+    subject: row.subject,
+    subjectAltNames: row.subject_alt_names,
+    issuer: row.issuer,
+    issuerChain: row.issuer_chain,
+    serialNumber: row.serial_number,
+    fingerprint256: row.fingerprint_sha256,
+    validFrom: row.valid_from,
+    validTo: row.valid_to,
+    keyType: row.key_type,
+    keyBits: row.key_bits,
+    signatureAlgorithm: row.signature_algorithm,
+    isValid: row.is_valid,
+    validationError: row.validation_error,
+    tlsProtocol: row.tls_protocol,
+    tlsCipher: row.tls_cipher,
+    legacyProtocols: row.legacy_protocols,
+    findings: row.tls_findings,
+    checkedAt: row.checked_at,
+});
+
 // Helper to safely parse integer query params
 const safeParseInt = (value, defaultValue) => {
     const parsed = parseInt(value, 10);
@@ -25,7 +52,7 @@ const StatsController = {
             const db = getDatabase();
             // Use $1, $2 placeholders for pg
             const sql = `
-                SELECT timestamp, status, ping, message
+                SELECT timestamp, status, ping, message, important, flapping
                 FROM heartbeats
                 WHERE website_id = $1
                 ORDER BY timestamp DESC
@@ -57,30 +84,16 @@ const StatsController = {
 
         try {
             const db = getDatabase();
-            // Fetch heartbeats ordered by time
+            // Status changes are flagged as important when the heartbeat is recorded
             const sql = `
-                SELECT id, timestamp, status, message
+                SELECT id, timestamp, status, message, flapping
                 FROM heartbeats
-                WHERE website_id = $1
-                ORDER BY timestamp ASC
+                WHERE website_id = $1 AND important = TRUE
+                ORDER BY timestamp DESC
+                LIMIT $2
             `;
-            const result = await db.query(sql, [monitorId]);
-            const allHeartbeats = result.rows || [];
-
-            if (allHeartbeats.length === 0) {
-                return res.json([]);
-            }
-
-            // Filter for status changes
-            const importantEvents = allHeartbeats.reduce((acc, current, index, arr) => {
-                if (index === 0 || current.status !== arr[index - 1].status) {
-                    acc.push(current);
-                }
-                return acc;
-            }, []);
-
-            // Return the most recent 'limit' important events
-            res.json(importantEvents.slice(-limit).reverse()); // Reverse again to show newest first
+            const result = await db.query(sql, [monitorId, limit]);
+            res.json(result.rows || []); // Newest first
 
         } catch (error) {
             log.error(`[StatsController] Error fetching important events for monitor ${monitorId}:`, error);
@@ -117,12 +130,14 @@ const StatsController = {
             const heartbeatResult = await db.query(sql, [monitorId]);
             const lastHeartbeat = heartbeatResult.rows[0];
 
-            // Placeholder for Cert Info
+            // Certificate seen by the latest HTTPS check, if any
+            const certificate = await getWebsiteCertificate(monitorId);
             const certInfo = {
-                certExpiryDays: null,
-                certIssuer: null,
-                certValidTo: null,
-                isCertValid: null,
+                certExpiryDays: certificate?.valid_to ? Math.ceil((new Date(certificate.valid_to) - new Date()) / (1000 * 60 * 60 * 24)) : null,
+                certIssuer: certificate?.issuer ?? null,
+                certValidTo: certificate?.valid_to ?? null,
+                isCertValid: certificate?.is_valid ?? null,
+                certificate: certificate ? toCertificateResponse(certificate) : null,
             };
 
             res.json({
@@ -178,7 +193,7 @@ const StatsController = {
             // Transform the data to match the frontend's expected format
             const chartData = statsArray.map(stat => {
                 const total = (stat.up_count || 0) + (stat.down_count || 0) + (stat.maintenance_count || 0);
-                const upCount = stat.up_count || 0;
+                const upCount = (stat.up_count || 0) + (stat.maintenance_count || 0); // Maintenance counts as up
                 const downCount = stat.down_count || 0;
                 const uptimePercentage = total > 0 ? (upCount / total) * 100 : 100;
 
@@ -189,7 +204,15 @@ const StatsController = {
                     uptime: uptimePercentage,
                     requestCount: total,
                     successCount: upCount,
-                    failureCount: downCount
+                    failureCount: downCount,
+                    // Average time per check phase, null when no check of the period measured them
+                    timings: stat.timing_count > 0 ? {
+                        dnsMs: stat.avg_dns_ms,
+                        connectMs: stat.avg_connect_ms,
+                        tlsMs: stat.avg_tls_ms,
+                        ttfbMs: stat.avg_ttfb_ms,
+                        downloadMs: stat.avg_download_ms
+                    } : null
                 };
             });
 
@@ -269,16 +292,24 @@ const StatsController = {
             }
             const overallUptime24h = activeMonitorCount > 0 ? (totalUptimeSum24h / activeMonitorCount) * 100 : 100; // Average uptime, default to 100% if no active monitors
 
-            // Placeholder data for incidents (needs implementation)
+            // Incidents that were ongoing at any time in the last 24h
+            const incidentSummary = await getIncidentSummary(userId, dayjs().subtract(24, 'hour').toDate());
+            // Days since the last incident ended (0 while one is open), or since the first monitor was added
+            let daysWithoutIncidents = 0;
+            if (incidentSummary.openIncidents === 0) {
+                const lastIncidentFreeSince = incidentSummary.lastResolvedAt || incidentSummary.firstMonitorCreatedAt;
+                daysWithoutIncidents = lastIncidentFreeSince ? dayjs().diff(dayjs(lastIncidentFreeSince), 'day') : 0;
+            }
+
             const summaryData = {
                 up: upCount,
                 down: downCount,
                 paused: pausedCount,
                 total: rows.length,
                 overallUptime24h: parseFloat(overallUptime24h.toFixed(4)), // Use calculated value
-                incidents24h: 0,        // Placeholder
-                daysWithoutIncidents: 1, // Placeholder
-                affectedMonitors24h: 0   // Placeholder
+                incidents24h: incidentSummary.incidents,
+                daysWithoutIncidents,
+                affectedMonitors24h: incidentSummary.affectedMonitors
             };
 
             res.json(summaryData);
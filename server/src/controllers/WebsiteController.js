@@ -1,8 +1,512 @@
+const crypto = require('crypto');
+const net = require('net');
 const Website = require('../models/Website');
+const db = require('../database/db');
 const { performCheck } = require('../monitoring/checker');
-const { updateWebsiteStatus, insertCheckHistory } = require('../database/db');
+const jsonQuery = require('../utils/json-query');
+const { TLS_FINDINGS, TLS_FINDING_ACTIONS } = require('../utils/tlsAudit');
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+
+const VALID_MONITOR_TYPES = ['http', 'https', 'keyword', 'port', 'dns', 'json-query', 'push'];
+const DNS_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA'];
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const BODY_ENCODINGS = ['json', 'form', 'raw'];
+const AUTH_METHODS = ['none', 'basic', 'bearer'];
+const MAX_CONFIRMATION_CHECKS = 20;
+const MAX_FLAP_THRESHOLD = 50;
+const MAX_RENOTIFY_INTERVAL_MINUTES = 1440;
+const MAX_LATENCY_THRESHOLD_MS = 600000;
+const MAX_LATENCY_CHECKS = 20;
+const LATENCY_EVALUATIONS = ['checks', 'p95'];
+const MAX_EXPIRY_NOTIFY_DAYS = 365;
+const MAX_EXPIRY_THRESHOLDS = 10;
+const PEM_CERTIFICATE_PATTERN = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+/**
+ * Validates the target and configuration of a TCP port monitor
+ * @param {string} url Target in the form tcp://host:port
+ * @param {object} [monitorConfig] Port monitor configuration { payload, bannerRegex }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validatePortMonitor = (url, monitorConfig = {}) => {
+    let target;
+    try {
+        target = new URL(url);
+    } catch (error) {
+        return 'Port monitor URL must be in the form tcp://host:port';
+    }
+    const port = parseInt(target.port, 10);
+    if (target.protocol !== 'tcp:' || !target.hostname || isNaN(port) || port < 1 || port > 65535) {
+        return 'Port monitor URL must be in the form tcp://host:port with a port between 1 and 65535';
+    }
+    if (typeof monitorConfig.payload !== 'undefined' && typeof monitorConfig.payload !== 'string') {
+        return 'Port monitor payload must be a string';
+    }
+    if (monitorConfig.bannerRegex) {
+        try {
+            new RegExp(monitorConfig.bannerRegex);
+        } catch (error) {
+            return `Invalid banner regex: ${error.message}`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Validates the target and configuration of a DNS monitor
+ * @param {string} url Target in the form dns://hostname
+ * @param {object} [monitorConfig] DNS monitor configuration { recordType, resolverServer, resolverPort, expectedValues, failOnChange }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateDnsMonitor = (url, monitorConfig = {}) => {
+    let target;
+    try {
+        target = new URL(url);
+    } catch (error) {
+        return 'DNS monitor URL must be in the form dns://hostname';
+    }
+    if (target.protocol !== 'dns:' || !target.hostname) {
+        return 'DNS monitor URL must be in the form dns://hostname';
+    }
+    if (monitorConfig.recordType && !DNS_RECORD_TYPES.includes(String(monitorConfig.recordType).toUpperCase())) {
+        return `DNS record type must be one of ${DNS_RECORD_TYPES.join(', ')}`;
+    }
+    if (monitorConfig.resolverServer && !net.isIP(monitorConfig.resolverServer)) {
+        return 'DNS resolver server must be an IP address';
+    }
+    if (typeof monitorConfig.resolverPort !== 'undefined') {
+        const port = parseInt(monitorConfig.resolverPort, 10);
+        if (isNaN(port) || port < 1 || port > 65535) {
+            return 'DNS resolver port must be between 1 and 65535';
+        }
+    }
+    if (typeof monitorConfig.expectedValues !== 'undefined' &&
+        (!Array.isArray(monitorConfig.expectedValues) || monitorConfig.expectedValues.some(value => typeof value !== 'string'))) {
+        return 'DNS expected values must be a list of strings';
+    }
+    return null;
+};
+
+/**
+ * Validates the target and configuration of a JSON query monitor
+ * @param {string} url HTTP(S) endpoint returning JSON
+ * @param {object} [monitorConfig] JSON query configuration { jsonQuery, jsonOperator, expectedValue }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateJsonQueryMonitor = (url, monitorConfig = {}) => {
+    let target;
+    try {
+        target = new URL(url);
+    } catch (error) {
+        return 'JSON query monitor URL must be an http:// or https:// URL';
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        return 'JSON query monitor URL must be an http:// or https:// URL';
+    }
+    try {
+        jsonQuery.parseExpression(monitorConfig.jsonQuery);
+    } catch (error) {
+        return `Invalid JSON query: ${error.message}`;
+    }
+    if (monitorConfig.jsonOperator && !jsonQuery.OPERATORS.includes(monitorConfig.jsonOperator)) {
+        return `JSON query operator must be one of ${jsonQuery.OPERATORS.join(', ')}`;
+    }
+    if (typeof monitorConfig.expectedValue !== 'undefined' && typeof monitorConfig.expectedValue !== 'string') {
+        return 'JSON query expected value must be a string';
+    }
+    if (monitorConfig.jsonOperator === 'matches') {
+        try {
+            new RegExp(monitorConfig.expectedValue || '');
+        } catch (error) {
+            return `Invalid expected value regex: ${error.message}`;
+        }
+    }
+    if ((monitorConfig.jsonOperator === '<' || monitorConfig.jsonOperator === '>') && isNaN(parseFloat(monitorConfig.expectedValue))) {
+        return 'JSON query expected value must be a number for < and >';
+    }
+    return null;
+};
+
+/**
+ * Validates and normalizes the HTTP request options of a create/update payload in place.
+ * Method is upper-cased and request_headers given as JSON text is parsed into an object.
+ * @param {object} data Request payload { monitor_method, request_body, request_body_encoding, request_headers, auth_method, ... }
+ * @returns {string|null} Error message, or null when valid
+ */
+const normalizeHttpRequestOptions = (data) => {
+    if (data.monitor_method !== undefined) {
+        data.monitor_method = String(data.monitor_method).toUpperCase();
+        if (!HTTP_METHODS.includes(data.monitor_method)) {
+            return `HTTP method must be one of ${HTTP_METHODS.join(', ')}`;
+        }
+    }
+    if (data.request_body_encoding !== undefined && !BODY_ENCODINGS.includes(data.request_body_encoding)) {
+        return `Request body encoding must be one of ${BODY_ENCODINGS.join(', ')}`;
+    }
+    if (data.request_body !== undefined && data.request_body !== null && typeof data.request_body !== 'string') {
+        return 'Request body must be a string';
+    }
+    if (data.request_body && (data.request_body_encoding || 'json') === 'json') {
+        try {
+            JSON.parse(data.request_body);
+        } catch (error) {
+            return `Request body is not valid JSON: ${error.message}`;
+        }
+    }
+    if (typeof data.request_headers === 'string') {
+        if (data.request_headers.trim() === '') {
+            data.request_headers = null;
+        } else {
+            try {
+                data.request_headers = JSON.parse(data.request_headers);
+            } catch (error) {
+                return `Request headers are not valid JSON: ${error.message}`;
+            }
+        }
+    }
+    if (data.request_headers !== undefined && data.request_headers !== null &&
+        (typeof data.request_headers !== 'object' || Array.isArray(data.request_headers) ||
+         Object.values(data.request_headers).some(value => typeof value !== 'string'))) {
+        return 'Request headers must be an object of header names to string values';
+    }
+    if (data.auth_method !== undefined && !AUTH_METHODS.includes(data.auth_method)) {
+        return `Auth method must be one of ${AUTH_METHODS.join(', ')}`;
+    }
+    if (data.auth_method === 'basic' && !data.basic_auth_user) {
+        return 'Basic auth requires a username';
+    }
+    return null;
+};
+
+/**
+ * Encrypts the basic auth password and bearer token of a create/update payload in place. They are
+ * never returned by the API (only basic_auth_pass_set and bearer_token_set), so an empty value keeps
+ * the stored secret; switching to another auth method clears it.
+ * @param {object} data Request payload { auth_method, basic_auth_pass, bearer_token }
+ * @param {object|null} website The monitor being updated, null on create
+ * @returns {string|null} Error message, or null when valid
+ */
+const normalizeAuthSecrets = (data, website) => {
+    const authMethod = data.auth_method ?? website?.auth_method ?? 'none';
+    const secretMethods = { basic_auth_pass: 'basic', bearer_token: 'bearer' };
+    for (const [field, method] of Object.entries(secretMethods)) {
+        if (authMethod !== method) {
+            data[field] = null;
+        } else if (typeof data[field] === 'string' && data[field] !== '') {
+            data[field] = encryptSecret(data[field]);
+        } else {
+            delete data[field];
+        }
+    }
+    if (authMethod === 'bearer' && !data.bearer_token && website?.bearer_token_set !== true) {
+        return 'Bearer auth requires a token';
+    }
+    return null;
+};
+
+/**
+ * Validates the confirmation thresholds of a create/update payload in place (numeric strings are converted)
+ * @param {object} data Request payload { down_after_failures, up_after_successes }
+ * @returns {string|null} Error message, or null when valid
+ */
+const normalizeConfirmationThresholds = (data) => {
+    const labels = { down_after_failures: 'Down after failures', up_after_successes: 'Up after successes' };
+    for (const [key, label] of Object.entries(labels)) {
+        if (data[key] === undefined) continue;
+        data[key] = Number(data[key]);
+        if (!Number.isInteger(data[key]) || data[key] < 1 || data[key] > MAX_CONFIRMATION_CHECKS) {
+            return `${label} must be between 1 and ${MAX_CONFIRMATION_CHECKS} checks`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Validates and converts the flap detection settings of a monitor, when present
+ * @param {object} data Monitor fields from the request body; converted in place
+ * @returns {string|null} Error message, or null when valid
+ */
+const normalizeFlapDetection = (data) => {
+    if (data.flap_threshold !== undefined) {
+        data.flap_threshold = Number(data.flap_threshold);
+        if (!Number.isInteger(data.flap_threshold) || data.flap_threshold < 0 || data.flap_threshold > MAX_FLAP_THRESHOLD) {
+            return `Flap threshold must be between 0 (disabled) and ${MAX_FLAP_THRESHOLD} status changes`;
+        }
+    }
+    if (data.flap_window_minutes !== undefined) {
+        data.flap_window_minutes = Number(data.flap_window_minutes);
+        if (!Number.isInteger(data.flap_window_minutes) || data.flap_window_minutes < 1 || data.flap_window_minutes > 1440) {
+            return 'Flap window must be between 1 and 1440 minutes';
+        }
+    }
+    return null;
+};
+
+/**
+ * Validates and converts the certificate expiry thresholds of an HTTPS monitor, when present.
+ * Accepts a list or comma separated text of days; stored sorted from the furthest to the nearest.
+ * @param {object} monitorConfig Monitor configuration { expiryNotifyDays }; converted in place
+ * @returns {string|null} Error message, or null when valid
+ */
+const normalizeCertificateExpiry = (monitorConfig) => {
+    if (monitorConfig.expiryNotifyDays === undefined) return null;
+    const values = typeof monitorConfig.expiryNotifyDays === 'string'
+        ? monitorConfig.expiryNotifyDays.split(',').map(value => value.trim()).filter(Boolean)
+        : monitorConfig.expiryNotifyDays;
+    if (!Array.isArray(values)) {
+        return 'Certificate expiry notifications must be a list of days';
+    }
+    const days = values.map(Number);
+    if (days.some(value => !Number.isInteger(value) || value < 1 || value > MAX_EXPIRY_NOTIFY_DAYS)) {
+        return `Certificate expiry notifications must be between 1 and ${MAX_EXPIRY_NOTIFY_DAYS} days`;
+    }
+    if (days.length > MAX_EXPIRY_THRESHOLDS) {
+        return `At most ${MAX_EXPIRY_THRESHOLDS} certificate expiry notifications are allowed`;
+    }
+    monitorConfig.expiryNotifyDays = [...new Set(days)].sort((a, b) => b - a);
+    return null;
+};
+
+/**
+ * Validates the actions of an HTTPS monitor for TLS audit findings, when present:
+ * an object from finding type to 'none', 'degraded' or 'down'. 'none' is not stored.
+ * @param {object} monitorConfig Monitor configuration { tlsFindingActions }; converted in place
+ * @returns {string|null} Error message, or null when valid
+ */
+const normalizeTlsFindingActions = (monitorConfig) => {
+    const actions = monitorConfig.tlsFindingActions;
+    if (actions === undefined) return null;
+    if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+        return 'TLS finding actions must be an object';
+    }
+    const normalized = {};
+    for (const [type, action] of Object.entries(actions)) {
+        if (!TLS_FINDINGS[type]) {
+            return `Unknown TLS finding: ${type}. Must be one of: ${Object.keys(TLS_FINDINGS).join(', ')}`;
+        }
+        if (!TLS_FINDING_ACTIONS.includes(action)) {
+            return `TLS finding action must be one of: ${TLS_FINDING_ACTIONS.join(', ')}`;
+        }
+        if (action !== 'none') {
+            normalized[type] = action;
+        }
+    }
+    monitorConfig.tlsFindingActions = normalized;
+    return null;
+};
+
+/**
+ * Parses the PEM certificates of a text
+ * @param {string} pem One or more PEM certificates
+ * @returns {Array<crypto.X509Certificate>|null} The certificates, or null when there is none or one is invalid
+ */
+const parsePemCertificates = (pem) => {
+    const blocks = pem.match(PEM_CERTIFICATE_PATTERN) || [];
+    try {
+        return blocks.length > 0 ? blocks.map(block => new crypto.X509Certificate(block)) : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Validates the client certificate (mutual TLS) and CA bundle of an HTTPS monitor, when present, and
+ * encrypts the client key and its passphrase for storage. Other monitor types do not use them, so the
+ * fields are dropped for those. An empty client certificate removes the certificate and its key; an
+ * empty key with a certificate keeps the stored key, which must match the certificate.
+ * @param {object} data Monitor fields { tls_client_cert, tls_client_key, tls_client_key_passphrase, tls_ca_bundle };
+ *                      converted in place
+ * @param {string} monitorType Type of the monitor after the change
+ * @param {number|null} websiteId The monitor being updated, null on create
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const normalizeTlsCredentials = async (data, monitorType, websiteId) => {
+    const passphrase = data.tls_client_key_passphrase || undefined;
+    delete data.tls_client_key_passphrase;
+    if (monitorType !== 'https') {
+        delete data.tls_client_cert;
+        delete data.tls_client_key;
+        delete data.tls_ca_bundle;
+        return null;
+    }
 
-const VALID_MONITOR_TYPES = ['http', 'https', 'keyword'];
+    if (data.tls_ca_bundle !== undefined) {
+        data.tls_ca_bundle = typeof data.tls_ca_bundle === 'string' && data.tls_ca_bundle.trim() ? data.tls_ca_bundle.trim() : null;
+        if (data.tls_ca_bundle && !parsePemCertificates(data.tls_ca_bundle)) {
+            return 'CA bundle must contain one or more PEM certificates';
+        }
+    }
+
+    if (data.tls_client_cert === undefined) {
+        if (data.tls_client_key) {
+            return 'A client key needs a client certificate';
+        }
+        delete data.tls_client_key;
+        return null;
+    }
+    const certificatePem = typeof data.tls_client_cert === 'string' ? data.tls_client_cert.trim() : '';
+    if (!certificatePem) {
+        if (data.tls_client_key) {
+            return 'A client key needs a client certificate';
+        }
+        data.tls_client_cert = null;
+        data.tls_client_key = null;
+        data.tls_client_key_passphrase = null;
+        return null;
+    }
+    const certificates = parsePemCertificates(certificatePem);
+    if (!certificates) {
+        return 'Client certificate must be a PEM certificate';
+    }
+    data.tls_client_cert = certificatePem;
+
+    let key;
+    const keyPem = typeof data.tls_client_key === 'string' ? data.tls_client_key.trim() : '';
+    if (keyPem) {
+        try {
+            key = crypto.createPrivateKey({ key: keyPem, passphrase });
+        } catch (error) {
+            return passphrase || !/ENCRYPTED/.test(keyPem)
+                ? 'Client key cannot be read. It must be a PEM private key with the right passphrase'
+                : 'Client key is encrypted. Enter its passphrase';
+        }
+        data.tls_client_key = encryptSecret(keyPem);
+        data.tls_client_key_passphrase = passphrase ? encryptSecret(passphrase) : null;
+    } else {
+        const stored = websiteId ? await db.getWebsiteTlsCredentials(websiteId) : null;
+        if (!stored?.tls_client_key) {
+            return 'A client key is required with the client certificate';
+        }
+        try {
+            key = crypto.createPrivateKey({
+                key: decryptSecret(stored.tls_client_key),
+                passphrase: stored.tls_client_key_passphrase ? decryptSecret(stored.tls_client_key_passphrase) : undefined
+            });
+        } catch (error) {
+            return 'The stored client key cannot be read anymore. Enter it again';
+        }
+        delete data.tls_client_key;
+    }
+    if (!certificates[0].checkPrivateKey(key)) {
+        return 'Client key does not match the client certificate';
+    }
+    return null;
+};
+
+/**
+ * Validates and converts the latency thresholds of a monitor, when present.
+ * The warning threshold must be below the critical one when both are enabled.
+ * @param {object} data Monitor fields from the request body; converted in place
+ * @returns {string|null} Error message, or null when valid
+ */
+const normalizeLatencyThresholds = (data) => {
+    const labels = { latency_warning_ms: 'Warning threshold', latency_critical_ms: 'Critical threshold' };
+    for (const [key, label] of Object.entries(labels)) {
+        if (data[key] === undefined) continue;
+        data[key] = Number(data[key]);
+        if (!Number.isInteger(data[key]) || data[key] < 0 || data[key] > MAX_LATENCY_THRESHOLD_MS) {
+            return `${label} must be between 0 (disabled) and ${MAX_LATENCY_THRESHOLD_MS} ms`;
+        }
+    }
+    if (data.latency_warning_ms > 0 && data.latency_critical_ms > 0 && data.latency_warning_ms >= data.latency_critical_ms) {
+        return 'Warning threshold must be lower than the critical threshold';
+    }
+    if (data.latency_evaluation !== undefined && !LATENCY_EVALUATIONS.includes(data.latency_evaluation)) {
+        return `Latency evaluation must be one of: ${LATENCY_EVALUATIONS.join(', ')}`;
+    }
+    if (data.latency_checks !== undefined) {
+        data.latency_checks = Number(data.latency_checks);
+        if (!Number.isInteger(data.latency_checks) || data.latency_checks < 1 || data.latency_checks > MAX_LATENCY_CHECKS) {
+            return `Latency checks must be between 1 and ${MAX_LATENCY_CHECKS}`;
+        }
+    }
+    if (data.latency_window_minutes !== undefined) {
+        data.latency_window_minutes = Number(data.latency_window_minutes);
+        if (!Number.isInteger(data.latency_window_minutes) || data.latency_window_minutes < 1 || data.latency_window_minutes > 1440) {
+            return 'Latency window must be between 1 and 1440 minutes';
+        }
+    }
+    return null;
+};
+
+/**
+ * Validates and converts the repeat notification settings of a monitor, when present:
+ * the reminder interval and the escalation policy, which must belong to the user
+ * @param {object} data Monitor fields from the request body; converted in place
+ * @param {number} userId User ID
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const normalizeRepeatNotifications = async (data, userId) => {
+    if (data.renotify_interval_minutes !== undefined) {
+        data.renotify_interval_minutes = Number(data.renotify_interval_minutes);
+        if (!Number.isInteger(data.renotify_interval_minutes) || data.renotify_interval_minutes < 0 ||
+            data.renotify_interval_minutes > MAX_RENOTIFY_INTERVAL_MINUTES) {
+            return `Re-notify interval must be between 0 (disabled) and ${MAX_RENOTIFY_INTERVAL_MINUTES} minutes`;
+        }
+    }
+    if (data.escalation_policy_id !== undefined) {
+        if (data.escalation_policy_id === null || data.escalation_policy_id === '') {
+            data.escalation_policy_id = null;
+            return null;
+        }
+        const policyId = Number(data.escalation_policy_id);
+        const policy = Number.isInteger(policyId) ? await db.getEscalationPolicy(policyId) : null;
+        if (!policy || policy.user_id !== userId) {
+            return 'Escalation policy not found';
+        }
+        data.escalation_policy_id = policy.id;
+    }
+    return null;
+};
+
+/**
+ * Validates the configuration of a push monitor (the URL is not used)
+ * @param {string} url Ignored
+ * @param {object} [monitorConfig] Push monitor configuration { gracePeriod }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validatePushMonitor = (url, monitorConfig = {}) => {
+    if (typeof monitorConfig.gracePeriod !== 'undefined') {
+        const gracePeriod = Number(monitorConfig.gracePeriod);
+        if (!Number.isInteger(gracePeriod) || gracePeriod < 0 || gracePeriod > 86400) {
+            return 'Push grace period must be between 0 and 86400 seconds';
+        }
+    }
+    return null;
+};
+
+/**
+ * Generates the secret token used in a push monitor's /api/push/:token URL
+ * @returns {string}
+ */
+const generatePushToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Validates the notification channels selected for a monitor
+ * @param {Array<number>} channelIds Requested channel IDs
+ * @param {number} userId Owner of the monitor
+ * @returns {Promise<{error: string}|{channelIds: Array<number>}>}
+ */
+const resolveNotificationChannelIds = async (channelIds, userId) => {
+    if (!Array.isArray(channelIds) || channelIds.some(id => !Number.isInteger(Number(id)))) {
+        return { error: 'notification_channel_ids must be an array of channel IDs' };
+    }
+    const ids = [...new Set(channelIds.map(Number))];
+    const channels = await db.getNotificationChannelsByUser(userId);
+    const ownedIds = new Set(channels.map(channel => channel.id));
+    if (!ids.every(id => ownedIds.has(id))) {
+        return { error: 'One or more notification channels were not found' };
+    }
+    return { channelIds: ids };
+};
+
+// Type-specific validation of url and monitorConfig
+const MONITOR_VALIDATORS = {
+    port: validatePortMonitor,
+    dns: validateDnsMonitor,
+    'json-query': validateJsonQueryMonitor,
+    push: validatePushMonitor,
+};
 
 class WebsiteController {
     /**
@@ -19,6 +523,13 @@ class WebsiteController {
                 monitor_type: req.body.monitorType || 'http'
             };
 
+            // Push monitors are not polled, so they have no target URL; the token is always server-generated
+            delete data.push_token;
+            if (data.monitor_type === 'push') {
+                data.url = data.url || 'push://passive';
+                data.push_token = generatePushToken();
+            }
+
             // Validate required fields
             if (!data.name || !data.url) {
                 return res.status(400).json({
@@ -35,14 +546,59 @@ class WebsiteController {
 
             // Validate monitor-specific configurations
             if (data.monitor_type === 'https' && data.monitorConfig) {
-                if (typeof data.monitorConfig.expiryThreshold !== 'undefined' &&
-                    (data.monitorConfig.expiryThreshold < 1 || data.monitorConfig.expiryThreshold > 90)) {
+                const expiryError = normalizeCertificateExpiry(data.monitorConfig)
+                    || normalizeTlsFindingActions(data.monitorConfig);
+                if (expiryError) {
+                    return res.status(400).json({
+                        error: expiryError
+                    });
+                }
+            }
+
+            const requestOptionsError = normalizeHttpRequestOptions(data);
+            if (requestOptionsError) {
+                return res.status(400).json({
+                    error: requestOptionsError
+                });
+            }
+
+            const thresholdError = normalizeConfirmationThresholds(data) || normalizeFlapDetection(data)
+                || normalizeLatencyThresholds(data)
+                || await normalizeRepeatNotifications(data, req.user.id)
+                || normalizeAuthSecrets(data, null)
+                || await normalizeTlsCredentials(data, data.monitor_type, null);
+            if (thresholdError) {
+                return res.status(400).json({
+                    error: thresholdError
+                });
+            }
+
+            const validateMonitor = MONITOR_VALIDATORS[data.monitor_type];
+            if (validateMonitor) {
+                const validationError = validateMonitor(data.url, data.monitorConfig);
+                if (validationError) {
                     return res.status(400).json({
-                        error: 'Certificate expiry threshold must be between 1 and 90 days'
+                        error: validationError
                     });
                 }
             }
 
+            // Without an explicit selection the user's default channels are attached
+            let channelIds;
+            if (data.notification_channel_ids !== undefined) {
+                const { error, channelIds: ids } = await resolveNotificationChannelIds(data.notification_channel_ids, req.user.id);
+                if (error) {
+                    return res.status(400).json({
+                        error
+                    });
+                }
+                channelIds = ids;
+            } else {
+                const channels = await db.getNotificationChannelsByUser(req.user.id);
+                channelIds = channels.filter(channel => channel.is_default).map(channel => channel.id);
+            }
+            delete data.notification_channel_ids;
+
             // Convert monitor config to match database schema
             if (data.monitorConfig) {
                 data.monitor_config = data.monitorConfig; // Pass the object directly
@@ -51,16 +607,15 @@ class WebsiteController {
 
             // Create website (this now also initializes status row)
             const createdWebsite = await Website.create(data);
-
-            // Perform initial check immediately
-            console.log(`Performing initial check for: ${createdWebsite.name}`);
-            const checkResult = await performCheck(createdWebsite);
-
-            // Update status and history with the initial check result
-            const statusData = { ...checkResult, websiteId: createdWebsite.id };
-            await updateWebsiteStatus(statusData);
-            await insertCheckHistory(statusData);
-            console.log(`Initial check completed for: ${createdWebsite.name}, Status: ${checkResult.isUp ? 'Up' : 'Down'}`);
+            await db.setWebsiteNotificationChannels(createdWebsite.id, channelIds);
+
+            // Perform initial check immediately (records status, history and heartbeat)
+            // Push monitors stay pending until their first push arrives
+            if (createdWebsite.monitorType !== 'push') {
+                console.log(`Performing initial check for: ${createdWebsite.name}`);
+                const checkResult = await performCheck(createdWebsite);
+                console.log(`Initial check completed for: ${createdWebsite.name}, Status: ${checkResult.isUp ? 'Up' : 'Down'}`);
+            }
 
             // Fetch the website again to include the updated status from the initial check
             const websiteWithInitialStatus = await Website.getById(createdWebsite.id);
@@ -150,6 +705,10 @@ class WebsiteController {
                 ...req.body,
                 monitor_type: req.body.monitorType,
             };
+            delete updateData.push_token;
+            if (updateData.monitor_type === 'push' && !website.push_token) {
+                updateData.push_token = generatePushToken();
+            }
 
             // Validate monitor type if being updated
             if (updateData.monitor_type && !VALID_MONITOR_TYPES.includes(updateData.monitor_type)) {
@@ -158,13 +717,43 @@ class WebsiteController {
                 });
             }
 
+            const requestOptionsError = normalizeHttpRequestOptions(updateData);
+            if (requestOptionsError) {
+                return res.status(400).json({
+                    error: requestOptionsError
+                });
+            }
+
+            const thresholdError = normalizeConfirmationThresholds(updateData) || normalizeFlapDetection(updateData)
+                || normalizeLatencyThresholds(updateData)
+                || await normalizeRepeatNotifications(updateData, req.user.id)
+                || normalizeAuthSecrets(updateData, website)
+                || await normalizeTlsCredentials(updateData, updateData.monitor_type || website.monitorType, website.id);
+            if (thresholdError) {
+                return res.status(400).json({
+                    error: thresholdError
+                });
+            }
+
             // Validate monitor-specific configurations
+            const validateMonitor = MONITOR_VALIDATORS[updateData.monitor_type || website.monitorType];
+            if (validateMonitor &&
+                (updateData.url !== undefined || updateData.monitorConfig || updateData.monitor_type)) {
+                const validationError = validateMonitor(updateData.url ?? website.url, updateData.monitorConfig ?? website.monitor_config ?? {});
+                if (validationError) {
+                    return res.status(400).json({
+                        error: validationError
+                    });
+                }
+            }
+
             if (updateData.monitorConfig) {
-                if (updateData.monitor_type === 'https' && 
-                    typeof updateData.monitorConfig.expiryThreshold !== 'undefined' &&
-                    (updateData.monitorConfig.expiryThreshold < 1 || updateData.monitorConfig.expiryThreshold > 90)) {
+                const expiryError = updateData.monitor_type === 'https'
+                    ? normalizeCertificateExpiry(updateData.monitorConfig) || normalizeTlsFindingActions(updateData.monitorConfig)
+                    : null;
+                if (expiryError) {
                     return res.status(400).json({
-                        error: 'Certificate expiry threshold must be between 1 and 90 days'
+                        error: expiryError
                     });
                 }
 
@@ -173,6 +762,17 @@ class WebsiteController {
                 delete updateData.monitorConfig;
             }
 
+            if (updateData.notification_channel_ids !== undefined) {
+                const { error, channelIds } = await resolveNotificationChannelIds(updateData.notification_channel_ids, req.user.id);
+                if (error) {
+                    return res.status(400).json({
+                        error
+                    });
+                }
+                await db.setWebsiteNotificationChannels(website.id, channelIds);
+                delete updateData.notification_channel_ids;
+            }
+
             // Update website
             const updatedWebsite = await Website.update(req.params.id, updateData);
             res.json(updatedWebsite);
@@ -275,14 +875,15 @@ class WebsiteController {
                 });
             }
 
-            // Perform check
+            if (website.monitorType === 'push') {
+                return res.status(400).json({
+                    error: 'Push monitors are updated by incoming pushes and cannot be checked manually'
+                });
+            }
+
+            // Perform check (records status, history and heartbeat)
             console.log(`Manual check requested for: ${website.name}`);
             const result = await performCheck(website);
-
-            // Update status and history
-            const statusData = { ...result, websiteId: website.id };
-            await updateWebsiteStatus(statusData);
-            await insertCheckHistory(statusData);
             console.log(`Manual check completed for: ${website.name}, Status: ${result.isUp ? 'Up' : 'Down'}`);
 
             // Fetch the website again to include the updated status
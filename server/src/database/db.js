@@ -76,9 +76,18 @@ const createUser = async (email, passwordHash) => {
              w.accepted_status_codes, w.monitor_method, w.follow_redirects,
              w.max_redirects, w.user_id, w.active, w.monitor_type as "monitorType", -- Quoted alias
              w.monitor_config,
+             w.request_body, w.request_body_encoding, w.request_headers, w.auth_method,
+             w.basic_auth_user, (w.basic_auth_pass IS NOT NULL) AS basic_auth_pass_set, (w.bearer_token IS NOT NULL) AS bearer_token_set,
+             w.user_agent, w.push_token,
+             w.tls_client_cert, w.tls_ca_bundle, (w.tls_client_key IS NOT NULL) AS tls_client_key_set,
+             w.down_after_failures, w.up_after_successes, w.flap_threshold, w.flap_window_minutes,
+             w.latency_warning_ms, w.latency_critical_ms, w.latency_evaluation, w.latency_checks, w.latency_window_minutes,
+             w.renotify_interval_minutes, w.escalation_policy_id,
              w.created_at, w.updated_at,
              ws.last_check_time, ws.last_status_code, ws.last_response_time,
-             ws.is_up, ws.last_error, ws.total_checks, ws.total_successful_checks
+             ws.is_up, ws.is_pending, ws.consecutive_failures, ws.consecutive_successes,
+             ws.is_flapping, ws.state_changes, ws.latency_level, ws.tls_degraded,
+             ws.in_maintenance, ws.last_error, ws.total_checks, ws.total_successful_checks
          FROM monitored_websites w
          LEFT JOIN website_status ws ON w.id = ws.website_id
          ORDER BY w.created_at DESC
@@ -98,6 +107,12 @@ const createUser = async (email, passwordHash) => {
      }
  };
 
+// IDs of the notification channels attached to the website (w)
+const NOTIFICATION_CHANNEL_IDS_SELECT = `ARRAY(
+    SELECT mnc.channel_id FROM monitor_notification_channels mnc
+    WHERE mnc.website_id = w.id ORDER BY mnc.channel_id
+) AS notification_channel_ids`;
+
 /**
  * Gets all websites for a specific user
  * @param {number} userId User ID
@@ -109,9 +124,18 @@ const getAllWebsitesByUser = async (userId) => {
             w.id, w.name, w.url, w.check_interval, w.timeout_ms, w.retry_count,
             w.accepted_status_codes, w.monitor_method, w.follow_redirects,
             w.max_redirects, w.user_id, w.active, w.monitor_type as "monitorType", -- Quoted alias
-            w.monitor_config, w.created_at, w.updated_at,
+            w.monitor_config, w.request_body, w.request_body_encoding, w.request_headers, w.auth_method,
+            w.basic_auth_user, (w.basic_auth_pass IS NOT NULL) AS basic_auth_pass_set, (w.bearer_token IS NOT NULL) AS bearer_token_set,
+            w.user_agent, w.push_token,
+            w.tls_client_cert, w.tls_ca_bundle, (w.tls_client_key IS NOT NULL) AS tls_client_key_set,
+            w.down_after_failures, w.up_after_successes, w.flap_threshold, w.flap_window_minutes,
+            w.latency_warning_ms, w.latency_critical_ms, w.latency_evaluation, w.latency_checks, w.latency_window_minutes,
+            w.renotify_interval_minutes, w.escalation_policy_id, w.created_at, w.updated_at,
             ws.last_check_time, ws.last_status_code, ws.last_response_time,
-            ws.is_up, ws.last_error, ws.total_checks, ws.total_successful_checks
+            ws.is_up, ws.is_pending, ws.consecutive_failures, ws.consecutive_successes,
+            ws.is_flapping, ws.state_changes, ws.latency_level, ws.tls_degraded,
+            ws.in_maintenance, ws.last_error, ws.total_checks, ws.total_successful_checks,
+            ${NOTIFICATION_CHANNEL_IDS_SELECT}
         FROM monitored_websites w
         LEFT JOIN website_status ws ON w.id = ws.website_id
         WHERE w.user_id = $1
@@ -145,9 +169,20 @@ const getAllWebsitesByUser = async (userId) => {
              w.accepted_status_codes, w.monitor_method, w.follow_redirects,
              w.max_redirects, w.user_id, w.active, w.monitor_type as "monitorType", -- Quoted alias
              w.monitor_config,
+             w.request_body, w.request_body_encoding, w.request_headers, w.auth_method,
+             w.basic_auth_user, (w.basic_auth_pass IS NOT NULL) AS basic_auth_pass_set, (w.bearer_token IS NOT NULL) AS bearer_token_set,
+             w.user_agent, w.push_token,
+             w.tls_client_cert, w.tls_ca_bundle, (w.tls_client_key IS NOT NULL) AS tls_client_key_set,
+             w.down_after_failures, w.up_after_successes, w.flap_threshold, w.flap_window_minutes,
+             w.latency_warning_ms, w.latency_critical_ms, w.latency_evaluation, w.latency_checks, w.latency_window_minutes,
+             w.renotify_interval_minutes, w.escalation_policy_id,
              w.created_at, w.updated_at,
              ws.last_check_time, ws.last_status_code, ws.last_response_time,
-             ws.is_up, ws.last_error, ws.total_checks, ws.total_successful_checks
+             ws.is_up, ws.is_pending, ws.consecutive_failures, ws.consecutive_successes,
+             ws.is_flapping, ws.state_changes, ws.latency_level, ws.tls_degraded,
+             ws.in_maintenance, ws.last_error, ws.total_checks, ws.total_successful_checks,
+             ws.dns_answers,
+             ${NOTIFICATION_CHANNEL_IDS_SELECT}
          FROM monitored_websites w
          LEFT JOIN website_status ws ON w.id = ws.website_id
          WHERE w.id = $1
@@ -171,6 +206,22 @@ const getAllWebsitesByUser = async (userId) => {
      }
  };
 
+/**
+ * Gets a website (with its current status) by the token of a push monitor
+ * @param {string} token Push token from the /api/push/:token URL
+ * @returns {Promise<object|null>} Website object or null if not found
+ */
+const getWebsiteByPushToken = async (token) => {
+    const sql = 'SELECT id FROM monitored_websites WHERE push_token = $1';
+    try {
+        const result = await getDatabase().query(sql, [token]);
+        return result.rows[0] ? getWebsite(result.rows[0].id) : null;
+    } catch (err) {
+        console.error('Error getting website by push token:', err);
+        throw err;
+    }
+};
+
 /**
  * Creates a new website and its initial status record
  * @param {object} website Website configuration including user_id
@@ -182,8 +233,15 @@ const createWebsite = async (website) => {
         INSERT INTO monitored_websites (
             name, url, check_interval, timeout_ms, retry_count,
             accepted_status_codes, monitor_method, follow_redirects,
-            max_redirects, user_id, active, monitor_type, monitor_config
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            max_redirects, user_id, active, monitor_type, monitor_config,
+            request_body, request_body_encoding, request_headers, auth_method,
+            basic_auth_user, basic_auth_pass, bearer_token, user_agent, push_token,
+            down_after_failures, up_after_successes, flap_threshold, flap_window_minutes,
+            renotify_interval_minutes, escalation_policy_id,
+            latency_warning_ms, latency_critical_ms, latency_evaluation, latency_checks, latency_window_minutes,
+            tls_client_cert, tls_client_key, tls_client_key_passphrase, tls_ca_bundle
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28,
+            $29, $30, $31, $32, $33, $34, $35, $36, $37)
         RETURNING id
     `;
 
@@ -202,7 +260,31 @@ const createWebsite = async (website) => {
         website.user_id,
         true, // Default active to true
         website.monitor_type || 'http',
-        website.monitor_config ? JSON.stringify(website.monitor_config) : null // Store JSON as string or use JSONB type
+        website.monitor_config ? JSON.stringify(website.monitor_config) : null, // Store JSON as string or use JSONB type
+        website.request_body || null,
+        website.request_body_encoding || 'json',
+        website.request_headers ? JSON.stringify(website.request_headers) : null,
+        website.auth_method || 'none',
+        website.basic_auth_user || null,
+        website.basic_auth_pass || null, // Encrypted by the controller
+        website.bearer_token || null, // Encrypted by the controller
+        website.user_agent || null,
+        website.push_token || null,
+        website.down_after_failures || 1,
+        website.up_after_successes || 1,
+        website.flap_threshold || 0,
+        website.flap_window_minutes || 30,
+        website.renotify_interval_minutes || 0,
+        website.escalation_policy_id || null,
+        website.latency_warning_ms || 0,
+        website.latency_critical_ms || 0,
+        website.latency_evaluation || 'checks',
+        website.latency_checks || 3,
+        website.latency_window_minutes || 10,
+        website.tls_client_cert || null,
+        website.tls_client_key || null, // Encrypted by the controller
+        website.tls_client_key_passphrase || null, // Encrypted by the controller
+        website.tls_ca_bundle || null
     ];
 
     const client = await getDatabase().connect(); // Use a client for transaction-like behavior
@@ -225,9 +307,17 @@ const createWebsite = async (website) => {
                 w.id, w.name, w.url, w.check_interval, w.timeout_ms, w.retry_count,
                 w.accepted_status_codes, w.monitor_method, w.follow_redirects,
                 w.max_redirects, w.user_id, w.active, w.monitor_type as "monitorType",
-                w.monitor_config, w.created_at, w.updated_at,
+                w.monitor_config, w.request_body, w.request_body_encoding, w.request_headers, w.auth_method,
+                w.basic_auth_user, (w.basic_auth_pass IS NOT NULL) AS basic_auth_pass_set, (w.bearer_token IS NOT NULL) AS bearer_token_set,
+                w.user_agent, w.push_token,
+                w.tls_client_cert, w.tls_ca_bundle, (w.tls_client_key IS NOT NULL) AS tls_client_key_set,
+                w.down_after_failures, w.up_after_successes, w.flap_threshold, w.flap_window_minutes,
+                w.latency_warning_ms, w.latency_critical_ms, w.latency_evaluation, w.latency_checks, w.latency_window_minutes,
+                w.renotify_interval_minutes, w.escalation_policy_id, w.created_at, w.updated_at,
                 ws.last_check_time, ws.last_status_code, ws.last_response_time,
-                ws.is_up, ws.last_error, ws.total_checks, ws.total_successful_checks
+                ws.is_up, ws.is_pending, ws.consecutive_failures, ws.consecutive_successes,
+                ws.is_flapping, ws.state_changes, ws.latency_level, ws.tls_degraded,
+                ws.in_maintenance, ws.last_error, ws.total_checks, ws.total_successful_checks
             FROM monitored_websites w
             LEFT JOIN website_status ws ON w.id = ws.website_id
             WHERE w.id = $1
@@ -268,6 +358,33 @@ const updateWebsite = async (id, website) => {
     if (website.max_redirects !== undefined) { fields.push(`max_redirects = $${paramIndex++}`); params.push(website.max_redirects); }
     if (website.active !== undefined) { fields.push(`active = $${paramIndex++}`); params.push(website.active); }
     if (website.monitor_type !== undefined) { fields.push(`monitor_type = $${paramIndex++}`); params.push(website.monitor_type); }
+    if (website.request_body !== undefined) { fields.push(`request_body = $${paramIndex++}`); params.push(website.request_body); }
+    if (website.request_body_encoding !== undefined) { fields.push(`request_body_encoding = $${paramIndex++}`); params.push(website.request_body_encoding); }
+    if (website.request_headers !== undefined) {
+        fields.push(`request_headers = $${paramIndex++}`);
+        params.push(website.request_headers ? JSON.stringify(website.request_headers) : null);
+    }
+    if (website.auth_method !== undefined) { fields.push(`auth_method = $${paramIndex++}`); params.push(website.auth_method); }
+    if (website.basic_auth_user !== undefined) { fields.push(`basic_auth_user = $${paramIndex++}`); params.push(website.basic_auth_user); }
+    if (website.basic_auth_pass !== undefined) { fields.push(`basic_auth_pass = $${paramIndex++}`); params.push(website.basic_auth_pass); }
+    if (website.bearer_token !== undefined) { fields.push(`bearer_token = $${paramIndex++}`); params.push(website.bearer_token); }
+    if (website.user_agent !== undefined) { fields.push(`user_agent = $${paramIndex++}`); params.push(website.user_agent); }
+    if (website.push_token !== undefined) { fields.push(`push_token = $${paramIndex++}`); params.push(website.push_token); }
+    if (website.down_after_failures !== undefined) { fields.push(`down_after_failures = $${paramIndex++}`); params.push(website.down_after_failures); }
+    if (website.up_after_successes !== undefined) { fields.push(`up_after_successes = $${paramIndex++}`); params.push(website.up_after_successes); }
+    if (website.flap_threshold !== undefined) { fields.push(`flap_threshold = $${paramIndex++}`); params.push(website.flap_threshold); }
+    if (website.flap_window_minutes !== undefined) { fields.push(`flap_window_minutes = $${paramIndex++}`); params.push(website.flap_window_minutes); }
+    if (website.renotify_interval_minutes !== undefined) { fields.push(`renotify_interval_minutes = $${paramIndex++}`); params.push(website.renotify_interval_minutes); }
+    if (website.escalation_policy_id !== undefined) { fields.push(`escalation_policy_id = $${paramIndex++}`); params.push(website.escalation_policy_id); }
+    if (website.latency_warning_ms !== undefined) { fields.push(`latency_warning_ms = $${paramIndex++}`); params.push(website.latency_warning_ms); }
+    if (website.latency_critical_ms !== undefined) { fields.push(`latency_critical_ms = $${paramIndex++}`); params.push(website.latency_critical_ms); }
+    if (website.latency_evaluation !== undefined) { fields.push(`latency_evaluation = $${paramIndex++}`); params.push(website.latency_evaluation); }
+    if (website.latency_checks !== undefined) { fields.push(`latency_checks = $${paramIndex++}`); params.push(website.latency_checks); }
+    if (website.latency_window_minutes !== undefined) { fields.push(`latency_window_minutes = $${paramIndex++}`); params.push(website.latency_window_minutes); }
+    if (website.tls_client_cert !== undefined) { fields.push(`tls_client_cert = $${paramIndex++}`); params.push(website.tls_client_cert); }
+    if (website.tls_client_key !== undefined) { fields.push(`tls_client_key = $${paramIndex++}`); params.push(website.tls_client_key); }
+    if (website.tls_client_key_passphrase !== undefined) { fields.push(`tls_client_key_passphrase = $${paramIndex++}`); params.push(website.tls_client_key_passphrase); }
+    if (website.tls_ca_bundle !== undefined) { fields.push(`tls_ca_bundle = $${paramIndex++}`); params.push(website.tls_ca_bundle); }
     if (website.monitor_config !== undefined) { // Update config directly
         fields.push(`monitor_config = $${paramIndex++}`);
         params.push(website.monitor_config ? JSON.stringify(website.monitor_config) : null);
@@ -344,9 +461,11 @@ const insertCheckHistory = async (check, dbClient = getDatabase()) => {
     const sql = `
         INSERT INTO monitoring_history (
             website_id, status_code, response_time_ms, is_up,
-            error_type, error_message, redirect_count, final_url
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            error_type, error_message, redirect_count, final_url, json_query_value,
+            dns_ms, connect_ms, tls_ms, ttfb_ms, download_ms
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
     `;
+    const timings = check.timings || {};
 
     const params = [
         check.websiteId,
@@ -356,7 +475,13 @@ const insertCheckHistory = async (check, dbClient = getDatabase()) => {
         check.error_type || null,
         check.error_message || null,
         check.redirect_count || 0,
-        check.final_url || null
+        check.final_url || null,
+        check.json_query_value ?? null,
+        timings.dnsMs ?? null,
+        timings.connectMs ?? null,
+        timings.tlsMs ?? null,
+        timings.ttfbMs ?? null,
+        timings.downloadMs ?? null
     ];
 
     try {
@@ -379,10 +504,18 @@ const updateWebsiteStatus = async (status, dbClient = getDatabase()) => {
             last_check_time = NOW(),
             last_status_code = $1,
             last_response_time = $2,
-            is_up = $3,
+            is_up = CASE WHEN $7 OR $8 THEN is_up ELSE $3 END, -- Maintenance and pending checks keep the confirmed status
+            is_pending = $8,
+            consecutive_failures = $9,
+            consecutive_successes = $10,
+            is_flapping = $11,
+            state_changes = $12,
+            latency_level = $13,
+            tls_degraded = $14,
             last_error = $4,
             total_checks = total_checks + 1,
-            total_successful_checks = total_successful_checks + $5
+            total_successful_checks = total_successful_checks + $5,
+            in_maintenance = $7
         WHERE website_id = $6
     `;
 
@@ -391,8 +524,16 @@ const updateWebsiteStatus = async (status, dbClient = getDatabase()) => {
         status.responseTimeMs,
         status.isUp, // Assuming boolean
         status.error_message || null,
-        status.isUp ? 1 : 0, // Increment successful checks only if up
-        status.websiteId
+        status.isUp ? 1 : 0, // Increment successful checks only if up (maintenance counts as up)
+        status.websiteId,
+        !!status.maintenance,
+        !!status.pending,
+        status.consecutiveFailures || 0,
+        status.consecutiveSuccesses || 0,
+        !!status.flapping,
+        JSON.stringify(status.stateChanges || []),
+        status.latencyLevel || null,
+        status.tlsDegraded === true
     ];
 
     try {
@@ -403,6 +544,285 @@ const updateWebsiteStatus = async (status, dbClient = getDatabase()) => {
     }
 };
 
+/**
+ * Stores the answer set of the latest DNS check that passed (matched the expected values and, with
+ * failOnChange, the previous answers); it is the baseline for detecting answer changes
+ * @param {number} websiteId Website ID
+ * @param {Array<string>} answers Sorted, normalized DNS answers
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<void>}
+ */
+const updateDnsAnswers = async (websiteId, answers, dbClient = getDatabase()) => {
+    const sql = 'UPDATE website_status SET dns_answers = $1 WHERE website_id = $2';
+    try {
+        await dbClient.query(sql, [JSON.stringify(answers), websiteId]);
+    } catch (err) {
+        console.error(`Error updating DNS answers for website (${websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets the basic auth password and bearer token of a monitor. Like the TLS client key, they are left
+ * out of the other website queries, so they never reach API responses.
+ * @param {number} websiteId Website ID
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<object|null>} { basic_auth_pass, bearer_token }, both encrypted, or null when the website does not exist
+ */
+const getWebsiteAuthCredentials = async (websiteId, dbClient = getDatabase()) => {
+    const sql = 'SELECT basic_auth_pass, bearer_token FROM monitored_websites WHERE id = $1';
+    try {
+        const result = await dbClient.query(sql, [websiteId]);
+        return result.rows[0] || null;
+    } catch (err) {
+        console.error(`Error getting auth credentials for website (${websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets the TLS credentials of an HTTPS monitor. The client key and its passphrase are left out of
+ * the other website queries, so they never reach API responses.
+ * @param {number} websiteId Website ID
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<object|null>} { tls_client_cert, tls_client_key, tls_client_key_passphrase, tls_ca_bundle },
+ *                                 key and passphrase encrypted, or null when the website does not exist
+ */
+const getWebsiteTlsCredentials = async (websiteId, dbClient = getDatabase()) => {
+    const sql = `
+        SELECT tls_client_cert, tls_client_key, tls_client_key_passphrase, tls_ca_bundle
+        FROM monitored_websites WHERE id = $1
+    `;
+    try {
+        const result = await dbClient.query(sql, [websiteId]);
+        return result.rows[0] || null;
+    } catch (err) {
+        console.error(`Error getting TLS credentials for website (${websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Stores the certificate seen by the latest check of an HTTPS monitor, replacing the previous one
+ * @param {number} websiteId Website ID
+ * @param {object} certificate Certificate facts and TLS audit from checkCertificate
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<void>}
+ */
+const upsertWebsiteCertificate = async (websiteId, certificate, dbClient = getDatabase()) => {
+    const sql = `
+        INSERT INTO website_certificates (
+            website_id, subject, subject_alt_names, issuer, issuer_chain, serial_number, fingerprint_sha256,
+            valid_from, valid_to, key_type, key_bits, signature_algorithm, is_valid, validation_error,
+            tls_protocol, tls_cipher, legacy_protocols, tls_findings, checked_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW())
+        ON CONFLICT (website_id) DO UPDATE SET
+            subject = EXCLUDED.subject,
+            subject_alt_names = EXCLUDED.subject_alt_names,
+            issuer = EXCLUDED.issuer,
+            issuer_chain = EXCLUDED.issuer_chain,
+            serial_number = EXCLUDED.serial_number,
+            fingerprint_sha256 = EXCLUDED.fingerprint_sha256,
+            valid_from = EXCLUDED.valid_from,
+            valid_to = EXCLUDED.valid_to,
+            key_type = EXCLUDED.key_type,
+            key_bits = EXCLUDED.key_bits,
+            signature_algorithm = EXCLUDED.signature_algorithm,
+            is_valid = EXCLUDED.is_valid,
+            validation_error = EXCLUDED.validation_error,
+            tls_protocol = EXCLUDED.tls_protocol,
+            tls_cipher = EXCLUDED.tls_cipher,
+            legacy_protocols = EXCLUDED.legacy_protocols,
+            tls_findings = EXCLUDED.tls_findings,
+            checked_at = NOW()
+    `;
+    const params = [
+        websiteId,
+        certificate.subject || null,
+        JSON.stringify(certificate.subjectAltNames || []),
+        certificate.issuer || null,
+        JSON.stringify(certificate.issuerChain || []),
+        certificate.serialNumber || null,
+        certificate.fingerprint256 || null,
+        certificate.validFrom ? new Date(certificate.validFrom) : null,
+        certificate.validTo ? new Date(certificate.validTo) : null,
+        certificate.keyType || null,
+        certificate.keyBits ?? null,
+        certificate.signatureAlgorithm || null,
+        typeof certificate.valid === 'boolean' ? certificate.valid : null,
+        certificate.validationError || null,
+        certificate.protocol || null,
+        certificate.cipher || null,
+        JSON.stringify(certificate.legacyProtocols || []),
+        JSON.stringify(certificate.findings || [])
+    ];
+    try {
+        await dbClient.query(sql, params);
+    } catch (err) {
+        console.error(`Error storing certificate for website (${websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets the latest certificate of a website
+ * @param {number} websiteId Website ID
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<object|null>} Certificate row, or null when no HTTPS check stored one yet
+ */
+const getWebsiteCertificate = async (websiteId, dbClient = getDatabase()) => {
+    const sql = 'SELECT * FROM website_certificates WHERE website_id = $1';
+    try {
+        const result = await dbClient.query(sql, [websiteId]);
+        return result.rows[0] || null;
+    } catch (err) {
+        console.error(`Error getting certificate for website (${websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Records that the expiry thresholds of a certificate were reached, each once per certificate serial
+ * @param {number} websiteId Website ID
+ * @param {string} serialNumber Serial number of the certificate
+ * @param {Array<number>} thresholds Thresholds in days that the certificate has reached
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<Array<number>>} The thresholds that were not recorded before
+ */
+const claimCertificateExpiryThresholds = async (websiteId, serialNumber, thresholds, dbClient = getDatabase()) => {
+    const sql = `
+        INSERT INTO certificate_expiry_notifications (website_id, serial_number, threshold_days)
+        SELECT $1, $2, threshold FROM UNNEST($3::int[]) AS threshold
+        ON CONFLICT DO NOTHING
+        RETURNING threshold_days
+    `;
+    try {
+        const result = await dbClient.query(sql, [websiteId, serialNumber, thresholds]);
+        return result.rows.map(row => row.threshold_days);
+    } catch (err) {
+        console.error(`Error recording certificate expiry thresholds for website (${websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Forgets the expiry thresholds recorded for the previous certificates of a website and the thresholds
+ * its current certificate no longer reaches, e.g. after a renewal
+ * @param {number} websiteId Website ID
+ * @param {string} serialNumber Serial number of the current certificate
+ * @param {number} daysUntilExpiration Days until the current certificate expires
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<number>} Number of thresholds forgotten
+ */
+const releaseCertificateExpiryThresholds = async (websiteId, serialNumber, daysUntilExpiration, dbClient = getDatabase()) => {
+    const sql = `
+        DELETE FROM certificate_expiry_notifications
+        WHERE website_id = $1 AND (serial_number <> $2 OR threshold_days < $3)
+    `;
+    try {
+        const result = await dbClient.query(sql, [websiteId, serialNumber, daysUntilExpiration]);
+        return result.rowCount;
+    } catch (err) {
+        console.error(`Error releasing certificate expiry thresholds for website (${websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets the certificates of a user's HTTPS monitors that expire within a number of days, soonest first.
+ * Expired certificates are included.
+ * @param {number} userId User ID
+ * @param {number} days Only certificates that expire within this many days
+ * @returns {Promise<Array<object>>} Certificates with their monitor and the days until they expire
+ */
+const getExpiringCertificatesByUser = async (userId, days) => {
+    const db = getDatabase();
+    const sql = `
+        SELECT c.website_id, w.name AS website_name, w.url AS website_url, w.active,
+               c.subject, c.issuer, c.serial_number, c.valid_to, c.is_valid, c.checked_at,
+               CEIL(EXTRACT(EPOCH FROM (c.valid_to - NOW())) / 86400)::int AS days_until_expiration,
+               (SELECT MIN(n.threshold_days) FROM certificate_expiry_notifications n
+                WHERE n.website_id = c.website_id AND n.serial_number = c.serial_number) AS notified_threshold_days
+        FROM website_certificates c
+        JOIN monitored_websites w ON w.id = c.website_id
+        WHERE w.user_id = $1 AND w.monitor_type = 'https'
+          AND c.valid_to <= NOW() + make_interval(days => $2)
+        ORDER BY c.valid_to ASC
+    `;
+    try {
+        const result = await db.query(sql, [userId, days]);
+        return result.rows;
+    } catch (err) {
+        console.error(`Error getting expiring certificates for user (${userId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Inserts a heartbeat row for a website
+ * @param {object} heartbeat Heartbeat data { websiteId, status, ping, message, important, flapping, timestamp }
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<object>} Inserted heartbeat row
+ */
+const insertHeartbeat = async (heartbeat, dbClient = getDatabase()) => {
+    const sql = `
+        INSERT INTO heartbeats (website_id, timestamp, status, ping, message, important, flapping)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id, website_id, timestamp, status, ping, message, important, flapping
+    `;
+
+    const params = [
+        heartbeat.websiteId,
+        heartbeat.timestamp ? heartbeat.timestamp.toISOString() : new Date().toISOString(),
+        heartbeat.status,
+        heartbeat.ping ?? null,
+        heartbeat.message || null,
+        heartbeat.important === true,
+        heartbeat.flapping === true
+    ];
+
+    try {
+        const result = await dbClient.query(sql, params); // Use provided client/pool
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error inserting heartbeat for website (${heartbeat.websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets the response times of a website's latest UP and DEGRADED heartbeats, newest first
+ * @param {number} websiteId Website ID
+ * @param {object} options Which heartbeats to include
+ * @param {number} [options.limit] At most this many heartbeats
+ * @param {Date} [options.since] Only heartbeats at or after this time
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<Array<number>>} Response times in ms
+ */
+const getRecentPings = async (websiteId, { limit, since }, dbClient = getDatabase()) => {
+    const conditions = ['website_id = $1', 'status IN (1, 4)', 'ping IS NOT NULL'];
+    const params = [websiteId];
+    if (since) {
+        params.push(since);
+        conditions.push(`timestamp >= $${params.length}`);
+    }
+    params.push(limit ?? null); // LIMIT NULL is no limit
+    const sql = `
+        SELECT ping FROM heartbeats
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY timestamp DESC
+        LIMIT $${params.length}
+    `;
+    try {
+        const result = await dbClient.query(sql, params);
+        return result.rows.map(row => row.ping);
+    } catch (err) {
+        console.error(`Error getting recent response times for website (${websiteId}):`, err);
+        throw err;
+    }
+};
+
 /**
  * Gets monitoring history for a website
  * @param {number} websiteId Website ID
@@ -428,77 +848,1085 @@ const getWebsiteHistory = async (websiteId, options = {}) => {
      }
  };
  
- /**
-  * Gets the global notification settings
-  * @returns {Promise<object|null>} Notification settings object or null if not found
-  */
- const getNotificationSettings = async () => {
-     // Assuming there's only one row with id = 1 for global settings
-     const sql = 'SELECT id, webhook_url, webhook_enabled FROM notification_settings WHERE id = 1';
-     try {
-         const result = await getDatabase().query(sql);
-         const row = result.rows[0];
-         if (row) {
-             // Map boolean from DB if necessary (pg driver usually handles it)
-             return {
-                 ...row,
-                 webhook_enabled: row.webhook_enabled // Should be boolean already
-             };
-         }
-         return null; // Should not happen if migration inserted the row
-     } catch (err) {
-         console.error('Error getting notification settings:', err);
-         throw err;
-     }
- };
- 
- /**
-  * Updates the global notification settings
-  * @param {object} settings Object containing { webhook_url, webhook_enabled }
-  * @returns {Promise<object>} Updated notification settings object
-  */
- const updateNotificationSettings = async (settings) => {
-     const sql = `
-         UPDATE notification_settings
-         SET webhook_url = $1, webhook_enabled = $2
-         WHERE id = 1
-         RETURNING id, webhook_url, webhook_enabled
-     `;
-     // Ensure boolean type for webhook_enabled
-     const params = [
-         settings.webhook_url ?? '', // Use empty string if null/undefined
-         settings.webhook_enabled === true || settings.webhook_enabled === 'true' || settings.webhook_enabled === 1 // Coerce to boolean
-     ];
-     try {
-         const result = await getDatabase().query(sql, params);
-         if (result.rows.length > 0) {
-              return {
-                 ...result.rows[0],
-                 webhook_enabled: result.rows[0].webhook_enabled // Should be boolean
-             };
-         } else {
-             throw new Error('Failed to update notification settings.');
-         }
-     } catch (err) {
-         console.error('Error updating notification settings:', err);
-         throw err;
-     }
- };
- 
- module.exports = {
+/**
+ * Base query for maintenance windows with the IDs of the monitors they apply to
+ * (callers append WHERE clauses before the GROUP BY)
+ */
+const MAINTENANCE_WINDOW_SELECT = `
+    SELECT
+        mw.id, mw.user_id, mw.title, mw.description, mw.strategy, mw.active,
+        mw.start_date, mw.end_date, mw.weekdays, mw.start_time, mw.duration_minutes,
+        mw.cron_expression, mw.timezone, mw.created_at, mw.updated_at,
+        COALESCE(
+            array_agg(mwm.website_id ORDER BY mwm.website_id) FILTER (WHERE mwm.website_id IS NOT NULL),
+            '{}'
+        ) AS website_ids
+    FROM maintenance_windows mw
+    LEFT JOIN maintenance_window_monitors mwm ON mw.id = mwm.maintenance_window_id
+`;
+
+/**
+ * Gets all maintenance windows owned by a user
+ * @param {number} userId User ID
+ * @returns {Promise<Array<object>>} Maintenance windows including website_ids
+ */
+const getMaintenanceWindowsByUser = async (userId) => {
+    const sql = `${MAINTENANCE_WINDOW_SELECT}
+        WHERE mw.user_id = $1
+        GROUP BY mw.id
+        ORDER BY mw.created_at DESC
+    `;
+    try {
+        const result = await getDatabase().query(sql, [userId]);
+        return result.rows;
+    } catch (err) {
+        console.error(`Error getting maintenance windows for user (${userId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets a maintenance window by ID
+ * @param {number} id Maintenance window ID
+ * @returns {Promise<object|null>} Maintenance window including website_ids, or null
+ */
+const getMaintenanceWindow = async (id) => {
+    const sql = `${MAINTENANCE_WINDOW_SELECT}
+        WHERE mw.id = $1
+        GROUP BY mw.id
+    `;
+    try {
+        const result = await getDatabase().query(sql, [id]);
+        return result.rows[0] || null;
+    } catch (err) {
+        console.error(`Error getting maintenance window (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets the active maintenance windows that apply to a website
+ * @param {number} websiteId Website ID
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<Array<object>>} Maintenance windows (without website_ids)
+ */
+const getMaintenanceWindowsForWebsite = async (websiteId, dbClient = getDatabase()) => {
+    const sql = `
+        SELECT mw.*
+        FROM maintenance_windows mw
+        JOIN maintenance_window_monitors mwm ON mw.id = mwm.maintenance_window_id
+        WHERE mwm.website_id = $1 AND mw.active = TRUE
+        ORDER BY mw.id
+    `;
+    try {
+        const result = await dbClient.query(sql, [websiteId]);
+        return result.rows;
+    } catch (err) {
+        console.error(`Error getting maintenance windows for website (${websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Replaces the set of monitors a maintenance window applies to
+ * @param {pg.Client} client Database client inside a transaction
+ * @param {number} windowId Maintenance window ID
+ * @param {Array<number>} websiteIds Website IDs
+ * @returns {Promise<void>}
+ */
+const setMaintenanceWindowMonitors = async (client, windowId, websiteIds) => {
+    await client.query('DELETE FROM maintenance_window_monitors WHERE maintenance_window_id = $1', [windowId]);
+    if (websiteIds.length > 0) {
+        await client.query(
+            `INSERT INTO maintenance_window_monitors (maintenance_window_id, website_id)
+             SELECT $1, unnest($2::int[])`,
+            [windowId, websiteIds]
+        );
+    }
+};
+
+/**
+ * Maps a maintenance window object to the column parameters shared by insert and update
+ * @param {object} window Maintenance window fields
+ * @returns {Array<any>}
+ */
+const maintenanceWindowParams = (window) => [
+    window.title,
+    window.description || null,
+    window.strategy,
+    window.active !== undefined ? window.active : true,
+    window.start_date || null,
+    window.end_date || null,
+    window.weekdays || null,
+    window.start_time || null,
+    window.duration_minutes || null,
+    window.cron_expression || null,
+    window.timezone || 'UTC'
+];
+
+/**
+ * Creates a maintenance window and links it to monitors
+ * @param {object} window Maintenance window fields including user_id
+ * @param {Array<number>} websiteIds Website IDs the window applies to
+ * @returns {Promise<object>} Created maintenance window including website_ids
+ */
+const createMaintenanceWindow = async (window, websiteIds) => {
+    const sql = `
+        INSERT INTO maintenance_windows (
+            title, description, strategy, active, start_date, end_date, weekdays,
+            start_time, duration_minutes, cron_expression, timezone, user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING id
+    `;
+    const client = await getDatabase().connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query(sql, [...maintenanceWindowParams(window), window.user_id]);
+        const id = result.rows[0].id;
+        await setMaintenanceWindowMonitors(client, id, websiteIds);
+        await client.query('COMMIT');
+        return await getMaintenanceWindow(id);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`Error creating maintenance window (${window.title}):`, err);
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Updates a maintenance window and replaces its monitor links
+ * @param {number} id Maintenance window ID
+ * @param {object} window Complete set of maintenance window fields
+ * @param {Array<number>} websiteIds Website IDs the window applies to
+ * @returns {Promise<object|null>} Updated maintenance window, or null if not found
+ */
+const updateMaintenanceWindow = async (id, window, websiteIds) => {
+    const sql = `
+        UPDATE maintenance_windows SET
+            title = $1, description = $2, strategy = $3, active = $4, start_date = $5,
+            end_date = $6, weekdays = $7, start_time = $8, duration_minutes = $9,
+            cron_expression = $10, timezone = $11, updated_at = NOW()
+        WHERE id = $12
+    `;
+    const client = await getDatabase().connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query(sql, [...maintenanceWindowParams(window), id]);
+        if (result.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        await setMaintenanceWindowMonitors(client, id, websiteIds);
+        await client.query('COMMIT');
+        return await getMaintenanceWindow(id);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`Error updating maintenance window (${id}):`, err);
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Deletes a maintenance window (monitor links are removed by cascade)
+ * @param {number} id Maintenance window ID
+ * @returns {Promise<boolean>} Whether a window was deleted
+ */
+const deleteMaintenanceWindow = async (id) => {
+    try {
+        const result = await getDatabase().query('DELETE FROM maintenance_windows WHERE id = $1', [id]);
+        return result.rowCount > 0;
+    } catch (err) {
+        console.error(`Error deleting maintenance window (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Counts a failed check towards the open incident of a website, opening one if none is open
+ * @param {object} check Failed check result including websiteId
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<object>} The open incident
+ */
+const recordIncidentFailure = async (check, dbClient = getDatabase()) => {
+    // The partial unique index allows only one open incident per website and type
+    const sql = `
+        INSERT INTO incidents (website_id, error_type, error_message, status_code)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (website_id, type) WHERE resolved_at IS NULL
+        DO UPDATE SET failed_checks = incidents.failed_checks + 1
+        RETURNING *
+    `;
+    const params = [
+        check.websiteId,
+        check.error_type || null,
+        check.error_message || null,
+        check.statusCode ?? null
+    ];
+    try {
+        const result = await dbClient.query(sql, params);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error recording incident for website (${check.websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Counts a degraded check towards the open slow incident of a website, opening one if none is open.
+ * The incident keeps the slowest response time and the worst level of the degraded period.
+ * @param {object} check Degraded check result including websiteId, latencyLevel, latencyMs and latencyMessage
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<object>} The open slow incident
+ */
+const recordSlowIncidentCheck = async (check, dbClient = getDatabase()) => {
+    const sql = `
+        INSERT INTO incidents (website_id, type, error_type, error_message, status_code, response_time_ms)
+        VALUES ($1, 'slow', $2, $3, $4, $5)
+        ON CONFLICT (website_id, type) WHERE resolved_at IS NULL
+        DO UPDATE SET
+            failed_checks = incidents.failed_checks + 1,
+            response_time_ms = GREATEST(incidents.response_time_ms, EXCLUDED.response_time_ms),
+            error_type = CASE WHEN EXCLUDED.error_type = 'LATENCY_CRITICAL' THEN EXCLUDED.error_type ELSE incidents.error_type END,
+            error_message = CASE WHEN incidents.error_type = 'LATENCY_WARNING' AND EXCLUDED.error_type = 'LATENCY_CRITICAL'
+                THEN EXCLUDED.error_message ELSE incidents.error_message END
+        RETURNING *
+    `;
+    const params = [
+        check.websiteId,
+        check.latencyLevel === 'critical' ? 'LATENCY_CRITICAL' : 'LATENCY_WARNING',
+        check.latencyMessage || null,
+        check.statusCode ?? null,
+        check.latencyMs ?? null
+    ];
+    try {
+        const result = await dbClient.query(sql, params);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error recording slow incident for website (${check.websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Resolves the open incident of a website, if any
+ * @param {number} websiteId Website ID
+ * @param {'down'|'slow'} type Incident type
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<object|null>} The resolved incident, or null if none was open
+ */
+const resolveIncident = async (websiteId, type, dbClient = getDatabase()) => {
+    const sql = `
+        UPDATE incidents SET
+            resolved_at = NOW(),
+            duration_seconds = GREATEST(0, ROUND(EXTRACT(EPOCH FROM (NOW() - started_at))))::INTEGER
+        WHERE website_id = $1 AND type = $2 AND resolved_at IS NULL
+        RETURNING *
+    `;
+    try {
+        const result = await dbClient.query(sql, [websiteId, type]);
+        return result.rows[0] || null;
+    } catch (err) {
+        console.error(`Error resolving ${type} incident for website (${websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Base query for incidents with the name and URL of their website
+ */
+const INCIDENT_SELECT = `
+    SELECT
+        i.id, i.website_id, i.type, i.started_at, i.resolved_at, i.error_type, i.error_message,
+        i.status_code, i.response_time_ms, i.failed_checks,
+        COALESCE(i.duration_seconds, ROUND(EXTRACT(EPOCH FROM (NOW() - i.started_at)))::INTEGER) AS duration_seconds,
+        i.acknowledged_at, i.acknowledged_by, au.email AS acknowledged_by_email,
+        i.acknowledged_by_name, i.acknowledgement_note,
+        w.name AS website_name, w.url AS website_url, w.user_id
+    FROM incidents i
+    JOIN monitored_websites w ON w.id = i.website_id
+    LEFT JOIN users au ON au.id = i.acknowledged_by
+`;
+
+/**
+ * Gets a user's incidents, newest first
+ * @param {number} userId User ID
+ * @param {object} [filters] Optional filters
+ * @param {number} [filters.websiteId] Only incidents of this website
+ * @param {'down'|'slow'} [filters.type] Only outages or only slow periods
+ * @param {'open'|'resolved'} [filters.status] Only open or only resolved incidents
+ * @param {Date} [filters.since] Only incidents that were ongoing at or after this time
+ * @param {Date} [filters.until] Only incidents that started before this time
+ * @param {number} [filters.limit=50] Maximum number of rows
+ * @param {number} [filters.offset=0] Rows to skip
+ * @returns {Promise<Array<object>>} Incidents
+ */
+const getIncidentsByUser = async (userId, filters = {}) => {
+    const conditions = ['w.user_id = $1'];
+    const params = [userId];
+    if (filters.websiteId) {
+        params.push(filters.websiteId);
+        conditions.push(`i.website_id = $${params.length}`);
+    }
+    if (filters.type) {
+        params.push(filters.type);
+        conditions.push(`i.type = $${params.length}`);
+    }
+    if (filters.status === 'open') {
+        conditions.push('i.resolved_at IS NULL');
+    } else if (filters.status === 'resolved') {
+        conditions.push('i.resolved_at IS NOT NULL');
+    }
+    if (filters.since) {
+        params.push(filters.since);
+        conditions.push(`(i.resolved_at IS NULL OR i.resolved_at >= $${params.length})`);
+    }
+    if (filters.until) {
+        params.push(filters.until);
+        conditions.push(`i.started_at < $${params.length}`);
+    }
+    params.push(filters.limit || 50, filters.offset || 0);
+
+    const sql = `${INCIDENT_SELECT}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY i.started_at DESC, i.id DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+    `;
+    try {
+        const result = await getDatabase().query(sql, params);
+        return result.rows;
+    } catch (err) {
+        console.error(`Error getting incidents for user (${userId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets an incident by ID
+ * @param {number} id Incident ID
+ * @returns {Promise<object|null>} Incident including website_name, website_url and user_id, or null
+ */
+const getIncident = async (id) => {
+    const sql = `${INCIDENT_SELECT} WHERE i.id = $1`;
+    try {
+        const result = await getDatabase().query(sql, [id]);
+        return result.rows[0] || null;
+    } catch (err) {
+        console.error(`Error getting incident (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Summarizes a user's outages (slow incidents are left out) for the dashboard
+ * @param {number} userId User ID
+ * @param {Date} since Start of the summary period
+ * @returns {Promise<{incidents: number, affectedMonitors: number, openIncidents: number, lastResolvedAt: Date|null, firstMonitorCreatedAt: Date|null}>}
+ */
+const getIncidentSummary = async (userId, since) => {
+    const sql = `
+        SELECT
+            COUNT(i.id) FILTER (WHERE i.resolved_at IS NULL OR i.resolved_at >= $2)::INTEGER AS incidents,
+            COUNT(DISTINCT i.website_id) FILTER (WHERE i.resolved_at IS NULL OR i.resolved_at >= $2)::INTEGER AS "affectedMonitors",
+            COUNT(i.id) FILTER (WHERE i.resolved_at IS NULL)::INTEGER AS "openIncidents",
+            MAX(i.resolved_at) AS "lastResolvedAt",
+            (SELECT MIN(created_at) FROM monitored_websites WHERE user_id = $1) AS "firstMonitorCreatedAt"
+        FROM incidents i
+        JOIN monitored_websites w ON w.id = i.website_id
+        WHERE w.user_id = $1 AND i.type = 'down'
+    `;
+    try {
+        const result = await getDatabase().query(sql, [userId, since]);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error getting incident summary for user (${userId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Marks an open incident as handled, which stops its repeat notifications and escalation
+ * @param {number} id Incident ID
+ * @param {object} acknowledgement Who acknowledged the incident
+ * @param {number|null} [acknowledgement.userId] User who handled the incident, null when acknowledged through an alert link
+ * @param {string|null} [acknowledgement.name] Name given when acknowledged through an alert link
+ * @param {string|null} [acknowledgement.note] Optional note
+ * @returns {Promise<boolean>} Whether the incident was acknowledged; false when it was resolved or acknowledged already
+ */
+const acknowledgeIncident = async (id, { userId = null, name = null, note = null }) => {
+    const sql = `
+        UPDATE incidents SET
+            acknowledged_at = NOW(), acknowledged_by = $2, acknowledged_by_name = $3, acknowledgement_note = $4
+        WHERE id = $1 AND resolved_at IS NULL AND acknowledged_at IS NULL
+    `;
+    try {
+        const result = await getDatabase().query(sql, [id, userId, name, note]);
+        return result.rowCount > 0;
+    } catch (err) {
+        console.error(`Error acknowledging incident (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets the open, unacknowledged outages of active monitors that repeat notifications or escalate.
+ * Monitors in maintenance or flapping are left out, their alerts are held back anyway.
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<Array<object>>} Incidents including the website fields and the escalation policy steps
+ */
+const getIncidentsToNotify = async (dbClient = getDatabase()) => {
+    const sql = `
+        SELECT
+            i.id, i.website_id, i.started_at, i.last_notified_at, i.escalation_step,
+            i.error_type, i.error_message, i.status_code,
+            w.name, w.url, w.user_id, w.renotify_interval_minutes,
+            ep.name AS escalation_policy_name, ep.steps AS escalation_steps
+        FROM incidents i
+        JOIN monitored_websites w ON w.id = i.website_id
+        LEFT JOIN website_status ws ON ws.website_id = w.id
+        LEFT JOIN escalation_policies ep ON ep.id = w.escalation_policy_id
+        WHERE i.type = 'down' AND i.resolved_at IS NULL AND i.acknowledged_at IS NULL AND w.active = TRUE
+            AND ws.in_maintenance IS NOT TRUE AND ws.is_flapping IS NOT TRUE
+            AND (w.renotify_interval_minutes > 0 OR ep.id IS NOT NULL)
+        ORDER BY i.started_at
+    `;
+    try {
+        const result = await dbClient.query(sql);
+        return result.rows;
+    } catch (err) {
+        console.error('Error getting incidents to notify:', err);
+        throw err;
+    }
+};
+
+/**
+ * Claims the repeat notification of an incident: records it as sent when the interval has passed
+ * since the last notification (or the start of the incident), so concurrent ticks send it once
+ * @param {number} id Incident ID
+ * @param {number} intervalMinutes Repeat interval of the monitor
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<boolean>} Whether the notification is due and was claimed
+ */
+const claimIncidentReminder = async (id, intervalMinutes, dbClient = getDatabase()) => {
+    const sql = `
+        UPDATE incidents SET last_notified_at = NOW()
+        WHERE id = $1 AND resolved_at IS NULL AND acknowledged_at IS NULL
+            AND COALESCE(last_notified_at, started_at) <= NOW() - make_interval(mins => $2)
+    `;
+    try {
+        const result = await dbClient.query(sql, [id, intervalMinutes]);
+        return result.rowCount > 0;
+    } catch (err) {
+        console.error(`Error claiming reminder for incident (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Moves an incident to a later escalation step, unless another tick moved it already
+ * @param {number} id Incident ID
+ * @param {number} fromStep Number of steps notified so far, as read by the caller
+ * @param {number} toStep Number of steps notified after this tick
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<boolean>} Whether the incident was moved
+ */
+const advanceIncidentEscalation = async (id, fromStep, toStep, dbClient = getDatabase()) => {
+    const sql = `
+        UPDATE incidents SET escalation_step = $3
+        WHERE id = $1 AND escalation_step = $2 AND resolved_at IS NULL AND acknowledged_at IS NULL
+    `;
+    try {
+        const result = await dbClient.query(sql, [id, fromStep, toStep]);
+        return result.rowCount > 0;
+    } catch (err) {
+        console.error(`Error advancing escalation of incident (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Base query for notification channels with the IDs of the monitors they are attached to
+ */
+const NOTIFICATION_CHANNEL_SELECT = `
+    SELECT
+        nc.id, nc.user_id, nc.name, nc.type, nc.config, nc.enabled, nc.is_default,
+        nc.created_at, nc.updated_at,
+        ARRAY(
+            SELECT mnc.website_id FROM monitor_notification_channels mnc
+            WHERE mnc.channel_id = nc.id ORDER BY mnc.website_id
+        ) AS website_ids
+    FROM notification_channels nc
+`;
+
+/**
+ * Gets all notification channels owned by a user
+ * @param {number} userId User ID
+ * @returns {Promise<Array<object>>} Notification channels including website_ids
+ */
+const getNotificationChannelsByUser = async (userId) => {
+    const sql = `${NOTIFICATION_CHANNEL_SELECT} WHERE nc.user_id = $1 ORDER BY nc.name, nc.id`;
+    try {
+        const result = await getDatabase().query(sql, [userId]);
+        return result.rows;
+    } catch (err) {
+        console.error(`Error getting notification channels for user (${userId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets a notification channel by ID
+ * @param {number} id Notification channel ID
+ * @returns {Promise<object|null>} Notification channel including website_ids, or null
+ */
+const getNotificationChannel = async (id) => {
+    const sql = `${NOTIFICATION_CHANNEL_SELECT} WHERE nc.id = $1`;
+    try {
+        const result = await getDatabase().query(sql, [id]);
+        return result.rows[0] || null;
+    } catch (err) {
+        console.error(`Error getting notification channel (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets the enabled notification channels attached to a website
+ * @param {number} websiteId Website ID
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<Array<object>>} Notification channels
+ */
+const getNotificationChannelsForWebsite = async (websiteId, dbClient = getDatabase()) => {
+    const sql = `
+        SELECT nc.*
+        FROM notification_channels nc
+        JOIN monitor_notification_channels mnc ON nc.id = mnc.channel_id
+        WHERE mnc.website_id = $1 AND nc.enabled = TRUE
+        ORDER BY nc.id
+    `;
+    try {
+        const result = await dbClient.query(sql, [websiteId]);
+        return result.rows;
+    } catch (err) {
+        console.error(`Error getting notification channels for website (${websiteId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Creates a notification channel
+ * @param {object} channel Channel fields { user_id, name, type, config, enabled, is_default }
+ * @returns {Promise<object>} Created notification channel
+ */
+const createNotificationChannel = async (channel) => {
+    const sql = `
+        INSERT INTO notification_channels (user_id, name, type, config, enabled, is_default)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+    `;
+    const params = [
+        channel.user_id,
+        channel.name,
+        channel.type,
+        JSON.stringify(channel.config || {}),
+        channel.enabled !== undefined ? channel.enabled : true,
+        channel.is_default === true
+    ];
+    try {
+        const result = await getDatabase().query(sql, params);
+        return await getNotificationChannel(result.rows[0].id);
+    } catch (err) {
+        console.error(`Error creating notification channel (${channel.name}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Updates a notification channel
+ * @param {number} id Notification channel ID
+ * @param {object} channel Complete set of channel fields { name, type, config, enabled, is_default }
+ * @returns {Promise<object|null>} Updated notification channel, or null if not found
+ */
+const updateNotificationChannel = async (id, channel) => {
+    const sql = `
+        UPDATE notification_channels SET
+            name = $1, type = $2, config = $3, enabled = $4, is_default = $5, updated_at = NOW()
+        WHERE id = $6
+    `;
+    const params = [
+        channel.name,
+        channel.type,
+        JSON.stringify(channel.config || {}),
+        channel.enabled,
+        channel.is_default,
+        id
+    ];
+    try {
+        const result = await getDatabase().query(sql, params);
+        return result.rowCount > 0 ? await getNotificationChannel(id) : null;
+    } catch (err) {
+        console.error(`Error updating notification channel (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Replaces the monitors a notification channel is attached to
+ * @param {number} channelId Notification channel ID
+ * @param {Array<number>} websiteIds Website IDs
+ * @returns {Promise<void>}
+ */
+const setNotificationChannelWebsites = async (channelId, websiteIds) => {
+    const client = await getDatabase().connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM monitor_notification_channels WHERE channel_id = $1', [channelId]);
+        if (websiteIds.length > 0) {
+            await client.query(
+                `INSERT INTO monitor_notification_channels (website_id, channel_id)
+                 SELECT unnest($1::int[]), $2`,
+                [websiteIds, channelId]
+            );
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`Error setting monitors for notification channel (${channelId}):`, err);
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Deletes a notification channel (monitor links are removed by cascade)
+ * @param {number} id Notification channel ID
+ * @returns {Promise<boolean>} Whether a channel was deleted
+ */
+const deleteNotificationChannel = async (id) => {
+    try {
+        const result = await getDatabase().query('DELETE FROM notification_channels WHERE id = $1', [id]);
+        return result.rowCount > 0;
+    } catch (err) {
+        console.error(`Error deleting notification channel (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Replaces the notification channels attached to a website
+ * @param {number} websiteId Website ID
+ * @param {Array<number>} channelIds Notification channel IDs
+ * @returns {Promise<void>}
+ */
+const setWebsiteNotificationChannels = async (websiteId, channelIds) => {
+    const client = await getDatabase().connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM monitor_notification_channels WHERE website_id = $1', [websiteId]);
+        if (channelIds.length > 0) {
+            await client.query(
+                `INSERT INTO monitor_notification_channels (website_id, channel_id)
+                 SELECT $1, unnest($2::int[])`,
+                [websiteId, channelIds]
+            );
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`Error setting notification channels for website (${websiteId}):`, err);
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Gets the enabled notification channels of a user among the given IDs
+ * @param {number} userId User ID
+ * @param {Array<number>} channelIds Notification channel IDs
+ * @param {pg.Client | pg.Pool} [dbClient=getDatabase()] Optional database client or pool
+ * @returns {Promise<Array<object>>} Notification channels; deleted or disabled ones are left out
+ */
+const getEnabledNotificationChannels = async (userId, channelIds, dbClient = getDatabase()) => {
+    const sql = `
+        SELECT nc.*
+        FROM notification_channels nc
+        WHERE nc.user_id = $1 AND nc.id = ANY($2::int[]) AND nc.enabled = TRUE
+        ORDER BY nc.id
+    `;
+    try {
+        const result = await dbClient.query(sql, [userId, channelIds]);
+        return result.rows;
+    } catch (err) {
+        console.error(`Error getting notification channels for user (${userId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Base query for escalation policies with the IDs of the monitors that use them
+ */
+const ESCALATION_POLICY_SELECT = `
+    SELECT
+        ep.id, ep.user_id, ep.name, ep.steps, ep.created_at, ep.updated_at,
+        ARRAY(
+            SELECT w.id FROM monitored_websites w
+            WHERE w.escalation_policy_id = ep.id ORDER BY w.id
+        ) AS website_ids
+    FROM escalation_policies ep
+`;
+
+/**
+ * Gets all escalation policies owned by a user
+ * @param {number} userId User ID
+ * @returns {Promise<Array<object>>} Escalation policies including website_ids
+ */
+const getEscalationPoliciesByUser = async (userId) => {
+    const sql = `${ESCALATION_POLICY_SELECT} WHERE ep.user_id = $1 ORDER BY ep.name, ep.id`;
+    try {
+        const result = await getDatabase().query(sql, [userId]);
+        return result.rows;
+    } catch (err) {
+        console.error(`Error getting escalation policies for user (${userId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets an escalation policy by ID
+ * @param {number} id Escalation policy ID
+ * @returns {Promise<object|null>} Escalation policy including website_ids, or null
+ */
+const getEscalationPolicy = async (id) => {
+    const sql = `${ESCALATION_POLICY_SELECT} WHERE ep.id = $1`;
+    try {
+        const result = await getDatabase().query(sql, [id]);
+        return result.rows[0] || null;
+    } catch (err) {
+        console.error(`Error getting escalation policy (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Creates an escalation policy
+ * @param {object} policy Policy fields { user_id, name, steps }
+ * @returns {Promise<object>} Created escalation policy
+ */
+const createEscalationPolicy = async (policy) => {
+    const sql = `
+        INSERT INTO escalation_policies (user_id, name, steps)
+        VALUES ($1, $2, $3)
+        RETURNING id
+    `;
+    try {
+        const result = await getDatabase().query(sql, [policy.user_id, policy.name, JSON.stringify(policy.steps)]);
+        return await getEscalationPolicy(result.rows[0].id);
+    } catch (err) {
+        console.error(`Error creating escalation policy (${policy.name}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Updates an escalation policy
+ * @param {number} id Escalation policy ID
+ * @param {object} policy Complete set of policy fields { name, steps }
+ * @returns {Promise<object|null>} Updated escalation policy, or null if not found
+ */
+const updateEscalationPolicy = async (id, policy) => {
+    const sql = `
+        UPDATE escalation_policies SET name = $1, steps = $2, updated_at = NOW()
+        WHERE id = $3
+    `;
+    try {
+        const result = await getDatabase().query(sql, [policy.name, JSON.stringify(policy.steps), id]);
+        return result.rowCount > 0 ? await getEscalationPolicy(id) : null;
+    } catch (err) {
+        console.error(`Error updating escalation policy (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Deletes an escalation policy (monitors using it are left without one)
+ * @param {number} id Escalation policy ID
+ * @returns {Promise<boolean>} Whether a policy was deleted
+ */
+const deleteEscalationPolicy = async (id) => {
+    try {
+        const result = await getDatabase().query('DELETE FROM escalation_policies WHERE id = $1', [id]);
+        return result.rowCount > 0;
+    } catch (err) {
+        console.error(`Error deleting escalation policy (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Base query for notification deliveries with the name of the monitor they are about
+ */
+const NOTIFICATION_DELIVERY_SELECT = `
+    SELECT
+        nd.id, nd.user_id, nd.channel_id, nd.channel_name, nd.channel_type, nd.website_id,
+        w.name AS website_name, nd.event, nd.target, nd.payload, nd.status, nd.attempts,
+        nd.max_attempts, nd.next_attempt_at, nd.last_status_code, nd.last_latency_ms, nd.last_error,
+        nd.created_at, nd.updated_at, nd.delivered_at
+    FROM notification_deliveries nd
+    LEFT JOIN monitored_websites w ON w.id = nd.website_id
+`;
+
+/**
+ * Creates a notification delivery, before its first attempt
+ * @param {object} delivery Delivery fields { user_id, channel_id, channel_name, channel_type, website_id, event, target, payload, max_attempts }
+ * @returns {Promise<object>} Created delivery
+ */
+const createNotificationDelivery = async (delivery) => {
+    const sql = `
+        INSERT INTO notification_deliveries
+            (user_id, channel_id, channel_name, channel_type, website_id, event, target, payload, max_attempts)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+    `;
+    const params = [
+        delivery.user_id,
+        delivery.channel_id,
+        delivery.channel_name,
+        delivery.channel_type,
+        delivery.website_id || null,
+        delivery.event,
+        delivery.target || null,
+        JSON.stringify(delivery.payload),
+        delivery.max_attempts
+    ];
+    try {
+        const result = await getDatabase().query(sql, params);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error creating notification delivery for channel (${delivery.channel_id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Records an attempt of a delivery and its outcome
+ * @param {number} id Delivery ID
+ * @param {object} attempt Attempt { target, statusCode, latencyMs, error }
+ * @param {object} outcome New state { status: delivered|retrying|dead, nextAttemptAt: Date|null }
+ * @returns {Promise<object>} Updated delivery
+ */
+const recordNotificationDeliveryAttempt = async (id, attempt, outcome) => {
+    // One statement, so the attempt and the counters cannot drift apart
+    const sql = `
+        WITH updated AS (
+            UPDATE notification_deliveries SET
+                attempts = attempts + 1,
+                target = COALESCE($2, target),
+                status = $3,
+                next_attempt_at = $4,
+                last_status_code = $5,
+                last_latency_ms = $6,
+                last_error = $7,
+                delivered_at = CASE WHEN $3 = 'delivered' THEN NOW() ELSE delivered_at END,
+                updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        ), inserted AS (
+            INSERT INTO notification_delivery_attempts (delivery_id, attempt, status_code, latency_ms, error)
+            SELECT id, attempts, $5, $6, $7 FROM updated
+        )
+        SELECT * FROM updated
+    `;
+    const params = [
+        id,
+        attempt.target || null,
+        outcome.status,
+        outcome.nextAttemptAt || null,
+        attempt.statusCode || null,
+        attempt.latencyMs,
+        attempt.error || null
+    ];
+    try {
+        const result = await getDatabase().query(sql, params);
+        return result.rows[0] || null;
+    } catch (err) {
+        console.error(`Error recording attempt of notification delivery (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Dead-letters a delivery without attempting it, e.g. when its channel was deleted
+ * @param {number} id Delivery ID
+ * @param {string} error Reason shown in the delivery log
+ * @returns {Promise<void>}
+ */
+const failNotificationDelivery = async (id, error) => {
+    const sql = `
+        UPDATE notification_deliveries
+        SET status = 'dead', next_attempt_at = NULL, last_error = $2, updated_at = NOW()
+        WHERE id = $1
+    `;
+    try {
+        await getDatabase().query(sql, [id, error]);
+    } catch (err) {
+        console.error(`Error failing notification delivery (${id}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Claims the deliveries whose next retry is due. Claimed deliveries are leased for ten
+ * minutes, so overlapping cron runs do not send them twice.
+ * @param {number} [limit=50] Maximum number of deliveries to claim
+ * @returns {Promise<Array<object>>} Claimed deliveries
+ */
+const claimDueNotificationDeliveries = async (limit = 50) => {
+    const sql = `
+        UPDATE notification_deliveries
+        SET next_attempt_at = NOW() + INTERVAL '10 minutes', updated_at = NOW()
+        WHERE id IN (
+            SELECT id FROM notification_deliveries
+            WHERE status = 'retrying' AND next_attempt_at <= NOW()
+            ORDER BY next_attempt_at
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `;
+    try {
+        const result = await getDatabase().query(sql, [limit]);
+        return result.rows;
+    } catch (err) {
+        console.error('Error claiming due notification deliveries:', err);
+        throw err;
+    }
+};
+
+/**
+ * Gets the notification deliveries of a user, newest first
+ * @param {number} userId User ID
+ * @param {object} [filters] Optional filters { status, channelId, websiteId, limit, offset }
+ * @returns {Promise<Array<object>>} Deliveries
+ */
+const getNotificationDeliveriesByUser = async (userId, filters = {}) => {
+    const conditions = ['nd.user_id = $1'];
+    const params = [userId];
+    if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`nd.status = $${params.length}`);
+    }
+    if (filters.channelId) {
+        params.push(filters.channelId);
+        conditions.push(`nd.channel_id = $${params.length}`);
+    }
+    if (filters.websiteId) {
+        params.push(filters.websiteId);
+        conditions.push(`nd.website_id = $${params.length}`);
+    }
+    params.push(filters.limit || 50, filters.offset || 0);
+
+    const sql = `${NOTIFICATION_DELIVERY_SELECT}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY nd.created_at DESC, nd.id DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+    `;
+    try {
+        const result = await getDatabase().query(sql, params);
+        return result.rows;
+    } catch (err) {
+        console.error(`Error getting notification deliveries for user (${userId}):`, err);
+        throw err;
+    }
+};
+
+/**
+ * Gets a notification delivery by ID, including its attempts
+ * @param {number} id Delivery ID
+ * @returns {Promise<object|null>} Delivery with an `attempts_log` array, or null
+ */
+const getNotificationDelivery = async (id) => {
+    try {
+        const result = await getDatabase().query(`${NOTIFICATION_DELIVERY_SELECT} WHERE nd.id = $1`, [id]);
+        const delivery = result.rows[0];
+        if (!delivery) {
+            return null;
+        }
+        const attempts = await getDatabase().query(
+            `SELECT attempt, attempted_at, status_code, latency_ms, error
+             FROM notification_delivery_attempts WHERE delivery_id = $1 ORDER BY attempt`,
+            [id]
+        );
+        return { ...delivery, attempts_log: attempts.rows };
+    } catch (err) {
+        console.error(`Error getting notification delivery (${id}):`, err);
+        throw err;
+    }
+};
+
+  module.exports = {
      findUserByEmail,
     findUserById,
     createUser,
     getAllWebsites,
     getAllWebsitesByUser,
     getWebsite,
+    getWebsiteByPushToken,
     createWebsite,
     updateWebsite,
     deleteWebsite,
     getLatestCheck,
     insertCheckHistory,
     updateWebsiteStatus,
+    updateDnsAnswers,
+    getWebsiteAuthCredentials,
+    getWebsiteTlsCredentials,
+    upsertWebsiteCertificate,
+    getWebsiteCertificate,
+    claimCertificateExpiryThresholds,
+    releaseCertificateExpiryThresholds,
+    getExpiringCertificatesByUser,
+    insertHeartbeat,
+    getRecentPings,
      getWebsiteHistory,
-     getNotificationSettings,
-     updateNotificationSettings
+    getMaintenanceWindowsByUser,
+    getMaintenanceWindow,
+    getMaintenanceWindowsForWebsite,
+    createMaintenanceWindow,
+    updateMaintenanceWindow,
+    deleteMaintenanceWindow,
+    recordIncidentFailure,
+    recordSlowIncidentCheck,
+    resolveIncident,
+    getIncidentsByUser,
+    getIncident,
+    getIncidentSummary,
+    acknowledgeIncident,
+    getIncidentsToNotify,
+    claimIncidentReminder,
+    advanceIncidentEscalation,
+    getNotificationChannelsByUser,
+    getNotificationChannel,
+    getNotificationChannelsForWebsite,
+    createNotificationChannel,
+    updateNotificationChannel,
+    deleteNotificationChannel,
+    setNotificationChannelWebsites,
+    setWebsiteNotificationChannels,
+    getEnabledNotificationChannels,
+    getEscalationPoliciesByUser,
+    getEscalationPolicy,
+    createEscalationPolicy,
+    updateEscalationPolicy,
+    deleteEscalationPolicy,
+    createNotificationDelivery,
+    recordNotificationDeliveryAttempt,
+    failNotificationDelivery,
+    claimDueNotificationDeliveries,
+    getNotificationDeliveriesByUser,
+    getNotificationDelivery
  };
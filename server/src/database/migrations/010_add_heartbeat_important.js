@@ -0,0 +1,60 @@
+/**
+ * Migration to add the 'important' flag to heartbeats for PostgreSQL
+ */
+const UP_MIGRATION = `
+-- Flag heartbeats that represent a status change
+ALTER TABLE heartbeats
+ADD COLUMN IF NOT EXISTS important BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Backfill the flag for heartbeats recorded before this migration
+UPDATE heartbeats h
+SET important = TRUE
+FROM (
+    SELECT id, status, LAG(status) OVER (PARTITION BY website_id ORDER BY timestamp) AS previous_status
+    FROM heartbeats
+) changes
+WHERE h.id = changes.id
+  AND (changes.previous_status IS NULL OR changes.previous_status <> changes.status);
+
+-- Create index for the events view
+CREATE INDEX IF NOT EXISTS idx_heartbeats_website_id_important ON heartbeats (website_id, important, timestamp);
+`;
+
+const DOWN_MIGRATION = `
+DROP INDEX IF EXISTS idx_heartbeats_website_id_important;
+ALTER TABLE heartbeats
+DROP COLUMN IF EXISTS important;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        const statements = UP_MIGRATION.split(';').map(s => s.trim()).filter(s => s.length > 0);
+        for (const statement of statements) {
+            await db.query(statement);
+        }
+    } catch (err) {
+        console.error('Migration 010 (up) failed:', err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+    } catch (err) {
+        console.error('Migration 010 (down) failed:', err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "010";
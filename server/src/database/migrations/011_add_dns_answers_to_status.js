@@ -0,0 +1,44 @@
+/**
+ * Migration to store the last DNS answer set per monitor for PostgreSQL
+ */
+const UP_MIGRATION = `
+ALTER TABLE website_status
+ADD COLUMN IF NOT EXISTS dns_answers JSONB; -- Sorted answer list from the last successful DNS check
+`;
+
+const DOWN_MIGRATION = `
+ALTER TABLE website_status
+DROP COLUMN IF EXISTS dns_answers;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Column 'dns_answers' added to website_status.");
+    } catch (err) {
+        console.error("Migration 011 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Column 'dns_answers' dropped from website_status.");
+    } catch (err) {
+        console.error("Migration 011 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "011";
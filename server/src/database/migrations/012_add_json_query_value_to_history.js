@@ -0,0 +1,44 @@
+/**
+ * Migration to record the value selected by json-query monitors in the check history for PostgreSQL
+ */
+const UP_MIGRATION = `
+ALTER TABLE monitoring_history
+ADD COLUMN IF NOT EXISTS json_query_value TEXT; -- Actual value selected by the JSON query (strings as-is, other values as JSON)
+`;
+
+const DOWN_MIGRATION = `
+ALTER TABLE monitoring_history
+DROP COLUMN IF EXISTS json_query_value;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Column 'json_query_value' added to monitoring_history.");
+    } catch (err) {
+        console.error("Migration 012 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Column 'json_query_value' dropped from monitoring_history.");
+    } catch (err) {
+        console.error("Migration 012 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "012";
@@ -0,0 +1,58 @@
+/**
+ * Migration to add HTTP request options (body, headers, auth, user agent) to monitors for PostgreSQL
+ */
+const UP_MIGRATION = `
+ALTER TABLE monitored_websites
+ADD COLUMN IF NOT EXISTS request_body TEXT,
+ADD COLUMN IF NOT EXISTS request_body_encoding TEXT DEFAULT 'json', -- 'json', 'form' or 'raw'
+ADD COLUMN IF NOT EXISTS request_headers JSONB, -- { "Header-Name": "value" }
+ADD COLUMN IF NOT EXISTS auth_method TEXT DEFAULT 'none', -- 'none', 'basic' or 'bearer'
+ADD COLUMN IF NOT EXISTS basic_auth_user TEXT,
+ADD COLUMN IF NOT EXISTS basic_auth_pass TEXT,
+ADD COLUMN IF NOT EXISTS bearer_token TEXT,
+ADD COLUMN IF NOT EXISTS user_agent TEXT; -- NULL uses the default monitor user agent
+`;
+
+const DOWN_MIGRATION = `
+ALTER TABLE monitored_websites
+DROP COLUMN IF EXISTS request_body,
+DROP COLUMN IF EXISTS request_body_encoding,
+DROP COLUMN IF EXISTS request_headers,
+DROP COLUMN IF EXISTS auth_method,
+DROP COLUMN IF EXISTS basic_auth_user,
+DROP COLUMN IF EXISTS basic_auth_pass,
+DROP COLUMN IF EXISTS bearer_token,
+DROP COLUMN IF EXISTS user_agent;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("HTTP request option columns added to monitored_websites.");
+    } catch (err) {
+        console.error("Migration 013 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("HTTP request option columns dropped from monitored_websites.");
+    } catch (err) {
+        console.error("Migration 013 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "013";
@@ -0,0 +1,48 @@
+/**
+ * Migration to add push tokens for passive (push) monitors for PostgreSQL
+ */
+const UP_MIGRATION = `
+ALTER TABLE monitored_websites
+ADD COLUMN IF NOT EXISTS push_token TEXT; -- Secret used in /api/push/:token, only set for push monitors
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_monitored_websites_push_token ON monitored_websites (push_token);
+`;
+
+const DOWN_MIGRATION = `
+DROP INDEX IF EXISTS idx_monitored_websites_push_token;
+ALTER TABLE monitored_websites
+DROP COLUMN IF EXISTS push_token;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        const statements = UP_MIGRATION.split(';').map(s => s.trim()).filter(s => s.length > 0);
+        for (const statement of statements) {
+            await db.query(statement);
+        }
+    } catch (err) {
+        console.error('Migration 014 (up) failed:', err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+    } catch (err) {
+        console.error('Migration 014 (down) failed:', err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "014";
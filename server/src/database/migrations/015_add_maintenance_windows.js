@@ -0,0 +1,79 @@
+/**
+ * Migration to add maintenance windows for PostgreSQL
+ */
+const UP_MIGRATION = `
+-- Maintenance windows: one-off ('single'), weekly ('weekday') or cron based ('cron')
+CREATE TABLE IF NOT EXISTS maintenance_windows (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    strategy TEXT NOT NULL DEFAULT 'single',
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    start_date TIMESTAMP WITH TIME ZONE, -- single: window start, recurring: optional first day the schedule applies
+    end_date TIMESTAMP WITH TIME ZONE, -- single: window end, recurring: optional last day the schedule applies
+    weekdays INTEGER[], -- weekday: 0 (Sunday) to 6 (Saturday)
+    start_time TEXT, -- weekday: HH:mm in the window's timezone
+    duration_minutes INTEGER, -- weekday and cron: length of each occurrence
+    cron_expression TEXT, -- cron: 5-field expression for the start of each occurrence
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Monitors covered by each window
+CREATE TABLE IF NOT EXISTS maintenance_window_monitors (
+    maintenance_window_id INTEGER NOT NULL,
+    website_id INTEGER NOT NULL,
+    PRIMARY KEY (maintenance_window_id, website_id),
+    FOREIGN KEY (maintenance_window_id) REFERENCES maintenance_windows(id) ON DELETE CASCADE,
+    FOREIGN KEY (website_id) REFERENCES monitored_websites(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_window_monitors_website ON maintenance_window_monitors(website_id);
+
+-- Whether the latest check of a monitor happened during maintenance
+ALTER TABLE website_status
+ADD COLUMN IF NOT EXISTS in_maintenance BOOLEAN NOT NULL DEFAULT FALSE;
+`;
+
+const DOWN_MIGRATION = `
+ALTER TABLE website_status
+DROP COLUMN IF EXISTS in_maintenance;
+DROP TABLE IF EXISTS maintenance_window_monitors;
+DROP TABLE IF EXISTS maintenance_windows;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        const statements = UP_MIGRATION.split(';').map(s => s.trim()).filter(s => s.length > 0);
+        for (const statement of statements) {
+            await db.query(statement);
+        }
+    } catch (err) {
+        console.error('Migration 015 (up) failed:', err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+    } catch (err) {
+        console.error('Migration 015 (down) failed:', err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "015";
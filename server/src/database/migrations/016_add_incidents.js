@@ -0,0 +1,57 @@
+/**
+ * Migration to add incident records (one per DOWN period of a monitor) for PostgreSQL
+ */
+const UP_MIGRATION = `
+CREATE TABLE IF NOT EXISTS incidents (
+    id SERIAL PRIMARY KEY,
+    website_id INTEGER NOT NULL REFERENCES monitored_websites(id) ON DELETE CASCADE,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ, -- NULL while the incident is open
+    duration_seconds INTEGER, -- Set when the incident is resolved
+    error_type TEXT, -- Error of the check that opened the incident
+    error_message TEXT,
+    status_code INTEGER,
+    failed_checks INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_incidents_website_started ON incidents (website_id, started_at DESC);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_incidents_one_open_per_website ON incidents (website_id) WHERE resolved_at IS NULL;
+`;
+
+const DOWN_MIGRATION = `
+DROP TABLE IF EXISTS incidents;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        const statements = UP_MIGRATION.split(';').map(s => s.trim()).filter(s => s.length > 0);
+        for (const statement of statements) {
+            await db.query(statement);
+        }
+    } catch (err) {
+        console.error('Migration 016 (up) failed:', err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+    } catch (err) {
+        console.error('Migration 016 (down) failed:', err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "016";
@@ -0,0 +1,74 @@
+/**
+ * Migration to add notification channels with per-monitor assignment for PostgreSQL.
+ * The global webhook from notification_settings becomes a default channel for every user.
+ */
+const UP_MIGRATION = `
+CREATE TABLE IF NOT EXISTS notification_channels (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL, -- Provider type, e.g. webhook
+    config JSONB NOT NULL DEFAULT '{}', -- Provider specific settings (URL, credentials, ...)
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE, -- Attached to new monitors automatically
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS monitor_notification_channels (
+    website_id INTEGER NOT NULL REFERENCES monitored_websites(id) ON DELETE CASCADE,
+    channel_id INTEGER NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+    PRIMARY KEY (website_id, channel_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_monitor_notification_channels_channel ON monitor_notification_channels (channel_id);
+
+INSERT INTO notification_channels (user_id, name, type, config, enabled, is_default)
+SELECT u.id, 'Webhook', 'webhook', jsonb_build_object('url', ns.webhook_url), ns.webhook_enabled, TRUE
+FROM users u
+CROSS JOIN notification_settings ns
+WHERE ns.id = 1 AND COALESCE(ns.webhook_url, '') <> '';
+
+INSERT INTO monitor_notification_channels (website_id, channel_id)
+SELECT w.id, nc.id
+FROM monitored_websites w
+JOIN notification_channels nc ON nc.user_id = w.user_id;
+`;
+
+const DOWN_MIGRATION = `
+DROP TABLE IF EXISTS monitor_notification_channels;
+DROP TABLE IF EXISTS notification_channels;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        const statements = UP_MIGRATION.split(';').map(s => s.trim()).filter(s => s.length > 0);
+        for (const statement of statements) {
+            await db.query(statement);
+        }
+    } catch (err) {
+        console.error('Migration 017 (up) failed:', err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+    } catch (err) {
+        console.error('Migration 017 (down) failed:', err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "017";
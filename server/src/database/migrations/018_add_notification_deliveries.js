@@ -0,0 +1,81 @@
+/**
+ * Migration to add the notification delivery log (one row per notification and channel,
+ * plus one row per send attempt) for PostgreSQL
+ */
+const UP_MIGRATION = `
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel_id INTEGER REFERENCES notification_channels(id) ON DELETE SET NULL, -- NULL once the channel is deleted
+    channel_name TEXT NOT NULL,
+    channel_type TEXT NOT NULL,
+    website_id INTEGER REFERENCES monitored_websites(id) ON DELETE CASCADE, -- NULL for test notifications
+    event TEXT NOT NULL, -- down, up or test
+    target TEXT, -- Where the notification is sent, e.g. the webhook URL
+    payload JSONB NOT NULL, -- Notification passed to the provider, reused for retries
+    status TEXT NOT NULL DEFAULT 'pending', -- pending, retrying, delivered or dead
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    next_attempt_at TIMESTAMPTZ, -- Set while retrying
+    last_status_code INTEGER,
+    last_latency_ms INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user_created ON notification_deliveries (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_retry ON notification_deliveries (next_attempt_at) WHERE status = 'retrying';
+
+CREATE TABLE IF NOT EXISTS notification_delivery_attempts (
+    id SERIAL PRIMARY KEY,
+    delivery_id INTEGER NOT NULL REFERENCES notification_deliveries(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    attempted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    status_code INTEGER, -- HTTP status of the response, NULL when there was none
+    latency_ms INTEGER,
+    error TEXT -- NULL when the attempt succeeded
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_delivery_attempts_delivery ON notification_delivery_attempts (delivery_id, attempt);
+`;
+
+const DOWN_MIGRATION = `
+DROP TABLE IF EXISTS notification_delivery_attempts;
+DROP TABLE IF EXISTS notification_deliveries;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        const statements = UP_MIGRATION.split(';').map(s => s.trim()).filter(s => s.length > 0);
+        for (const statement of statements) {
+            await db.query(statement);
+        }
+    } catch (err) {
+        console.error('Migration 018 (up) failed:', err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+    } catch (err) {
+        console.error('Migration 018 (down) failed:', err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "018";
@@ -0,0 +1,57 @@
+/**
+ * Migration to add the confirmation thresholds (consecutive failures before DOWN, consecutive
+ * successes before UP) and the counters they are checked against for PostgreSQL
+ */
+const UP_MIGRATION = `
+ALTER TABLE monitored_websites
+ADD COLUMN IF NOT EXISTS down_after_failures INTEGER NOT NULL DEFAULT 1, -- Consecutive failed checks before the monitor is DOWN
+ADD COLUMN IF NOT EXISTS up_after_successes INTEGER NOT NULL DEFAULT 1; -- Consecutive successful checks before the monitor is UP again
+
+ALTER TABLE website_status
+ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS consecutive_successes INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS is_pending BOOLEAN NOT NULL DEFAULT FALSE; -- The last check disagrees with is_up, but the threshold is not reached yet
+`;
+
+const DOWN_MIGRATION = `
+ALTER TABLE website_status
+DROP COLUMN IF EXISTS consecutive_failures,
+DROP COLUMN IF EXISTS consecutive_successes,
+DROP COLUMN IF EXISTS is_pending;
+
+ALTER TABLE monitored_websites
+DROP COLUMN IF EXISTS down_after_failures,
+DROP COLUMN IF EXISTS up_after_successes;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Confirmation threshold columns added to monitored_websites and website_status.");
+    } catch (err) {
+        console.error("Migration 019 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Confirmation threshold columns dropped from monitored_websites and website_status.");
+    } catch (err) {
+        console.error("Migration 019 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "019";
@@ -0,0 +1,60 @@
+/**
+ * Migration to add flapping detection (too many status changes within a sliding window) for PostgreSQL
+ */
+const UP_MIGRATION = `
+ALTER TABLE monitored_websites
+ADD COLUMN IF NOT EXISTS flap_threshold INTEGER NOT NULL DEFAULT 0, -- Status changes within the window that start flapping, 0 = disabled
+ADD COLUMN IF NOT EXISTS flap_window_minutes INTEGER NOT NULL DEFAULT 30;
+
+ALTER TABLE website_status
+ADD COLUMN IF NOT EXISTS is_flapping BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS state_changes JSONB NOT NULL DEFAULT '[]'; -- Timestamps of the confirmed status changes within the window
+
+ALTER TABLE heartbeats
+ADD COLUMN IF NOT EXISTS flapping BOOLEAN NOT NULL DEFAULT FALSE; -- Recorded while the monitor was flapping
+`;
+
+const DOWN_MIGRATION = `
+ALTER TABLE heartbeats
+DROP COLUMN IF EXISTS flapping;
+
+ALTER TABLE website_status
+DROP COLUMN IF EXISTS is_flapping,
+DROP COLUMN IF EXISTS state_changes;
+
+ALTER TABLE monitored_websites
+DROP COLUMN IF EXISTS flap_threshold,
+DROP COLUMN IF EXISTS flap_window_minutes;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Flapping detection columns added to monitored_websites, website_status and heartbeats.");
+    } catch (err) {
+        console.error("Migration 020 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Flapping detection columns dropped from monitored_websites, website_status and heartbeats.");
+    } catch (err) {
+        console.error("Migration 020 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "020";
@@ -0,0 +1,69 @@
+/**
+ * Migration to add repeat notifications while a monitor is down and escalation policies for PostgreSQL
+ */
+const UP_MIGRATION = `
+CREATE TABLE IF NOT EXISTS escalation_policies (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    steps JSONB NOT NULL DEFAULT '[]', -- Ordered steps: [{ delay_minutes, channel_ids }]
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE monitored_websites
+ADD COLUMN IF NOT EXISTS renotify_interval_minutes INTEGER NOT NULL DEFAULT 0, -- 0 = notify once per outage
+ADD COLUMN IF NOT EXISTS escalation_policy_id INTEGER REFERENCES escalation_policies(id) ON DELETE SET NULL;
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS last_notified_at TIMESTAMPTZ, -- Last repeat notification, NULL until the first one
+ADD COLUMN IF NOT EXISTS escalation_step INTEGER NOT NULL DEFAULT 0, -- Number of escalation steps already notified
+ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMPTZ, -- Marked as handled: stops repeats and escalation
+ADD COLUMN IF NOT EXISTS acknowledged_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+`;
+
+const DOWN_MIGRATION = `
+ALTER TABLE incidents
+DROP COLUMN IF EXISTS last_notified_at,
+DROP COLUMN IF EXISTS escalation_step,
+DROP COLUMN IF EXISTS acknowledged_at,
+DROP COLUMN IF EXISTS acknowledged_by;
+
+ALTER TABLE monitored_websites
+DROP COLUMN IF EXISTS renotify_interval_minutes,
+DROP COLUMN IF EXISTS escalation_policy_id;
+
+DROP TABLE IF EXISTS escalation_policies;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Escalation policies table and repeat notification columns added.");
+    } catch (err) {
+        console.error("Migration 021 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Escalation policies table and repeat notification columns dropped.");
+    } catch (err) {
+        console.error("Migration 021 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "021";
@@ -0,0 +1,46 @@
+/**
+ * Migration to add the note and the name given when acknowledging an outage for PostgreSQL
+ */
+const UP_MIGRATION = `
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS acknowledgement_note TEXT, -- Optional note left when acknowledging
+ADD COLUMN IF NOT EXISTS acknowledged_by_name TEXT; -- Name given when acknowledged through the link in an alert (no user)
+`;
+
+const DOWN_MIGRATION = `
+ALTER TABLE incidents
+DROP COLUMN IF EXISTS acknowledgement_note,
+DROP COLUMN IF EXISTS acknowledged_by_name;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Acknowledgement note columns added to incidents table.");
+    } catch (err) {
+        console.error("Migration 022 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Acknowledgement note columns dropped from incidents table.");
+    } catch (err) {
+        console.error("Migration 022 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "022";
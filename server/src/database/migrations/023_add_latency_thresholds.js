@@ -0,0 +1,73 @@
+/**
+ * Migration to add response-time thresholds (DEGRADED status) and slow incidents for PostgreSQL
+ */
+const UP_MIGRATION = `
+ALTER TABLE monitored_websites
+ADD COLUMN IF NOT EXISTS latency_warning_ms INTEGER NOT NULL DEFAULT 0, -- 0 = no warning threshold
+ADD COLUMN IF NOT EXISTS latency_critical_ms INTEGER NOT NULL DEFAULT 0, -- 0 = no critical threshold
+ADD COLUMN IF NOT EXISTS latency_evaluation TEXT NOT NULL DEFAULT 'checks', -- 'checks': all of the last N checks, 'p95': p95 of a window
+ADD COLUMN IF NOT EXISTS latency_checks INTEGER NOT NULL DEFAULT 3,
+ADD COLUMN IF NOT EXISTS latency_window_minutes INTEGER NOT NULL DEFAULT 10;
+
+ALTER TABLE website_status
+ADD COLUMN IF NOT EXISTS latency_level TEXT; -- NULL, 'warning' or 'critical' while degraded
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'down', -- 'down' for outages, 'slow' for degraded periods
+ADD COLUMN IF NOT EXISTS response_time_ms INTEGER; -- Slowest evaluated response time of a slow incident
+
+DROP INDEX IF EXISTS idx_incidents_one_open_per_website;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_incidents_one_open_per_website_type ON incidents (website_id, type) WHERE resolved_at IS NULL;
+`;
+
+const DOWN_MIGRATION = `
+DELETE FROM incidents WHERE type = 'slow';
+DROP INDEX IF EXISTS idx_incidents_one_open_per_website_type;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_incidents_one_open_per_website ON incidents (website_id) WHERE resolved_at IS NULL;
+
+ALTER TABLE incidents
+DROP COLUMN IF EXISTS type,
+DROP COLUMN IF EXISTS response_time_ms;
+
+ALTER TABLE website_status
+DROP COLUMN IF EXISTS latency_level;
+
+ALTER TABLE monitored_websites
+DROP COLUMN IF EXISTS latency_warning_ms,
+DROP COLUMN IF EXISTS latency_critical_ms,
+DROP COLUMN IF EXISTS latency_evaluation,
+DROP COLUMN IF EXISTS latency_checks,
+DROP COLUMN IF EXISTS latency_window_minutes;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Latency threshold columns and slow incidents added.");
+    } catch (err) {
+        console.error("Migration 023 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Latency threshold columns and slow incidents dropped.");
+    } catch (err) {
+        console.error("Migration 023 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "023";
@@ -0,0 +1,58 @@
+/**
+ * Migration to keep the latest TLS certificate seen by each HTTPS monitor for PostgreSQL
+ */
+const UP_MIGRATION = `
+CREATE TABLE IF NOT EXISTS website_certificates (
+    website_id INTEGER PRIMARY KEY REFERENCES monitored_websites(id) ON DELETE CASCADE,
+    subject TEXT, -- Common name, or the full subject when there is none
+    subject_alt_names JSONB NOT NULL DEFAULT '[]', -- e.g. ["DNS:example.com", "IP Address:10.0.0.1"]
+    issuer TEXT,
+    issuer_chain JSONB NOT NULL DEFAULT '[]', -- Issuers up to the root: [{ subject, issuer, serialNumber, fingerprint256, validTo }]
+    serial_number TEXT,
+    fingerprint_sha256 TEXT,
+    valid_from TIMESTAMPTZ,
+    valid_to TIMESTAMPTZ,
+    key_type TEXT, -- 'RSA', 'EC', 'Ed25519', ...
+    key_bits INTEGER,
+    signature_algorithm TEXT, -- e.g. 'sha256WithRSAEncryption'
+    is_valid BOOLEAN, -- Trusted by the monitoring server
+    validation_error TEXT, -- Why it is not trusted
+    checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+)
+`;
+
+const DOWN_MIGRATION = `
+DROP TABLE IF EXISTS website_certificates
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Table 'website_certificates' created.");
+    } catch (err) {
+        console.error("Migration 024 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Table 'website_certificates' dropped.");
+    } catch (err) {
+        console.error("Migration 024 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "024";
@@ -0,0 +1,48 @@
+/**
+ * Migration to record which certificate expiry notifications were sent, once per certificate and threshold, for PostgreSQL
+ */
+const UP_MIGRATION = `
+CREATE TABLE IF NOT EXISTS certificate_expiry_notifications (
+    website_id INTEGER NOT NULL REFERENCES monitored_websites(id) ON DELETE CASCADE,
+    serial_number TEXT NOT NULL, -- A renewed certificate has a new serial and is notified again
+    threshold_days INTEGER NOT NULL,
+    notified_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (website_id, serial_number, threshold_days)
+)
+`;
+
+const DOWN_MIGRATION = `
+DROP TABLE IF EXISTS certificate_expiry_notifications
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Table 'certificate_expiry_notifications' created.");
+    } catch (err) {
+        console.error("Migration 025 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Table 'certificate_expiry_notifications' dropped.");
+    } catch (err) {
+        console.error("Migration 025 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "025";
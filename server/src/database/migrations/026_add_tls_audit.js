@@ -0,0 +1,56 @@
+/**
+ * Migration to keep the TLS audit of HTTPS monitors (protocol, cipher, legacy protocols, findings) for PostgreSQL
+ */
+const UP_MIGRATION = `
+ALTER TABLE website_certificates
+ADD COLUMN IF NOT EXISTS tls_protocol TEXT, -- Negotiated protocol, e.g. 'TLSv1.3'
+ADD COLUMN IF NOT EXISTS tls_cipher TEXT, -- Negotiated cipher, e.g. 'TLS_AES_256_GCM_SHA384'
+ADD COLUMN IF NOT EXISTS legacy_protocols JSONB NOT NULL DEFAULT '[]', -- Accepted legacy protocols, e.g. ["TLSv1", "TLSv1.1"]
+ADD COLUMN IF NOT EXISTS tls_findings JSONB NOT NULL DEFAULT '[]'; -- [{ type, severity, message }]
+
+ALTER TABLE website_status
+ADD COLUMN IF NOT EXISTS tls_degraded BOOLEAN NOT NULL DEFAULT FALSE; -- Up, but DEGRADED by a TLS audit finding
+`;
+
+const DOWN_MIGRATION = `
+ALTER TABLE website_status
+DROP COLUMN IF EXISTS tls_degraded;
+
+ALTER TABLE website_certificates
+DROP COLUMN IF EXISTS tls_protocol,
+DROP COLUMN IF EXISTS tls_cipher,
+DROP COLUMN IF EXISTS legacy_protocols,
+DROP COLUMN IF EXISTS tls_findings;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Columns for the TLS audit added to 'website_certificates' and 'website_status'.");
+    } catch (err) {
+        console.error("Migration 026 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Columns for the TLS audit removed from 'website_certificates' and 'website_status'.");
+    } catch (err) {
+        console.error("Migration 026 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "026";
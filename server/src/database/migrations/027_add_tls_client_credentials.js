@@ -0,0 +1,50 @@
+/**
+ * Migration to add client certificates (mutual TLS) and custom CA bundles to HTTPS monitors for PostgreSQL
+ */
+const UP_MIGRATION = `
+ALTER TABLE monitored_websites
+ADD COLUMN IF NOT EXISTS tls_client_cert TEXT, -- PEM client certificate, optionally followed by its intermediates
+ADD COLUMN IF NOT EXISTS tls_client_key TEXT, -- PEM private key, encrypted with utils/secrets
+ADD COLUMN IF NOT EXISTS tls_client_key_passphrase TEXT, -- Encrypted with utils/secrets
+ADD COLUMN IF NOT EXISTS tls_ca_bundle TEXT -- PEM certificates trusted besides the public roots
+`;
+
+const DOWN_MIGRATION = `
+ALTER TABLE monitored_websites
+DROP COLUMN IF EXISTS tls_client_cert,
+DROP COLUMN IF EXISTS tls_client_key,
+DROP COLUMN IF EXISTS tls_client_key_passphrase,
+DROP COLUMN IF EXISTS tls_ca_bundle
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Columns for client certificates and CA bundles added to 'monitored_websites'.");
+    } catch (err) {
+        console.error("Migration 027 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Columns for client certificates and CA bundles removed from 'monitored_websites'.");
+    } catch (err) {
+        console.error("Migration 027 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "027";
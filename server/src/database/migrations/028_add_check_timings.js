@@ -0,0 +1,101 @@
+/**
+ * Migration to keep the time spent in each phase of a check (DNS, connect, TLS, TTFB, download)
+ * per check and as averages in the stat tables for PostgreSQL
+ */
+const UP_MIGRATION = `
+ALTER TABLE monitoring_history
+ADD COLUMN IF NOT EXISTS dns_ms INTEGER, -- DNS lookup
+ADD COLUMN IF NOT EXISTS connect_ms INTEGER, -- TCP connect
+ADD COLUMN IF NOT EXISTS tls_ms INTEGER, -- TLS handshake
+ADD COLUMN IF NOT EXISTS ttfb_ms INTEGER, -- Request sent until the first byte of the response
+ADD COLUMN IF NOT EXISTS download_ms INTEGER; -- First byte until the response was read
+
+ALTER TABLE stat_minutely
+ADD COLUMN IF NOT EXISTS timing_count INTEGER NOT NULL DEFAULT 0, -- Checks with timings in the averages below
+ADD COLUMN IF NOT EXISTS avg_dns_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_connect_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_tls_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_ttfb_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_download_ms REAL;
+
+ALTER TABLE stat_hourly
+ADD COLUMN IF NOT EXISTS timing_count INTEGER NOT NULL DEFAULT 0, -- Checks with timings in the averages below
+ADD COLUMN IF NOT EXISTS avg_dns_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_connect_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_tls_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_ttfb_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_download_ms REAL;
+
+ALTER TABLE stat_daily
+ADD COLUMN IF NOT EXISTS timing_count INTEGER NOT NULL DEFAULT 0, -- Checks with timings in the averages below
+ADD COLUMN IF NOT EXISTS avg_dns_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_connect_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_tls_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_ttfb_ms REAL,
+ADD COLUMN IF NOT EXISTS avg_download_ms REAL;
+`;
+
+const DOWN_MIGRATION = `
+ALTER TABLE stat_daily
+DROP COLUMN IF EXISTS timing_count,
+DROP COLUMN IF EXISTS avg_dns_ms,
+DROP COLUMN IF EXISTS avg_connect_ms,
+DROP COLUMN IF EXISTS avg_tls_ms,
+DROP COLUMN IF EXISTS avg_ttfb_ms,
+DROP COLUMN IF EXISTS avg_download_ms;
+
+ALTER TABLE stat_hourly
+DROP COLUMN IF EXISTS timing_count,
+DROP COLUMN IF EXISTS avg_dns_ms,
+DROP COLUMN IF EXISTS avg_connect_ms,
+DROP COLUMN IF EXISTS avg_tls_ms,
+DROP COLUMN IF EXISTS avg_ttfb_ms,
+DROP COLUMN IF EXISTS avg_download_ms;
+
+ALTER TABLE stat_minutely
+DROP COLUMN IF EXISTS timing_count,
+DROP COLUMN IF EXISTS avg_dns_ms,
+DROP COLUMN IF EXISTS avg_connect_ms,
+DROP COLUMN IF EXISTS avg_tls_ms,
+DROP COLUMN IF EXISTS avg_ttfb_ms,
+DROP COLUMN IF EXISTS avg_download_ms;
+
+ALTER TABLE monitoring_history
+DROP COLUMN IF EXISTS dns_ms,
+DROP COLUMN IF EXISTS connect_ms,
+DROP COLUMN IF EXISTS tls_ms,
+DROP COLUMN IF EXISTS ttfb_ms,
+DROP COLUMN IF EXISTS download_ms;
+`;
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        await db.query(UP_MIGRATION);
+        console.log("Check timing columns added to 'monitoring_history' and the stat tables.");
+    } catch (err) {
+        console.error("Migration 028 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        await db.query(DOWN_MIGRATION);
+        console.log("Check timing columns removed from 'monitoring_history' and the stat tables.");
+    } catch (err) {
+        console.error("Migration 028 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "028";
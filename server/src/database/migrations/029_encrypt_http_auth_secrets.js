@@ -0,0 +1,57 @@
+/**
+ * Migration to encrypt the basic auth passwords and bearer tokens stored in plain text, with the
+ * same key as the TLS client keys (utils/secrets), for PostgreSQL
+ */
+const { encryptSecret, decryptSecret } = require('../../utils/secrets');
+
+const SECRET_COLUMNS = ['basic_auth_pass', 'bearer_token'];
+
+/**
+ * Rewrites the stored secrets of every monitor
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @param {function(string): string} transform Turns a stored value into the new one
+ * @returns {Promise<number>} Number of monitors updated
+ */
+const rewriteSecrets = async (db, transform) => {
+    const result = await db.query(`
+        SELECT id, basic_auth_pass, bearer_token FROM monitored_websites
+        WHERE basic_auth_pass IS NOT NULL OR bearer_token IS NOT NULL
+    `);
+    for (const row of result.rows) {
+        const values = SECRET_COLUMNS.map(column => (row[column] === null ? null : transform(row[column])));
+        await db.query('UPDATE monitored_websites SET basic_auth_pass = $1, bearer_token = $2 WHERE id = $3', [...values, row.id]);
+    }
+    return result.rows.length;
+};
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        const count = await rewriteSecrets(db, encryptSecret);
+        console.log(`Basic auth passwords and bearer tokens of ${count} monitor(s) encrypted.`);
+    } catch (err) {
+        console.error("Migration 029 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        const count = await rewriteSecrets(db, decryptSecret);
+        console.log(`Basic auth passwords and bearer tokens of ${count} monitor(s) decrypted.`);
+    } catch (err) {
+        console.error("Migration 029 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "029";
@@ -0,0 +1,56 @@
+/**
+ * Migration to encrypt the credentials stored in plain text in the config of notification channels
+ * (SMTP passwords, bot and API tokens, routing keys, webhook signing secrets), with the same key
+ * as the monitor secrets (utils/secrets), for PostgreSQL
+ */
+const { encryptChannelSecrets, decryptChannelSecrets, getSecretFields } = require('../../alerting/channelSecrets');
+
+/**
+ * Rewrites the config of every notification channel whose type has secrets
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @param {function(string, object): object} transform Turns a stored config into the new one
+ * @returns {Promise<number>} Number of channels updated
+ */
+const rewriteSecrets = async (db, transform) => {
+    const result = await db.query('SELECT id, type, config FROM notification_channels');
+    const rows = result.rows.filter(row => getSecretFields(row.type).some(field => row.config?.[field]));
+    for (const row of rows) {
+        await db.query('UPDATE notification_channels SET config = $1 WHERE id = $2', [
+            JSON.stringify(transform(row.type, row.config)),
+            row.id,
+        ]);
+    }
+    return rows.length;
+};
+
+/**
+ * Applies the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.up = async (db) => {
+    try {
+        const count = await rewriteSecrets(db, encryptChannelSecrets);
+        console.log(`Secrets of ${count} notification channel(s) encrypted.`);
+    } catch (err) {
+        console.error("Migration 030 (up) failed:", err);
+        throw err;
+    }
+};
+
+/**
+ * Reverts the migration
+ * @param {import('pg').PoolClient | import('pg').Pool} db - The pg Pool instance or a PoolClient for transactions
+ * @returns {Promise<void>}
+ */
+exports.down = async (db) => {
+    try {
+        const count = await rewriteSecrets(db, decryptChannelSecrets);
+        console.log(`Secrets of ${count} notification channel(s) decrypted.`);
+    } catch (err) {
+        console.error("Migration 030 (down) failed:", err);
+        throw err;
+    }
+};
+
+exports.MIGRATION_VERSION = "030";
@@ -2,24 +2,121 @@ const axios = require('axios');
 const UptimeCalculator = require('../services/UptimeCalculator');
  const { log } = require('../utils/logger');
  const dayjs = require('dayjs');
- const https = require('https');
+ const net = require('net');
+ const dns = require('dns');
  const tls = require('tls');
  const db = require('../database/db'); // Import database functions
  const { triggerWebhookAlert } = require('../alerting/webhook'); // Import alert function
+ const jsonQuery = require('../utils/json-query');
+ const { describeCertificate } = require('../utils/certificate');
+ const { auditTls, LEGACY_PROTOCOLS } = require('../utils/tlsAudit');
+ const { decryptSecret } = require('../utils/secrets');
+ const { createTimedAgents } = require('../utils/timings');
+ const { getActiveMaintenanceWindow } = require('./maintenance');
 
 // Monitor types
 const MONITOR_HTTP = 'http';
 const MONITOR_HTTPS = 'https';
 const MONITOR_KEYWORD = 'keyword';
+const MONITOR_PORT = 'port';
+const MONITOR_DNS = 'dns';
+const MONITOR_JSON_QUERY = 'json-query';
+const MONITOR_PUSH = 'push';
+
+// Extra time a push monitor gets after its interval before it is marked down
+const DEFAULT_PUSH_GRACE_SECONDS = 60;
+
+// Days before a certificate expires at which HTTPS monitors notify, unless configured per monitor
+const DEFAULT_EXPIRY_NOTIFY_DAYS = [30, 14, 7, 1];
+
+// Legacy protocol support rarely changes, so each host and port is probed for it once a day
+const LEGACY_PROTOCOL_PROBE_TTL_MS = 24 * 60 * 60 * 1000;
+// Legacy protocol probes by "hostname:port" { probedAt, legacyProtocols: Promise<Array<string>> }
+const legacyProtocolProbes = new Map();
+
+// DNS record types supported by the dns monitor, mapped to the Resolver method that fetches them
+const DNS_RESOLVERS = {
+    A: 'resolve4',
+    AAAA: 'resolve6',
+    CNAME: 'resolveCname',
+    MX: 'resolveMx',
+    TXT: 'resolveTxt',
+    NS: 'resolveNs',
+    SOA: 'resolveSoa',
+};
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36 UptimeFelMonitor/1.0';
 
 // Status constants
 const UP = 1;
 const DOWN = 0;
-const PENDING = 2; // Maybe map certain errors to PENDING later?
-const MAINTENANCE = 3; // Not handled by checker currently
+const PENDING = 2; // The check disagrees with the current status, but the confirmation threshold is not reached yet
+const MAINTENANCE = 3; // Recorded while a maintenance window is active
+const DEGRADED = 4; // Up, but the response time is at or above a latency threshold
 
 /**
- * Creates an axios instance with configurable timeout and redirects
+ * Gets the client certificate (mutual TLS) and CA bundle of an HTTPS monitor as TLS options, with the
+ * client key decrypted. The CA bundle is trusted besides the public roots.
+ * @param {object} website Website configuration { id, monitorType, tls_client_cert, tls_ca_bundle }
+ * @returns {Promise<object>} Options for https.Agent and tls.connect { cert, key, passphrase, ca }, empty without credentials
+ * @throws {Error} When the stored client key cannot be decrypted
+ */
+const getTlsOptions = async (website) => {
+    if (website.monitorType !== MONITOR_HTTPS || (!website.tls_client_cert && !website.tls_ca_bundle)) {
+        return {};
+    }
+    const credentials = await db.getWebsiteTlsCredentials(website.id);
+    const options = {};
+    if (credentials?.tls_ca_bundle) {
+        options.ca = [...tls.rootCertificates, credentials.tls_ca_bundle];
+    }
+    if (credentials?.tls_client_cert && credentials.tls_client_key) {
+        options.cert = credentials.tls_client_cert;
+        options.key = decryptSecret(credentials.tls_client_key);
+        if (credentials.tls_client_key_passphrase) {
+            options.passphrase = decryptSecret(credentials.tls_client_key_passphrase);
+        }
+    }
+    return options;
+};
+
+/**
+ * Gets the basic auth password or bearer token of a monitor, decrypted
+ * @param {object} website Website configuration { id, auth_method }
+ * @returns {Promise<{password?: string, bearerToken?: string}>} Empty without basic or bearer auth
+ * @throws {Error} When the stored secret cannot be decrypted
+ */
+const getAuthCredentials = async (website) => {
+    if (website.auth_method !== 'basic' && website.auth_method !== 'bearer') {
+        return {};
+    }
+    const stored = await db.getWebsiteAuthCredentials(website.id);
+    if (website.auth_method === 'basic') {
+        return { password: stored?.basic_auth_pass ? decryptSecret(stored.basic_auth_pass) : '' };
+    }
+    return { bearerToken: stored?.bearer_token ? decryptSecret(stored.bearer_token) : '' };
+};
+
+/**
+ * Gets the https.Agent options of a monitor: certificate validation and the client certificate
+ * @param {object} website Website configuration
+ * @param {object} [tlsOptions={}] Client certificate and CA bundle from getTlsOptions
+ * @returns {object} https.Agent options, empty for the defaults
+ */
+const getHttpsAgentOptions = (website, tlsOptions = {}) => {
+    const verifySSL = getMonitorConfig(website).verifySSL !== false;
+    if (website.monitorType !== MONITOR_HTTPS || (verifySSL && Object.keys(tlsOptions).length === 0)) {
+        return {};
+    }
+    return {
+        ...tlsOptions,
+        rejectUnauthorized: verifySSL
+    };
+};
+
+/**
+ * Creates an axios instance with configurable timeout and redirects. The agents are set per
+ * attempt by performCheckWithRetries, which times the connections they open.
  * @param {object} website Website configuration
  * @returns {import('axios').AxiosInstance}
  */
@@ -31,18 +128,55 @@ const createAxiosInstance = (website) => {
             return status >= 100 && status < 600;
         },
         headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36 UptimeFelMonitor/1.0'
+            'User-Agent': website.user_agent || DEFAULT_USER_AGENT
         }
     };
 
-    // For HTTPS monitoring, configure certificate validation
-    if (website.monitor_type === MONITOR_HTTPS && website.monitor_config?.verifySSL === false) {
-        config.httpsAgent = new https.Agent({
-            rejectUnauthorized: false
-        });
+    return axios.create(config);
+};
+
+/**
+ * Builds the axios request config from the monitor's method, body, headers and auth settings
+ * @param {object} website Website configuration
+ * @param {object} [credentials={}] Password or bearer token from getAuthCredentials
+ * @returns {import('axios').AxiosRequestConfig}
+ */
+const buildRequestConfig = (website, credentials = {}) => {
+    const method = (website.monitor_method || 'GET').toUpperCase();
+    const headers = { ...(website.request_headers || {}) };
+    const hasHeader = (name) => Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase());
+    const requestConfig = { url: website.url, method, headers };
+
+    if (website.request_body && method !== 'GET' && method !== 'HEAD') {
+        const encoding = website.request_body_encoding || 'json';
+        if (encoding === 'json') {
+            requestConfig.data = JSON.parse(website.request_body);
+            if (!hasHeader('Content-Type')) headers['Content-Type'] = 'application/json';
+        } else if (encoding === 'form') {
+            // Accept either a JSON object or an already encoded a=1&b=2 string
+            let fields = null;
+            try {
+                fields = JSON.parse(website.request_body);
+            } catch (error) {
+                fields = null;
+            }
+            requestConfig.data = fields && typeof fields === 'object'
+                ? new URLSearchParams(fields).toString()
+                : website.request_body;
+            if (!hasHeader('Content-Type')) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        } else {
+            requestConfig.data = website.request_body;
+            if (!hasHeader('Content-Type')) headers['Content-Type'] = 'text/plain';
+        }
     }
 
-    return axios.create(config);
+    if (website.auth_method === 'basic') {
+        requestConfig.auth = { username: website.basic_auth_user || '', password: credentials.password || '' };
+    } else if (website.auth_method === 'bearer') {
+        headers['Authorization'] = `Bearer ${credentials.bearerToken || ''}`;
+    }
+
+    return requestConfig;
 };
 
 /**
@@ -121,13 +255,40 @@ const getRedirectInfo = (response, originalUrl) => {
     return { redirectCount, finalUrl };
 };
 
+/**
+ * Marks the result of a response with a status code that is not accepted as failed
+ * @param {object} result Result of the attempt (modified in place)
+ * @returns {object} The result
+ */
+const rejectStatus = (result) => {
+    result.isUp = false;
+    result.error_type = 'STATUS_ERROR';
+    result.error_message = `Server responded with status: ${result.statusCode}`;
+    return result;
+};
+
+/**
+ * Creates the error that ends a failed attempt of performCheckWithRetries. It carries the result of
+ * the attempt, so the status code, headers and timings of the response are kept rather than
+ * replaced by a generic request error.
+ * @param {object} result Failed result of the attempt
+ * @returns {Error}
+ */
+const createAttemptError = (result) => {
+    const error = new Error(result.error_message);
+    error.checkResult = result;
+    return error;
+};
+
 /**
  * Performs a check with retries
  * @param {object} website Website configuration
  * @param {import('axios').AxiosInstance} axiosInstance
- * @returns {Promise<object>} Check result
+ * @param {object} [httpsAgentOptions={}] https.Agent options from getHttpsAgentOptions
+ * @param {object} [credentials={}] Password or bearer token from getAuthCredentials
+ * @returns {Promise<object>} Check result, with the phases of the attempt in `timings` when a response was received
  */
- const performCheckWithRetries = async (website, axiosInstance) => {
+ const performCheckWithRetries = async (website, axiosInstance, httpsAgentOptions = {}, credentials = {}) => {
     // Removed log: log.info(`[Checker - Debug] Running check for Monitor ID: ${website.id}, Type: ${website.monitorType}, URL: ${website.url}`);
     const maxRetries = website.retry_count || 1;
     const acceptedRanges = parseAcceptedStatuses(website.accepted_statuses);
@@ -136,8 +297,9 @@ const getRedirectInfo = (response, originalUrl) => {
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         const startTime = Date.now();
+        const { httpAgent, httpsAgent, getTimings } = createTimedAgents(httpsAgentOptions);
         try {
-            const response = await axiosInstance.get(website.url);
+            const response = await axiosInstance.request({ ...buildRequestConfig(website, credentials), httpAgent, httpsAgent });
                const { redirectCount, finalUrl } = getRedirectInfo(response, website.url);
    
                // Removed log: log.info(`[Checker - Got Response] Monitor ID: ${website.id}, Status Code: ${response.status}`);
@@ -154,6 +316,7 @@ const getRedirectInfo = (response, originalUrl) => {
                 error_type: null,
                 error_message: null
             };
+            result.timings = getTimings(result.responseTimeMs);
 
              // *** Keyword Check Integration START ***
               // Use the monitorType alias here
@@ -185,25 +348,32 @@ const getRedirectInfo = (response, originalUrl) => {
                         result.isUp = false;
                         result.error_type = 'KEYWORD_MISMATCH';
                         result.error_message = `Keyword "${keyword}" check failed (found: ${keywordFound}, invert: ${invertKeyword})`;
-                        // Store this failed result and continue retries if applicable
-                        finalResult = result;
                         // Throw an error to trigger retry or final failure reporting
-                        throw new Error(result.error_message);
+                        throw createAttemptError(result);
                     }
                 } else {
                     // No keyword specified, treat as standard HTTP check
                     result.isUp = isStatusCodeAccepted(response.status, acceptedRanges);
                     if (!result.isUp) {
-                         finalResult = result;
-                         throw new Error(`Server responded with status: ${response.status}`);
+                         throw createAttemptError(rejectStatus(result));
                     }
                 }
+            } else if (website.monitorType === MONITOR_JSON_QUERY && isStatusCodeAccepted(response.status, acceptedRanges)) {
+                const assertion = checkJsonQuery(response.data, getMonitorConfig(website));
+                result.json_query_value = assertion.actual;
+                if (assertion.passed) {
+                    result.message = `OK (${result.statusCode}), ${assertion.message}`;
+                } else {
+                    result.isUp = false;
+                    result.error_type = assertion.error_type;
+                    result.error_message = assertion.message;
+                    throw createAttemptError(result);
+                }
             } else {
                  // For non-keyword types or if initial status code check failed
                  result.isUp = isStatusCodeAccepted(response.status, acceptedRanges);
                  if (!result.isUp) {
-                    finalResult = result;
-                    throw new Error(`Server responded with status: ${response.status}`);
+                    throw createAttemptError(rejectStatus(result));
                  }
             }
             // *** Keyword Check Integration END ***
@@ -214,8 +384,15 @@ const getRedirectInfo = (response, originalUrl) => {
 
 
         } catch (error) {
-            // Handle errors from axios request OR thrown by keyword check failure
+            // Handle errors from axios request OR thrown for a response that fails the check
             lastError = error;
+            if (error.checkResult) {
+                finalResult = error.checkResult;
+                if (attempt < maxRetries) {
+                    await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay between retries
+                }
+                continue;
+            }
             const errorResult = {
                 websiteId: website.id,
                 responseTimeMs: Date.now() - startTime,
@@ -227,6 +404,7 @@ const getRedirectInfo = (response, originalUrl) => {
             };
 
             if (error.response) {
+                errorResult.timings = getTimings(errorResult.responseTimeMs);
                 errorResult.statusCode = error.response.status;
                 errorResult.error_type = 'STATUS_ERROR';
                 errorResult.error_message = `Server responded with status: ${error.response.status}`;
@@ -264,35 +442,508 @@ const getRedirectInfo = (response, originalUrl) => {
 };
 
 /**
- * Checks SSL certificate details
+ * Evaluates the configured JSON query against a response body
+ * @param {any} body Response body (parsed by axios when the server sends JSON)
+ * @param {object} config Monitor configuration { jsonQuery, jsonOperator, expectedValue }
+ * @returns {{passed: boolean, actual: string|null, message: string, error_type: string|null}}
+ */
+const checkJsonQuery = (body, config) => {
+    const expression = config.jsonQuery || '$';
+    const operator = config.jsonOperator || '==';
+    const expected = config.expectedValue ?? '';
+
+    let data = body;
+    if (typeof body === 'string') {
+        try {
+            data = JSON.parse(body);
+        } catch (error) {
+            return { passed: false, actual: null, error_type: 'JSON_PARSE_ERROR', message: `Response is not valid JSON: ${error.message}` };
+        }
+    }
+
+    try {
+        const actual = jsonQuery.evaluate(data, expression);
+        const actualString = jsonQuery.formatValue(actual);
+        const passed = jsonQuery.compare(actual, operator, expected);
+        return {
+            passed,
+            actual: actual === undefined ? null : actualString,
+            error_type: passed ? null : 'JSON_QUERY_MISMATCH',
+            message: `JSON query ${expression} ${operator} "${expected}" ${passed ? 'passed' : 'failed'} (actual: ${actualString.slice(0, 200)})`
+        };
+    } catch (error) {
+        return { passed: false, actual: null, error_type: 'JSON_QUERY_ERROR', message: `JSON query ${expression} could not be evaluated: ${error.message}` };
+    }
+};
+
+/**
+ * Parses the monitor_config column, which may arrive as a JSON string or an object
+ * @param {object} website Website configuration
+ * @returns {object} Monitor configuration (empty object if not set)
+ */
+const getMonitorConfig = (website) => {
+    if (typeof website.monitor_config === 'string') {
+        try {
+            return JSON.parse(website.monitor_config || '{}');
+        } catch (error) {
+            log.warn(`[Checker] Invalid monitor_config for monitor ${website.id}: ${error.message}`);
+            return {};
+        }
+    }
+    return website.monitor_config || {};
+};
+
+/**
+ * Turns the escape sequences typed in the form (\r, \n, \t) into real characters
+ * @param {string} payload Payload as entered by the user
+ * @returns {string}
+ */
+const unescapePayload = (payload) => {
+    return payload.replace(/\\r/g, '\r').replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+};
+
+/**
+ * Opens a TCP connection to host:port, optionally sends a payload and matches the banner
+ * @param {object} website Website configuration (url is tcp://host:port)
+ * @returns {Promise<object>} Check result for a single attempt
+ */
+const checkPort = (website) => {
+    return new Promise((resolve) => {
+        const config = getMonitorConfig(website);
+        const timeout = website.timeout_ms || 10000;
+        let hostname, port, bannerRegex;
+        try {
+            ({ hostname, port } = new URL(website.url));
+            bannerRegex = config.bannerRegex ? new RegExp(config.bannerRegex) : null;
+        } catch (error) {
+            return resolve({
+                websiteId: website.id,
+                statusCode: -4,
+                responseTimeMs: 0,
+                isUp: false,
+                final_url: null,
+                headers: null,
+                redirect_count: 0,
+                error_type: 'REQUEST_ERROR',
+                error_message: `Invalid port monitor configuration: ${error.message}`
+            });
+        }
+        const startTime = Date.now();
+        let connectTimeMs = null;
+        let banner = '';
+        let settled = false;
+
+        // URL keeps the brackets around IPv6 literals, net.connect does not want them
+        const socket = net.connect({ host: hostname.replace(/^\[|\]$/g, ''), port: parseInt(port, 10) });
+        socket.setTimeout(timeout);
+
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            socket.destroy();
+            resolve({
+                websiteId: website.id,
+                statusCode: null,
+                responseTimeMs: connectTimeMs ?? (Date.now() - startTime),
+                final_url: null,
+                headers: null,
+                redirect_count: 0,
+                error_type: null,
+                error_message: null,
+                ...result
+            });
+        };
+
+        socket.on('connect', () => {
+            connectTimeMs = Date.now() - startTime;
+            if (config.payload) {
+                socket.write(unescapePayload(config.payload));
+            }
+            if (!bannerRegex) {
+                finish({ isUp: true, message: `Connected to ${hostname}:${port} in ${connectTimeMs}ms` });
+            }
+        });
+
+        socket.on('data', (chunk) => {
+            banner += chunk.toString('utf8');
+            if (bannerRegex && bannerRegex.test(banner)) {
+                finish({ isUp: true, message: `Banner matched: ${banner.trim().slice(0, 200)}` });
+            }
+        });
+
+        const bannerMismatch = () => finish({
+            isUp: false,
+            statusCode: -5,
+            error_type: 'BANNER_MISMATCH',
+            error_message: `Banner did not match /${config.bannerRegex}/ (received: ${banner.trim().slice(0, 200) || 'nothing'})`
+        });
+
+        socket.on('end', () => {
+            if (connectTimeMs !== null) {
+                bannerMismatch();
+            }
+        });
+
+        socket.on('timeout', () => {
+            if (connectTimeMs !== null) {
+                // Connected, but the expected banner never arrived
+                bannerMismatch();
+            } else {
+                finish({ isUp: false, statusCode: -1, error_type: 'TIMEOUT', error_message: 'Connection timed out' });
+            }
+        });
+
+        socket.on('error', (error) => {
+            if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
+                finish({ isUp: false, statusCode: -2, error_type: 'DNS_ERROR', error_message: 'DNS lookup failed' });
+            } else {
+                finish({ isUp: false, statusCode: -3, error_type: 'CONNECTION_ERROR', error_message: `Connection failed: ${error.code || error.message}` });
+            }
+        });
+    });
+};
+
+/**
+ * Runs a single-attempt check function with the website's retry settings
+ * @param {object} website Website configuration
+ * @param {function(object): Promise<object>} checkAttempt Performs one attempt and resolves with its result
+ * @returns {Promise<object>} Check result
+ */
+const performAttemptsWithRetries = async (website, checkAttempt) => {
+    const maxRetries = website.retry_count || 1;
+    let finalResult = null;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        finalResult = { ...(await checkAttempt(website)), retry_count: attempt };
+        if (finalResult.isUp) {
+            return finalResult;
+        }
+
+        // If this isn't the last attempt, wait before retrying
+        if (attempt < maxRetries) {
+            await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay between retries
+        }
+    }
+
+    return finalResult;
+};
+
+/**
+ * Normalizes DNS answers of any record type into comparable strings
+ * @param {string} recordType One of the DNS_RESOLVERS keys
+ * @param {Array|object} records Raw answer from dns.Resolver
+ * @returns {Array<string>} Sorted, de-duplicated answers
+ */
+const normalizeDnsAnswers = (recordType, records) => {
+    const normalizeName = (name) => String(name).trim().toLowerCase().replace(/\.$/, '');
+    let answers;
+
+    switch (recordType) {
+        case 'MX':
+            answers = records.map(mx => `${mx.priority} ${normalizeName(mx.exchange)}`);
+            break;
+        case 'TXT':
+            answers = records.map(chunks => chunks.join(''));
+            break;
+        case 'SOA':
+            answers = [`${normalizeName(records.nsname)} ${normalizeName(records.hostmaster)} ${records.serial} ${records.refresh} ${records.retry} ${records.expire} ${records.minttl}`];
+            break;
+        default: // A, AAAA, CNAME, NS
+            answers = records.map(normalizeName);
+    }
+
+    return [...new Set(answers)].sort();
+};
+
+/**
+ * Normalizes the expected values entered for a DNS monitor
+ * @param {string} recordType One of the DNS_RESOLVERS keys
+ * @param {Array<string>} expectedValues Values as entered by the user
+ * @returns {Array<string>} Sorted, de-duplicated values (blank lines removed)
+ */
+const normalizeExpectedDnsValues = (recordType, expectedValues = []) => {
+    const values = expectedValues
+        .map(value => String(value).trim())
+        .filter(value => value.length > 0)
+        .map(value => recordType === 'TXT' ? value : value.toLowerCase().replace(/\.$/, ''));
+    return [...new Set(values)].sort();
+};
+
+/**
+ * Resolves the monitored record against the configured resolver
+ * @param {object} website Website configuration (url is dns://hostname)
+ * @returns {Promise<object>} Check result for a single attempt
+ */
+const checkDns = async (website) => {
+    const config = getMonitorConfig(website);
+    const recordType = (config.recordType || 'A').toUpperCase();
+    const resolverServer = config.resolverServer || '1.1.1.1';
+    const resolverPort = parseInt(config.resolverPort, 10) || 53;
+    const baseResult = {
+        websiteId: website.id,
+        statusCode: null,
+        final_url: null,
+        headers: null,
+        redirect_count: 0,
+        error_type: null,
+        error_message: null,
+    };
+
+    let hostname;
+    try {
+        hostname = new URL(website.url).hostname;
+        if (!DNS_RESOLVERS[recordType]) {
+            throw new Error(`Unsupported record type ${recordType}`);
+        }
+    } catch (error) {
+        return {
+            ...baseResult,
+            statusCode: -4,
+            responseTimeMs: 0,
+            isUp: false,
+            error_type: 'REQUEST_ERROR',
+            error_message: `Invalid DNS monitor configuration: ${error.message}`
+        };
+    }
+
+    const resolver = new dns.promises.Resolver({ timeout: website.timeout_ms || 10000, tries: 1 });
+    const server = net.isIPv6(resolverServer) ? `[${resolverServer}]:${resolverPort}` : `${resolverServer}:${resolverPort}`;
+    resolver.setServers([server]);
+
+    const startTime = Date.now();
+    let records;
+    try {
+        records = await resolver[DNS_RESOLVERS[recordType]](hostname);
+    } catch (error) {
+        const responseTimeMs = Date.now() - startTime;
+        if (error.code === dns.TIMEOUT) {
+            return { ...baseResult, responseTimeMs, isUp: false, statusCode: -1, error_type: 'TIMEOUT', error_message: `DNS query to ${server} timed out` };
+        }
+        if (error.code === dns.CONNREFUSED) {
+            return { ...baseResult, responseTimeMs, isUp: false, statusCode: -3, error_type: 'CONNECTION_ERROR', error_message: `DNS server ${server} refused the connection` };
+        }
+        return { ...baseResult, responseTimeMs, isUp: false, statusCode: -2, error_type: 'DNS_ERROR', error_message: `${recordType} lookup for ${hostname} failed: ${error.code || error.message}` };
+    }
+    const responseTimeMs = Date.now() - startTime;
+
+    const answers = normalizeDnsAnswers(recordType, records);
+    const expected = normalizeExpectedDnsValues(recordType, config.expectedValues);
+    const result = {
+        ...baseResult,
+        responseTimeMs,
+        isUp: true,
+        dnsAnswers: answers,
+        message: `${recordType} ${hostname}: ${answers.join(', ') || '(empty)'}`,
+    };
+
+    if (expected.length > 0 && JSON.stringify(answers) !== JSON.stringify(expected)) {
+        result.isUp = false;
+        result.error_type = 'DNS_MISMATCH';
+        result.error_message = `${recordType} ${hostname}: expected ${expected.join(', ')} but got ${answers.join(', ') || '(empty)'}`;
+    }
+    // Only answers that pass the check become the baseline for change detection
+    result.dnsAnswersAccepted = result.isUp;
+
+    return result;
+};
+
+/**
+ * Checks whether a server accepts a TLS protocol version, by a handshake limited to that version.
+ * OpenSSL refuses TLS 1.0 and 1.1 at its default security level, so the probe lowers it.
  * @param {string} hostname The hostname to check
  * @param {number} port The port to use
- * @returns {Promise<object>} Certificate details
+ * @param {string} version Protocol version, e.g. 'TLSv1'
+ * @param {number} timeoutMs Time allowed for the handshake
+ * @param {object} tlsOptions Client certificate from getTlsOptions, for servers that require one
+ * @returns {Promise<boolean>} Whether the handshake succeeded with that version
  */
-const checkCertificate = (hostname, port = 443) => {
-    return new Promise((resolve, reject) => {
+const probeTlsVersion = (hostname, port, version, timeoutMs, tlsOptions) => {
+    return new Promise((resolve) => {
         const socket = tls.connect(
             {
+                ...tlsOptions,
                 host: hostname,
                 port: port,
-                servername: hostname
+                servername: hostname,
+                minVersion: version,
+                maxVersion: version,
+                ciphers: 'DEFAULT:@SECLEVEL=0',
+                rejectUnauthorized: false
             },
             () => {
-                const cert = socket.getPeerCertificate();
+                const accepted = socket.getProtocol() === version;
+                socket.destroy();
+                resolve(accepted);
+            }
+        );
+        socket.setTimeout(timeoutMs, () => {
+            socket.destroy();
+            resolve(false);
+        });
+        socket.on('error', () => resolve(false));
+    });
+};
+
+/**
+ * Gets the legacy protocols (LEGACY_PROTOCOLS) a server accepts. Each host and port is probed at
+ * most once a day, and checks running meanwhile share the probe.
+ * @param {string} hostname The hostname to check
+ * @param {number} port The port to use
+ * @param {number} timeoutMs Time allowed for each handshake
+ * @param {object} tlsOptions Client certificate from getTlsOptions, for servers that require one
+ * @returns {Promise<Array<string>>} Accepted legacy protocols, e.g. ['TLSv1.1']
+ */
+const getLegacyProtocols = (hostname, port, timeoutMs, tlsOptions) => {
+    const now = Date.now();
+    const key = `${hostname}:${port}`;
+    const cached = legacyProtocolProbes.get(key);
+    if (cached && now - cached.probedAt < LEGACY_PROTOCOL_PROBE_TTL_MS) {
+        return cached.legacyProtocols;
+    }
+    for (const [probedKey, probe] of legacyProtocolProbes) {
+        if (now - probe.probedAt >= LEGACY_PROTOCOL_PROBE_TTL_MS) {
+            legacyProtocolProbes.delete(probedKey);
+        }
+    }
+
+    const legacyProtocols = (async () => {
+        const accepted = [];
+        for (const version of LEGACY_PROTOCOLS) {
+            if (await probeTlsVersion(hostname, port, version, timeoutMs, tlsOptions)) {
+                accepted.push(version);
+            }
+        }
+        return accepted;
+    })();
+    legacyProtocolProbes.set(key, { probedAt: now, legacyProtocols });
+    return legacyProtocols;
+};
+
+/**
+ * Checks SSL certificate details and audits the TLS setup of the server (see utils/tlsAudit).
+ * Untrusted certificates are described too, with valid = false. Legacy protocol support comes from
+ * the daily probe of getLegacyProtocols.
+ * @param {string} hostname The hostname to check
+ * @param {number} port The port to use
+ * @param {number} [timeoutMs=10000] Time allowed for each handshake
+ * @param {object} [tlsOptions={}] Client certificate and CA bundle from getTlsOptions
+ * @returns {Promise<object>} Certificate details { valid, validationError, expires, issuer, daysUntilExpiration },
+ *                            the facts from describeCertificate and the audit
+ *                            { protocol, cipher, legacyProtocols, findings }
+ */
+const checkCertificate = async (hostname, port = 443, timeoutMs = 10000, tlsOptions = {}) => {
+    const handshake = await new Promise((resolve, reject) => {
+        const socket = tls.connect(
+            {
+                ...tlsOptions,
+                host: hostname,
+                port: port,
+                servername: hostname,
+                rejectUnauthorized: false // Trust is reported through socket.authorized
+            },
+            () => {
+                const cert = socket.getPeerCertificate(true);
+                const protocol = socket.getProtocol();
+                const cipher = socket.getCipher();
                 socket.end();
-                resolve({
-                    valid: socket.authorized,
-                    expires: cert.valid_to,
-                    issuer: cert.issuer.CN,
-                    daysUntilExpiration: Math.ceil((new Date(cert.valid_to) - new Date()) / (1000 * 60 * 60 * 24))
-                });
+                if (!cert || !cert.valid_to) {
+                    reject(new Error('Server sent no certificate'));
+                    return;
+                }
+                resolve({ socket, cert, protocol, cipher });
             }
         );
 
+        socket.setTimeout(timeoutMs, () => {
+            socket.destroy(new Error(`TLS handshake timed out after ${timeoutMs}ms`));
+        });
         socket.on('error', (error) => {
             reject(error);
         });
     });
+
+    const { socket, cert, protocol, cipher } = handshake;
+    const accepted = await getLegacyProtocols(hostname, port, timeoutMs, tlsOptions);
+    const legacyProtocols = LEGACY_PROTOCOLS.filter(version => version === protocol || accepted.includes(version));
+
+    const certificate = describeCertificate(cert);
+    const authorizationError = socket.authorizationError;
+    return {
+        valid: socket.authorized,
+        validationError: socket.authorized ? null : String(authorizationError?.message || authorizationError || 'Untrusted certificate'),
+        expires: cert.valid_to,
+        issuer: cert.issuer.CN,
+        daysUntilExpiration: Math.ceil((new Date(cert.valid_to) - new Date()) / (1000 * 60 * 60 * 24)),
+        ...certificate,
+        protocol,
+        cipher: cipher ? (cipher.standardName || cipher.name) : null,
+        legacyProtocols,
+        findings: auditTls({ hostname, cert, certificate, cipher, legacyProtocols })
+    };
+};
+
+/**
+ * Applies the monitor's actions for TLS audit findings (monitorConfig.tlsFindingActions, e.g.
+ * { legacy_protocol: 'degraded', self_signed: 'down' }). Findings without an action are only recorded.
+ * A 'down' finding fails the check with error type TLS_AUDIT; a 'degraded' finding sets
+ * checkResult.tlsDegraded and tlsMessage, and the monitor is DEGRADED while it is up.
+ * @param {object} website The website configuration object
+ * @param {object} checkResult The check result with certInfo (modified in place)
+ */
+const applyTlsFindingActions = (website, checkResult) => {
+    const actions = getMonitorConfig(website).tlsFindingActions || {};
+    const findings = checkResult.certInfo?.findings || [];
+    const down = findings.filter(item => actions[item.type] === 'down');
+    const degraded = findings.filter(item => actions[item.type] === 'degraded');
+    if (down.length > 0 && checkResult.isUp) {
+        checkResult.isUp = false;
+        checkResult.error_type = 'TLS_AUDIT';
+        checkResult.error_message = `TLS audit: ${down.map(item => item.message).join('; ')}`;
+    }
+    if (degraded.length > 0) {
+        checkResult.tlsDegraded = true;
+        checkResult.tlsMessage = degraded.map(item => item.message).join('; ');
+    }
+};
+
+/**
+ * Sends a certificate expiry notification when the certificate of the check reached one of the monitor's
+ * expiry thresholds (monitorConfig.expiryNotifyDays). Each threshold is notified once per certificate
+ * serial: a certificate first seen below several thresholds sends one notification for the lowest,
+ * and a renewed certificate starts over. Once the certificate is renewed past every threshold, a
+ * certificate_renewed notification resolves the expiry alert. The status of the monitor is not affected.
+ * @param {object} website The website configuration object
+ * @param {object} checkResult The check result with certInfo (modified in place)
+ * @param {boolean|null} previousStatus The 'is_up' status before the check
+ * @param {import('pg').PoolClient} [dbClient] Optional database client
+ * @returns {Promise<void>}
+ */
+const notifyCertificateExpiry = async (website, checkResult, previousStatus, dbClient) => {
+    const certInfo = checkResult.certInfo;
+    if (!certInfo?.serialNumber || checkResult.maintenance) return;
+
+    const configured = getMonitorConfig(website).expiryNotifyDays;
+    const thresholds = Array.isArray(configured) ? configured : DEFAULT_EXPIRY_NOTIFY_DAYS;
+    const reached = thresholds.filter(days => certInfo.daysUntilExpiration <= days);
+
+    try {
+        const released = await db.releaseCertificateExpiryThresholds(website.id, certInfo.serialNumber, certInfo.daysUntilExpiration, dbClient);
+        if (reached.length === 0) {
+            if (released > 0) {
+                log.info(`[Checker] Certificate of monitor ${website.id} was renewed and expires in ${certInfo.daysUntilExpiration} days. Resolving the expiry alert.`);
+                await triggerWebhookAlert(website, checkResult, previousStatus, 'certificate_renewed');
+            }
+            return;
+        }
+        const claimed = await db.claimCertificateExpiryThresholds(website.id, certInfo.serialNumber, reached, dbClient);
+        const threshold = Math.min(...reached);
+        if (!claimed.includes(threshold)) return;
+        checkResult.certificateThresholdDays = threshold;
+        log.info(`[Checker] Certificate of monitor ${website.id} expires in ${certInfo.daysUntilExpiration} days (threshold: ${threshold}). Triggering alert.`);
+        await triggerWebhookAlert(website, checkResult, previousStatus, 'certificate_expiring');
+    } catch (error) {
+        log.error(`[Checker] Failed to send the certificate expiry notification of monitor ${website.id}:`, error);
+    }
 };
 
 /**
@@ -322,19 +973,397 @@ const checkKeyword = (body, config) => {
 
 
 /**
- * Performs a website check with the given configuration
+ * Flags a DNS check whose answer set differs from the baseline, the answers of the latest check that
+ * passed. With failOnChange the check fails and its answers are not accepted as the new baseline, so
+ * a changed (e.g. hijacked) answer keeps being flagged until it is reverted.
  * @param {object} website The website configuration object
+ * @param {object} checkResult The DNS check result (modified in place)
+ * @param {Array<string>|null} previousAnswers Baseline answers stored by recordCheckResult
+ */
+const detectDnsAnswerChange = (website, checkResult, previousAnswers) => {
+    if (!checkResult.dnsAnswers || !Array.isArray(previousAnswers)) {
+        return;
+    }
+    if (JSON.stringify(checkResult.dnsAnswers) === JSON.stringify(previousAnswers)) {
+        return;
+    }
+
+    const change = `DNS answer changed from ${previousAnswers.join(', ') || '(empty)'} to ${checkResult.dnsAnswers.join(', ') || '(empty)'}`;
+    log.warn(`[Checker] Monitor ${website.id}: ${change}`);
+    checkResult.dnsAnswerChanged = true;
+    checkResult.message = `${change} (${checkResult.message})`;
+
+    if (getMonitorConfig(website).failOnChange === true && checkResult.isUp) {
+        checkResult.isUp = false;
+        checkResult.error_type = 'DNS_ANSWER_CHANGED';
+        checkResult.error_message = checkResult.message;
+        checkResult.dnsAnswersAccepted = false;
+    }
+};
+
+/**
+ * Returns how long after the last check the monitor is due again.
+ * Push monitors get their grace period on top of the interval.
+ * @param {object} website Website configuration
+ * @returns {number} Milliseconds
+ */
+const getCheckIntervalMs = (website) => {
+    const intervalSeconds = website.check_interval || 300; // Use default if null
+    if (website.monitorType !== MONITOR_PUSH) {
+        return intervalSeconds * 1000;
+    }
+    const graceSeconds = parseInt(getMonitorConfig(website).gracePeriod, 10);
+    return (intervalSeconds + (isNaN(graceSeconds) ? DEFAULT_PUSH_GRACE_SECONDS : graceSeconds)) * 1000;
+};
+
+/**
+ * Result for a push monitor that is due: no push arrived within interval plus grace period
+ * @param {object} website Website configuration
+ * @returns {object} Check result
+ */
+const checkPush = (website) => ({
+    websiteId: website.id,
+    statusCode: null,
+    responseTimeMs: null,
+    isUp: false,
+    retry_count: 1,
+    final_url: null,
+    headers: null,
+    redirect_count: 0,
+    error_type: 'PUSH_TIMEOUT',
+    error_message: `No push received within ${Math.round(getCheckIntervalMs(website) / 1000)}s`
+});
+
+/**
+ * Returns the result to record instead of a check when a maintenance window is active. It counts
+ * as up in the uptime stats, while the confirmed status of the monitor is kept (see updateWebsiteStatus).
+ * @param {object} website Website configuration
+ * @returns {Promise<object|null>} Maintenance check result, or null when no window is active
+ */
+const checkMaintenance = async (website) => {
+    let window;
+    try {
+        window = await getActiveMaintenanceWindow(website.id);
+    } catch (error) {
+        // Fall back to a regular check rather than hiding an outage
+        log.error(`[Checker] Failed to evaluate maintenance windows for monitor ${website.id}:`, error);
+        return null;
+    }
+    if (!window) {
+        return null;
+    }
+    return {
+        websiteId: website.id,
+        statusCode: null,
+        responseTimeMs: null,
+        isUp: true,
+        maintenance: true,
+        maintenanceWindowId: window.id,
+        retry_count: 0,
+        final_url: null,
+        headers: null,
+        redirect_count: 0,
+        error_type: null,
+        error_message: null,
+        message: `Under maintenance: ${window.title}`
+    };
+};
+
+/**
+ * Applies the monitor's confirmation thresholds: a check whose outcome differs from the current
+ * status only changes it after `down_after_failures` consecutive failures or `up_after_successes`
+ * consecutive successes. Until then the check is marked pending and the status is kept.
+ * Sets checkResult.pending, consecutiveFailures and consecutiveSuccesses.
+ * @param {object} website The website configuration object { down_after_failures, up_after_successes }
+ * @param {object} checkResult The check result
+ * @param {object|null} previousState Status before the check { is_up, consecutive_failures, consecutive_successes }
+ */
+const applyConfirmationThreshold = (website, checkResult, previousState) => {
+    const previousStatus = typeof previousState?.is_up === 'boolean' ? previousState.is_up : null;
+    checkResult.pending = false;
+    // Maintenance restarts the count, so the first check afterwards needs the full threshold again
+    if (checkResult.maintenance) {
+        checkResult.consecutiveFailures = 0;
+        checkResult.consecutiveSuccesses = 0;
+        return;
+    }
+    checkResult.consecutiveFailures = checkResult.isUp ? 0 : (previousState?.consecutive_failures || 0) + 1;
+    checkResult.consecutiveSuccesses = checkResult.isUp ? (previousState?.consecutive_successes || 0) + 1 : 0;
+
+    // The first check sets the status right away
+    if (previousStatus === null || checkResult.isUp === previousStatus) {
+        return;
+    }
+    const required = checkResult.isUp ? website.up_after_successes : website.down_after_failures;
+    const count = checkResult.isUp ? checkResult.consecutiveSuccesses : checkResult.consecutiveFailures;
+    checkResult.pending = count < (required || 1);
+};
+
+/**
+ * Tracks the confirmed status changes of the last `flap_window_minutes` and detects flapping:
+ * it starts once the window holds `flap_threshold` changes and stops once it holds half of that
+ * or fewer, so a monitor on the edge does not keep toggling in and out of flapping.
+ * Sets checkResult.flapping, flappingChanged ('started'|'stopped'|null) and stateChanges.
+ * Must run after applyConfirmationThreshold.
+ * @param {object} website The website configuration object { flap_threshold, flap_window_minutes }
+ * @param {object} checkResult The check result
+ * @param {object|null} previousState Status before the check { is_up, is_flapping, state_changes }
+ */
+const applyFlapDetection = (website, checkResult, previousState) => {
+    const previousStatus = typeof previousState?.is_up === 'boolean' ? previousState.is_up : null;
+    const wasFlapping = previousState?.is_flapping === true;
+    const threshold = website.flap_threshold || 0;
+    const now = dayjs();
+
+    const changed = previousStatus !== null && !checkResult.maintenance && !checkResult.pending
+        && checkResult.isUp !== previousStatus;
+    const windowStart = now.subtract(website.flap_window_minutes || 30, 'minute');
+    const stateChanges = (previousState?.state_changes || [])
+        .filter(timestamp => dayjs(timestamp).isAfter(windowStart));
+    if (changed) {
+        stateChanges.push(now.toISOString());
+    }
+    checkResult.stateChanges = stateChanges;
+
+    let flapping = wasFlapping;
+    if (threshold === 0) {
+        flapping = false; // Detection disabled
+    } else if (!wasFlapping && stateChanges.length >= threshold) {
+        flapping = true;
+    } else if (wasFlapping && stateChanges.length <= Math.floor(threshold / 2)) {
+        flapping = false;
+    }
+    checkResult.flapping = flapping;
+    checkResult.flappingChanged = flapping === wasFlapping ? null : (flapping ? 'started' : 'stopped');
+};
+
+/**
+ * Computes a percentile with the nearest-rank method
+ * @param {Array<number>} values Values, in any order
+ * @param {number} percentile Percentile between 0 and 100
+ * @returns {number|null} The percentile, or null without values
+ */
+const getPercentile = (values, percentile) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1)];
+};
+
+/**
+ * Gets the response time that is compared with the latency thresholds: the fastest of the last
+ * `latency_checks` checks, so all of them must be slow, or the p95 of the last `latency_window_minutes`
+ * @param {object} website The website configuration object { latency_evaluation, latency_checks, latency_window_minutes }
+ * @param {object} checkResult The check result, whose response time is not recorded yet
+ * @returns {Promise<{responseTimeMs: number|null, description: string}>} Response time in ms, null without enough checks
+ */
+const evaluateLatency = async (website, checkResult) => {
+    const current = typeof checkResult.responseTimeMs === 'number' ? [checkResult.responseTimeMs] : [];
+    if (website.latency_evaluation === 'p95') {
+        const windowMinutes = website.latency_window_minutes || 10;
+        const since = dayjs().subtract(windowMinutes, 'minute').toDate();
+        const pings = current.concat(await db.getRecentPings(website.id, { since }));
+        return {
+            responseTimeMs: getPercentile(pings, 95),
+            description: `p95 of the last ${windowMinutes} minutes`,
+        };
+    }
+    const checks = website.latency_checks || 3;
+    const pings = current.concat(await db.getRecentPings(website.id, { limit: checks - current.length }));
+    return {
+        responseTimeMs: pings.length >= checks ? Math.min(...pings) : null,
+        description: checks === 1 ? 'last check' : `fastest of the last ${checks} checks`,
+    };
+};
+
+/**
+ * Applies the monitor's latency thresholds to a confirmed UP check: the monitor is degraded at the
+ * critical level when the evaluated response time is at or above `latency_critical_ms`, and at the
+ * warning level when it is at or above `latency_warning_ms` (0 disables a threshold).
+ * Pending and maintenance checks keep the level; a confirmed DOWN clears it without a latency
+ * alert, as the outage is alerted anyway.
+ * Sets checkResult.latencyLevel ('warning'|'critical'|null), previousLatencyLevel, latencyChanged,
+ * latencyMs and latencyMessage. Must run after applyConfirmationThreshold.
+ * @param {object} website The website configuration object { latency_warning_ms, latency_critical_ms, ... }
+ * @param {object} checkResult The check result
+ * @param {object|null} previousState Status before the check { latency_level }
+ * @returns {Promise<void>}
+ */
+const applyLatencyThresholds = async (website, checkResult, previousState) => {
+    const previousLevel = previousState?.latency_level || null;
+    checkResult.previousLatencyLevel = previousLevel;
+    checkResult.latencyLevel = previousLevel;
+    checkResult.latencyChanged = false;
+    if (checkResult.maintenance || checkResult.pending) {
+        return;
+    }
+    if (!checkResult.isUp) {
+        checkResult.latencyLevel = null;
+        return;
+    }
+
+    const warningMs = website.latency_warning_ms || 0;
+    const criticalMs = website.latency_critical_ms || 0;
+    let level = null;
+    if (warningMs > 0 || criticalMs > 0) {
+        let evaluation;
+        try {
+            evaluation = await evaluateLatency(website, checkResult);
+        } catch (error) {
+            log.error(`[Checker] Failed to evaluate latency thresholds for monitor ${website.id}:`, error);
+            return; // Keep the previous level
+        }
+        const { responseTimeMs, description } = evaluation;
+        if (responseTimeMs !== null && criticalMs > 0 && responseTimeMs >= criticalMs) {
+            level = 'critical';
+        } else if (responseTimeMs !== null && warningMs > 0 && responseTimeMs >= warningMs) {
+            level = 'warning';
+        }
+        checkResult.latencyMs = responseTimeMs;
+        if (responseTimeMs !== null) {
+            checkResult.latencyMessage = `${description}: ${responseTimeMs} ms`
+                + (level ? ` (${level} threshold: ${level === 'critical' ? criticalMs : warningMs} ms)` : '');
+        }
+    }
+    checkResult.latencyLevel = level;
+    checkResult.latencyChanged = level !== previousLevel;
+};
+
+/**
+ * Tracks the DEGRADED state set by TLS audit findings (see applyTlsFindingActions): pending and
+ * maintenance checks keep the previous state and a confirmed DOWN clears it.
+ * Sets checkResult.tlsDegraded and tlsDegradedChanged. Must run after applyConfirmationThreshold.
+ * @param {object} checkResult The check result
+ * @param {object|null} previousState Status before the check { tls_degraded }
+ */
+const applyTlsDegradation = (checkResult, previousState) => {
+    const wasDegraded = previousState?.tls_degraded === true;
+    if (checkResult.maintenance || checkResult.pending) {
+        checkResult.tlsDegraded = wasDegraded;
+    } else if (!checkResult.isUp) {
+        checkResult.tlsDegraded = false;
+    } else {
+        checkResult.tlsDegraded = checkResult.tlsDegraded === true;
+    }
+    checkResult.tlsDegradedChanged = checkResult.isUp && !checkResult.maintenance && !checkResult.pending
+        && checkResult.tlsDegraded !== wasDegraded;
+};
+
+/**
+ * Builds the heartbeat for a check result
+ * @param {object} website The website configuration object
+ * @param {object} checkResult The check result
+ * @param {boolean|null} previousStatus The 'is_up' status before the check (null on first check)
+ * @returns {object} Heartbeat data { websiteId, status, ping, timings, message, important, timestamp }
+ */
+const buildHeartbeat = (website, checkResult, previousStatus) => {
+    let status = checkResult.isUp ? UP : DOWN;
+    if (checkResult.maintenance) {
+        status = MAINTENANCE;
+    } else if (checkResult.pending) {
+        status = PENDING;
+    } else if (checkResult.isUp && (checkResult.latencyLevel || checkResult.tlsDegraded)) {
+        status = DEGRADED;
+    }
+    let message = checkResult.error_message || checkResult.message || (checkResult.isUp ? `OK (${checkResult.statusCode})` : `Error (${checkResult.statusCode})`);
+    if (checkResult.flappingChanged) {
+        message = `Flapping ${checkResult.flappingChanged}: ${checkResult.stateChanges.length} status changes in ${website.flap_window_minutes || 30} minutes - ${message}`;
+    }
+    if (checkResult.latencyChanged) {
+        const latency = checkResult.latencyMessage ? ` (${checkResult.latencyMessage})` : '';
+        message = checkResult.latencyLevel
+            ? `Degraded, ${checkResult.latencyLevel}${latency} - ${message}`
+            : `Response time back to normal${latency} - ${message}`;
+    }
+    if (checkResult.tlsDegradedChanged) {
+        message = checkResult.tlsDegraded
+            ? `Degraded by TLS audit (${checkResult.tlsMessage}) - ${message}`
+            : `TLS audit findings resolved - ${message}`;
+    }
+
+    return {
+        websiteId: website.id,
+        status: status,
+        ping: checkResult.responseTimeMs,
+        timings: checkResult.timings || null,
+        message,
+        // The first beat, every confirmed status change outside flapping, flapping start/stop,
+        // latency level and TLS audit changes, entering/leaving maintenance and DNS answer changes are shown in the events view
+        important: previousStatus === null
+            || (!checkResult.maintenance && !checkResult.pending && !checkResult.flapping && checkResult.isUp !== previousStatus)
+            || !!checkResult.flappingChanged || checkResult.latencyChanged === true || checkResult.tlsDegradedChanged === true
+            || checkResult.maintenanceChanged === true || checkResult.dnsAnswerChanged === true,
+        flapping: checkResult.flapping === true,
+        timestamp: dayjs(),
+    };
+};
+
+/**
+ * Persists a check result: current status, history row, heartbeat, incident and uptime stats.
+ * This is the single write path for the scheduler, manual checks and the initial check on create.
+ * @param {object} website The website configuration object
+ * @param {object} checkResult The check result
+ * @param {object} heartbeat Heartbeat data from buildHeartbeat
+ * @param {import('pg').PoolClient} [dbClient] Optional database client (defaults to the pool)
+ * @returns {Promise<void>}
+ */
+const recordCheckResult = async (website, checkResult, heartbeat, dbClient) => {
+    const statusData = { ...checkResult, websiteId: website.id };
+    await db.updateWebsiteStatus(statusData, dbClient);
+    await db.insertCheckHistory(statusData, dbClient);
+    await db.insertHeartbeat(heartbeat, dbClient);
+    // An incident spans from the confirmed DOWN to the confirmed UP, and a slow incident over the degraded
+    // checks; maintenance and pending checks leave them as they are
+    if (!checkResult.maintenance && !checkResult.pending) {
+        if (checkResult.isUp) {
+            const incident = await db.resolveIncident(website.id, 'down', dbClient);
+            if (incident) {
+                checkResult.downtimeSeconds = incident.duration_seconds; // Reported in the recovery alert
+            }
+        } else {
+            const incident = await db.recordIncidentFailure(statusData, dbClient);
+            checkResult.incidentId = incident.id; // Acknowledge link in the DOWN alert
+        }
+        if (checkResult.latencyLevel) {
+            await db.recordSlowIncidentCheck(statusData, dbClient);
+        } else if (checkResult.previousLatencyLevel) {
+            await db.resolveIncident(website.id, 'slow', dbClient);
+        }
+    }
+    // A mismatched or changed answer does not replace the baseline, so it is flagged on every check
+    if (checkResult.dnsAnswers && checkResult.dnsAnswersAccepted) {
+        await db.updateDnsAnswers(website.id, checkResult.dnsAnswers, dbClient);
+    }
+
+    try {
+        const calculator = await UptimeCalculator.getUptimeCalculator(website.id);
+        await calculator.update(heartbeat);
+        log.debug(`[Checker] Updated stats for monitor ${website.id}`);
+    } catch (error) {
+        log.error(`[Checker] Failed to update UptimeCalculator for monitor ${website.id}:`, error);
+    }
+};
+
+/**
+ * Performs a website check with the given configuration and records the result
+ * @param {object} website The website configuration object
+ * @param {import('pg').PoolClient} [dbClient] Optional database client used to record the result
  * @returns {Promise<object>} Check result
  */
- const performCheck = async (website) => {
+ const performCheck = async (website, dbClient) => {
      // --- Get previous status BEFORE performing the check ---
      let previousStatus = null;
+     let previousState = null;
+     let previousDnsAnswers = null;
+     let previousMaintenance = false;
      try {
          // We need the full website object including status from the DB
          // Use the existing db.getWebsite function which includes status
          const currentWebsiteState = await db.getWebsite(website.id);
          if (currentWebsiteState) {
              previousStatus = currentWebsiteState.is_up; // is_up is boolean in PG
+             previousState = currentWebsiteState; // Includes the confirmation counters
+             previousDnsAnswers = currentWebsiteState.dns_answers; // JSONB, parsed by pg
+             previousMaintenance = currentWebsiteState.in_maintenance === true;
          }
          log.debug(`[Checker] Previous status for monitor ${website.id}: ${previousStatus}`);
      } catch (dbError) {
@@ -343,28 +1372,70 @@ const checkKeyword = (body, config) => {
      }
      // --- End Get previous status ---
  
-     const axiosInstance = createAxiosInstance(website);
-     let checkResult = await performCheckWithRetries(website, axiosInstance);
+     let tlsOptions = {};
+     let checkResult = await checkMaintenance(website);
+     if (checkResult) {
+         log.debug(`[Checker] Monitor ${website.id} is under maintenance, skipping check.`);
+     } else if (website.monitorType === MONITOR_PUSH) {
+         checkResult = checkPush(website);
+     } else if (website.monitorType === MONITOR_PORT) {
+         checkResult = await performAttemptsWithRetries(website, checkPort);
+     } else if (website.monitorType === MONITOR_DNS) {
+         checkResult = await performAttemptsWithRetries(website, checkDns);
+         detectDnsAnswerChange(website, checkResult, previousDnsAnswers);
+     } else {
+         let credentials = {};
+         let credentialsError = null;
+         try {
+             tlsOptions = await getTlsOptions(website);
+         } catch (error) {
+             log.error(`[Checker] Failed to load the TLS credentials of monitor ${website.id}:`, error);
+             credentialsError = { error_type: 'TLS_CREDENTIALS', error_message: 'The stored client key cannot be decrypted, enter it again' };
+         }
+         try {
+             credentials = await getAuthCredentials(website);
+         } catch (error) {
+             log.error(`[Checker] Failed to load the auth credentials of monitor ${website.id}:`, error);
+             credentialsError = credentialsError
+                 || { error_type: 'AUTH_CREDENTIALS', error_message: 'The stored password or token cannot be decrypted, enter it again' };
+         }
+         checkResult = !credentialsError
+             ? await performCheckWithRetries(website, createAxiosInstance(website), getHttpsAgentOptions(website, tlsOptions), credentials)
+             : {
+                 websiteId: website.id,
+                 statusCode: null,
+                 responseTimeMs: null,
+                 isUp: false,
+                 retry_count: 0,
+                 final_url: null,
+                 headers: null,
+                 redirect_count: 0,
+                 ...credentialsError
+             };
+     }
 
     // Additional checks for HTTPS certificate (Keyword check is now integrated into performCheckWithRetries)
-    if (website.monitor_type === MONITOR_HTTPS && checkResult.isUp) {
+    if (website.monitorType === MONITOR_HTTPS && checkResult.isUp && !checkResult.maintenance) {
         try {
             const url = new URL(website.url);
-            const certInfo = await checkCertificate(url.hostname);
+            const monitorConfig = getMonitorConfig(website);
+            const certInfo = await checkCertificate(url.hostname, Number(url.port) || 443, website.timeout_ms || 10000, tlsOptions);
             checkResult.certInfo = certInfo;
 
-            // Update isUp based on certificate validity and expiration threshold
-            if (!certInfo.valid) {
+            try {
+                await db.upsertWebsiteCertificate(website.id, certInfo, dbClient);
+            } catch (dbError) {
+                log.error(`[Checker] Failed to store the certificate of monitor ${website.id}:`, dbError);
+            }
+
+            // Update isUp based on certificate validity. Upcoming expiry is notified separately, see notifyCertificateExpiry
+            if (!certInfo.valid && monitorConfig.verifySSL !== false) {
                 checkResult.isUp = false; // Mark as down if cert is invalid
                 checkResult.error_type = 'SSL_INVALID';
-                checkResult.error_message = 'Invalid SSL certificate';
-            } else if (website.monitor_config?.expiryThreshold &&
-                       certInfo.daysUntilExpiration <= website.monitor_config.expiryThreshold) {
-                checkResult.isUp = false; // Mark as down if cert is expiring soon
-                checkResult.error_type = 'SSL_EXPIRING';
-                checkResult.error_message = `Certificate expires in ${certInfo.daysUntilExpiration} days (threshold: ${website.monitor_config.expiryThreshold})`;
+                checkResult.error_message = `Invalid SSL certificate: ${certInfo.validationError}`;
             }
-            // If cert is valid and not expiring soon, isUp remains as determined by performCheckWithRetries
+            applyTlsFindingActions(website, checkResult);
+            // If cert is valid, isUp remains as determined by performCheckWithRetries
 
         } catch (error) {
             // Handle errors during certificate check
@@ -375,27 +1446,44 @@ const checkKeyword = (body, config) => {
         }
     }
 
-    // Update UptimeCalculator
-    try {
-        const calculator = await UptimeCalculator.getUptimeCalculator(website.id);
-        const status = checkResult.isUp ? UP : DOWN;
-
-        const heartbeatData = {
-            status: status,
-            ping: checkResult.responseTimeMs,
-            message: checkResult.error_message || (checkResult.isUp ? `OK (${checkResult.statusCode})` : `Error (${checkResult.statusCode})`),
-            timestamp: dayjs(),
-        };
+    checkResult.maintenanceChanged = !!checkResult.maintenance !== previousMaintenance;
+    applyConfirmationThreshold(website, checkResult, previousState);
+    applyFlapDetection(website, checkResult, previousState);
+    await applyLatencyThresholds(website, checkResult, previousState);
+    applyTlsDegradation(checkResult, previousState);
+    await finalizeCheck(website, checkResult, previousStatus, dbClient);
+    await notifyCertificateExpiry(website, checkResult, previousStatus, dbClient);
+    return checkResult;
+};
 
-        await calculator.update(heartbeatData);
-        log.debug(`[Checker] Updated stats for monitor ${website.id}`);
-    } catch (error) {
-         log.error(`[Checker] Failed to update UptimeCalculator for monitor ${website.id}:`, error);
-     }
+/**
+ * Records a check result and triggers the alert path on status and latency level changes.
+ * Shared by active checks and incoming pushes.
+ * @param {object} website The website configuration object
+ * @param {object} checkResult The check result
+ * @param {boolean|null} previousStatus The 'is_up' status before the check (null on first check)
+ * @param {import('pg').PoolClient} [dbClient] Optional database client used to record the result
+ * @returns {Promise<void>}
+ */
+const finalizeCheck = async (website, checkResult, previousStatus, dbClient) => {
+    // Record the check (status, history, heartbeat) and update UptimeCalculator
+    const heartbeat = buildHeartbeat(website, checkResult, previousStatus);
+    await recordCheckResult(website, checkResult, heartbeat, dbClient);
  
      // --- Trigger Alert on Status Change ---
      // Compare the current check result status with the status before the check
-     if (previousStatus !== null && typeof checkResult.isUp === 'boolean' && checkResult.isUp !== previousStatus) {
+     if (checkResult.flappingChanged) {
+         // One notification when flapping starts, and one with the settled status when it stops
+         log.info(`[Checker] Monitor ${website.id} flapping ${checkResult.flappingChanged}. Triggering alert.`);
+         await triggerWebhookAlert(website, checkResult, previousStatus);
+     } else if (checkResult.flapping) {
+         log.info(`[Checker] Monitor ${website.id} is flapping, status change alerts are held back.`);
+     } else if (checkResult.maintenance) {
+         // The confirmed status is kept during maintenance, so the first check afterwards alerts on a change
+         log.debug(`[Checker] Monitor ${website.id} is under maintenance, status alerts are held back.`);
+     } else if (checkResult.pending) {
+         log.info(`[Checker] Monitor ${website.id} is pending: ${checkResult.consecutiveFailures || checkResult.consecutiveSuccesses} consecutive ${checkResult.isUp ? 'successes' : 'failures'}, waiting for confirmation.`);
+     } else if (previousStatus !== null && typeof checkResult.isUp === 'boolean' && checkResult.isUp !== previousStatus) {
          log.info(`[Checker] Status change detected for monitor ${website.id}: ${previousStatus} -> ${checkResult.isUp}. Triggering alert.`);
          // Use await here because triggerWebhookAlert is async
          // Pass the original website object (contains name etc.), the check result, and the previous status
@@ -405,11 +1493,74 @@ const checkKeyword = (body, config) => {
      } else {
           log.debug(`[Checker] No status change detected for monitor ${website.id}. Current status: ${checkResult.isUp}`);
      }
+     // Latency and TLS audit alerts are sent besides status alerts and, like those, held back while flapping
+     if (checkResult.latencyChanged && !checkResult.flapping) {
+         log.info(`[Checker] Monitor ${website.id} response time ${checkResult.latencyLevel ? `degraded (${checkResult.latencyLevel})` : 'back to normal'}. Triggering alert.`);
+         await triggerWebhookAlert(website, checkResult, previousStatus, checkResult.latencyLevel ? 'degraded' : 'degraded_resolved', 'latency');
+     }
+     if (checkResult.tlsDegradedChanged && !checkResult.flapping) {
+         log.info(`[Checker] Monitor ${website.id} ${checkResult.tlsDegraded ? `degraded by TLS audit (${checkResult.tlsMessage})` : 'TLS audit findings resolved'}. Triggering alert.`);
+         await triggerWebhookAlert(website, checkResult, previousStatus, checkResult.tlsDegraded ? 'degraded' : 'degraded_resolved', 'tls');
+     }
      // --- End Trigger Alert ---
- 
-     return checkResult;
- };
+};
+
+/**
+ * Records a push received on /api/push/:token for a push monitor
+ * @param {object} website The push monitor, including its current status (from db.getWebsiteByPushToken)
+ * @param {object} push Push data
+ * @param {boolean} push.isUp Status reported by the job
+ * @param {string} push.message Message reported by the job
+ * @param {number|null} push.ping Duration reported by the job in ms (optional)
+ * @returns {Promise<object>} Check result
+ */
+const recordPush = async (website, push) => {
+    // Pushes during a maintenance window are recorded as maintenance
+    const checkResult = await checkMaintenance(website) || {
+        websiteId: website.id,
+        statusCode: null,
+        responseTimeMs: push.ping,
+        isUp: push.isUp,
+        retry_count: 1,
+        final_url: null,
+        headers: null,
+        redirect_count: 0,
+        error_type: push.isUp ? null : 'PUSH_DOWN',
+        error_message: push.isUp ? null : push.message,
+        message: push.message
+    };
+    const previousStatus = typeof website.is_up === 'boolean' ? website.is_up : null;
+    checkResult.maintenanceChanged = !!checkResult.maintenance !== (website.in_maintenance === true);
+    applyConfirmationThreshold(website, checkResult, website);
+    applyFlapDetection(website, checkResult, website);
+    await applyLatencyThresholds(website, checkResult, website);
+
+    await finalizeCheck(website, checkResult, previousStatus);
+    return checkResult;
+};
 
 module.exports = {
     performCheck,
+    buildHeartbeat,
+    buildRequestConfig,
+    getAuthCredentials,
+    recordCheckResult,
+    checkPort,
+    checkDns,
+    checkPush,
+    applyConfirmationThreshold,
+    applyFlapDetection,
+    applyLatencyThresholds,
+    notifyCertificateExpiry,
+    checkCertificate,
+    applyTlsFindingActions,
+    detectDnsAnswerChange,
+    recordPush,
+    getCheckIntervalMs,
+    MONITOR_PUSH,
+    UP,
+    DOWN,
+    PENDING,
+    MAINTENANCE,
+    DEGRADED,
 };
@@ -0,0 +1,325 @@
+const db = require('../database/db');
+
+const STRATEGIES = ['single', 'weekday', 'cron'];
+
+// Longest occurrence of a recurring window (7 days)
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+    { min: 0, max: 59 },
+    { min: 0, max: 23 },
+    { min: 1, max: 31 },
+    { min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { min: 0, max: 7, names: WEEKDAY_NAMES, nameOffset: 0 },
+];
+
+/**
+ * Parses one field of a cron expression into the set of values it matches
+ * @param {string} field e.g. "*", "*\/15", "1-5", "MON,WED", "0-30/10"
+ * @param {{min: number, max: number, names?: string[], nameOffset?: number}} spec Allowed range
+ * @returns {Set<number>}
+ * @throws {Error} If the field is malformed or out of range
+ */
+const parseCronField = (field, spec) => {
+    const values = new Set();
+    const toNumber = (token) => {
+        const nameIndex = spec.names ? spec.names.indexOf(token.toUpperCase()) : -1;
+        const value = nameIndex !== -1 ? nameIndex + spec.nameOffset : Number(token);
+        if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+            throw new Error(`"${token}" is out of range ${spec.min}-${spec.max}`);
+        }
+        return value;
+    };
+
+    for (const part of field.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in "${part}"`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = spec.min;
+            end = spec.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = toNumber(from);
+            end = toNumber(to);
+        } else {
+            start = toNumber(range);
+            end = stepText === undefined ? start : spec.max;
+        }
+        if (start > end) {
+            throw new Error(`Invalid range "${range}"`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+};
+
+/**
+ * Parses a standard 5-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression Cron expression
+ * @returns {{fields: Array<Set<number>>, dayOfMonthRestricted: boolean, dayOfWeekRestricted: boolean}}
+ * @throws {Error} If the expression is invalid
+ */
+const parseCronExpression = (expression) => {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Cron expression must have 5 fields (minute hour day month weekday)');
+    }
+    const fields = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+    if (fields[4].has(7)) {
+        fields[4].add(0); // 7 is also Sunday
+    }
+    return {
+        fields,
+        dayOfMonthRestricted: parts[2] !== '*',
+        dayOfWeekRestricted: parts[4] !== '*',
+    };
+};
+
+/**
+ * Checks whether a timezone name is supported by the runtime
+ * @param {string} timezone IANA timezone, e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Creates a function returning the wall-clock parts of a date in the given timezone
+ * @param {string} timezone IANA timezone
+ * @returns {function(Date): {minute: number, hour: number, day: number, month: number, year: number, weekday: number}}
+ */
+const createZonedPartsReader = (timezone) => {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short',
+    });
+    return (date) => {
+        const parts = {};
+        for (const { type, value } of formatter.formatToParts(date)) {
+            parts[type] = value;
+        }
+        return {
+            minute: Number(parts.minute),
+            hour: Number(parts.hour),
+            day: Number(parts.day),
+            month: Number(parts.month),
+            year: Number(parts.year),
+            weekday: WEEKDAY_NAMES.indexOf(parts.weekday.toUpperCase()),
+        };
+    };
+};
+
+/**
+ * Returns the offset of a timezone from UTC at the given instant
+ * @param {Date} date Instant
+ * @param {string} timezone IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimezoneOffsetMs = (date, timezone) => {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    });
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) {
+        parts[type] = Number(value);
+    }
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Converts a wall-clock time in a timezone to the instant it denotes
+ * @param {number} wallClock The wall-clock time as if it were UTC, in milliseconds (Date.UTC)
+ * @param {string} timezone IANA timezone
+ * @returns {Date}
+ */
+const zonedWallClockToDate = (wallClock, timezone) => {
+    // Apply the offset twice so times next to a DST change resolve to the right side
+    const guess = wallClock - getTimezoneOffsetMs(new Date(wallClock), timezone);
+    return new Date(wallClock - getTimezoneOffsetMs(new Date(guess), timezone));
+};
+
+/**
+ * Parses a date for a maintenance window. Values without an offset
+ * (e.g. "2025-01-31T22:00" from a datetime-local input) are read as wall-clock time in the timezone.
+ * @param {string|Date} value Date value
+ * @param {string} timezone IANA timezone
+ * @returns {Date|null} The instant, or null if the value is not a valid date
+ */
+const parseDateInTimezone = (value, timezone) => {
+    const localMatch = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(value).trim());
+    if (!localMatch) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    const [, year, month, day, hour, minute, second] = localMatch.map(Number);
+    return zonedWallClockToDate(Date.UTC(year, month - 1, day, hour, minute, second || 0), timezone);
+};
+
+/**
+ * Checks whether a parsed cron schedule has occurrences on the given day
+ * @param {object} schedule Result of parseCronExpression
+ * @param {{day: number, month: number, weekday: number}} parts Calendar day
+ * @returns {boolean}
+ */
+const cronMatchesDay = (schedule, parts) => {
+    const [, , days, months, weekdays] = schedule.fields;
+    if (!months.has(parts.month)) {
+        return false;
+    }
+    // Standard cron: when both day fields are restricted, either may match
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+        return days.has(parts.day) || weekdays.has(parts.weekday);
+    }
+    return days.has(parts.day) && weekdays.has(parts.weekday);
+};
+
+/**
+ * Finds the start of the latest occurrence of a cron schedule at or before the given time.
+ * Steps back a calendar day at a time and, on the days the schedule runs, through its hours and
+ * minutes from the latest; only those candidates are converted from wall-clock time.
+ * As with the wall clock, times skipped by a DST change do not occur and repeated ones occur twice.
+ * @param {object} schedule Result of parseCronExpression
+ * @param {Date} now Time to search back from
+ * @param {string} timezone IANA timezone of the schedule
+ * @param {number} maxDays Number of days before today to search
+ * @returns {Date|null} The start, or null when there is none in the searched days
+ */
+const findPreviousOccurrence = (schedule, now, timezone, maxDays) => {
+    const readParts = createZonedPartsReader(timezone);
+    const current = readParts(now);
+    const today = Date.UTC(current.year, current.month - 1, current.day);
+    const byLatest = (values) => [...values].sort((a, b) => b - a);
+    const minutes = byLatest(schedule.fields[0]);
+    const hours = byLatest(schedule.fields[1]);
+
+    for (let dayOffset = 0; dayOffset <= maxDays; dayOffset++) {
+        const day = new Date(today - dayOffset * 86400000);
+        if (!cronMatchesDay(schedule, { day: day.getUTCDate(), month: day.getUTCMonth() + 1, weekday: day.getUTCDay() })) {
+            continue;
+        }
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                // Later today can still be in the past when the clock was turned back (by an hour at most)
+                if (dayOffset === 0 && (hour * 60 + minute) - (current.hour * 60 + current.minute) > 60) {
+                    continue;
+                }
+                // The time in the offsets before and after a DST change: the same instant, none or two
+                const wallClock = day.getTime() + (hour * 60 + minute) * 60000;
+                const offsets = new Set([-86400000, 86400000].map(shift => getTimezoneOffsetMs(new Date(wallClock + shift), timezone)));
+                const starts = [...offsets]
+                    .map(offset => new Date(wallClock - offset))
+                    .filter(start => start <= now)
+                    .filter(start => {
+                        const parts = readParts(start);
+                        return parts.hour === hour && parts.minute === minute;
+                    })
+                    .sort((a, b) => b - a);
+                if (starts.length > 0) {
+                    return starts[0];
+                }
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Builds the cron schedule for the start of each occurrence of a recurring window
+ * @param {object} window Maintenance window row
+ * @returns {object} Result of parseCronExpression
+ */
+const getRecurringSchedule = (window) => {
+    if (window.strategy === 'weekday') {
+        const [hour, minute] = String(window.start_time || '').split(':').map(Number);
+        return parseCronExpression(`${minute} ${hour} * * ${(window.weekdays || []).join(',')}`);
+    }
+    return parseCronExpression(window.cron_expression);
+};
+
+/**
+ * Determines whether a maintenance window is in effect at the given time
+ * @param {object} window Maintenance window row
+ * @param {Date} [now=new Date()] Time to evaluate
+ * @returns {boolean}
+ */
+const isWindowActive = (window, now = new Date()) => {
+    if (!window.active) {
+        return false;
+    }
+
+    const startDate = window.start_date ? new Date(window.start_date) : null;
+    const endDate = window.end_date ? new Date(window.end_date) : null;
+
+    if (window.strategy === 'single') {
+        return !!startDate && !!endDate && startDate <= now && now < endDate;
+    }
+
+    // Recurring windows may be limited to a date range
+    if ((startDate && now < startDate) || (endDate && now >= endDate)) {
+        return false;
+    }
+
+    const duration = Math.min(parseInt(window.duration_minutes, 10) || 0, MAX_DURATION_MINUTES);
+    if (duration <= 0) {
+        return false;
+    }
+    const schedule = getRecurringSchedule(window);
+    // An occurrence covers now if the latest one started within the last `duration` minutes
+    // (one extra day covers an occurrence shifted by a DST change)
+    const start = findPreviousOccurrence(schedule, now, window.timezone || 'UTC', Math.ceil(duration / 1440) + 1);
+    return !!start && now.getTime() - start.getTime() < duration * 60000;
+};
+
+/**
+ * Finds the maintenance window currently in effect for a monitor
+ * @param {number} websiteId Website ID
+ * @param {import('pg').PoolClient} [dbClient] Optional database client
+ * @returns {Promise<object|null>} The first active window, or null
+ */
+const getActiveMaintenanceWindow = async (websiteId, dbClient) => {
+    const windows = await db.getMaintenanceWindowsForWebsite(websiteId, dbClient);
+    const now = new Date();
+    return windows.find(window => isWindowActive(window, now)) || null;
+};
+
+module.exports = {
+    STRATEGIES,
+    MAX_DURATION_MINUTES,
+    parseCronExpression,
+    isValidTimezone,
+    parseDateInTimezone,
+    isWindowActive,
+    getActiveMaintenanceWindow,
+};
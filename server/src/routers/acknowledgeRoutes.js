@@ -0,0 +1,10 @@
+const express = require('express');
+const IncidentController = require('../controllers/IncidentController');
+
+const router = express.Router();
+
+// Public routes - the signed token in the URL identifies and authorizes the incident
+router.get('/:token', IncidentController.getByAcknowledgeToken);
+router.post('/:token', IncidentController.acknowledgeByToken);
+
+module.exports = router;
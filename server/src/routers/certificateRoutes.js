@@ -0,0 +1,13 @@
+const express = require('express');
+const CertificateController = require('../controllers/CertificateController');
+const { authenticateToken } = require('../auth/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Certificate routes (relative to the mount point /api/certificates)
+router.get('/expiring', CertificateController.getExpiring); // GET /api/certificates/expiring?days=30
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const IncidentController = require('../controllers/IncidentController');
+const { authenticateToken } = require('../auth/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Incident routes (relative to the mount point /api/incidents)
+router.get('/', IncidentController.getAll);       // GET /api/incidents
+router.get('/:id', IncidentController.getById);   // GET /api/incidents/:id
+router.post('/:id/acknowledge', IncidentController.acknowledge); // POST /api/incidents/:id/acknowledge
+
+module.exports = router;
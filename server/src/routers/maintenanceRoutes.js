@@ -0,0 +1,17 @@
+const express = require('express');
+const MaintenanceController = require('../controllers/MaintenanceController');
+const { authenticateToken } = require('../auth/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Maintenance window routes (relative to the mount point /api/maintenance)
+router.get('/', MaintenanceController.getAll);         // GET /api/maintenance
+router.post('/', MaintenanceController.create);        // POST /api/maintenance
+router.get('/:id', MaintenanceController.getById);     // GET /api/maintenance/:id
+router.put('/:id', MaintenanceController.update);      // PUT /api/maintenance/:id
+router.delete('/:id', MaintenanceController.delete);   // DELETE /api/maintenance/:id
+
+module.exports = router;
@@ -1,13 +1,56 @@
 const express = require('express');
-const { getSettings, updateSettings } = require('../controllers/NotificationController');
+const {
+    getChannels,
+    createChannel,
+    updateChannel,
+    deleteChannel,
+    testChannel,
+    getDeliveries,
+    getDelivery,
+    resendDelivery,
+    getEscalationPolicies,
+    createEscalationPolicy,
+    updateEscalationPolicy,
+    deleteEscalationPolicy,
+} = require('../controllers/NotificationController');
 const { authenticateToken } = require('../auth/auth'); // Assuming auth middleware exists
 
 const router = express.Router();
 
-// GET /api/notifications/settings - Fetch notification settings
-router.get('/settings', authenticateToken, getSettings);
+// GET /api/notifications/channels - List the user's notification channels
+router.get('/channels', authenticateToken, getChannels);
 
-// PUT /api/notifications/settings - Update notification settings
-router.put('/settings', authenticateToken, updateSettings);
+// POST /api/notifications/channels - Create a notification channel
+router.post('/channels', authenticateToken, createChannel);
+
+// PUT /api/notifications/channels/:id - Update a notification channel
+router.put('/channels/:id', authenticateToken, updateChannel);
+
+// DELETE /api/notifications/channels/:id - Delete a notification channel
+router.delete('/channels/:id', authenticateToken, deleteChannel);
+
+// POST /api/notifications/channels/:id/test - Send a test notification
+router.post('/channels/:id/test', authenticateToken, testChannel);
+
+// GET /api/notifications/deliveries - List the delivery log (every notification sent, with its outcome)
+router.get('/deliveries', authenticateToken, getDeliveries);
+
+// GET /api/notifications/deliveries/:id - Get a delivery with its attempts
+router.get('/deliveries/:id', authenticateToken, getDelivery);
+
+// POST /api/notifications/deliveries/:id/resend - Send a delivery again
+router.post('/deliveries/:id/resend', authenticateToken, resendDelivery);
+
+// GET /api/notifications/escalation-policies - List the user's escalation policies
+router.get('/escalation-policies', authenticateToken, getEscalationPolicies);
+
+// POST /api/notifications/escalation-policies - Create an escalation policy
+router.post('/escalation-policies', authenticateToken, createEscalationPolicy);
+
+// PUT /api/notifications/escalation-policies/:id - Update an escalation policy
+router.put('/escalation-policies/:id', authenticateToken, updateEscalationPolicy);
+
+// DELETE /api/notifications/escalation-policies/:id - Delete an escalation policy (its monitors keep plain notifications)
+router.delete('/escalation-policies/:id', authenticateToken, deleteEscalationPolicy);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const PushController = require('../controllers/PushController');
+
+const router = express.Router();
+
+// Public routes - the push token in the URL identifies and authorizes the monitor
+router.get('/:token', PushController.receive);
+router.post('/:token', PushController.receive);
+
+module.exports = router;
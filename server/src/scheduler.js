@@ -1,11 +1,14 @@
 console.log('[SCHEDULER_MODULE] Loading scheduler.js module...'); // Added top-level log
 // Removed: const Website = require('./models/Website'); - Not used directly here
-const { performCheck } = require('./monitoring/checker');
-const { getAllWebsites, updateWebsiteStatus, insertCheckHistory } = require('./database/db'); // Import db functions
+const { performCheck, getCheckIntervalMs, MONITOR_PUSH } = require('./monitoring/checker');
+const { getAllWebsites } = require('./database/db'); // Import db functions
 const { getDatabase } = require('./database/init'); // Import getDatabase to get the pool
+const { retryPendingDeliveries } = require('./alerting/webhook');
+const { processOutageNotifications } = require('./alerting/escalation');
 
 /**
- * Checks all active websites whose check interval has passed.
+ * Checks all active websites whose check interval has passed, then sends the reminders and
+ * escalation steps of ongoing outages and retries failed notifications.
  */
 const checkWebsites = async () => {
     console.log('[SCHEDULER_FUNC_ENTRY] Entered checkWebsites function.'); // Added entry log
@@ -32,9 +35,11 @@ const checkWebsites = async () => {
                 // Use current time for comparison
                 const now = new Date();
                 // Ensure last_check_time is treated as a Date object, handle null/undefined
-                const lastCheckTime = website.last_check_time ? new Date(website.last_check_time) : new Date(0);
+                // Push monitors that never received a push count from their creation time
+                const neverChecked = website.monitorType === MONITOR_PUSH ? new Date(website.created_at) : new Date(0);
+                const lastCheckTime = website.last_check_time ? new Date(website.last_check_time) : neverChecked;
                 const timeSinceLastCheck = now.getTime() - lastCheckTime.getTime();
-                const intervalMs = (website.check_interval || 300) * 1000; // Use default if null
+                const intervalMs = getCheckIntervalMs(website); // Includes the grace period for push monitors
 
                 // Check if active AND check_interval has passed since last check
                 // Assuming 'active' column is boolean in PG
@@ -44,25 +49,10 @@ const checkWebsites = async () => {
                       console.log(`Checking website: ${website.name} (${website.url}) - Interval: ${intervalMs}ms, Last Check: ${lastCheckTime.toISOString()}`);
                       checkedCount++;
 
-                      // Perform the check
+                      // Perform the check; performCheck records status, history and heartbeat using the acquired client
                       console.log(`[SCHEDULER] Performing check for ${website.name} (ID: ${website.id})...`);
-                      const result = await performCheck(website); // performCheck needs to handle PG website object structure
-                      console.log(`[SCHEDULER] Check performed for ${website.name}. Result: ${result.isUp ? 'UP' : 'DOWN'}, Response Time: ${result.responseTime}ms`);
-
-                      // Update status and history using db functions
-                      // Ensure result object structure matches what db functions expect
-                      console.log(`[SCHEDULER] Attempting DB update for ${website.name} (ID: ${website.id}) using acquired client...`);
-                      try {
-                          // Pass the acquired client to the DB functions
-                          await updateWebsiteStatus({ ...result, websiteId: website.id }, client);
-                          console.log(`[SCHEDULER] DB updateWebsiteStatus successful for ${website.name}`);
-                          await insertCheckHistory({ ...result, websiteId: website.id }, client);
-                          console.log(`[SCHEDULER] DB insertCheckHistory successful for ${website.name}`);
-                      } catch (dbError) {
-                          console.error(`[SCHEDULER] DATABASE ERROR updating status/history for ${website.name} (ID: ${website.id}):`, dbError);
-                          // Rethrow or handle as needed - rethrowing might be caught by the outer loop's catch
-                          throw dbError;
-                      }
+                      const result = await performCheck(website, client);
+                      console.log(`[SCHEDULER] Check performed for ${website.name}. Result: ${result.isUp ? 'UP' : 'DOWN'}, Response Time: ${result.responseTimeMs}ms`);
                       console.log(`[SCHEDULER] Check and DB update complete for ${website.name}. Status: ${result.isUp ? 'UP' : 'DOWN'}`);
                 } else if (website.active !== true) {
                     // console.log(`[SCHEDULER] Skipping inactive website: ${website.name}`); // Uncomment if needed
@@ -82,6 +72,24 @@ const checkWebsites = async () => {
                 // }
             }
         }
+
+        // Remind and escalate outages that are still open and not marked as handled
+        try {
+            const sent = await processOutageNotifications(client);
+            console.log(`[SCHEDULER] Sent ${sent} outage reminders and escalation steps.`);
+        } catch (outageError) {
+            errorCount++;
+            console.error('[SCHEDULER] ERROR sending outage reminders and escalations:', outageError);
+        }
+
+        // Retry notifications whose earlier attempts failed and whose backoff has passed
+        try {
+            const retried = await retryPendingDeliveries();
+            console.log(`[SCHEDULER] Retried ${retried} notification deliveries.`);
+        } catch (retryError) {
+            errorCount++;
+            console.error('[SCHEDULER] ERROR retrying notification deliveries:', retryError);
+        }
     } catch (fetchError) { // Renamed variable for clarity
         errorCount++;
         console.error('[SCHEDULER] FATAL ERROR during check cycle (before or during website fetch):', fetchError);
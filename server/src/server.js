@@ -9,6 +9,11 @@ const websiteRoutes = require('./routers/websiteRoutes');
 const publicStatusRoutes = require('./routers/publicStatusRoutes'); // Import public routes
 const statsRoutes = require('./routers/statsRoutes'); // Import stats routes
 const notificationRoutes = require('./routers/notificationRoutes'); // Import notification routes
+const pushRoutes = require('./routers/pushRoutes'); // Import push monitor routes
+const maintenanceRoutes = require('./routers/maintenanceRoutes'); // Import maintenance window routes
+const incidentRoutes = require('./routers/incidentRoutes'); // Import incident routes
+const acknowledgeRoutes = require('./routers/acknowledgeRoutes'); // Import acknowledge link routes
+const certificateRoutes = require('./routers/certificateRoutes'); // Import certificate report routes
 // Removed: const { startMonitoring } = require('./scheduler'); - No longer starting interval here
 const { checkWebsites } = require('./scheduler'); // Import the check function
 console.log(`[SERVER START] Imported checkWebsites: Type = ${typeof checkWebsites}`); // Added import log
@@ -44,8 +49,13 @@ console.log('[SERVER START] Mounting API routes...'); // Added log
 // API Routes - Reverted to original order
 app.use('/api/auth', authRouter); 
 app.use('/api/public', publicStatusRoutes);
+app.use('/api/push', pushRoutes); // Push monitor ingest (token in URL, no auth)
 app.use('/api/stats', statsRoutes);
 app.use('/api/notifications', notificationRoutes); // Mount notification routes
+app.use('/api/maintenance', maintenanceRoutes); // Mount maintenance window routes
+app.use('/api/incidents', incidentRoutes); // Mount incident routes
+app.use('/api/acknowledge', acknowledgeRoutes); // Acknowledge links in alerts (signed token in URL, no auth)
+app.use('/api/certificates', certificateRoutes); // Mount certificate report routes
 app.use('/api/websites', websiteRoutes); // Mount website routes under /api/websites
 
 // Cron Job Endpoint (protected by secret)
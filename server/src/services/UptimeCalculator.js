@@ -3,6 +3,7 @@ const utc = require("dayjs/plugin/utc");
 const { LimitQueue } = require("../utils/limit-queue");
 const { log } = require("../utils/logger");
 const { getDatabase } = require("../database/init"); // Import getDatabase (pg Pool)
+const { TIMING_PHASES } = require("../utils/timings");
 
 // Extend dayjs with UTC plugin
 dayjs.extend(utc);
@@ -12,6 +13,22 @@ const UP = 1;
 const DOWN = 0;
 const PENDING = 2; // Assuming PENDING is treated as DOWN for uptime
 const MAINTENANCE = 3; // Assuming MAINTENANCE is treated as UP for uptime
+const DEGRADED = 4; // Slow but up: counted as UP, including its ping
+
+// Average time per check phase, over the timing_count UP checks that measured them
+const TIMING_COLUMNS = TIMING_PHASES.map(phase => `avg_${phase}_ms`);
+
+/**
+ * Builds the SET clauses of an upsert that merge the phase averages, weighted by timing_count
+ * @param {string} table Stat table
+ * @returns {string}
+ */
+const timingMergeSql = (table) => [
+  `timing_count = ${table}.timing_count + excluded.timing_count`,
+  ...TIMING_COLUMNS.map(column => `${column} = CASE WHEN ${table}.timing_count + excluded.timing_count > 0
+                              THEN ((COALESCE(${table}.${column}, 0) * ${table}.timing_count) + (COALESCE(excluded.${column}, 0) * excluded.timing_count)) / (${table}.timing_count + excluded.timing_count)
+                              ELSE NULL END`),
+].join(',\n              ');
 
 /**
  * Calculates and stores uptime statistics for monitors.
@@ -109,7 +126,8 @@ class UptimeCalculator {
 
   /** Updates uptime statistics based on a new heartbeat. */
   async update(heartbeatData) {
-    const { status, ping = null, message = null } = heartbeatData;
+    const { ping = null, timings = null } = heartbeatData;
+    const status = heartbeatData.status === DEGRADED ? UP : heartbeatData.status;
     const date = heartbeatData.timestamp || this.getCurrentDate();
     const flatStatus = this._flatStatus(status);
 
@@ -135,6 +153,11 @@ class UptimeCalculator {
         this._updatePingStats(hourData, ping);
         this._updatePingStats(dailyData, ping);
       }
+      if (timings) {
+        this._updateTimingStats(minuteData, timings);
+        this._updateTimingStats(hourData, timings);
+        this._updateTimingStats(dailyData, timings);
+      }
     } else if (flatStatus === DOWN) {
       minuteData.down_count++; hourData.down_count++; dailyData.down_count++;
     }
@@ -151,8 +174,8 @@ class UptimeCalculator {
 
       // Upsert Minutely Stat (using pg syntax)
       const upsertMinutelySql = `
-          INSERT INTO stat_minutely (website_id, timestamp, up_count, down_count, maintenance_count, avg_ping, min_ping, max_ping, extras)
-          VALUES ($1, to_timestamp($2), $3, $4, $5, $6, $7, $8, $9)
+          INSERT INTO stat_minutely (website_id, timestamp, up_count, down_count, maintenance_count, avg_ping, min_ping, max_ping, extras, timing_count, ${TIMING_COLUMNS.join(', ')})
+          VALUES ($1, to_timestamp($2), $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
           ON CONFLICT(website_id, timestamp) DO UPDATE SET
               up_count = stat_minutely.up_count + excluded.up_count, -- Accumulate counts correctly
               down_count = stat_minutely.down_count + excluded.down_count,
@@ -164,6 +187,7 @@ class UptimeCalculator {
               min_ping = LEAST(COALESCE(stat_minutely.min_ping, excluded.min_ping, 2147483647), COALESCE(excluded.min_ping, stat_minutely.min_ping, 2147483647)),
               max_ping = GREATEST(COALESCE(stat_minutely.max_ping, excluded.max_ping, -1), COALESCE(excluded.max_ping, stat_minutely.max_ping, -1)),
               extras = excluded.extras, -- Or merge JSONB: stat_minutely.extras || excluded.extras
+              ${timingMergeSql('stat_minutely')},
               updated_at = CURRENT_TIMESTAMP
       `;
        // Prepare params for insert (initial values for this heartbeat)
@@ -171,15 +195,16 @@ class UptimeCalculator {
            this.monitorID, minuteKey,
            status === UP ? 1 : 0, status === DOWN ? 1 : 0, status === MAINTENANCE ? 1 : 0,
            status === UP ? ping : null, status === UP ? ping : null, status === UP ? ping : null,
-           minuteData.extras // Assuming extras are not updated per heartbeat here
+           minuteData.extras, // Assuming extras are not updated per heartbeat here
+           ...this._timingParams(status, timings)
        ];
       await client.query(upsertMinutelySql, minuteParams);
 
 
       // Upsert Hourly Stat (similar logic, adjust table name and key)
       const upsertHourlySql = `
-          INSERT INTO stat_hourly (website_id, timestamp, up_count, down_count, maintenance_count, avg_ping, min_ping, max_ping, extras)
-          VALUES ($1, to_timestamp($2), $3, $4, $5, $6, $7, $8, $9)
+          INSERT INTO stat_hourly (website_id, timestamp, up_count, down_count, maintenance_count, avg_ping, min_ping, max_ping, extras, timing_count, ${TIMING_COLUMNS.join(', ')})
+          VALUES ($1, to_timestamp($2), $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
           ON CONFLICT(website_id, timestamp) DO UPDATE SET
               up_count = stat_hourly.up_count + excluded.up_count,
               down_count = stat_hourly.down_count + excluded.down_count,
@@ -190,21 +215,23 @@ class UptimeCalculator {
               min_ping = LEAST(COALESCE(stat_hourly.min_ping, excluded.min_ping, 2147483647), COALESCE(excluded.min_ping, stat_hourly.min_ping, 2147483647)),
               max_ping = GREATEST(COALESCE(stat_hourly.max_ping, excluded.max_ping, -1), COALESCE(excluded.max_ping, stat_hourly.max_ping, -1)),
               extras = excluded.extras,
+              ${timingMergeSql('stat_hourly')},
               updated_at = CURRENT_TIMESTAMP
       `;
        const hourlyParams = [
            this.monitorID, hourKey,
            status === UP ? 1 : 0, status === DOWN ? 1 : 0, status === MAINTENANCE ? 1 : 0,
            status === UP ? ping : null, status === UP ? ping : null, status === UP ? ping : null,
-           hourData.extras
+           hourData.extras,
+           ...this._timingParams(status, timings)
        ];
       await client.query(upsertHourlySql, hourlyParams);
 
 
       // Upsert Daily Stat (similar logic, adjust table name and key)
       const upsertDailySql = `
-          INSERT INTO stat_daily (website_id, timestamp, up_count, down_count, maintenance_count, avg_ping, min_ping, max_ping, extras)
-          VALUES ($1, to_timestamp($2), $3, $4, $5, $6, $7, $8, $9)
+          INSERT INTO stat_daily (website_id, timestamp, up_count, down_count, maintenance_count, avg_ping, min_ping, max_ping, extras, timing_count, ${TIMING_COLUMNS.join(', ')})
+          VALUES ($1, to_timestamp($2), $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
           ON CONFLICT(website_id, timestamp) DO UPDATE SET
               up_count = stat_daily.up_count + excluded.up_count,
               down_count = stat_daily.down_count + excluded.down_count,
@@ -215,25 +242,19 @@ class UptimeCalculator {
               min_ping = LEAST(COALESCE(stat_daily.min_ping, excluded.min_ping, 2147483647), COALESCE(excluded.min_ping, stat_daily.min_ping, 2147483647)),
               max_ping = GREATEST(COALESCE(stat_daily.max_ping, excluded.max_ping, -1), COALESCE(excluded.max_ping, stat_daily.max_ping, -1)),
               extras = excluded.extras,
+              ${timingMergeSql('stat_daily')},
               updated_at = CURRENT_TIMESTAMP
       `;
        const dailyParams = [
            this.monitorID, dayKey,
            status === UP ? 1 : 0, status === DOWN ? 1 : 0, status === MAINTENANCE ? 1 : 0,
            status === UP ? ping : null, status === UP ? ping : null, status === UP ? ping : null,
-           dailyData.extras
+           dailyData.extras,
+           ...this._timingParams(status, timings)
        ];
       await client.query(upsertDailySql, dailyParams);
 
-
-      // Insert Heartbeat
-      const insertHeartbeatSql = `
-          INSERT INTO heartbeats (website_id, timestamp, status, ping, message)
-          VALUES ($1, $2, $3, $4, $5)
-      `;
-      // Use date.toISOString() for timestamp with time zone column
-      await client.query(insertHeartbeatSql, [this.monitorID, date.toISOString(), status, ping, message]);
-
+      // The heartbeat row itself is written by the checker (see checker.recordCheckResult)
       await client.query('COMMIT');
     } catch (error) {
       log.error(`[UptimeCalculator] Transaction failed for monitor ${this.monitorID}. Rolling back.`, error);
@@ -290,7 +311,7 @@ class UptimeCalculator {
     for (let key = startKey; key <= nowKey; key += periodSeconds) {
       const data = dataList.get(key, null);
       if (data) {
-        totalUp += data.up_count || 0;
+        totalUp += (data.up_count || 0) + (data.maintenance_count || 0); // Maintenance counts as up
         totalDown += data.down_count || 0;
         if (data.avg_ping !== null && data.up_count > 0) {
           totalPingSum += data.avg_ping * data.up_count;
@@ -375,11 +396,16 @@ class UptimeCalculator {
           max_ping: statRow.max_ping,
           // Assuming 'extras' column is JSONB in PG, it will be parsed automatically by node-pg
           extras: statRow.extras,
+          timing_count: statRow.timing_count || 0,
+          ...Object.fromEntries(TIMING_COLUMNS.map(column => [column, statRow[column] ?? null])),
       };
   }
 
   _createEmptyStat() {
-    return { up_count: 0, down_count: 0, maintenance_count: 0, avg_ping: null, min_ping: null, max_ping: null, extras: null };
+    return {
+      up_count: 0, down_count: 0, maintenance_count: 0, avg_ping: null, min_ping: null, max_ping: null, extras: null,
+      timing_count: 0, ...Object.fromEntries(TIMING_COLUMNS.map(column => [column, null])),
+    };
   }
 
   _flatStatus(status) {
@@ -407,6 +433,34 @@ class UptimeCalculator {
     // Note: up_count is incremented *after* this function in the main update logic
   }
 
+  /**
+   * Adds the phases of an UP check to the phase averages of a period
+   * @param {object} statData Stat of the period
+   * @param {object} timings Phases of the check { dnsMs, connectMs, tlsMs, ttfbMs, downloadMs }
+   */
+  _updateTimingStats(statData, timings) {
+    const count = Number(statData.timing_count || 0);
+    TIMING_PHASES.forEach((phase, index) => {
+      const column = TIMING_COLUMNS[index];
+      statData[column] = (Number(statData[column] || 0) * count + timings[`${phase}Ms`]) / (count + 1);
+    });
+    statData.timing_count = count + 1;
+  }
+
+  /**
+   * Gets the timing_count and phase values of a heartbeat for the stat upserts; only UP checks
+   * with timings count, like the ping
+   * @param {number} status Status of the heartbeat
+   * @param {object|null} timings Phases of the check
+   * @returns {Array<number|null>} [timing_count, avg_dns_ms, avg_connect_ms, avg_tls_ms, avg_ttfb_ms, avg_download_ms]
+   */
+  _timingParams(status, timings) {
+    if (status !== UP || !timings) {
+      return [0, ...TIMING_COLUMNS.map(() => null)];
+    }
+    return [1, ...TIMING_PHASES.map(phase => timings[`${phase}Ms`])];
+  }
+
    _getDataListByType(type) {
     switch (type) { case "minute": return this.minutelyUptimeDataList; case "hour": return this.hourlyUptimeDataList; case "day": return this.dailyUptimeDataList; default: return null; }
   }
@@ -60,7 +60,7 @@ async function initTestMonitor(id, userId = 1) {
                     1, // active
                     id === 1 ? 'https' : 'keyword', // monitor_type
                     JSON.stringify(id === 1 ? 
-                        { verifySSL: true, expiryThreshold: 30 } :
+                        { verifySSL: true, expiryNotifyDays: [30] } :
                         id === 2 ? 
                         { keyword: 'Example Domain', caseSensitive: false } :
                         { keyword: 'ThisShouldNotExist', caseSensitive: true }
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+/**
+ * Describes a TLS peer certificate (from socket.getPeerCertificate(true)) as plain facts that
+ * can be stored and returned by the API: subject, SANs, issuer chain, serial, fingerprint,
+ * validity, key and signature algorithm.
+ */
+
+// Signature algorithm OIDs, named like OpenSSL does
+const SIGNATURE_ALGORITHMS = {
+    '1.2.840.113549.1.1.4': 'md5WithRSAEncryption',
+    '1.2.840.113549.1.1.5': 'sha1WithRSAEncryption',
+    '1.2.840.113549.1.1.10': 'rsassaPss',
+    '1.2.840.113549.1.1.11': 'sha256WithRSAEncryption',
+    '1.2.840.113549.1.1.12': 'sha384WithRSAEncryption',
+    '1.2.840.113549.1.1.13': 'sha512WithRSAEncryption',
+    '1.2.840.10045.4.1': 'ecdsa-with-SHA1',
+    '1.2.840.10045.4.3.2': 'ecdsa-with-SHA256',
+    '1.2.840.10045.4.3.3': 'ecdsa-with-SHA384',
+    '1.2.840.10045.4.3.4': 'ecdsa-with-SHA512',
+    '1.3.101.112': 'ED25519',
+    '1.3.101.113': 'ED448',
+};
+
+// Public key types as reported by KeyObject.asymmetricKeyType
+const KEY_TYPES = {
+    rsa: 'RSA',
+    'rsa-pss': 'RSA-PSS',
+    dsa: 'DSA',
+    ec: 'EC',
+    ed25519: 'Ed25519',
+    ed448: 'Ed448',
+};
+
+/**
+ * Reads the header of a DER element
+ * @param {Buffer} der DER data
+ * @param {number} offset Offset of the element
+ * @returns {{tag: number, start: number, end: number}} Tag and the bounds of its content
+ * @throws {Error} When the element runs past the data
+ */
+const readDerElement = (der, offset) => {
+    const tag = der[offset];
+    let length = der[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+        const lengthBytes = length & 0x7f;
+        length = 0;
+        for (let i = 0; i < lengthBytes; i++) {
+            length = length * 256 + der[start + i];
+        }
+        start += lengthBytes;
+    }
+    if (tag === undefined || start + length > der.length) {
+        throw new Error('Truncated DER element');
+    }
+    return { tag, start, end: start + length };
+};
+
+/**
+ * Decodes a DER object identifier
+ * @param {Buffer} bytes Content of the OID element
+ * @returns {string} Dotted OID, e.g. "1.2.840.113549.1.1.11"
+ */
+const decodeOid = (bytes) => {
+    const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+    let value = 0;
+    for (const byte of bytes.subarray(1)) {
+        value = value * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) {
+            parts.push(value);
+            value = 0;
+        }
+    }
+    return parts.join('.');
+};
+
+/**
+ * Gets the algorithm the issuer signed the certificate with. Node does not expose it, so it is
+ * read from the DER: Certificate ::= SEQUENCE { tbsCertificate, signatureAlgorithm, signature }
+ * @param {Buffer} raw DER encoded certificate
+ * @returns {string|null} Algorithm name (or OID when unknown), null when the DER cannot be read
+ */
+const getSignatureAlgorithm = (raw) => {
+    try {
+        const certificate = readDerElement(raw, 0);
+        const tbsCertificate = readDerElement(raw, certificate.start);
+        const algorithm = readDerElement(raw, tbsCertificate.end);
+        const oid = readDerElement(raw, algorithm.start);
+        if (oid.tag !== 0x06) return null;
+        const dotted = decodeOid(raw.subarray(oid.start, oid.end));
+        return SIGNATURE_ALGORITHMS[dotted] || dotted;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Formats a subject or issuer name: its common name, or all its attributes when it has none
+ * @param {object} [name] Name as returned by getPeerCertificate, e.g. { CN: 'example.com', O: 'Example' }
+ * @returns {string|null}
+ */
+const formatName = (name) => {
+    if (!name) return null;
+    if (name.CN) return Array.isArray(name.CN) ? name.CN.join(', ') : name.CN;
+    const attributes = Object.entries(name).map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('+') : value}`);
+    return attributes.join(', ') || null;
+};
+
+/**
+ * Gets the type of the certificate's public key
+ * @param {object} cert Certificate as returned by getPeerCertificate
+ * @returns {string|null} e.g. "RSA" or "EC"
+ */
+const getKeyType = (cert) => {
+    try {
+        const type = new crypto.X509Certificate(cert.raw).publicKey.asymmetricKeyType;
+        return KEY_TYPES[type] || type || null;
+    } catch (error) {
+        if (cert.modulus) return 'RSA';
+        return cert.asn1Curve ? 'EC' : null;
+    }
+};
+
+/**
+ * Lists the issuers of a certificate up to the root, as far as the server sent them
+ * @param {object} cert Certificate as returned by getPeerCertificate(true)
+ * @returns {Array<object>} [{ subject, issuer, serialNumber, fingerprint256, validTo }]
+ */
+const getIssuerChain = (cert) => {
+    const chain = [];
+    let current = cert;
+    // A self-signed certificate is its own issuerCertificate
+    while (current.issuerCertificate && current.issuerCertificate !== current &&
+           current.issuerCertificate.fingerprint256 !== current.fingerprint256) {
+        current = current.issuerCertificate;
+        chain.push({
+            subject: formatName(current.subject),
+            issuer: formatName(current.issuer),
+            serialNumber: current.serialNumber || null,
+            fingerprint256: current.fingerprint256 || null,
+            validTo: current.valid_to ? new Date(current.valid_to).toISOString() : null,
+        });
+    }
+    return chain;
+};
+
+/**
+ * Describes a peer certificate
+ * @param {object} cert Certificate as returned by getPeerCertificate(true)
+ * @returns {object} { subject, subjectAltNames, issuer, issuerChain, serialNumber, fingerprint256,
+ *                     validFrom, validTo, keyType, keyBits, signatureAlgorithm }
+ */
+const describeCertificate = (cert) => ({
+    subject: formatName(cert.subject),
+    subjectAltNames: cert.subjectaltname ? cert.subjectaltname.split(', ') : [],
+    issuer: formatName(cert.issuer),
+    issuerChain: getIssuerChain(cert),
+    serialNumber: cert.serialNumber || null,
+    fingerprint256: cert.fingerprint256 || null,
+    validFrom: cert.valid_from ? new Date(cert.valid_from).toISOString() : null,
+    validTo: cert.valid_to ? new Date(cert.valid_to).toISOString() : null,
+    keyType: getKeyType(cert),
+    keyBits: cert.bits ?? null,
+    signatureAlgorithm: cert.raw ? getSignatureAlgorithm(cert.raw) : null,
+});
+
+module.exports = {
+    describeCertificate,
+    getSignatureAlgorithm,
+    formatName,
+};
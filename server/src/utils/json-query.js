@@ -0,0 +1,155 @@
+/**
+ * Minimal JSONPath evaluator and assertion helpers for the json-query monitor.
+ *
+ * Supported expression syntax (a practical subset of JSONPath):
+ *   $                    the whole document
+ *   $.status             object member
+ *   $['content-type']    bracketed member (names with dots, dashes or spaces)
+ *   $.items[0]           array index (negative indexes count from the end)
+ *   $.items[*].status    wildcard over arrays and objects, yields a list
+ *   $.items.length       array or string length
+ * The leading `$` is optional. Filters ([?(...)]), recursive descent (..), slices and unions are
+ * not supported, and neither is JMESPath syntax.
+ */
+
+const OPERATORS = ['==', '!=', '<', '>', 'contains', 'matches'];
+
+// Shown with parse errors, so users know what the subset covers
+const SUPPORTED_SYNTAX = "$.member, $['member'], $.list[0], $.list[*] and .length";
+
+// JSONPath features outside the subset, reported by name instead of as an unexpected token
+const UNSUPPORTED_FEATURES = [
+    { pattern: /^\.\./, name: 'Recursive descent (..)' },
+    { pattern: /^\[\?/, name: 'Filter expressions ([?(...)])' },
+    { pattern: /^\[-?\d*:/, name: 'Array slices ([start:end])' },
+    { pattern: /^\[[^\]]*,/, name: 'Unions ([a,b])' },
+];
+
+/**
+ * Splits an expression into path segments
+ * @param {string} expression JSONPath expression, e.g. "$.checks[0].status"
+ * @returns {Array<{type: 'member'|'index'|'wildcard', value?: string|number}>}
+ * @throws {Error} If the expression is malformed
+ */
+const parseExpression = (expression) => {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error('Expression is empty');
+    }
+
+    let rest = expression.trim();
+    if (rest.startsWith('$')) {
+        rest = rest.slice(1);
+    } else if (!rest.startsWith('.') && !rest.startsWith('[')) {
+        rest = `.${rest}`;
+    }
+
+    const segments = [];
+    const tokenPattern = /^(?:\.([A-Za-z_$][\w$-]*)|\.\*|\[\*\]|\[(-?\d+)\]|\[(['"])((?:(?!\3).)*)\3\])/;
+    while (rest.length > 0) {
+        const match = tokenPattern.exec(rest);
+        if (!match) {
+            const unsupported = UNSUPPORTED_FEATURES.find(({ pattern }) => pattern.test(rest));
+            const problem = unsupported ? `${unsupported.name} is not supported` : `Unexpected token at "${rest}"`;
+            throw new Error(`${problem}; supported syntax: ${SUPPORTED_SYNTAX}`);
+        }
+        if (match[1] !== undefined) {
+            segments.push({ type: 'member', value: match[1] });
+        } else if (match[2] !== undefined) {
+            segments.push({ type: 'index', value: parseInt(match[2], 10) });
+        } else if (match[4] !== undefined) {
+            segments.push({ type: 'member', value: match[4] });
+        } else {
+            segments.push({ type: 'wildcard' });
+        }
+        rest = rest.slice(match[0].length);
+    }
+    return segments;
+};
+
+/**
+ * Evaluates an expression against a parsed JSON document
+ * @param {any} data Parsed JSON document
+ * @param {string} expression JSONPath expression
+ * @returns {any} The selected value (undefined when the path does not exist, an array after a wildcard)
+ */
+const evaluate = (data, expression) => {
+    let values = [data];
+    let isList = false;
+
+    for (const segment of parseExpression(expression)) {
+        const next = [];
+        for (const value of values) {
+            if (value === null || value === undefined) continue;
+            if (segment.type === 'wildcard') {
+                if (typeof value === 'object') next.push(...Object.values(value));
+            } else if (segment.type === 'index') {
+                if (Array.isArray(value)) {
+                    const item = value[segment.value < 0 ? value.length + segment.value : segment.value];
+                    if (item !== undefined) next.push(item);
+                }
+            } else if (segment.value === 'length' && (Array.isArray(value) || typeof value === 'string')) {
+                next.push(value.length);
+            } else if (typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, segment.value)) {
+                next.push(value[segment.value]);
+            }
+        }
+        values = next;
+        isList = isList || segment.type === 'wildcard';
+    }
+
+    return isList ? values : values[0];
+};
+
+/**
+ * Formats a value for messages and the check history
+ * @param {any} value Value returned by evaluate
+ * @returns {string}
+ */
+const formatValue = (value) => {
+    if (value === undefined) return 'undefined';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+/**
+ * Compares the actual value with the expected value using the given operator
+ * @param {any} actual Value returned by evaluate
+ * @param {string} operator One of OPERATORS
+ * @param {string} expected Expected value as entered by the user
+ * @returns {boolean} Whether the assertion holds
+ * @throws {Error} If the operator is unknown or the regex is invalid
+ */
+const compare = (actual, operator, expected) => {
+    const expectedString = expected === undefined || expected === null ? '' : String(expected);
+
+    switch (operator) {
+        case '==':
+            return actual !== undefined && formatValue(actual) === expectedString;
+        case '!=':
+            // A missing path fails, like ==, so a dropped field does not pass the assertion
+            return actual !== undefined && formatValue(actual) !== expectedString;
+        case '<':
+        case '>': {
+            const actualNumber = typeof actual === 'number' ? actual : parseFloat(actual);
+            const expectedNumber = parseFloat(expectedString);
+            if (isNaN(actualNumber) || isNaN(expectedNumber)) return false;
+            return operator === '<' ? actualNumber < expectedNumber : actualNumber > expectedNumber;
+        }
+        case 'contains':
+            if (Array.isArray(actual)) return actual.some(item => formatValue(item) === expectedString);
+            if (typeof actual === 'string') return actual.includes(expectedString);
+            if (actual && typeof actual === 'object') return Object.prototype.hasOwnProperty.call(actual, expectedString);
+            return false;
+        case 'matches':
+            return actual !== undefined && new RegExp(expectedString).test(formatValue(actual));
+        default:
+            throw new Error(`Unknown operator ${operator}`);
+    }
+};
+
+module.exports = {
+    OPERATORS,
+    parseExpression,
+    evaluate,
+    formatValue,
+    compare,
+};
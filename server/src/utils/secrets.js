@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+/**
+ * Encrypts secrets stored in the database, such as the client keys of HTTPS monitors, with
+ * AES-256-GCM. The key is derived from SECRETS_ENCRYPTION_KEY, or JWT_SECRET when it is not set;
+ * changing it makes the stored secrets unreadable, so they must be entered again.
+ * Stored format: "v1:<iv>:<auth tag>:<ciphertext>", each part base64.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Gets the encryption key
+ * @returns {Buffer} 32 byte key
+ */
+const getKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.SECRETS_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-very-secure-secret')
+    .digest();
+
+/**
+ * Encrypts a secret
+ * @param {string} plaintext Secret to store
+ * @returns {string} Encrypted secret
+ */
+const encryptSecret = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypts a secret stored by encryptSecret
+ * @param {string} value Encrypted secret
+ * @returns {string} The secret
+ * @throws {Error} When the value is malformed, was tampered with or was encrypted with another key
+ */
+const decryptSecret = (value) => {
+    const [version, iv, tag, ciphertext] = String(value).split(':');
+    if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+        throw new Error('Malformed encrypted secret');
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+};
@@ -0,0 +1,84 @@
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+
+/**
+ * Measures the phases of an HTTP check from the events of the sockets it opens: DNS lookup,
+ * TCP connect, TLS handshake, time to first byte and download. Each check uses its own agents
+ * without keep-alive, so every connection is new and its phases are seen; the phases of all
+ * connections of a check (redirects) are added up.
+ */
+
+// Phases in the order they happen
+const TIMING_PHASES = ['dns', 'connect', 'tls', 'ttfb', 'download'];
+
+/**
+ * Records the phases of one socket
+ * @param {import('net').Socket} socket Socket created by the agent
+ * @param {object} totals Milliseconds per phase, added to
+ */
+const trackSocket = (socket, totals) => {
+    let mark = performance.now();
+    /**
+     * Adds the time since the previous event to a phase
+     * @param {string} phase Phase that just ended
+     */
+    const end = (phase) => {
+        const now = performance.now();
+        totals[phase] += now - mark;
+        mark = now;
+    };
+    socket.once('lookup', () => end('dns'));
+    socket.once('connect', () => end('connect'));
+    socket.once('secureConnect', () => end('tls'));
+    socket.once('data', () => end('ttfb'));
+};
+
+/**
+ * Creates the agents for one check attempt and a way to read the phases they saw
+ * @param {object} [httpsOptions={}] https.Agent options (certificate validation, client certificate, CA bundle)
+ * @returns {{httpAgent: import('http').Agent, httpsAgent: import('https').Agent, getTimings: function(number): object|null}}
+ */
+const createTimedAgents = (httpsOptions = {}) => {
+    const totals = { dns: 0, connect: 0, tls: 0, ttfb: 0 };
+    let sockets = 0;
+    const agents = [new http.Agent({ keepAlive: false }), new https.Agent({ ...httpsOptions, keepAlive: false })];
+    for (const agent of agents) {
+        const createConnection = agent.createConnection.bind(agent);
+        agent.createConnection = (options, callback) => {
+            const socket = createConnection(options, callback);
+            sockets++;
+            trackSocket(socket, totals);
+            return socket;
+        };
+    }
+
+    return {
+        httpAgent: agents[0],
+        httpsAgent: agents[1],
+        /**
+         * Gets the phases of the attempt; the download is what is left of the response time
+         * @param {number} responseTimeMs Response time of the attempt
+         * @returns {{dnsMs: number, connectMs: number, tlsMs: number, ttfbMs: number, downloadMs: number}|null} Null when no connection was made
+         */
+        getTimings: (responseTimeMs) => {
+            if (sockets === 0) {
+                return null;
+            }
+            const timings = {
+                dnsMs: Math.round(totals.dns),
+                connectMs: Math.round(totals.connect),
+                tlsMs: Math.round(totals.tls),
+                ttfbMs: Math.round(totals.ttfb),
+            };
+            const measured = timings.dnsMs + timings.connectMs + timings.tlsMs + timings.ttfbMs;
+            timings.downloadMs = Math.max(0, responseTimeMs - measured);
+            return timings;
+        },
+    };
+};
+
+module.exports = {
+    TIMING_PHASES,
+    createTimedAgents,
+};
@@ -0,0 +1,107 @@
+const tls = require('tls');
+
+/**
+ * Audits the TLS setup seen by an HTTPS check: protocol and cipher, legacy protocol support,
+ * served chain, hostname, self-signed and weak keys or signatures. Each finding has a type and a
+ * severity; what a finding does to the monitor is configured per monitor (monitorConfig.tlsFindingActions).
+ */
+
+// Finding types and their severity
+const TLS_FINDINGS = {
+    legacy_protocol: 'warning', // TLS 1.0 or 1.1 is accepted
+    weak_cipher: 'critical', // The negotiated cipher is broken (RC4, DES, NULL, export or anonymous)
+    incomplete_chain: 'critical', // The served chain does not reach a root, usually a missing intermediate
+    hostname_mismatch: 'critical', // The hostname is not in the subject alternative names
+    self_signed: 'critical',
+    weak_key: 'warning', // RSA/DSA under 2048 bits, EC under 256 bits
+    weak_signature: 'warning', // Signed with MD5 or SHA-1
+};
+
+// What a finding can do to the monitor
+const TLS_FINDING_ACTIONS = ['none', 'degraded', 'down'];
+
+// Protocols probed besides the negotiated one, oldest first
+const LEGACY_PROTOCOLS = ['TLSv1', 'TLSv1.1'];
+
+// Minimum key sizes in bits
+const MIN_KEY_BITS = { RSA: 2048, 'RSA-PSS': 2048, DSA: 2048, EC: 256 };
+
+const WEAK_CIPHER_PATTERN = /(^|[-_])(RC4|DES|3DES|NULL|EXPORT|EXP|anon|ADH|AECDH)([-_]|$)/i;
+const WEAK_SIGNATURE_PATTERN = /md5|sha1/i;
+
+/**
+ * Checks whether a certificate from getPeerCertificate(true) issued itself
+ * @param {object} cert Certificate as returned by getPeerCertificate(true)
+ * @returns {boolean}
+ */
+const isSelfIssued = (cert) => !!cert.issuerCertificate
+    && (cert.issuerCertificate === cert || cert.issuerCertificate.fingerprint256 === cert.fingerprint256);
+
+/**
+ * Checks whether the chain of a peer certificate reaches a self-signed root. Node appends the root
+ * from the trust store when the served chain leads to it, so a chain that stops earlier misses
+ * an intermediate (or is signed by a root the monitoring server does not know).
+ * @param {object} cert Certificate as returned by getPeerCertificate(true)
+ * @returns {boolean}
+ */
+const isChainComplete = (cert) => {
+    let current = cert;
+    while (current.issuerCertificate && !isSelfIssued(current)) {
+        current = current.issuerCertificate;
+    }
+    return isSelfIssued(current);
+};
+
+/**
+ * Builds a finding
+ * @param {string} type Finding type, a key of TLS_FINDINGS
+ * @param {string} message What was found
+ * @returns {{type: string, severity: string, message: string}}
+ */
+const finding = (type, message) => ({ type, severity: TLS_FINDINGS[type], message });
+
+/**
+ * Audits a TLS connection
+ * @param {object} facts What the check saw
+ * @param {string} facts.hostname Hostname that was checked
+ * @param {object} facts.cert Certificate as returned by getPeerCertificate(true)
+ * @param {object} facts.certificate The certificate as returned by describeCertificate
+ * @param {object|null} facts.cipher Negotiated cipher as returned by socket.getCipher()
+ * @param {Array<string>} facts.legacyProtocols Legacy protocols the server accepted, e.g. ['TLSv1.1']
+ * @returns {Array<{type: string, severity: string, message: string}>} Findings, empty when all is fine
+ */
+const auditTls = ({ hostname, cert, certificate, cipher, legacyProtocols }) => {
+    const findings = [];
+    if (legacyProtocols.length > 0) {
+        findings.push(finding('legacy_protocol', `Server accepts ${legacyProtocols.join(' and ')}`));
+    }
+    if (cipher && WEAK_CIPHER_PATTERN.test(cipher.standardName || cipher.name)) {
+        findings.push(finding('weak_cipher', `Negotiated cipher ${cipher.standardName || cipher.name} is weak`));
+    }
+    const selfSigned = isSelfIssued(cert);
+    if (selfSigned) {
+        findings.push(finding('self_signed', 'Certificate is self-signed'));
+    } else if (!isChainComplete(cert)) {
+        const last = certificate.issuerChain[certificate.issuerChain.length - 1] || certificate;
+        findings.push(finding('incomplete_chain', `Served chain ends at ${last.subject || 'the certificate'}, issued by ${last.issuer || 'an unknown issuer'} that was not sent or is not trusted`));
+    }
+    const identityError = tls.checkServerIdentity(hostname, cert);
+    if (identityError) {
+        findings.push(finding('hostname_mismatch', identityError.reason || identityError.message));
+    }
+    const minBits = MIN_KEY_BITS[certificate.keyType];
+    if (minBits && certificate.keyBits && certificate.keyBits < minBits) {
+        findings.push(finding('weak_key', `${certificate.keyType} key of ${certificate.keyBits} bits (minimum ${minBits})`));
+    }
+    if (certificate.signatureAlgorithm && WEAK_SIGNATURE_PATTERN.test(certificate.signatureAlgorithm)) {
+        findings.push(finding('weak_signature', `Signed with ${certificate.signatureAlgorithm}`));
+    }
+    return findings;
+};
+
+module.exports = {
+    TLS_FINDINGS,
+    TLS_FINDING_ACTIONS,
+    LEGACY_PROTOCOLS,
+    auditTls,
+};
@@ -0,0 +1,110 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/database/db');
+const IncidentController = require('../src/controllers/IncidentController');
+const { createAcknowledgeToken, verifyAcknowledgeToken, getAcknowledgeLink } = require('../src/alerting/acknowledgeLink');
+const { createMockResponse } = require('./helpers/http');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('acknowledge links', () => {
+    it('round-trips the incident ID', () => {
+        assert.equal(verifyAcknowledgeToken(createAcknowledgeToken(42)), 42);
+    });
+
+    it('links to the acknowledge page of the dashboard', () => {
+        assert.match(getAcknowledgeLink(42), /^http:\/\/localhost:5173\/acknowledge\/42\.\d+\.[\w-]+$/);
+        assert.equal(getAcknowledgeLink(null), null);
+    });
+
+    it('rejects a token for another incident or expiry', () => {
+        const [, expires, signature] = createAcknowledgeToken(42).split('.');
+        assert.equal(verifyAcknowledgeToken(`43.${expires}.${signature}`), null);
+        assert.equal(verifyAcknowledgeToken(`42.${Number(expires) + 3600}.${signature}`), null);
+    });
+
+    it('rejects a token signed with another secret', () => {
+        const previous = process.env.JWT_SECRET;
+        process.env.JWT_SECRET = 'another-secret';
+        try {
+            const token = createAcknowledgeToken(42);
+            process.env.JWT_SECRET = 'the-server-secret';
+            assert.equal(verifyAcknowledgeToken(token), null);
+        } finally {
+            if (previous === undefined) delete process.env.JWT_SECRET;
+            else process.env.JWT_SECRET = previous;
+        }
+    });
+
+    it('expires after seven days', () => {
+        assert.equal(verifyAcknowledgeToken(createAcknowledgeToken(42, Date.now() - 6 * DAY_MS)), 42);
+        assert.equal(verifyAcknowledgeToken(createAcknowledgeToken(42, Date.now() - 7 * DAY_MS - 1000)), null);
+    });
+
+    it('rejects malformed tokens', () => {
+        for (const token of [undefined, '', '42', '42.1', 'x.1.abc', '42.1.abc.def', '42.9999999999.a+b']) {
+            assert.equal(verifyAcknowledgeToken(token), null, String(token));
+        }
+    });
+});
+
+describe('acknowledging an outage', () => {
+    afterEach(() => mock.restoreAll());
+
+    const openIncident = {
+        id: 42, website_id: 7, user_id: 1, website_name: 'API', website_url: 'https://api.example.com',
+        started_at: new Date(), resolved_at: null, acknowledged_at: null, error_message: 'Server responded with status: 503',
+    };
+
+    it('records who acknowledged in the dashboard, with the note', async () => {
+        mock.method(db, 'getIncident', async () => openIncident);
+        const acknowledge = mock.method(db, 'acknowledgeIncident', async () => true);
+        const res = createMockResponse();
+        await IncidentController.acknowledge({ params: { id: 42 }, body: { note: '  Looking into it ' }, user: { id: 1 } }, res);
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(acknowledge.mock.calls[0].arguments, [42, { userId: 1, note: 'Looking into it' }]);
+    });
+
+    it('rejects incidents of other users and a second acknowledgement', async () => {
+        mock.method(db, 'getIncident', async () => openIncident);
+        const acknowledge = mock.method(db, 'acknowledgeIncident', async () => false);
+
+        const other = createMockResponse();
+        await IncidentController.acknowledge({ params: { id: 42 }, body: {}, user: { id: 2 } }, other);
+        assert.equal(other.statusCode, 403);
+        assert.equal(acknowledge.mock.callCount(), 0);
+
+        const again = createMockResponse();
+        await IncidentController.acknowledge({ params: { id: 42 }, body: {}, user: { id: 1 } }, again);
+        assert.equal(again.statusCode, 409);
+        assert.equal(again.body.error, 'Incident is already acknowledged');
+    });
+
+    it('acknowledges through a link with a name, without exposing the owner', async () => {
+        const getIncident = mock.method(db, 'getIncident', async () => ({ ...openIncident, user_email: 'owner@example.com' }));
+        const acknowledge = mock.method(db, 'acknowledgeIncident', async () => true);
+        const res = createMockResponse();
+        await IncidentController.acknowledgeByToken({ params: { token: createAcknowledgeToken(42) }, body: { name: 'Sam' } }, res);
+
+        assert.equal(getIncident.mock.calls[0].arguments[0], 42);
+        assert.deepEqual(acknowledge.mock.calls[0].arguments, [42, { name: 'Sam', note: null }]);
+        assert.equal(res.body.id, 42);
+        assert.equal('user_id' in res.body, false);
+        assert.equal('user_email' in res.body, false);
+    });
+
+    it('does not look up the incident of an invalid link', async () => {
+        const getIncident = mock.method(db, 'getIncident', async () => openIncident);
+        const res = createMockResponse();
+        await IncidentController.getByAcknowledgeToken({ params: { token: '42.9999999999.forged' } }, res);
+        assert.equal(res.statusCode, 404);
+        assert.equal(getIncident.mock.callCount(), 0);
+    });
+
+    it('limits the note and name', async () => {
+        const res = createMockResponse();
+        await IncidentController.acknowledgeByToken({ params: { token: createAcknowledgeToken(42) }, body: { name: 'x'.repeat(101) } }, res);
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /name must be at most 100 characters/);
+    });
+});
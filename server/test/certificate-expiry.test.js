@@ -0,0 +1,158 @@
+const { describe, it, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/database/db');
+const webhook = require('../src/alerting/webhook');
+const CertificateController = require('../src/controllers/CertificateController');
+const { buildTitle, getSeverity } = require('../src/alerting/message');
+const { createFakeDbClient } = require('./helpers/fakeDb');
+const { createMockResponse } = require('./helpers/http');
+
+// The checker takes triggerWebhookAlert when it is loaded, so it is replaced before that
+const triggerWebhookAlert = mock.method(webhook, 'triggerWebhookAlert', async () => {});
+const { notifyCertificateExpiry } = require('../src/monitoring/checker');
+
+/**
+ * Creates a database client that records the claimed thresholds the way the unique key of
+ * certificate_expiry_notifications does, and forgets them the way the release query does
+ * @returns {object} Fake database client
+ */
+const createThresholdStore = () => {
+    const claimed = [];
+    const isClaimed = (websiteId, serialNumber, days) => claimed.some(row =>
+        row.websiteId === websiteId && row.serialNumber === serialNumber && row.days === days);
+    return createFakeDbClient((sql, params) => {
+        if (/^\s*DELETE/.test(sql)) {
+            const [websiteId, serialNumber, daysLeft] = params;
+            const released = claimed.filter(row =>
+                row.websiteId === websiteId && (row.serialNumber !== serialNumber || row.days < daysLeft));
+            released.forEach(row => claimed.splice(claimed.indexOf(row), 1));
+            return released;
+        }
+        const [websiteId, serialNumber, thresholds] = params;
+        return thresholds
+            .filter(days => !isClaimed(websiteId, serialNumber, days))
+            .map((days) => {
+                claimed.push({ websiteId, serialNumber, days });
+                return { threshold_days: days };
+            });
+    });
+};
+
+/**
+ * Runs the expiry notification for a check that saw a certificate
+ * @param {object} website HTTPS monitor
+ * @param {object} certInfo Certificate { serialNumber, daysUntilExpiration }
+ * @param {object} dbClient Fake database client
+ * @returns {Promise<object>} The check result
+ */
+const check = async (website, certInfo, dbClient) => {
+    const checkResult = { isUp: true, statusCode: 200, certInfo };
+    await notifyCertificateExpiry(website, checkResult, true, dbClient);
+    return checkResult;
+};
+
+describe('certificate expiry notifications', () => {
+    beforeEach(() => triggerWebhookAlert.mock.resetCalls());
+
+    const website = { id: 7, name: 'API', monitor_config: {} };
+
+    it('notify each threshold once per certificate, without changing the status', async () => {
+        const dbClient = createThresholdStore();
+        const daysLeft = [40, 29, 20, 14, 13, 7, 2, 1, 0];
+        const notified = [];
+        for (const days of daysLeft) {
+            const checkResult = await check(website, { serialNumber: '01A1', daysUntilExpiration: days }, dbClient);
+            assert.equal(checkResult.isUp, true);
+            notified.push(checkResult.certificateThresholdDays ?? null);
+        }
+        assert.deepEqual(notified, [null, 30, null, 14, null, 7, null, 1, null]);
+        assert.equal(triggerWebhookAlert.mock.callCount(), 4);
+        assert.deepEqual(triggerWebhookAlert.mock.calls[0].arguments.slice(2), [true, 'certificate_expiring']);
+    });
+
+    it('notify only the lowest threshold of a certificate first seen below several', async () => {
+        const dbClient = createThresholdStore();
+        const checkResult = await check(website, { serialNumber: '01A1', daysUntilExpiration: 5 }, dbClient);
+        assert.equal(checkResult.certificateThresholdDays, 7);
+        assert.deepEqual(dbClient.find(/INSERT/)[0].params, [7, '01A1', [30, 14, 7]]);
+        assert.equal(triggerWebhookAlert.mock.callCount(), 1);
+
+        await check(website, { serialNumber: '01A1', daysUntilExpiration: 10 }, dbClient);
+        assert.equal(triggerWebhookAlert.mock.callCount(), 1);
+    });
+
+    it('start over for a renewed certificate', async () => {
+        const dbClient = createThresholdStore();
+        await check(website, { serialNumber: '01A1', daysUntilExpiration: 20 }, dbClient);
+        const renewed = await check(website, { serialNumber: '02B2', daysUntilExpiration: 20 }, dbClient);
+        assert.equal(renewed.certificateThresholdDays, 30);
+        assert.equal(triggerWebhookAlert.mock.callCount(), 2);
+        assert.deepEqual(triggerWebhookAlert.mock.calls.map(call => call.arguments[3]), ['certificate_expiring', 'certificate_expiring']);
+    });
+
+    it('resolve the alert once the certificate is renewed past every threshold', async () => {
+        const dbClient = createThresholdStore();
+        await check(website, { serialNumber: '01A1', daysUntilExpiration: 5 }, dbClient);
+        const renewed = await check(website, { serialNumber: '02B2', daysUntilExpiration: 90 }, dbClient);
+        assert.equal(renewed.certificateThresholdDays, undefined);
+        await check(website, { serialNumber: '02B2', daysUntilExpiration: 89 }, dbClient);
+        assert.deepEqual(triggerWebhookAlert.mock.calls.map(call => call.arguments[3]), ['certificate_expiring', 'certificate_renewed']);
+
+        // Certificates that never reached a threshold have nothing to resolve
+        await check({ ...website, id: 8 }, { serialNumber: '03C3', daysUntilExpiration: 90 }, dbClient);
+        await check({ ...website, id: 8 }, { serialNumber: '04D4', daysUntilExpiration: 90 }, dbClient);
+        assert.equal(triggerWebhookAlert.mock.callCount(), 2);
+    });
+
+    it('use the thresholds of the monitor', async () => {
+        const dbClient = createThresholdStore();
+        const custom = await check({ ...website, monitor_config: { expiryNotifyDays: [60, 3] } }, { serialNumber: '01A1', daysUntilExpiration: 45 }, dbClient);
+        assert.equal(custom.certificateThresholdDays, 60);
+
+        const disabled = await check({ ...website, id: 8, monitor_config: { expiryNotifyDays: [] } }, { serialNumber: '02B2', daysUntilExpiration: 1 }, dbClient);
+        assert.equal(disabled.certificateThresholdDays, undefined);
+        assert.equal(triggerWebhookAlert.mock.callCount(), 1);
+    });
+
+    it('are skipped without a certificate serial and during maintenance', async () => {
+        const dbClient = createThresholdStore();
+        await check(website, { daysUntilExpiration: 1 }, dbClient);
+        await notifyCertificateExpiry(website, { isUp: true, maintenance: true, certInfo: { serialNumber: '01A1', daysUntilExpiration: 1 } }, true, dbClient);
+        assert.equal(dbClient.queries.length, 0);
+        assert.equal(triggerWebhookAlert.mock.callCount(), 0);
+    });
+
+    it('are titled and ranked by the days left', () => {
+        const notification = (days) => ({ event: 'certificate_expiring', website: { id: 7, name: 'API' }, certificate: { daysUntilExpiration: days } });
+        assert.equal(buildTitle(notification(14)), '[CERT] Certificate of API expires in 14 days');
+        assert.equal(buildTitle(notification(1)), '[CERT] Certificate of API expires in 1 day');
+        assert.equal(buildTitle(notification(-2)), '[CERT] Certificate of API has expired');
+        assert.deepEqual([30, 7, 1].map(days => getSeverity(notification(days))), ['warning', 'error', 'critical']);
+    });
+});
+
+describe('expiring certificates report', () => {
+    it('lists the certificates expiring within 30 days by default', async () => {
+        const rows = [{ website_id: 7, days_until_expiration: 3 }];
+        const getExpiring = mock.method(db, 'getExpiringCertificatesByUser', async () => rows);
+        try {
+            const res = createMockResponse();
+            await CertificateController.getExpiring({ query: {}, user: { id: 1 } }, res);
+            assert.deepEqual(res.body, rows);
+            assert.deepEqual(getExpiring.mock.calls[0].arguments, [1, 30]);
+
+            const custom = createMockResponse();
+            await CertificateController.getExpiring({ query: { days: '90' }, user: { id: 1 } }, custom);
+            assert.deepEqual(getExpiring.mock.calls[1].arguments, [1, 90]);
+
+            for (const days of ['-1', '366', '7.5', 'soon']) {
+                const invalid = createMockResponse();
+                await CertificateController.getExpiring({ query: { days }, user: { id: 1 } }, invalid);
+                assert.equal(invalid.statusCode, 400, days);
+            }
+            assert.equal(getExpiring.mock.callCount(), 2);
+        } finally {
+            getExpiring.mock.restore();
+        }
+    });
+});
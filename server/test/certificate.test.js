@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const tls = require('tls');
+const db = require('../src/database/db');
+const { describeCertificate, getSignatureAlgorithm, formatName } = require('../src/utils/certificate');
+const { createTestPki } = require('./helpers/pki');
+const { createFakeDbClient } = require('./helpers/fakeDb');
+
+/**
+ * Gets the peer certificate a local TLS server presents
+ * @param {object} serverOptions tls.createServer options { key, cert }
+ * @param {object} [clientOptions] tls.connect options, e.g. { ca }
+ * @returns {Promise<object>} Certificate as returned by getPeerCertificate(true)
+ */
+const getPeerCertificate = (serverOptions, clientOptions = {}) => new Promise((resolve, reject) => {
+    const server = tls.createServer(serverOptions, socket => socket.end());
+    server.listen(0, '127.0.0.1', () => {
+        const socket = tls.connect({ ...clientOptions, host: '127.0.0.1', port: server.address().port, servername: 'localhost' }, () => {
+            const cert = socket.getPeerCertificate(true);
+            socket.end();
+            server.close();
+            resolve(cert);
+        });
+        socket.on('error', (error) => {
+            server.close();
+            reject(error);
+        });
+    });
+});
+
+describe('describeCertificate', () => {
+    let pki;
+    before(() => { pki = createTestPki(); });
+    after(() => pki.cleanup());
+
+    it('describes the certificate, key and signature of the server', async () => {
+        const cert = await getPeerCertificate({ key: pki.server.key, cert: pki.server.chain }, { ca: pki.ca.cert });
+        const x509 = new crypto.X509Certificate(pki.server.cert);
+        const certificate = describeCertificate(cert);
+
+        assert.equal(certificate.subject, 'localhost');
+        assert.deepEqual(certificate.subjectAltNames, ['DNS:localhost', 'IP Address:127.0.0.1']);
+        assert.equal(certificate.issuer, 'Uptime Test Intermediate CA');
+        assert.equal(certificate.serialNumber, x509.serialNumber);
+        assert.equal(certificate.fingerprint256, x509.fingerprint256);
+        assert.equal(certificate.validFrom, new Date(x509.validFrom).toISOString());
+        assert.equal(certificate.validTo, new Date(x509.validTo).toISOString());
+        assert.equal(certificate.keyType, 'RSA');
+        assert.equal(certificate.keyBits, 2048);
+        // Signed by the EC key of the intermediate
+        assert.equal(certificate.signatureAlgorithm, 'ecdsa-with-SHA256');
+    });
+
+    it('lists the issuer chain up to the trusted root', async () => {
+        const cert = await getPeerCertificate({ key: pki.server.key, cert: pki.server.chain }, { ca: pki.ca.cert });
+        const { issuerChain } = describeCertificate(cert);
+        assert.deepEqual(issuerChain.map(({ subject, issuer }) => ({ subject, issuer })), [
+            { subject: 'Uptime Test Intermediate CA', issuer: 'Uptime Test Root CA' },
+            { subject: 'Uptime Test Root CA', issuer: 'Uptime Test Root CA' },
+        ]);
+        assert.equal(issuerChain[0].fingerprint256, new crypto.X509Certificate(pki.intermediate.cert).fingerprint256);
+        assert.equal(issuerChain[1].validTo, new Date(new crypto.X509Certificate(pki.ca.cert).validTo).toISOString());
+    });
+
+    it('describes an EC certificate without a trusted chain', async () => {
+        const selfSigned = pki.issue('self-signed', { subject: '/O=Uptime Test/CN=localhost', extensions: ['subjectAltName=DNS:localhost'] });
+        const cert = await getPeerCertificate(selfSigned, { rejectUnauthorized: false });
+        const certificate = describeCertificate(cert);
+        assert.equal(certificate.keyType, 'EC');
+        assert.equal(certificate.keyBits, 256);
+        assert.equal(certificate.issuer, 'localhost');
+        assert.deepEqual(certificate.issuerChain, []);
+    });
+});
+
+describe('certificate helpers', () => {
+    it('formats names without a common name from their attributes', () => {
+        assert.equal(formatName({ CN: 'example.com', O: 'Example' }), 'example.com');
+        assert.equal(formatName({ CN: ['a.example.com', 'b.example.com'] }), 'a.example.com, b.example.com');
+        assert.equal(formatName({ O: 'Example', OU: ['Ops', 'Web'] }), 'O=Example, OU=Ops+Web');
+        assert.equal(formatName(undefined), null);
+    });
+
+    it('reads the signature algorithm from the DER and gives up on anything else', () => {
+        const pki = createTestPki();
+        try {
+            const rsaSigned = pki.issue('rsa-root', { subject: '/CN=RSA Root', keyType: 'rsa:2048' });
+            assert.equal(getSignatureAlgorithm(new crypto.X509Certificate(rsaSigned.cert).raw), 'sha256WithRSAEncryption');
+        } finally {
+            pki.cleanup();
+        }
+        assert.equal(getSignatureAlgorithm(Buffer.from([0x30, 0x82, 0xff])), null);
+        assert.equal(getSignatureAlgorithm(Buffer.alloc(0)), null);
+    });
+});
+
+describe('stored certificate', () => {
+    it('keeps the facts of the latest check per monitor', async () => {
+        const dbClient = createFakeDbClient();
+        await db.upsertWebsiteCertificate(7, {
+            valid: false,
+            validationError: 'self-signed certificate',
+            subject: 'localhost',
+            subjectAltNames: ['DNS:localhost'],
+            issuer: 'localhost',
+            issuerChain: [],
+            serialNumber: '01A1',
+            fingerprint256: 'AB:CD',
+            validFrom: '2026-10-01T00:00:00.000Z',
+            validTo: '2026-10-31T00:00:00.000Z',
+            keyType: 'EC',
+            keyBits: 256,
+            signatureAlgorithm: 'ecdsa-with-SHA256',
+        }, dbClient);
+
+        const [{ sql, params }] = dbClient.queries;
+        assert.match(sql, /ON CONFLICT \(website_id\) DO UPDATE/);
+        assert.deepEqual(params.slice(0, 14), [7, 'localhost', '["DNS:localhost"]', 'localhost', '[]', '01A1', 'AB:CD',
+            new Date('2026-10-01T00:00:00.000Z'), new Date('2026-10-31T00:00:00.000Z'), 'EC', 256, 'ecdsa-with-SHA256',
+            false, 'self-signed certificate']);
+    });
+});
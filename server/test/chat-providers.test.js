@@ -0,0 +1,89 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getProvider } = require('../src/alerting/providers');
+const { startHttpSink } = require('./helpers/httpSink');
+const { createNotification, createRecoveryNotification } = require('./helpers/notifications');
+
+describe('chat providers', () => {
+    let sink;
+    before(async () => { sink = await startHttpSink(); });
+    after(() => sink.close());
+    beforeEach(() => { sink.requests.length = 0; });
+
+    /**
+     * Sends a notification through a provider and gets the JSON body the sink received
+     * @param {string} type Channel type
+     * @param {object} notification Notification
+     * @returns {Promise<object>}
+     */
+    const send = async (type, notification) => {
+        await getProvider(type).send(notification, { url: `${sink.url}/${type}` });
+        assert.equal(sink.requests[0].path, `/${type}`);
+        assert.equal(sink.requests[0].headers['content-type'], 'application/json');
+        return JSON.parse(sink.requests[0].body);
+    };
+
+    it('require only the incoming webhook URL', () => {
+        for (const type of ['slack', 'discord', 'teams', 'mattermost']) {
+            assert.equal(getProvider(type).validateConfig({ url: 'https://hooks.example.com/x' }), null, type);
+            assert.match(getProvider(type).validateConfig({}), /webhook URL is required/, type);
+        }
+    });
+
+    it('Slack: a Block Kit message with a status colour, the details and a link to the monitor', async () => {
+        const body = await send('slack', createNotification({ website: { id: 7, name: 'A<b>', url: 'https://api.example.com' } }));
+        assert.equal(body.text, '[DOWN] A<b> is down');
+        const [attachment] = body.attachments;
+        assert.equal(attachment.color, '#dc2626');
+        assert.equal(attachment.blocks[0].text.text, '*[DOWN] A&lt;b&gt; is down*');
+        const fields = attachment.blocks[1].fields.map(field => field.text);
+        assert.ok(fields.includes('*Error type*\nSTATUS_ERROR'));
+        assert.ok(fields.includes('*Status code*\n503'));
+        assert.ok(fields.includes('*Response time*\n80 ms'));
+        assert.equal(attachment.blocks[2].elements[0].url, 'http://localhost:5173/monitor/7');
+    });
+
+    it('Discord: an embed linking to the monitor, with the downtime on recovery', async () => {
+        const body = await send('discord', createRecoveryNotification());
+        const [embed] = body.embeds;
+        assert.equal(embed.title, '[UP] API is back up');
+        assert.equal(embed.url, 'http://localhost:5173/monitor/7');
+        assert.equal(embed.color, 0x16a34a);
+        assert.equal(embed.timestamp, '2025-01-01T00:00:00.000Z');
+        assert.deepEqual(embed.fields.find(field => field.name === 'Downtime'), { name: 'Downtime', value: '12m 5s', inline: true });
+        assert.equal(embed.fields.some(field => field.name === 'Time'), false);
+    });
+
+    it('Teams: an Adaptive Card with facts and an open-URL action', async () => {
+        const body = await send('teams', createNotification());
+        const { content: card } = body.attachments[0];
+        assert.equal(body.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
+        assert.equal(card.body[0].text, '[DOWN] API is down');
+        assert.equal(card.body[0].color, 'Attention');
+        assert.deepEqual(card.body[1].facts.find(fact => fact.title === 'Status code'), { title: 'Status code', value: '503' });
+        assert.deepEqual(card.actions, [{ type: 'Action.OpenUrl', title: 'View monitor', url: 'http://localhost:5173/monitor/7' }]);
+
+        sink.requests.length = 0;
+        const recovery = await send('teams', createRecoveryNotification());
+        assert.equal(recovery.attachments[0].content.body[0].color, 'Good');
+    });
+
+    it('Mattermost: an attachment with a status colour and a title link', async () => {
+        const body = await send('mattermost', createNotification());
+        const [attachment] = body.attachments;
+        assert.equal(attachment.title, '[DOWN] API is down');
+        assert.equal(attachment.fallback, '[DOWN] API is down');
+        assert.equal(attachment.color, '#dc2626');
+        assert.equal(attachment.title_link, 'http://localhost:5173/monitor/7');
+        assert.deepEqual(attachment.fields.find(field => field.title === 'Error'), { short: true, title: 'Error', value: 'Server responded with status: 503' });
+    });
+
+    it('fail when the webhook rejects the message', async () => {
+        const rejecting = await startHttpSink(() => ({ status: 404, body: { error: 'no_service' } }));
+        try {
+            await assert.rejects(getProvider('slack').send(createNotification(), { url: rejecting.url }), /status code 404/);
+        } finally {
+            await rejecting.close();
+        }
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const db = require('../src/database/db');
+const UptimeCalculator = require('../src/services/UptimeCalculator');
+const webhook = require('../src/alerting/webhook');
+const { createTimedAgents, TIMING_PHASES } = require('../src/utils/timings');
+const { createFakeDbClient } = require('./helpers/fakeDb');
+const { startHttpSink } = require('./helpers/httpSink');
+
+// The checker takes triggerWebhookAlert when it is loaded, so it is replaced before that
+mock.method(webhook, 'triggerWebhookAlert', async () => {});
+const { performCheck } = require('../src/monitoring/checker');
+
+let sink;
+before(async () => {
+    sink = await startHttpSink(request => (request.path === '/broken' ? { status: 500, body: { error: 'boom' } } : { body: { status: 'ok' } }));
+});
+after(() => sink.close());
+afterEach(() => mock.restoreAll());
+
+describe('createTimedAgents', () => {
+    it('measures the phases of the connections of its agents', async () => {
+        const { httpAgent, getTimings } = createTimedAgents();
+        assert.equal(getTimings(0), null);
+
+        const startTime = Date.now();
+        await new Promise((resolve, reject) => {
+            http.get(`${sink.url}/health`, { agent: httpAgent }, (res) => {
+                res.resume();
+                res.on('end', resolve);
+            }).on('error', reject);
+        });
+        const responseTimeMs = Date.now() - startTime;
+        const timings = getTimings(responseTimeMs);
+
+        assert.deepEqual(Object.keys(timings), TIMING_PHASES.map(phase => `${phase}Ms`));
+        // No lookup for an IP address and no handshake without TLS
+        assert.equal(timings.dnsMs, 0);
+        assert.equal(timings.tlsMs, 0);
+        assert.equal(Object.values(timings).every(value => Number.isInteger(value) && value >= 0), true);
+        assert.equal(timings.dnsMs + timings.connectMs + timings.tlsMs + timings.ttfbMs + timings.downloadMs >= responseTimeMs, true);
+    });
+});
+
+describe('timings of HTTP checks', () => {
+    /**
+     * Runs a check of the sink and gets the stored history row
+     * @param {object} fields Monitor fields
+     * @returns {Promise<{result: object, history: Array}>} Check result and insertCheckHistory params
+     */
+    const check = async (fields) => {
+        mock.method(db, 'getWebsite', async () => ({ id: 7, is_up: true }));
+        mock.method(db, 'getMaintenanceWindowsForWebsite', async () => []);
+        mock.method(UptimeCalculator, 'getUptimeCalculator', async () => ({ update: async () => {} }));
+        const dbClient = createFakeDbClient((sql) => (/incidents/.test(sql) ? [{ id: 1 }] : []));
+        const result = await performCheck({ id: 7, monitorType: 'http', timeout_ms: 2000, monitor_config: {}, ...fields }, dbClient);
+        const [history] = dbClient.find(/INSERT INTO monitoring_history/);
+        return { result, history: history.params };
+    };
+
+    /**
+     * Checks that the stored timings are the measured ones
+     * @param {object} result Check result
+     * @param {Array} history insertCheckHistory params
+     */
+    const assertTimingsStored = (result, history) => {
+        assert.equal(typeof result.timings?.connectMs, 'number');
+        assert.deepEqual(history.slice(9, 14), [result.timings.dnsMs, result.timings.connectMs, result.timings.tlsMs,
+            result.timings.ttfbMs, result.timings.downloadMs]);
+    };
+
+    it('are stored for a successful check', async () => {
+        const { result, history } = await check({ url: `${sink.url}/health` });
+        assert.equal(result.isUp, true);
+        assertTimingsStored(result, history);
+    });
+
+    it('are stored with the status code for a response that is not accepted', async () => {
+        const { result, history } = await check({ url: `${sink.url}/broken` });
+        assert.equal(result.isUp, false);
+        assert.equal(result.statusCode, 500);
+        assert.equal(result.error_type, 'STATUS_ERROR');
+        assert.equal(result.error_message, 'Server responded with status: 500');
+        assert.match(result.headers, /application\/json/);
+        assert.deepEqual(history.slice(1, 2), [500]);
+        assertTimingsStored(result, history);
+    });
+
+    it('are stored with the status code for a keyword mismatch', async () => {
+        const { result, history } = await check({ url: `${sink.url}/health`, monitorType: 'keyword', monitor_config: { keyword: 'maintenance' } });
+        assert.equal(result.isUp, false);
+        assert.equal(result.statusCode, 200);
+        assert.equal(result.error_type, 'KEYWORD_MISMATCH');
+        assertTimingsStored(result, history);
+    });
+
+    it('are not stored when no connection was made', async () => {
+        const closed = await new Promise((resolve) => {
+            const server = http.createServer();
+            server.listen(0, '127.0.0.1', () => {
+                const { port } = server.address();
+                server.close(() => resolve(port));
+            });
+        });
+        const { result, history } = await check({ url: `http://127.0.0.1:${closed}/` });
+        assert.equal(result.error_type, 'CONNECTION_ERROR');
+        assert.deepEqual(history.slice(9, 14), [null, null, null, null, null]);
+    });
+});
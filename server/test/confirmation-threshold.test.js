@@ -0,0 +1,102 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Website = require('../src/models/Website');
+const WebsiteController = require('../src/controllers/WebsiteController');
+const { applyConfirmationThreshold, buildHeartbeat, recordCheckResult, UP, DOWN, PENDING } = require('../src/monitoring/checker');
+const { createFakeDbClient } = require('./helpers/fakeDb');
+const { createMockResponse } = require('./helpers/http');
+
+/**
+ * Runs a series of check outcomes through the confirmation thresholds, keeping the status the
+ * way website_status does (a pending check keeps the confirmed status)
+ * @param {object} website Thresholds { down_after_failures, up_after_successes }
+ * @param {Array<boolean>} outcomes isUp of each check
+ * @param {object|null} [state] Status before the first check
+ * @returns {Array<string>} 'UP', 'DOWN' or 'PENDING' per check
+ */
+const run = (website, outcomes, state = { is_up: true, consecutive_failures: 0, consecutive_successes: 5 }) => outcomes.map((isUp) => {
+    const checkResult = { isUp };
+    applyConfirmationThreshold(website, checkResult, state);
+    state = {
+        is_up: checkResult.pending ? state.is_up : isUp,
+        consecutive_failures: checkResult.consecutiveFailures,
+        consecutive_successes: checkResult.consecutiveSuccesses,
+    };
+    return checkResult.pending ? 'PENDING' : (isUp ? 'UP' : 'DOWN');
+});
+
+describe('applyConfirmationThreshold', () => {
+    it('changes the status on the first differing check by default', () => {
+        assert.deepEqual(run({}, [false, true]), ['DOWN', 'UP']);
+    });
+
+    it('is pending until the failures and successes reach their thresholds', () => {
+        const website = { down_after_failures: 3, up_after_successes: 2 };
+        assert.deepEqual(run(website, [false, false, false, false, true, true, true]),
+            ['PENDING', 'PENDING', 'DOWN', 'DOWN', 'PENDING', 'UP', 'UP']);
+    });
+
+    it('restarts the count when a blip ends before the threshold', () => {
+        const website = { down_after_failures: 2 };
+        assert.deepEqual(run(website, [false, true, false, true, false, false]), ['PENDING', 'UP', 'PENDING', 'UP', 'PENDING', 'DOWN']);
+    });
+
+    it('sets the status of the first check right away', () => {
+        assert.deepEqual(run({ down_after_failures: 3 }, [false], null), ['DOWN']);
+    });
+
+    it('restarts the count after maintenance', () => {
+        const checkResult = { isUp: true, maintenance: true };
+        applyConfirmationThreshold({ down_after_failures: 2 }, checkResult, { is_up: true, consecutive_failures: 1 });
+        assert.equal(checkResult.pending, false);
+        assert.equal(checkResult.consecutiveFailures, 0);
+        assert.equal(checkResult.consecutiveSuccesses, 0);
+    });
+});
+
+describe('pending checks', () => {
+    const website = { id: 7, monitorType: 'http', down_after_failures: 3 };
+
+    it('record a PENDING beat that is not shown as a status change', () => {
+        const heartbeat = buildHeartbeat(website, { isUp: false, pending: true, statusCode: 503 }, true);
+        assert.equal(heartbeat.status, PENDING);
+        assert.equal(heartbeat.important, false);
+        assert.equal(buildHeartbeat(website, { isUp: false, statusCode: 503 }, true).status, DOWN);
+        assert.equal(buildHeartbeat(website, { isUp: true, statusCode: 200 }, false).status, UP);
+    });
+
+    it('keep the confirmed status and leave incidents alone', async () => {
+        const dbClient = createFakeDbClient((sql) => (/heartbeats/.test(sql) ? [{ id: 1 }] : []));
+        const checkResult = { isUp: false, pending: true, consecutiveFailures: 1, statusCode: 503 };
+        await recordCheckResult(website, checkResult, buildHeartbeat(website, checkResult, true), dbClient);
+
+        const [status] = dbClient.find(/UPDATE website_status/);
+        assert.match(status.sql, /is_up = CASE WHEN \$7 OR \$8 THEN is_up ELSE \$3 END/);
+        assert.equal(status.params[7], true);
+        assert.equal(status.params[8], 1);
+        assert.equal(dbClient.find(/incidents/).length, 0);
+    });
+});
+
+describe('threshold validation', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('accepts 1 to 20 checks', async () => {
+        mock.method(Website, 'getById', async () => ({ id: 7, user_id: 1, monitorType: 'http', url: 'https://example.com' }));
+        const update = mock.method(Website, 'update', async (id, data) => data);
+        for (const [body, error] of [
+            [{ down_after_failures: 0 }, /Down after failures must be between 1 and 20 checks/],
+            [{ up_after_successes: 21 }, /Up after successes must be between 1 and 20 checks/],
+            [{ down_after_failures: 'two' }, /Down after failures/],
+        ]) {
+            const res = createMockResponse();
+            await WebsiteController.update({ params: { id: 7 }, body, user: { id: 1 } }, res);
+            assert.equal(res.statusCode, 400);
+            assert.match(res.body.error, error);
+        }
+        const res = createMockResponse();
+        await WebsiteController.update({ params: { id: 7 }, body: { down_after_failures: '3' }, user: { id: 1 } }, res);
+        assert.equal(res.statusCode, 200);
+        assert.equal(update.mock.calls[0].arguments[1].down_after_failures, 3);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkDns, detectDnsAnswerChange, buildHeartbeat, recordCheckResult } = require('../src/monitoring/checker');
+const { startDnsStub } = require('./helpers/dnsStub');
+const { createFakeDbClient } = require('./helpers/fakeDb');
+
+describe('DNS monitor against a stub DNS server', () => {
+    let stub;
+    before(async () => {
+        stub = await startDnsStub({
+            'example.test': {
+                A: ['192.0.2.10', '192.0.2.1'],
+                MX: ['10 mail.example.test'],
+                TXT: ['v=spf1 -all'],
+            },
+        });
+    });
+    after(() => stub.close());
+
+    /**
+     * Builds a DNS monitor that asks the stub
+     * @param {object} config Monitor configuration
+     * @returns {object} Website
+     */
+    const monitor = (config) => ({
+        id: 3,
+        url: 'dns://example.test',
+        timeout_ms: 2000,
+        monitor_config: { resolverServer: '127.0.0.1', resolverPort: stub.port, ...config },
+    });
+
+    /**
+     * Runs a DNS check the way performCheck does and records it
+     * @param {object} website DNS monitor
+     * @param {Array<string>|null} baseline Answers stored by earlier checks
+     * @returns {Promise<{checkResult: object, stored: Array<string>|null}>} The check and the answers stored as the new baseline
+     */
+    const runCheck = async (website, baseline) => {
+        const checkResult = await checkDns(website);
+        detectDnsAnswerChange(website, checkResult, baseline);
+        const dbClient = createFakeDbClient((sql) => (/incidents/.test(sql) ? [{ id: 1 }] : []));
+        await recordCheckResult(website, checkResult, buildHeartbeat(website, checkResult, true), dbClient);
+        const [update] = dbClient.find(/SET dns_answers/);
+        return { checkResult, stored: update ? JSON.parse(update.params[0]) : null };
+    };
+
+    it('passes when the answers match the expected values in any order', async () => {
+        const { checkResult, stored } = await runCheck(monitor({ recordType: 'A', expectedValues: ['192.0.2.1', '192.0.2.10'] }), null);
+        assert.equal(checkResult.isUp, true);
+        assert.deepEqual(checkResult.dnsAnswers, ['192.0.2.1', '192.0.2.10']);
+        assert.deepEqual(stored, ['192.0.2.1', '192.0.2.10']);
+    });
+
+    it('normalizes MX and TXT answers', async () => {
+        const mx = await checkDns(monitor({ recordType: 'MX', expectedValues: ['10 Mail.Example.Test.'] }));
+        assert.equal(mx.isUp, true);
+        assert.deepEqual(mx.dnsAnswers, ['10 mail.example.test']);
+        const txt = await checkDns(monitor({ recordType: 'TXT', expectedValues: ['v=spf1 -all'] }));
+        assert.equal(txt.isUp, true);
+    });
+
+    it('fails with DNS_MISMATCH and keeps the baseline when the answers differ from the expected values', async () => {
+        const { checkResult, stored } = await runCheck(monitor({ recordType: 'A', expectedValues: ['192.0.2.1'] }), ['192.0.2.1']);
+        assert.equal(checkResult.isUp, false);
+        assert.equal(checkResult.error_type, 'DNS_MISMATCH');
+        assert.match(checkResult.error_message, /expected 192\.0\.2\.1 but got 192\.0\.2\.1, 192\.0\.2\.10/);
+        assert.equal(stored, null);
+    });
+
+    it('fails with DNS_ERROR for a name that does not exist', async () => {
+        const result = await checkDns({ ...monitor({ recordType: 'A' }), url: 'dns://missing.test' });
+        assert.equal(result.isUp, false);
+        assert.equal(result.error_type, 'DNS_ERROR');
+    });
+
+    it('flags a changed answer on every check until it is reverted when failing on change', async () => {
+        const website = monitor({ recordType: 'A', failOnChange: true });
+        const original = ['192.0.2.1', '192.0.2.10'];
+        let { checkResult, stored } = await runCheck(website, null);
+        assert.deepEqual(stored, original);
+
+        stub.records['example.test'].A = ['203.0.113.66'];
+        for (let check = 0; check < 2; check++) {
+            ({ checkResult, stored } = await runCheck(website, original));
+            assert.equal(checkResult.isUp, false);
+            assert.equal(checkResult.error_type, 'DNS_ANSWER_CHANGED');
+            assert.equal(checkResult.dnsAnswerChanged, true);
+            assert.match(checkResult.error_message, /changed from 192\.0\.2\.1, 192\.0\.2\.10 to 203\.0\.113\.66/);
+            assert.equal(stored, null);
+        }
+
+        stub.records['example.test'].A = ['192.0.2.10', '192.0.2.1'];
+        ({ checkResult, stored } = await runCheck(website, original));
+        assert.equal(checkResult.isUp, true);
+        assert.equal(checkResult.dnsAnswerChanged, undefined);
+        assert.deepEqual(stored, original);
+    });
+
+    it('reports a change without failing and takes it as the new baseline otherwise', async () => {
+        stub.records['example.test'].A = ['198.51.100.7'];
+        const { checkResult, stored } = await runCheck(monitor({ recordType: 'A' }), ['192.0.2.1']);
+        assert.equal(checkResult.isUp, true);
+        assert.equal(checkResult.dnsAnswerChanged, true);
+        assert.deepEqual(stored, ['198.51.100.7']);
+    });
+});
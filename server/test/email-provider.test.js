@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const email = require('../src/alerting/providers/email');
+const { formatDuration, buildTitle } = require('../src/alerting/message');
+const { startSmtpSink } = require('./helpers/smtpSink');
+
+const website = { id: 7, name: 'API <prod>', url: 'https://api.example.com/health?a=1&b=2' };
+
+/**
+ * Builds a notification as the dispatcher does
+ * @param {object} fields Fields that differ from a DOWN notification
+ * @returns {object}
+ */
+const notification = (fields) => ({
+    event: 'down',
+    website,
+    status: 'DOWN',
+    previousStatus: 'UP',
+    checkResult: { statusCode: 503, responseTimeMs: 80, isUp: false, errorType: 'STATUS_ERROR', error: 'Server responded with status: 503' },
+    downtimeSeconds: null,
+    certificate: null,
+    timestamp: '2025-01-01T00:00:00.000Z',
+    ...fields,
+});
+
+describe('formatDuration', () => {
+    it('formats seconds, minutes, hours and days', () => {
+        assert.equal(formatDuration(45), '45s');
+        assert.equal(formatDuration(725), '12m 5s');
+        assert.equal(formatDuration(12000), '3h 20m');
+        assert.equal(formatDuration(200000), '2d 7h');
+        assert.equal(formatDuration(-5), '0s');
+    });
+});
+
+describe('email provider', () => {
+    let sink;
+    let config;
+    before(async () => {
+        sink = await startSmtpSink();
+        config = { host: '127.0.0.1', port: sink.port, security: 'none', username: 'alerts', password: 'pw',
+            from: 'UptimeFel <alerts@example.com>', to: 'ops@example.com, oncall@example.com' };
+    });
+    after(() => sink.close());
+
+    /**
+     * Sends a notification and gets the message the sink received
+     * @param {object} sent Notification
+     * @returns {Promise<object>} Parsed message
+     */
+    const sendAndReceive = async (sent) => {
+        await email.send(sent, config);
+        return sink.messages[sink.messages.length - 1];
+    };
+
+    it('sends a DOWN alert with the error in the HTML and text parts', async () => {
+        const message = await sendAndReceive(notification({}));
+        assert.equal(message.subject, '[DOWN] API <prod> is down');
+        assert.equal(message.user, 'alerts');
+        assert.deepEqual(message.envelope, { from: 'alerts@example.com', to: ['ops@example.com', 'oncall@example.com'] });
+        assert.match(message.text, /^\[DOWN\] API <prod> is down\n/);
+        assert.match(message.text, /URL: https:\/\/api\.example\.com\/health\?a=1&b=2/);
+        assert.match(message.text, /Error: Server responded with status: 503/);
+        assert.match(message.text, /Response time: 80 ms/);
+        assert.match(message.html, /#dc2626/); // Red header
+        assert.match(message.html, /API &lt;prod&gt; is down/);
+        assert.match(message.html, /health\?a=1&amp;b=2/);
+    });
+
+    it('sends an UP alert with the downtime', async () => {
+        const message = await sendAndReceive(notification({
+            event: 'up', status: 'UP', previousStatus: 'DOWN', downtimeSeconds: 725,
+            checkResult: { statusCode: 200, responseTimeMs: 95, isUp: true, errorType: null, error: null },
+        }));
+        assert.equal(message.subject, '[UP] API <prod> is back up');
+        assert.match(message.text, /Downtime: 12m 5s/);
+        assert.doesNotMatch(message.text, /Error:/);
+        assert.match(message.html, /#16a34a/); // Green header
+        assert.match(message.html, /12m 5s/);
+    });
+
+    it('sends a certificate expiry alert with the expiry date and threshold', async () => {
+        const message = await sendAndReceive(notification({
+            event: 'certificate_expiring', status: 'UP', previousStatus: 'UP',
+            checkResult: { statusCode: 200, responseTimeMs: 95, isUp: true, errorType: null, error: null },
+            certificate: { expires: '2025-01-15T00:00:00.000Z', daysUntilExpiration: 14, issuer: 'Test CA', thresholdDays: 14 },
+        }));
+        assert.equal(message.subject, '[CERT] Certificate of API <prod> expires in 14 days');
+        assert.match(message.text, /Certificate expires: 2025-01-15T00:00:00\.000Z \(14 days\)/);
+        assert.match(message.text, /Expiry threshold: 14 days/);
+        assert.match(message.html, /Expiry threshold/);
+    });
+
+    it('refuses to send in clear text when STARTTLS is required', async () => {
+        const count = sink.messages.length;
+        await assert.rejects(email.send(notification({}), { ...config, security: 'starttls' }));
+        assert.equal(sink.messages.length, count);
+    });
+
+    it('titles expired certificates and singular days', () => {
+        const certificate = (days) => notification({ event: 'certificate_expiring', certificate: { daysUntilExpiration: days } });
+        assert.equal(buildTitle(certificate(1)), '[CERT] Certificate of API <prod> expires in 1 day');
+        assert.equal(buildTitle(certificate(0)), '[CERT] Certificate of API <prod> has expired');
+    });
+
+    it('validates the SMTP settings and recipients', () => {
+        assert.equal(email.validateConfig(config), null);
+        assert.match(email.validateConfig({ ...config, host: '' }), /SMTP host is required/);
+        assert.match(email.validateConfig({ ...config, port: 70000 }), /SMTP port/);
+        assert.match(email.validateConfig({ ...config, security: 'tls' }), /SMTP security must be one of/);
+        assert.match(email.validateConfig({ ...config, username: '' }), /username is required/);
+        assert.match(email.validateConfig({ ...config, from: 'alerts' }), /From must be/);
+        assert.match(email.validateConfig({ ...config, to: '' }), /At least one recipient/);
+        assert.match(email.validateConfig({ ...config, to: ['ops@example.com', 'oncall'] }), /Invalid recipient address: oncall/);
+        assert.equal(email.describeTarget(config), 'ops@example.com, oncall@example.com');
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it, mock, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/database/db');
+const { createFakeDbClient } = require('./helpers/fakeDb');
+const { startHttpSink } = require('./helpers/httpSink');
+
+// The dispatcher takes its database functions when it is loaded, so they are replaced before that
+const createDelivery = mock.method(db, 'createNotificationDelivery', async (delivery) => ({ ...delivery, id: 1, attempts: 0, status: 'pending' }));
+mock.method(db, 'recordNotificationDeliveryAttempt', async (id, attempt, outcome) => ({ id, ...attempt, ...outcome }));
+const { processOutageNotifications } = require('../src/alerting/escalation');
+
+let sink;
+before(async () => { sink = await startHttpSink(); });
+after(() => sink.close());
+
+const STEPS = [
+    { delay_minutes: 0, channel_ids: [11] },
+    { delay_minutes: 30, channel_ids: [12] },
+    { delay_minutes: 60, channel_ids: [13] },
+];
+
+/**
+ * Creates an open incident as returned by getIncidentsToNotify
+ * @param {object} fields Fields that differ
+ * @returns {object}
+ */
+const incident = (fields) => ({
+    id: 5, website_id: 7, user_id: 1, name: 'API', url: 'https://api.example.com',
+    started_at: new Date(Date.now() - 45 * 60000), last_notified_at: null, escalation_step: 0,
+    error_type: 'STATUS_ERROR', error_message: 'Server responded with status: 503', status_code: 503,
+    renotify_interval_minutes: 0, escalation_policy_name: null, escalation_steps: null,
+    ...fields,
+});
+
+/**
+ * Creates a fake client for the escalation queries
+ * @param {Array<object>} incidents Open incidents
+ * @param {object} [options]
+ * @param {boolean} [options.claimed=true] Whether claiming a reminder or an escalation step succeeds
+ * @returns {object}
+ */
+const createClient = (incidents, { claimed = true } = {}) => createFakeDbClient((sql, params) => {
+    if (/FROM incidents i/.test(sql)) return incidents;
+    if (/UPDATE incidents SET/.test(sql)) return claimed ? [{}] : [];
+    if (/JOIN monitor_notification_channels/.test(sql)) return [{ id: 10, user_id: 1, name: 'Monitor channel', type: 'webhook', config: { url: sink.url } }];
+    if (/nc\.id = ANY/.test(sql)) return params[1].map(id => ({ id, user_id: 1, name: `Step channel ${id}`, type: 'webhook', config: { url: sink.url } }));
+    return [];
+});
+
+/**
+ * Gets the channel and the notification of each delivery sent
+ * @returns {Array<{channelId: number, notification: object}>}
+ */
+const sent = () => createDelivery.mock.calls.map(({ arguments: [delivery] }) => ({ channelId: delivery.channel_id, notification: delivery.payload }));
+
+describe('processOutageNotifications', () => {
+    beforeEach(() => {
+        createDelivery.mock.resetCalls();
+        sink.requests.length = 0;
+    });
+
+    it('only considers open, unacknowledged outages outside maintenance and flapping', async () => {
+        const dbClient = createClient([]);
+        assert.equal(await processOutageNotifications(dbClient), 0);
+        const [{ sql }] = dbClient.queries;
+        assert.match(sql, /i\.resolved_at IS NULL AND i\.acknowledged_at IS NULL/);
+        assert.match(sql, /ws\.in_maintenance IS NOT TRUE AND ws\.is_flapping IS NOT TRUE/);
+    });
+
+    it('reminds the channels of the monitor once the interval has passed', async () => {
+        const dbClient = createClient([incident({ renotify_interval_minutes: 30 })]);
+        assert.equal(await processOutageNotifications(dbClient), 1);
+
+        const [claim] = dbClient.find(/SET last_notified_at/);
+        assert.deepEqual(claim.params, [5, 30]);
+        const [{ channelId, notification }] = sent();
+        assert.equal(channelId, 10);
+        assert.equal(notification.reminder, true);
+        assert.equal(notification.event, 'down');
+        assert.match(notification.checkResult.error, /503/);
+        assert.ok(Math.abs(notification.downtimeSeconds - 45 * 60) <= 2);
+    });
+
+    it('does not remind when another tick claimed the reminder or the interval has not passed', async () => {
+        assert.equal(await processOutageNotifications(createClient([incident({ renotify_interval_minutes: 30 })], { claimed: false })), 0);
+        assert.equal(sent().length, 0);
+    });
+
+    it('sends every escalation step whose delay has passed, to its own channels', async () => {
+        const dbClient = createClient([incident({ escalation_policy_name: 'On-call', escalation_steps: STEPS })]);
+        assert.equal(await processOutageNotifications(dbClient), 2);
+
+        const [advance] = dbClient.find(/SET escalation_step/);
+        assert.deepEqual(advance.params, [5, 0, 2]);
+        assert.deepEqual(sent().map(({ channelId, notification }) => [channelId, notification.escalation]), [
+            [11, { step: 1, steps: 3, policy: 'On-call' }],
+            [12, { step: 2, steps: 3, policy: 'On-call' }],
+        ]);
+        assert.equal(sink.requests.length, 2);
+    });
+
+    it('waits for the delay of the next step', async () => {
+        const dbClient = createClient([incident({ escalation_step: 2, escalation_steps: STEPS })]);
+        assert.equal(await processOutageNotifications(dbClient), 0);
+        assert.equal(dbClient.find(/SET escalation_step/).length, 0);
+    });
+
+    it('does not send steps another tick already sent', async () => {
+        assert.equal(await processOutageNotifications(createClient([incident({ escalation_steps: STEPS })], { claimed: false })), 0);
+        assert.equal(sent().length, 0);
+    });
+
+    it('goes on with the other incidents when one fails', async () => {
+        const dbClient = createClient([incident({ id: 5, renotify_interval_minutes: 30 }), incident({ id: 6, renotify_interval_minutes: 30 })]);
+        const query = dbClient.query;
+        dbClient.query = async (sql, params) => {
+            if (/SET last_notified_at/.test(sql) && params[0] === 5) throw new Error('connection lost');
+            return query(sql, params);
+        };
+        assert.equal(await processOutageNotifications(dbClient), 1);
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyConfirmationThreshold, applyFlapDetection, buildHeartbeat } = require('../src/monitoring/checker');
+
+/**
+ * Gets an ISO timestamp some minutes ago
+ * @param {number} minutes Minutes before now
+ * @returns {string}
+ */
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+
+/**
+ * Runs a series of check outcomes through the confirmation thresholds and flap detection,
+ * keeping the state the way website_status does
+ * @param {object} website Settings { flap_threshold, flap_window_minutes, down_after_failures }
+ * @param {Array<boolean>} outcomes isUp of each check
+ * @param {object} [state] Status before the first check
+ * @returns {Array<object>} Check results
+ */
+const run = (website, outcomes, state = { is_up: true, is_flapping: false, state_changes: [] }) => outcomes.map((isUp) => {
+    const checkResult = { isUp };
+    applyConfirmationThreshold(website, checkResult, state);
+    applyFlapDetection(website, checkResult, state);
+    state = {
+        is_up: checkResult.pending ? state.is_up : isUp,
+        is_flapping: checkResult.flapping,
+        state_changes: checkResult.stateChanges,
+        consecutive_failures: checkResult.consecutiveFailures,
+        consecutive_successes: checkResult.consecutiveSuccesses,
+    };
+    return checkResult;
+});
+
+describe('applyFlapDetection', () => {
+    it('starts flapping once the window holds the threshold of status changes, with one notification', () => {
+        const results = run({ flap_threshold: 4 }, [false, true, false, true, false, true]);
+        assert.deepEqual(results.map(result => result.stateChanges.length), [1, 2, 3, 4, 5, 6]);
+        assert.deepEqual(results.map(result => result.flapping), [false, false, false, true, true, true]);
+        assert.deepEqual(results.map(result => result.flappingChanged), [null, null, null, 'started', null, null]);
+    });
+
+    it('stops once the window holds half the threshold or fewer', () => {
+        const state = {
+            is_up: true,
+            is_flapping: true,
+            state_changes: [minutesAgo(40), minutesAgo(35), minutesAgo(20), minutesAgo(10), minutesAgo(5)],
+        };
+        // 30 minute window: the two oldest changes have left it
+        const [stillFlapping] = run({ flap_threshold: 4, flap_window_minutes: 30 }, [true], state);
+        assert.equal(stillFlapping.stateChanges.length, 3);
+        assert.equal(stillFlapping.flapping, true);
+
+        const [stopped] = run({ flap_threshold: 4, flap_window_minutes: 15 }, [true], state);
+        assert.equal(stopped.stateChanges.length, 2);
+        assert.equal(stopped.flappingChanged, 'stopped');
+    });
+
+    it('counts only confirmed status changes', () => {
+        const results = run({ flap_threshold: 3, down_after_failures: 2 }, [false, true, false, true, false, true]);
+        assert.equal(results.every(result => result.stateChanges.length === 0), true);
+        assert.equal(results.some(result => result.flapping), false);
+    });
+
+    it('ignores maintenance and can be turned off', () => {
+        const maintenance = { isUp: false, maintenance: true };
+        applyFlapDetection({ flap_threshold: 1 }, maintenance, { is_up: true, state_changes: [] });
+        assert.equal(maintenance.stateChanges.length, 0);
+        assert.equal(maintenance.flapping, false);
+
+        const [disabled] = run({ flap_threshold: 0 }, [true], { is_up: false, is_flapping: true, state_changes: [minutesAgo(1)] });
+        assert.equal(disabled.flapping, false);
+        assert.equal(disabled.flappingChanged, 'stopped');
+    });
+});
+
+describe('flapping events', () => {
+    const website = { id: 7, flap_window_minutes: 30 };
+
+    it('record the start and stop as events and hold back the changes in between', () => {
+        const started = buildHeartbeat(website, { isUp: false, statusCode: 503, error_message: 'Server responded with status: 503',
+            flapping: true, flappingChanged: 'started', stateChanges: [1, 2, 3, 4] }, true);
+        assert.equal(started.important, true);
+        assert.equal(started.flapping, true);
+        assert.equal(started.message, 'Flapping started: 4 status changes in 30 minutes - Server responded with status: 503');
+
+        const held = buildHeartbeat(website, { isUp: true, statusCode: 200, flapping: true, flappingChanged: null, stateChanges: [1, 2, 3, 4, 5] }, false);
+        assert.equal(held.important, false);
+
+        const stopped = buildHeartbeat(website, { isUp: true, statusCode: 200, flapping: false, flappingChanged: 'stopped', stateChanges: [1, 2] }, true);
+        assert.equal(stopped.important, true);
+        assert.match(stopped.message, /^Flapping stopped: 2 status changes/);
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildHeartbeat, recordCheckResult, UP, DOWN } = require('../src/monitoring/checker');
+const { createFakeDbClient } = require('./helpers/fakeDb');
+
+const website = { id: 7, monitorType: 'http' };
+
+describe('buildHeartbeat', () => {
+    it('maps an accepted response to an UP beat with its ping', () => {
+        const heartbeat = buildHeartbeat(website, { isUp: true, statusCode: 200, responseTimeMs: 120 }, true);
+        assert.equal(heartbeat.websiteId, 7);
+        assert.equal(heartbeat.status, UP);
+        assert.equal(heartbeat.ping, 120);
+        assert.equal(heartbeat.message, 'OK (200)');
+        assert.equal(heartbeat.important, false);
+    });
+
+    it('marks the first beat and status changes as important', () => {
+        const failed = { isUp: false, statusCode: 503, responseTimeMs: 80, error_message: 'Server responded with status: 503' };
+        assert.equal(buildHeartbeat(website, failed, null).important, true);
+        assert.equal(buildHeartbeat(website, failed, true).important, true);
+        assert.equal(buildHeartbeat(website, failed, false).important, false);
+        assert.equal(buildHeartbeat(website, failed, true).status, DOWN);
+        assert.equal(buildHeartbeat(website, failed, true).message, 'Server responded with status: 503');
+    });
+});
+
+describe('recordCheckResult', () => {
+    it('writes the status, the history row and the heartbeat through the given client', async () => {
+        const dbClient = createFakeDbClient((sql) => (/INSERT INTO heartbeats|incidents/.test(sql) ? [{ id: 1 }] : []));
+        const checkResult = { isUp: true, statusCode: 200, responseTimeMs: 95 };
+        const heartbeat = buildHeartbeat(website, checkResult, true);
+
+        await recordCheckResult(website, checkResult, heartbeat, dbClient);
+
+        assert.equal(dbClient.find(/UPDATE website_status/).length, 1);
+        assert.equal(dbClient.find(/INSERT INTO monitoring_history/).length, 1);
+        const [beat] = dbClient.find(/INSERT INTO heartbeats/);
+        assert.equal(beat.params[0], 7);
+        assert.equal(beat.params[2], UP);
+        assert.equal(beat.params[3], 95);
+    });
+});
@@ -0,0 +1,93 @@
+const dgram = require('dgram');
+
+/**
+ * A minimal authoritative DNS server over UDP for tests. It answers A, AAAA, CNAME, NS, MX and TXT
+ * questions from a record table that can be changed while it runs, and NXDOMAIN for the rest.
+ */
+
+const TYPES = { A: 1, NS: 2, CNAME: 5, MX: 15, TXT: 16, AAAA: 28 };
+
+/**
+ * Encodes a domain name as DNS labels
+ * @param {string} name Domain name
+ * @returns {Buffer}
+ */
+const encodeName = (name) => Buffer.concat([
+    ...name.split('.').filter(Boolean).map((label) => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+    Buffer.from([0]),
+]);
+
+/**
+ * Encodes the data of a record
+ * @param {string} type Record type
+ * @param {string} value Value, e.g. '192.0.2.1', '10 mail.example.com' for MX
+ * @returns {Buffer}
+ */
+const encodeRecord = (type, value) => {
+    switch (type) {
+        case 'A':
+            return Buffer.from(value.split('.').map(Number));
+        case 'AAAA': {
+            const data = Buffer.alloc(16);
+            value.split(':').forEach((group, index) => data.writeUInt16BE(parseInt(group || '0', 16), index * 2));
+            return data;
+        }
+        case 'MX': {
+            const [priority, exchange] = value.split(' ');
+            const data = Buffer.alloc(2);
+            data.writeUInt16BE(Number(priority));
+            return Buffer.concat([data, encodeName(exchange)]);
+        }
+        case 'TXT':
+            return Buffer.concat([Buffer.from([value.length]), Buffer.from(value)]);
+        default: // CNAME, NS
+            return encodeName(value);
+    }
+};
+
+/**
+ * Starts the stub server on a free port of 127.0.0.1
+ * @param {object} records Answers by name and type, e.g. { 'example.com': { A: ['192.0.2.1'] } }
+ * @returns {Promise<{port: number, records: object, close: function(): Promise<void>}>} records can be changed in place
+ */
+const startDnsStub = (records) => new Promise((resolve) => {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (query, remote) => {
+        let offset = 12;
+        const labels = [];
+        while (query[offset]) {
+            labels.push(query.subarray(offset + 1, offset + 1 + query[offset]).toString());
+            offset += query[offset] + 1;
+        }
+        offset += 1;
+        const questionType = query.readUInt16BE(offset);
+        offset += 4;
+        const type = Object.keys(TYPES).find((key) => TYPES[key] === questionType);
+        const answers = records[labels.join('.').toLowerCase()]?.[type] || [];
+
+        const header = Buffer.alloc(12);
+        query.copy(header, 0, 0, 2); // Same ID
+        header.writeUInt16BE(answers.length > 0 ? 0x8180 : 0x8183, 2); // Response, NOERROR or NXDOMAIN
+        header.writeUInt16BE(1, 4);
+        header.writeUInt16BE(answers.length, 6);
+        const answerRecords = answers.map((value) => {
+            const data = encodeRecord(type, value);
+            const fixed = Buffer.alloc(10);
+            fixed.writeUInt16BE(questionType, 0);
+            fixed.writeUInt16BE(1, 2); // IN
+            fixed.writeUInt32BE(60, 4); // TTL
+            fixed.writeUInt16BE(data.length, 8);
+            return Buffer.concat([Buffer.from([0xc0, 12]), fixed, data]); // Name points to the question
+        });
+        socket.send(Buffer.concat([header, query.subarray(12, offset), ...answerRecords]), remote.port, remote.address);
+    });
+    socket.bind(0, '127.0.0.1', () => resolve({
+        port: socket.address().port,
+        records,
+        close: () => new Promise((done) => socket.close(done)),
+    }));
+});
+
+module.exports = {
+    startDnsStub,
+};
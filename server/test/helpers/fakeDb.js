@@ -0,0 +1,31 @@
+/**
+ * A stand-in for a pg Pool/PoolClient that records the queries it gets, for the db functions
+ * that take an optional database client
+ */
+
+/**
+ * Creates a fake database client
+ * @param {function(string, Array): Array<object>} [rowsFor] Rows to return for a query, none by default
+ * @returns {{query: function(string, Array): Promise<{rows: Array<object>, rowCount: number}>, queries: Array<{sql: string, params: Array}>, find: function(RegExp): Array<{sql: string, params: Array}>}}
+ */
+const createFakeDbClient = (rowsFor = () => []) => {
+    const queries = [];
+    return {
+        queries,
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            const rows = rowsFor(sql, params) || [];
+            return { rows, rowCount: rows.length };
+        },
+        /**
+         * Gets the recorded queries whose SQL matches a pattern
+         * @param {RegExp} pattern SQL pattern
+         * @returns {Array<{sql: string, params: Array}>}
+         */
+        find: (pattern) => queries.filter(({ sql }) => pattern.test(sql)),
+    };
+};
+
+module.exports = {
+    createFakeDbClient,
+};
@@ -0,0 +1,31 @@
+/**
+ * Express request/response stand-ins for calling controllers directly
+ */
+
+/**
+ * Creates a response that records the status and body a controller sends
+ * @returns {{statusCode: number, body: any, headersSent: boolean, status: function(number): object, json: function(any): object, send: function(any): object, sendStatus: function(number): object}}
+ */
+const createMockResponse = () => {
+    const res = { statusCode: 200, body: undefined, headersSent: false };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        res.headersSent = true;
+        return res;
+    };
+    res.send = res.json;
+    res.sendStatus = (code) => {
+        res.statusCode = code;
+        res.headersSent = true;
+        return res;
+    };
+    return res;
+};
+
+module.exports = {
+    createMockResponse,
+};
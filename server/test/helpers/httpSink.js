@@ -0,0 +1,35 @@
+const http = require('http');
+
+/**
+ * A local HTTP server that records the requests notification providers send
+ */
+
+/**
+ * Starts the server on a free local port
+ * @param {function(object): {status?: number, body?: any}} [respond] Response for a recorded request, 200 with {"ok":true} by default
+ * @returns {Promise<{url: string, requests: Array<{method: string, path: string, headers: object, body: string}>, close: function(): Promise<void>}>}
+ */
+const startHttpSink = (respond = () => ({})) => new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, path: req.url, headers: req.headers, body };
+            requests.push(request);
+            const { status = 200, body: responseBody = { ok: true } } = respond(request) || {};
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(responseBody));
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+    }));
+});
+
+module.exports = {
+    startHttpSink,
+};
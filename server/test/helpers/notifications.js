@@ -0,0 +1,41 @@
+/**
+ * Notifications as the dispatcher (alerting/webhook.js) builds them, for provider tests
+ */
+
+/**
+ * Creates a notification for monitor 7 going DOWN
+ * @param {object} [fields] Fields that differ from the DOWN notification
+ * @returns {object}
+ */
+const createNotification = (fields = {}) => ({
+    event: 'down',
+    website: { id: 7, name: 'API', url: 'https://api.example.com/health' },
+    link: 'http://localhost:5173/monitor/7',
+    acknowledgeLink: null,
+    status: 'DOWN',
+    previousStatus: 'UP',
+    checkResult: { statusCode: 503, responseTimeMs: 80, isUp: false, errorType: 'STATUS_ERROR', error: 'Server responded with status: 503' },
+    downtimeSeconds: null,
+    certificate: null,
+    flapping: null,
+    degradation: null,
+    timestamp: '2025-01-01T00:00:00.000Z',
+    ...fields,
+});
+
+/**
+ * Creates the recovery notification of monitor 7 after 12m 5s of downtime
+ * @returns {object}
+ */
+const createRecoveryNotification = () => createNotification({
+    event: 'up',
+    status: 'UP',
+    previousStatus: 'DOWN',
+    checkResult: { statusCode: 200, responseTimeMs: 95, isUp: true, errorType: null, error: null },
+    downtimeSeconds: 725,
+});
+
+module.exports = {
+    createNotification,
+    createRecoveryNotification,
+};
@@ -0,0 +1,93 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * A throwaway certificate authority for TLS tests, generated with the openssl CLI: a root CA, an
+ * intermediate CA, a server certificate for localhost and a client certificate for mutual TLS
+ */
+
+// Key algorithms by the names used in the tests
+const KEY_OPTIONS = {
+    ec: ['-algorithm', 'EC', '-pkeyopt', 'ec_paramgen_curve:P-256'],
+    'rsa:1024': ['-algorithm', 'RSA', '-pkeyopt', 'rsa_keygen_bits:1024'],
+    'rsa:2048': ['-algorithm', 'RSA', '-pkeyopt', 'rsa_keygen_bits:2048'],
+};
+
+/**
+ * Runs openssl in a directory
+ * @param {string} dir Working directory
+ * @param {Array<string>} args Arguments
+ */
+const openssl = (dir, args) => {
+    execFileSync('openssl', args, { cwd: dir, stdio: 'pipe' });
+};
+
+/**
+ * Creates the PKI in a new temporary directory
+ * @returns {{ca: object, intermediate: object, server: object, client: object, issue: function(string, object): object, cleanup: function(): void}}
+ *          Each certificate is { cert, key } in PEM; server.chain is the server certificate followed by the intermediate
+ */
+const createTestPki = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uptime-pki-'));
+
+    /**
+     * Issues a certificate
+     * @param {string} name File name prefix
+     * @param {object} options
+     * @param {string} options.subject Subject, e.g. "/CN=localhost"
+     * @param {string} [options.issuer] Name of the issuing certificate, self-signed when omitted
+     * @param {string} [options.keyType='ec'] 'ec', 'rsa:1024' or 'rsa:2048'
+     * @param {number} [options.days=30] Days of validity
+     * @param {Array<string>} [options.extensions=[]] X509v3 extensions, e.g. "subjectAltName=DNS:localhost"
+     * @param {string} [options.passphrase] Encrypts the key with this passphrase
+     * @returns {{cert: string, key: string}}
+     */
+    const issue = (name, { subject, issuer, keyType = 'ec', days = 30, extensions = [], passphrase }) => {
+        openssl(dir, ['genpkey', ...KEY_OPTIONS[keyType], '-out', `${name}.key`]);
+        fs.writeFileSync(path.join(dir, `${name}.ext`), extensions.join('\n') + '\n');
+        const serial = `0x${Date.now().toString(16)}${Math.floor(Math.random() * 0xffff).toString(16).padStart(4, '0')}`;
+        if (issuer) {
+            openssl(dir, ['req', '-new', '-key', `${name}.key`, '-subj', subject, '-out', `${name}.csr`]);
+            openssl(dir, ['x509', '-req', '-in', `${name}.csr`, '-CA', `${issuer}.crt`, '-CAkey', `${issuer}.key`,
+                '-set_serial', serial, '-days', String(days), '-sha256', '-extfile', `${name}.ext`, '-out', `${name}.crt`]);
+        } else {
+            openssl(dir, ['req', '-x509', '-new', '-key', `${name}.key`, '-subj', subject, '-set_serial', serial,
+                '-days', String(days), '-sha256', '-out', `${name}.crt`,
+                ...extensions.flatMap(extension => ['-addext', extension])]);
+        }
+        if (passphrase) {
+            openssl(dir, ['pkey', '-in', `${name}.key`, '-aes256', '-passout', `pass:${passphrase}`, '-out', `${name}.enc.key`]);
+        }
+        return {
+            cert: fs.readFileSync(path.join(dir, `${name}.crt`), 'utf8'),
+            key: fs.readFileSync(path.join(dir, passphrase ? `${name}.enc.key` : `${name}.key`), 'utf8'),
+        };
+    };
+
+    const caExtensions = ['basicConstraints=critical,CA:TRUE', 'keyUsage=critical,keyCertSign,cRLSign'];
+    const ca = issue('ca', { subject: '/O=Uptime Test/CN=Uptime Test Root CA', extensions: caExtensions });
+    const intermediate = issue('intermediate', { subject: '/O=Uptime Test/CN=Uptime Test Intermediate CA', issuer: 'ca', extensions: caExtensions });
+    const server = issue('server', {
+        subject: '/CN=localhost',
+        issuer: 'intermediate',
+        keyType: 'rsa:2048',
+        extensions: ['subjectAltName=DNS:localhost,IP:127.0.0.1', 'extendedKeyUsage=serverAuth'],
+    });
+    server.chain = server.cert + intermediate.cert;
+    const client = issue('client', { subject: '/CN=uptime-monitor', issuer: 'ca', extensions: ['extendedKeyUsage=clientAuth'] });
+
+    return {
+        ca,
+        intermediate,
+        server,
+        client,
+        issue,
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+    };
+};
+
+module.exports = {
+    createTestPki,
+};
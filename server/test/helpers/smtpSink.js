@@ -0,0 +1,46 @@
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+
+/**
+ * A local SMTP server that accepts every message and keeps it parsed, for the email provider
+ */
+
+/**
+ * Starts the server on a free local port. It offers no STARTTLS and accepts any login.
+ * @returns {Promise<{port: number, messages: Array<object>, close: function(): Promise<void>}>}
+ *          Messages are mailparser results with the envelope and the login in `envelope` and `user`
+ */
+const startSmtpSink = () => new Promise((resolve) => {
+    const messages = [];
+    const server = new SMTPServer({
+        disabledCommands: ['STARTTLS'],
+        authOptional: true,
+        allowInsecureAuth: true,
+        logger: false,
+        onAuth: (auth, session, callback) => callback(null, { user: auth.username }),
+        onData: (stream, session, callback) => {
+            simpleParser(stream)
+                .then((message) => {
+                    messages.push({
+                        ...message,
+                        user: session.user || null,
+                        envelope: {
+                            from: session.envelope.mailFrom.address,
+                            to: session.envelope.rcptTo.map(({ address }) => address),
+                        },
+                    });
+                    callback();
+                })
+                .catch(callback);
+        },
+    });
+    server.listen(0, '127.0.0.1', () => resolve({
+        port: server.server.address().port,
+        messages,
+        close: () => new Promise((done) => server.close(done)),
+    }));
+});
+
+module.exports = {
+    startSmtpSink,
+};
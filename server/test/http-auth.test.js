@@ -0,0 +1,92 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Website = require('../src/models/Website');
+const db = require('../src/database/db');
+const WebsiteController = require('../src/controllers/WebsiteController');
+const { buildRequestConfig, getAuthCredentials } = require('../src/monitoring/checker');
+const { encryptSecret, decryptSecret } = require('../src/utils/secrets');
+const { createMockResponse } = require('./helpers/http');
+
+afterEach(() => mock.restoreAll());
+
+describe('buildRequestConfig', () => {
+    it('sends the decrypted basic auth password', () => {
+        const config = buildRequestConfig({ url: 'https://example.com', auth_method: 'basic', basic_auth_user: 'ops' }, { password: 's3cret' });
+        assert.deepEqual(config.auth, { username: 'ops', password: 's3cret' });
+    });
+
+    it('sends the decrypted bearer token', () => {
+        const config = buildRequestConfig({ url: 'https://example.com', auth_method: 'bearer' }, { bearerToken: 'tok' });
+        assert.equal(config.headers.Authorization, 'Bearer tok');
+    });
+});
+
+describe('getAuthCredentials', () => {
+    it('does not read the secrets without basic or bearer auth', async () => {
+        const read = mock.method(db, 'getWebsiteAuthCredentials', async () => ({}));
+        assert.deepEqual(await getAuthCredentials({ id: 1, auth_method: 'none' }), {});
+        assert.equal(read.mock.callCount(), 0);
+    });
+
+    it('decrypts the stored password and token', async () => {
+        mock.method(db, 'getWebsiteAuthCredentials', async () => ({
+            basic_auth_pass: encryptSecret('s3cret'),
+            bearer_token: encryptSecret('tok'),
+        }));
+        assert.deepEqual(await getAuthCredentials({ id: 1, auth_method: 'basic' }), { password: 's3cret' });
+        assert.deepEqual(await getAuthCredentials({ id: 1, auth_method: 'bearer' }), { bearerToken: 'tok' });
+    });
+
+    it('throws when the stored secret cannot be decrypted', async () => {
+        mock.method(db, 'getWebsiteAuthCredentials', async () => ({ bearer_token: 'v1:AAAA:AAAA:AAAA' }));
+        await assert.rejects(getAuthCredentials({ id: 1, auth_method: 'bearer' }));
+    });
+});
+
+describe('auth secrets on update', () => {
+    /**
+     * Updates a monitor through the controller and gets what is written
+     * @param {object} stored The monitor as returned by the API
+     * @param {object} body Request body
+     * @returns {Promise<{res: object, written: object|undefined}>}
+     */
+    const update = async (stored, body) => {
+        mock.method(Website, 'getById', async () => ({ id: 7, user_id: 1, monitorType: 'http', url: 'https://example.com', ...stored }));
+        const write = mock.method(Website, 'update', async (id, data) => data);
+        const res = createMockResponse();
+        await WebsiteController.update({ params: { id: 7 }, body, user: { id: 1 } }, res);
+        return { res, written: write.mock.calls[0]?.arguments[1] };
+    };
+
+    it('encrypts a new password', async () => {
+        const { res, written } = await update({ auth_method: 'none' }, { auth_method: 'basic', basic_auth_user: 'ops', basic_auth_pass: 's3cret' });
+        assert.equal(res.statusCode, 200);
+        assert.notEqual(written.basic_auth_pass, 's3cret');
+        assert.equal(decryptSecret(written.basic_auth_pass), 's3cret');
+        assert.equal(written.bearer_token, null);
+    });
+
+    it('keeps the stored password when the field is left empty', async () => {
+        const { written } = await update(
+            { auth_method: 'basic', basic_auth_user: 'ops', basic_auth_pass_set: true },
+            { auth_method: 'basic', basic_auth_user: 'ops', basic_auth_pass: '' },
+        );
+        assert.equal('basic_auth_pass' in written, false);
+    });
+
+    it('clears the secrets when auth is turned off', async () => {
+        const { written } = await update({ auth_method: 'bearer', bearer_token_set: true }, { auth_method: 'none', bearer_token: '' });
+        assert.equal(written.basic_auth_pass, null);
+        assert.equal(written.bearer_token, null);
+    });
+
+    it('requires a token only when none is stored', async () => {
+        const missing = await update({ auth_method: 'none' }, { auth_method: 'bearer', bearer_token: '' });
+        assert.equal(missing.res.statusCode, 400);
+        assert.match(missing.res.body.error, /Bearer auth requires a token/);
+
+        const kept = await update({ auth_method: 'bearer', bearer_token_set: true }, { auth_method: 'bearer', bearer_token: '' });
+        assert.equal(kept.res.statusCode, 200);
+        assert.equal('bearer_token' in kept.written, false);
+    });
+});
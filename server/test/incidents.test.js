@@ -0,0 +1,96 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/database/db');
+const IncidentController = require('../src/controllers/IncidentController');
+const { buildHeartbeat, recordCheckResult } = require('../src/monitoring/checker');
+const { createFakeDbClient } = require('./helpers/fakeDb');
+const { createMockResponse } = require('./helpers/http');
+
+afterEach(() => mock.restoreAll());
+
+describe('incidents from check results', () => {
+    const website = { id: 7, monitorType: 'http' };
+
+    /**
+     * Records a check result through a fake client
+     * @param {object} checkResult Check result
+     * @returns {Promise<object>} The fake client
+     */
+    const record = async (checkResult) => {
+        const dbClient = createFakeDbClient((sql) => (/incidents|heartbeats/.test(sql) ? [{ id: 11, duration_seconds: 240 }] : []));
+        await recordCheckResult(website, checkResult, buildHeartbeat(website, checkResult, true), dbClient);
+        return dbClient;
+    };
+
+    it('opens an incident or counts the failure towards the open one', async () => {
+        const checkResult = { isUp: false, statusCode: 503, error_type: 'HTTP_ERROR', error_message: 'Server responded with status: 503' };
+        const dbClient = await record(checkResult);
+        const [insert] = dbClient.find(/INSERT INTO incidents/);
+        assert.match(insert.sql, /ON CONFLICT .* DO UPDATE SET failed_checks = incidents\.failed_checks \+ 1/s);
+        assert.deepEqual(insert.params.slice(0, 4), [7, 'HTTP_ERROR', 'Server responded with status: 503', 503]);
+        assert.equal(checkResult.incidentId, 11);
+    });
+
+    it('resolves the open incident on recovery', async () => {
+        const checkResult = { isUp: true, statusCode: 200 };
+        const dbClient = await record(checkResult);
+        const [update] = dbClient.find(/UPDATE incidents SET/);
+        assert.equal(update.params[0], 7);
+        assert.equal(dbClient.find(/INSERT INTO incidents/).length, 0);
+        assert.equal(checkResult.downtimeSeconds, 240);
+    });
+
+    it('leaves incidents as they are during maintenance', async () => {
+        const dbClient = await record({ isUp: true, maintenance: true });
+        assert.equal(dbClient.find(/incidents/).length, 0);
+    });
+});
+
+describe('IncidentController', () => {
+    const incident = { id: 3, website_id: 7, user_id: 1, started_at: new Date(), resolved_at: null, website_name: 'API' };
+
+    /**
+     * Lists incidents through the controller
+     * @param {object} query Query parameters
+     * @returns {Promise<{res: object, list: object}>} The response and the db mock
+     */
+    const getAll = async (query) => {
+        const list = mock.method(db, 'getIncidentsByUser', async () => [incident]);
+        const res = createMockResponse();
+        await IncidentController.getAll({ query, user: { id: 1 } }, res);
+        return { res, list };
+    };
+
+    it('passes the filters on and leaves out the owner', async () => {
+        const { res, list } = await getAll({ status: 'open', type: 'down', websiteId: '7', since: '2025-01-01T00:00:00Z', limit: '10' });
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(list.mock.calls[0].arguments, [1, {
+            status: 'open', type: 'down', websiteId: 7, since: new Date('2025-01-01T00:00:00Z'), limit: 10, offset: 0,
+        }]);
+        assert.equal('user_id' in res.body[0], false);
+    });
+
+    it('rejects invalid filters', async () => {
+        for (const query of [{ status: 'closed' }, { type: 'up' }, { websiteId: 'x' }, { until: 'tomorrow' }, { limit: '0' }, { limit: '501' }, { offset: '-1' }]) {
+            const { res, list } = await getAll(query);
+            assert.equal(res.statusCode, 400, JSON.stringify(query));
+            assert.equal(list.mock.callCount(), 0);
+            mock.restoreAll();
+        }
+    });
+
+    it('returns only the incidents of the user', async () => {
+        mock.method(db, 'getIncident', async (id) => (id === 3 ? incident : null));
+        const own = createMockResponse();
+        await IncidentController.getById({ params: { id: 3 }, user: { id: 1 } }, own);
+        assert.equal(own.body.id, 3);
+
+        const other = createMockResponse();
+        await IncidentController.getById({ params: { id: 3 }, user: { id: 2 } }, other);
+        assert.equal(other.statusCode, 403);
+
+        const missing = createMockResponse();
+        await IncidentController.getById({ params: { id: 4 }, user: { id: 1 } }, missing);
+        assert.equal(missing.statusCode, 404);
+    });
+});
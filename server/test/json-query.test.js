@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jsonQuery = require('../src/utils/json-query');
+const WebsiteController = require('../src/controllers/WebsiteController');
+const { createMockResponse } = require('./helpers/http');
+
+const document = {
+    status: 'ok',
+    version: 3,
+    'content-type': 'application/json',
+    checks: [
+        { name: 'db', status: 'ok', latency: 12 },
+        { name: 'cache', status: 'degraded', latency: 250 },
+    ],
+};
+
+describe('parseExpression', () => {
+    it('splits members, quoted members, indexes and wildcards', () => {
+        assert.deepEqual(jsonQuery.parseExpression("$.checks[-1]['name']"), [
+            { type: 'member', value: 'checks' },
+            { type: 'index', value: -1 },
+            { type: 'member', value: 'name' },
+        ]);
+        assert.deepEqual(jsonQuery.parseExpression('checks[*].status'), [
+            { type: 'member', value: 'checks' },
+            { type: 'wildcard' },
+            { type: 'member', value: 'status' },
+        ]);
+    });
+
+    it('names the JSONPath features outside the supported subset', () => {
+        assert.throws(() => jsonQuery.parseExpression('$..status'), /Recursive descent \(\.\.\) is not supported; supported syntax/);
+        assert.throws(() => jsonQuery.parseExpression("$.checks[?(@.status=='ok')]"), /Filter expressions/);
+        assert.throws(() => jsonQuery.parseExpression('$.checks[0:1]'), /Array slices/);
+        assert.throws(() => jsonQuery.parseExpression('$.checks[0,1]'), /Unions/);
+        assert.throws(() => jsonQuery.parseExpression('length(checks)'), /Unexpected token/);
+        assert.throws(() => jsonQuery.parseExpression(''), /empty/);
+    });
+});
+
+describe('evaluate', () => {
+    it('selects members, negative indexes and lengths', () => {
+        assert.equal(jsonQuery.evaluate(document, '$.status'), 'ok');
+        assert.equal(jsonQuery.evaluate(document, "$['content-type']"), 'application/json');
+        assert.equal(jsonQuery.evaluate(document, '$.checks[-1].name'), 'cache');
+        assert.equal(jsonQuery.evaluate(document, '$.checks.length'), 2);
+        assert.equal(jsonQuery.evaluate(document, '$'), document);
+    });
+
+    it('yields a list after a wildcard and undefined for a missing path', () => {
+        assert.deepEqual(jsonQuery.evaluate(document, '$.checks[*].status'), ['ok', 'degraded']);
+        assert.equal(jsonQuery.evaluate(document, '$.missing.field'), undefined);
+        assert.equal(jsonQuery.evaluate(document, '$.checks[5]'), undefined);
+    });
+});
+
+describe('compare', () => {
+    it('compares as strings for == and !=', () => {
+        assert.equal(jsonQuery.compare(3, '==', '3'), true);
+        assert.equal(jsonQuery.compare('ok', '!=', 'degraded'), true);
+        assert.equal(jsonQuery.compare('degraded', '!=', 'degraded'), false);
+    });
+
+    it('fails every operator when the path is missing', () => {
+        for (const operator of jsonQuery.OPERATORS) {
+            assert.equal(jsonQuery.compare(undefined, operator, operator === 'matches' ? '.*' : 'degraded'), false, operator);
+        }
+    });
+
+    it('compares numbers for < and >', () => {
+        assert.equal(jsonQuery.compare(12, '<', '100'), true);
+        assert.equal(jsonQuery.compare('250', '>', '100'), true);
+        assert.equal(jsonQuery.compare('n/a', '>', '100'), false);
+    });
+
+    it('checks membership for contains and regexes for matches', () => {
+        assert.equal(jsonQuery.compare(['ok', 'degraded'], 'contains', 'degraded'), true);
+        assert.equal(jsonQuery.compare('all systems ok', 'contains', 'ok'), true);
+        assert.equal(jsonQuery.compare({ db: 1 }, 'contains', 'db'), true);
+        assert.equal(jsonQuery.compare('v3.2.1', 'matches', '^v3\\.'), true);
+        assert.throws(() => jsonQuery.compare('x', 'matches', '('));
+        assert.throws(() => jsonQuery.compare('x', '~=', 'x'), /Unknown operator/);
+    });
+});
+
+describe('json-query monitor validation', () => {
+    /**
+     * Creates a json-query monitor through the controller
+     * @param {object} monitorConfig JSON query configuration
+     * @returns {Promise<object>} The response
+     */
+    const create = async (monitorConfig) => {
+        const res = createMockResponse();
+        await WebsiteController.create({
+            body: { name: 'API', url: 'https://api.example.com/health', monitorType: 'json-query', monitorConfig },
+            user: { id: 1 },
+        }, res);
+        return res;
+    };
+
+    it('explains which syntax is supported when the expression is outside the subset', async () => {
+        const res = await create({ jsonQuery: '$..status', jsonOperator: '==', expectedValue: 'ok' });
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /^Invalid JSON query: Recursive descent \(\.\.\) is not supported; supported syntax: /);
+    });
+
+    it('rejects unknown operators and non-numeric values for < and >', async () => {
+        assert.match((await create({ jsonQuery: '$.status', jsonOperator: '~=' })).body.error, /operator must be one of/);
+        assert.match((await create({ jsonQuery: '$.version', jsonOperator: '>', expectedValue: 'two' })).body.error, /must be a number/);
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/database/db');
+const { applyLatencyThresholds, buildHeartbeat, DEGRADED, UP } = require('../src/monitoring/checker');
+
+/**
+ * Serves the response times of the previous checks, newest first
+ * @param {Array<number>} pings Response times
+ * @returns {object} Mocked db.getRecentPings
+ */
+const mockRecentPings = (pings) => mock.method(db, 'getRecentPings', async (websiteId, { limit }) => pings.slice(0, limit ?? pings.length));
+
+describe('applyLatencyThresholds', () => {
+    afterEach(() => mock.restoreAll());
+
+    const website = { id: 7, latency_warning_ms: 500, latency_critical_ms: 2000, latency_checks: 3 };
+
+    it('degrades only when all of the last checks are slow', async () => {
+        mockRecentPings([900, 300]);
+        const fast = { isUp: true, responseTimeMs: 800 };
+        await applyLatencyThresholds(website, fast, { latency_level: null });
+        assert.equal(fast.latencyLevel, null);
+        assert.equal(fast.latencyMs, 300);
+        assert.equal(fast.latencyChanged, false);
+
+        mockRecentPings([900, 600]);
+        const slow = { isUp: true, responseTimeMs: 800 };
+        await applyLatencyThresholds(website, slow, { latency_level: null });
+        assert.equal(slow.latencyLevel, 'warning');
+        assert.equal(slow.latencyChanged, true);
+        assert.equal(slow.latencyMessage, 'fastest of the last 3 checks: 600 ms (warning threshold: 500 ms)');
+    });
+
+    it('waits for enough checks', async () => {
+        const getRecentPings = mockRecentPings([3000]);
+        const checkResult = { isUp: true, responseTimeMs: 3000 };
+        await applyLatencyThresholds(website, checkResult, null);
+        assert.deepEqual(getRecentPings.mock.calls[0].arguments, [7, { limit: 2 }]);
+        assert.equal(checkResult.latencyMs, null);
+        assert.equal(checkResult.latencyLevel, null);
+        assert.equal(checkResult.latencyMessage, undefined);
+    });
+
+    it('moves between the warning and critical levels', async () => {
+        mockRecentPings([2500, 2100]);
+        const critical = { isUp: true, responseTimeMs: 2200 };
+        await applyLatencyThresholds(website, critical, { latency_level: 'warning' });
+        assert.equal(critical.latencyLevel, 'critical');
+        assert.equal(critical.previousLatencyLevel, 'warning');
+        assert.equal(critical.latencyChanged, true);
+
+        const unchanged = { isUp: true, responseTimeMs: 2200 };
+        await applyLatencyThresholds(website, unchanged, { latency_level: 'critical' });
+        assert.equal(unchanged.latencyChanged, false);
+
+        const warningOnly = { isUp: true, responseTimeMs: 2200 };
+        await applyLatencyThresholds({ ...website, latency_critical_ms: 0 }, warningOnly, { latency_level: 'critical' });
+        assert.equal(warningOnly.latencyLevel, 'warning');
+    });
+
+    it('evaluates the p95 of a time window', async () => {
+        const pings = [100, 110, 120, 130, 140, 150, 160, 170, 180, 190, 200, 210, 220, 230, 240, 250, 260, 270, 280];
+        const getRecentPings = mockRecentPings(pings);
+        const checkResult = { isUp: true, responseTimeMs: 900 };
+        await applyLatencyThresholds({ ...website, latency_evaluation: 'p95', latency_window_minutes: 5 }, checkResult, null);
+
+        const { since } = getRecentPings.mock.calls[0].arguments[1];
+        assert.ok(Math.abs(Date.now() - 5 * 60000 - since.getTime()) < 1000);
+        // 20 response times: the 19th fastest
+        assert.equal(checkResult.latencyMs, 280);
+        assert.equal(checkResult.latencyLevel, null);
+
+        getRecentPings.mock.mockImplementation(async () => [700, 650, ...pings]);
+        const slow = { isUp: true, responseTimeMs: 900 };
+        await applyLatencyThresholds({ ...website, latency_evaluation: 'p95', latency_window_minutes: 5 }, slow, null);
+        assert.equal(slow.latencyLevel, 'warning');
+        assert.match(slow.latencyMessage, /^p95 of the last 5 minutes: 700 ms/);
+    });
+
+    it('keeps the level on pending, maintenance and failed evaluations, and clears it when down', async () => {
+        const getRecentPings = mockRecentPings([]);
+        for (const checkResult of [{ isUp: false, pending: true }, { isUp: true, maintenance: true }]) {
+            await applyLatencyThresholds(website, checkResult, { latency_level: 'warning' });
+            assert.equal(checkResult.latencyLevel, 'warning');
+            assert.equal(checkResult.latencyChanged, false);
+        }
+
+        getRecentPings.mock.mockImplementation(async () => { throw new Error('connection lost'); });
+        const failed = { isUp: true, responseTimeMs: 100 };
+        await applyLatencyThresholds(website, failed, { latency_level: 'critical' });
+        assert.equal(failed.latencyLevel, 'critical');
+        assert.equal(failed.latencyChanged, false);
+
+        const down = { isUp: false, responseTimeMs: 100 };
+        await applyLatencyThresholds(website, down, { latency_level: 'critical' });
+        assert.equal(down.latencyLevel, null);
+        assert.equal(down.latencyChanged, false);
+    });
+
+    it('clears the level when the thresholds are turned off', async () => {
+        const getRecentPings = mockRecentPings([3000, 3000]);
+        const checkResult = { isUp: true, responseTimeMs: 3000 };
+        await applyLatencyThresholds({ id: 7 }, checkResult, { latency_level: 'critical' });
+        assert.equal(getRecentPings.mock.callCount(), 0);
+        assert.equal(checkResult.latencyLevel, null);
+        assert.equal(checkResult.latencyChanged, true);
+    });
+});
+
+describe('degraded heartbeats', () => {
+    it('are DEGRADED while a latency level is set, with an event on each change', () => {
+        const website = { id: 7 };
+        const degraded = buildHeartbeat(website, { isUp: true, statusCode: 200, responseTimeMs: 2200, latencyLevel: 'critical',
+            latencyChanged: true, latencyMessage: 'last check: 2200 ms (critical threshold: 2000 ms)' }, true);
+        assert.equal(degraded.status, DEGRADED);
+        assert.equal(degraded.important, true);
+        assert.equal(degraded.message, 'Degraded, critical (last check: 2200 ms (critical threshold: 2000 ms)) - OK (200)');
+
+        const still = buildHeartbeat(website, { isUp: true, statusCode: 200, latencyLevel: 'critical', latencyChanged: false }, true);
+        assert.equal(still.status, DEGRADED);
+        assert.equal(still.important, false);
+
+        const normal = buildHeartbeat(website, { isUp: true, statusCode: 200, latencyLevel: null, latencyChanged: true,
+            latencyMessage: 'last check: 90 ms' }, true);
+        assert.equal(normal.status, UP);
+        assert.equal(normal.message, 'Response time back to normal (last check: 90 ms) - OK (200)');
+    });
+});
@@ -0,0 +1,192 @@
+const { describe, it, before, after, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/database/db');
+const UptimeCalculator = require('../src/services/UptimeCalculator');
+const webhook = require('../src/alerting/webhook');
+const { parseCronExpression, isValidTimezone, parseDateInTimezone, isWindowActive } = require('../src/monitoring/maintenance');
+const { createFakeDbClient } = require('./helpers/fakeDb');
+const { startHttpSink } = require('./helpers/httpSink');
+
+// The checker takes triggerWebhookAlert when it is loaded, so it is replaced before that
+const triggerWebhookAlert = mock.method(webhook, 'triggerWebhookAlert', async () => {});
+const { performCheck, MAINTENANCE, UP, DOWN } = require('../src/monitoring/checker');
+
+describe('parseCronExpression', () => {
+    it('expands wildcards, steps, ranges and lists', () => {
+        const { fields } = parseCronExpression('*/15 9-17/4 1,15 * 1-5');
+        assert.deepEqual([...fields[0]], [0, 15, 30, 45]);
+        assert.deepEqual([...fields[1]], [9, 13, 17]);
+        assert.deepEqual([...fields[2]], [1, 15]);
+        assert.equal(fields[3].size, 12);
+        assert.deepEqual([...fields[4]], [1, 2, 3, 4, 5]);
+    });
+
+    it('accepts month and weekday names and 7 for Sunday', () => {
+        const { fields } = parseCronExpression('0 0 * jan,DEC SUN');
+        assert.deepEqual([...fields[3]], [1, 12]);
+        assert.deepEqual([...fields[4]], [0]);
+        assert.equal(parseCronExpression('0 0 * * 7').fields[4].has(0), true);
+    });
+
+    it('tells which day fields are restricted', () => {
+        const schedule = parseCronExpression('0 0 1 * MON');
+        assert.equal(schedule.dayOfMonthRestricted, true);
+        assert.equal(schedule.dayOfWeekRestricted, true);
+        assert.equal(parseCronExpression('0 0 * * *').dayOfWeekRestricted, false);
+    });
+
+    it('rejects malformed expressions', () => {
+        for (const expression of ['* * * *', '60 * * * *', '* 24 * * *', '*/0 * * * *', '5-1 * * * *', '* * * FOO *', '']) {
+            assert.throws(() => parseCronExpression(expression), Error, expression);
+        }
+    });
+});
+
+describe('timezones', () => {
+    it('validates timezone names', () => {
+        assert.equal(isValidTimezone('Europe/Berlin'), true);
+        assert.equal(isValidTimezone('Mars/Olympus'), false);
+    });
+
+    it('reads dates without an offset as wall-clock time in the timezone', () => {
+        assert.equal(parseDateInTimezone('2025-01-31T22:00', 'Europe/Berlin').toISOString(), '2025-01-31T21:00:00.000Z');
+        assert.equal(parseDateInTimezone('2025-07-01 08:30', 'America/New_York').toISOString(), '2025-07-01T12:30:00.000Z');
+        assert.equal(parseDateInTimezone('2025-01-31T22:00:00Z', 'Europe/Berlin').toISOString(), '2025-01-31T22:00:00.000Z');
+        assert.equal(parseDateInTimezone('not a date', 'UTC'), null);
+    });
+});
+
+describe('isWindowActive', () => {
+    const at = (iso) => new Date(iso);
+
+    it('covers a single window from its start to its end', () => {
+        const window = { active: true, strategy: 'single', start_date: '2025-03-01T10:00:00Z', end_date: '2025-03-01T12:00:00Z' };
+        assert.equal(isWindowActive(window, at('2025-03-01T09:59:59Z')), false);
+        assert.equal(isWindowActive(window, at('2025-03-01T10:00:00Z')), true);
+        assert.equal(isWindowActive(window, at('2025-03-01T12:00:00Z')), false);
+        assert.equal(isWindowActive({ ...window, active: false }, at('2025-03-01T11:00:00Z')), false);
+    });
+
+    it('covers each weekday occurrence for its duration, in the window timezone', () => {
+        // Mondays and Thursdays 23:30-01:30 in Berlin (UTC+1 in January)
+        const window = { active: true, strategy: 'weekday', weekdays: [1, 4], start_time: '23:30', duration_minutes: 120, timezone: 'Europe/Berlin' };
+        assert.equal(isWindowActive(window, at('2025-01-06T22:29:00Z')), false); // Monday 23:29
+        assert.equal(isWindowActive(window, at('2025-01-06T22:30:00Z')), true);
+        assert.equal(isWindowActive(window, at('2025-01-07T00:29:00Z')), true); // Tuesday 01:29, still the Monday occurrence
+        assert.equal(isWindowActive(window, at('2025-01-07T00:30:00Z')), false);
+        assert.equal(isWindowActive(window, at('2025-01-07T22:45:00Z')), false); // Tuesday
+    });
+
+    it('finds an occurrence that started days ago', () => {
+        // The first week of each month, from 03:00 on the 1st
+        const window = { active: true, strategy: 'cron', cron_expression: '0 3 1 * *', duration_minutes: 7 * 24 * 60, timezone: 'UTC' };
+        assert.equal(isWindowActive(window, at('2025-06-07T12:00:00Z')), true);
+        assert.equal(isWindowActive(window, at('2025-06-08T03:00:00Z')), false);
+        assert.equal(isWindowActive(window, at('2025-06-01T02:59:00Z')), false);
+    });
+
+    it('respects the date range of a recurring window', () => {
+        const window = { active: true, strategy: 'cron', cron_expression: '0 * * * *', duration_minutes: 30, timezone: 'UTC',
+            start_date: '2025-05-01T00:00:00Z', end_date: '2025-05-02T00:00:00Z' };
+        assert.equal(isWindowActive(window, at('2025-05-01T10:10:00Z')), true);
+        assert.equal(isWindowActive(window, at('2025-04-30T10:10:00Z')), false);
+        assert.equal(isWindowActive(window, at('2025-05-02T00:10:00Z')), false);
+    });
+
+    it('skips a start time that does not exist on the day the clock goes forward', () => {
+        // 02:30 does not exist in Berlin on 2025-03-30
+        const window = { active: true, strategy: 'cron', cron_expression: '30 2 * * *', duration_minutes: 60, timezone: 'Europe/Berlin' };
+        assert.equal(isWindowActive(window, at('2025-03-30T01:00:00Z')), false); // 03:00 CEST
+        assert.equal(isWindowActive(window, at('2025-03-31T00:45:00Z')), true); // 02:45 CEST the next day
+    });
+
+    it('covers both passes of a start time repeated when the clock goes back', () => {
+        // 02:30 happens at 00:30Z (CEST) and 01:30Z (CET) in Berlin on 2025-10-26
+        const window = { active: true, strategy: 'cron', cron_expression: '30 2 * * *', duration_minutes: 20, timezone: 'Europe/Berlin' };
+        assert.equal(isWindowActive(window, at('2025-10-26T00:40:00Z')), true);
+        assert.equal(isWindowActive(window, at('2025-10-26T01:00:00Z')), false);
+        assert.equal(isWindowActive(window, at('2025-10-26T01:40:00Z')), true);
+    });
+
+    it('is never active with a zero duration', () => {
+        const window = { active: true, strategy: 'cron', cron_expression: '* * * * *', duration_minutes: 0, timezone: 'UTC' };
+        assert.equal(isWindowActive(window, at('2025-05-01T10:10:00Z')), false);
+    });
+});
+
+describe('status during maintenance', () => {
+    let sink;
+    let responseStatus;
+    before(async () => { sink = await startHttpSink(() => ({ status: responseStatus })); });
+    after(() => sink.close());
+    afterEach(() => {
+        mock.restoreAll();
+        triggerWebhookAlert.mock.resetCalls();
+    });
+
+    /**
+     * Runs checks of an HTTP monitor, keeping its website_status row the way updateWebsiteStatus writes it
+     * @param {Array<{status: number, maintenance: boolean}>} steps Response status and whether a window is active, per check
+     * @returns {Promise<Array<{heartbeat: number, isUp: boolean, alerts: Array<string>}>>} Heartbeat status, stored
+     *          status and the alerts sent, per check
+     */
+    const run = async (steps) => {
+        const state = { id: 7, is_up: true, in_maintenance: false, consecutive_failures: 0, consecutive_successes: 3, state_changes: [] };
+        const website = { id: 7, monitorType: 'http', url: `${sink.url}/health`, timeout_ms: 2000, monitor_config: {} };
+        let maintenance = false;
+        mock.method(db, 'getWebsite', async () => ({ ...state }));
+        mock.method(db, 'getMaintenanceWindowsForWebsite', async () => (maintenance
+            ? [{ id: 3, title: 'Upgrade', active: true, strategy: 'single', start_date: new Date(Date.now() - 60000), end_date: new Date(Date.now() + 60000) }]
+            : []));
+        mock.method(UptimeCalculator, 'getUptimeCalculator', async () => ({ update: async () => {} }));
+
+        const outcomes = [];
+        for (const step of steps) {
+            responseStatus = step.status;
+            maintenance = step.maintenance;
+            const dbClient = createFakeDbClient((sql) => (/incidents/.test(sql) ? [{ id: 1, duration_seconds: 600 }] : []));
+            const alertsBefore = triggerWebhookAlert.mock.callCount();
+            await performCheck(website, dbClient);
+
+            const [{ params }] = dbClient.find(/UPDATE website_status/);
+            // is_up = CASE WHEN in_maintenance OR is_pending THEN is_up ELSE $3 END
+            if (!params[6] && !params[7]) {
+                state.is_up = params[2];
+            }
+            Object.assign(state, { in_maintenance: params[6], consecutive_failures: params[8], consecutive_successes: params[9], state_changes: JSON.parse(params[11]) });
+
+            const [heartbeat] = dbClient.find(/INSERT INTO heartbeats/);
+            outcomes.push({
+                heartbeat: heartbeat.params[2],
+                isUp: state.is_up,
+                alerts: triggerWebhookAlert.mock.calls.slice(alertsBefore).map(call => (call.arguments[1].isUp ? 'up' : 'down')),
+            });
+        }
+        return outcomes;
+    };
+
+    it('keeps a monitor down through a window and alerts once it recovers', async () => {
+        const outcomes = await run([
+            { status: 500, maintenance: false },
+            { status: 200, maintenance: true },
+            { status: 500, maintenance: true },
+            { status: 200, maintenance: false },
+        ]);
+        assert.deepEqual(outcomes, [
+            { heartbeat: DOWN, isUp: false, alerts: ['down'] },
+            { heartbeat: MAINTENANCE, isUp: false, alerts: [] },
+            { heartbeat: MAINTENANCE, isUp: false, alerts: [] },
+            { heartbeat: UP, isUp: true, alerts: ['up'] },
+        ]);
+    });
+
+    it('does not alert again for a monitor still down after a window', async () => {
+        const outcomes = await run([
+            { status: 500, maintenance: false },
+            { status: 500, maintenance: true },
+            { status: 500, maintenance: false },
+        ]);
+        assert.deepEqual(outcomes.map(outcome => outcome.alerts), [['down'], [], []]);
+        assert.deepEqual(outcomes.map(outcome => outcome.isUp), [false, false, false]);
+    });
+});
@@ -0,0 +1,239 @@
+const { describe, it, mock, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const db = require('../src/database/db');
+const { getProvider } = require('../src/alerting/providers');
+const { startHttpSink } = require('./helpers/httpSink');
+const { createMockResponse } = require('./helpers/http');
+const { encryptSecret, decryptSecret } = require('../src/utils/secrets');
+
+// The dispatcher takes its database functions when it is loaded, so they are replaced before that
+const channelsForWebsite = mock.method(db, 'getNotificationChannelsForWebsite', async () => []);
+mock.method(db, 'createNotificationDelivery', async (delivery) => ({ ...delivery, id: 1, attempts: 0, status: 'pending' }));
+const recordAttempt = mock.method(db, 'recordNotificationDeliveryAttempt', async (id, attempt, outcome) => ({ id, ...attempt, ...outcome }));
+const { triggerWebhookAlert } = require('../src/alerting/webhook');
+const NotificationController = require('../src/controllers/NotificationController');
+
+const website = { id: 7, name: 'API', url: 'https://api.example.com' };
+const downResult = { isUp: false, statusCode: 503, responseTimeMs: 80, error_type: 'STATUS_ERROR', error_message: 'Server responded with status: 503' };
+
+describe('webhook provider', () => {
+    let sink;
+    before(async () => { sink = await startHttpSink(); });
+    after(() => sink.close());
+
+    it('requires an http(s) URL', () => {
+        const webhook = getProvider('webhook');
+        assert.match(webhook.validateConfig({}), /Webhook URL is required/);
+        assert.match(webhook.validateConfig({ url: 'ftp://example.com' }), /must start with http/);
+        assert.equal(webhook.validateConfig({ url: sink.url }), null);
+    });
+
+    it('posts the status change as JSON', async () => {
+        const notification = {
+            event: 'down', website, status: 'DOWN', previousStatus: 'UP',
+            checkResult: { statusCode: 503, responseTimeMs: 80, isUp: false, error: 'Server responded with status: 503' },
+            timestamp: '2025-01-01T00:00:00.000Z',
+        };
+        const response = await getProvider('webhook').send(notification, { url: `${sink.url}/hook` });
+        assert.equal(response.status, 200);
+        const [request] = sink.requests;
+        assert.equal(request.method, 'POST');
+        assert.equal(request.path, '/hook');
+        assert.equal(request.headers['content-type'], 'application/json');
+        const body = JSON.parse(request.body);
+        assert.equal(body.event, 'down');
+        assert.deepEqual(body.statusChange, { from: 'UP', to: 'DOWN' });
+        assert.equal(body.checkResult.statusCode, 503);
+    });
+});
+
+describe('triggerWebhookAlert', () => {
+    let ok;
+    let failing;
+    before(async () => {
+        ok = await startHttpSink();
+        failing = await startHttpSink(() => ({ status: 400, body: { error: 'bad' } }));
+    });
+    after(async () => {
+        await ok.close();
+        await failing.close();
+    });
+    beforeEach(() => {
+        ok.requests.length = 0;
+        failing.requests.length = 0;
+        recordAttempt.mock.resetCalls();
+    });
+
+    /**
+     * Creates a webhook channel row
+     * @param {number} id Channel ID
+     * @param {string} url Webhook URL
+     * @returns {object}
+     */
+    const channel = (id, url) => ({ id, user_id: 1, name: `Channel ${id}`, type: 'webhook', config: { url }, enabled: true });
+
+    it('sends to every channel of the monitor, even when one fails', async () => {
+        channelsForWebsite.mock.mockImplementation(async () => [channel(1, failing.url), channel(2, ok.url)]);
+        await triggerWebhookAlert(website, downResult, true);
+
+        assert.equal(failing.requests.length, 1);
+        assert.equal(ok.requests.length, 1);
+        assert.equal(JSON.parse(ok.requests[0].body).website.id, 7);
+        const outcomes = recordAttempt.mock.calls.map(call => [call.arguments[1].statusCode, call.arguments[2].status]).sort();
+        assert.deepEqual(outcomes, [[200, 'delivered'], [400, 'dead']]);
+    });
+
+    it('does not send without channels or during maintenance', async () => {
+        channelsForWebsite.mock.mockImplementation(async () => []);
+        await triggerWebhookAlert(website, downResult, true);
+        channelsForWebsite.mock.mockImplementation(async () => [channel(2, ok.url)]);
+        await triggerWebhookAlert(website, { ...downResult, maintenance: true }, true);
+        assert.equal(ok.requests.length, 0);
+        assert.equal(recordAttempt.mock.callCount(), 0);
+    });
+});
+
+describe('channel validation', () => {
+    /**
+     * Creates a channel through the controller
+     * @param {object} body Request body
+     * @returns {Promise<object>} The response
+     */
+    const create = async (body) => {
+        const res = createMockResponse();
+        await NotificationController.createChannel({ body, user: { id: 1 } }, res);
+        return res;
+    };
+
+    it('rejects a missing name, an unknown type and an invalid config', async () => {
+        assert.match((await create({ type: 'webhook', config: { url: 'https://example.com' } })).body.message, /Name is required/);
+        assert.match((await create({ name: 'Pager', type: 'carrier-pigeon' })).body.message, /Type must be one of: webhook, email/);
+        const invalid = await create({ name: 'Hook', type: 'webhook', config: { url: 'not a url' } });
+        assert.equal(invalid.statusCode, 400);
+        assert.match(invalid.body.message, /Webhook URL/);
+    });
+
+    it('rejects monitors of other users', async () => {
+        mock.method(db, 'getAllWebsitesByUser', async () => [{ id: 7 }]);
+        const res = await create({ name: 'Hook', type: 'webhook', config: { url: 'https://example.com' }, website_ids: [7, 8] });
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /monitors were not found/);
+    });
+});
+
+describe('channel secrets', () => {
+    const BOT_TOKEN = '123456789:ABCDEFGHIJKLMNOPQRSTUVWXYZabcdef';
+    let stored;
+
+    beforeEach(() => {
+        stored = null;
+        mock.method(db, 'createNotificationChannel', async (channel) => {
+            stored = { ...channel, id: 5, website_ids: [] };
+            return { id: 5 };
+        });
+        mock.method(db, 'updateNotificationChannel', async (id, channel) => {
+            stored = { ...stored, ...channel };
+        });
+        mock.method(db, 'getNotificationChannel', async () => stored);
+        mock.method(db, 'getNotificationChannelsByUser', async () => [stored]);
+    });
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * Saves a channel through the controller, creating it on the first call
+     * @param {object} body Request body
+     * @returns {Promise<object>} The response
+     */
+    const save = async (body) => {
+        const res = createMockResponse();
+        if (stored) {
+            await NotificationController.updateChannel({ params: { id: 5 }, body, user: { id: 1 } }, res);
+        } else {
+            await NotificationController.createChannel({ body, user: { id: 1 } }, res);
+        }
+        return res;
+    };
+
+    it('stores secrets encrypted and only reports that they are set', async () => {
+        const res = await save({ name: 'Phone', type: 'telegram', config: { botToken: BOT_TOKEN, chatId: '-100123' } });
+        assert.equal(res.statusCode, 201);
+        assert.notEqual(stored.config.botToken, BOT_TOKEN);
+        assert.equal(decryptSecret(stored.config.botToken), BOT_TOKEN);
+        assert.deepEqual(res.body.config, { chatId: '-100123' });
+        assert.deepEqual(res.body.secrets_set, ['botToken']);
+
+        const list = createMockResponse();
+        await NotificationController.getChannels({ user: { id: 1 } }, list);
+        assert.deepEqual(list.body[0].config, { chatId: '-100123' });
+        assert.doesNotMatch(JSON.stringify(list.body), /ABCDEF/);
+    });
+
+    it('keeps the stored secret when the update leaves it empty', async () => {
+        await save({ name: 'Phone', type: 'telegram', config: { botToken: BOT_TOKEN, chatId: '-100123' } });
+
+        const res = await save({ name: 'Phone', type: 'telegram', config: { botToken: '', chatId: '-100456' } });
+        assert.equal(res.statusCode, 200);
+        assert.equal(decryptSecret(stored.config.botToken), BOT_TOKEN);
+        assert.deepEqual(res.body.config, { chatId: '-100456' });
+
+        await save({ name: 'Renamed' });
+        assert.equal(decryptSecret(stored.config.botToken), BOT_TOKEN);
+        assert.equal(stored.config.chatId, '-100456');
+
+        const newToken = '987654321:ZYXWVUTSRQPONMLKJIHGFEDCBAzyxwvu';
+        await save({ name: 'Phone', type: 'telegram', config: { botToken: newToken, chatId: '-100456' } });
+        assert.equal(decryptSecret(stored.config.botToken), newToken);
+    });
+
+    it('drops the stored secrets when the type changes', async () => {
+        await save({ name: 'Phone', type: 'gotify', config: { url: 'https://gotify.example.com', token: 'app-token' } });
+        const res = await save({ name: 'Phone', type: 'ntfy', config: { url: 'https://ntfy.sh/alerts' } });
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(stored.config, { url: 'https://ntfy.sh/alerts' });
+        assert.deepEqual(res.body.secrets_set, []);
+
+        const missing = await save({ name: 'Phone', type: 'gotify', config: { url: 'https://gotify.example.com' } });
+        assert.equal(missing.statusCode, 400);
+    });
+
+    it('asks for a secret again when the stored one cannot be decrypted', async () => {
+        stored = { id: 5, user_id: 1, name: 'Phone', type: 'gotify', config: { url: 'https://gotify.example.com', token: 'v1:bad:value:x' } };
+        const res = await save({ name: 'Phone', config: { url: 'https://gotify.example.com' } });
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /token/i);
+    });
+});
+
+describe('sending through channels with secrets', () => {
+    let sink;
+    before(async () => { sink = await startHttpSink(); });
+    after(() => sink.close());
+    beforeEach(() => {
+        sink.requests.length = 0;
+        recordAttempt.mock.resetCalls();
+    });
+
+    it('signs webhooks with the decrypted secret', async () => {
+        channelsForWebsite.mock.mockImplementation(async () => [
+            { id: 1, user_id: 1, name: 'Signed', type: 'webhook', config: { url: sink.url, secret: encryptSecret('shared-secret') }, enabled: true },
+        ]);
+        await triggerWebhookAlert(website, downResult, true);
+
+        const [request] = sink.requests;
+        const { t, v1 } = Object.fromEntries(request.headers['x-signature'].split(',').map(part => part.split('=')));
+        assert.equal(v1, crypto.createHmac('sha256', 'shared-secret').update(`${t}.${request.body}`).digest('hex'));
+    });
+
+    it('marks the delivery dead without sending when the secret cannot be decrypted', async () => {
+        channelsForWebsite.mock.mockImplementation(async () => [
+            { id: 1, user_id: 1, name: 'Signed', type: 'webhook', config: { url: sink.url, secret: 'plain-text' }, enabled: true },
+        ]);
+        await triggerWebhookAlert(website, downResult, true);
+
+        assert.equal(sink.requests.length, 0);
+        const [[, attempt, outcome]] = recordAttempt.mock.calls.map(call => call.arguments);
+        assert.equal(outcome.status, 'dead');
+        assert.match(attempt.error, /cannot be decrypted/);
+    });
+});
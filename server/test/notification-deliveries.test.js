@@ -0,0 +1,137 @@
+const { describe, it, mock, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/database/db');
+const { startHttpSink } = require('./helpers/httpSink');
+
+// The dispatcher takes its database functions when it is loaded, so they are replaced before that
+const channelsForWebsite = mock.method(db, 'getNotificationChannelsForWebsite', async () => []);
+const createDelivery = mock.method(db, 'createNotificationDelivery', async (delivery) => ({ ...delivery, id: 1, attempts: 0, status: 'pending' }));
+const recordAttempt = mock.method(db, 'recordNotificationDeliveryAttempt', async (id, attempt, outcome) => ({ id, ...attempt, ...outcome }));
+const claimDue = mock.method(db, 'claimDueNotificationDeliveries', async () => []);
+const getChannel = mock.method(db, 'getNotificationChannel', async () => null);
+const failDelivery = mock.method(db, 'failNotificationDelivery', async () => {});
+const { triggerWebhookAlert, sendTestNotification, retryPendingDeliveries, resendDelivery } = require('../src/alerting/webhook');
+
+const website = { id: 7, name: 'API', url: 'https://api.example.com' };
+const downResult = { isUp: false, statusCode: 503, responseTimeMs: 80, error_type: 'STATUS_ERROR', error_message: 'Server responded with status: 503' };
+
+describe('notification deliveries', () => {
+    let status;
+    let sink;
+    before(async () => {
+        sink = await startHttpSink(() => ({ status, body: status === 200 ? { ok: true } : { error: `failed with ${status}` } }));
+    });
+    after(() => sink.close());
+    beforeEach(() => {
+        status = 200;
+        for (const fn of [channelsForWebsite, createDelivery, recordAttempt, claimDue, getChannel, failDelivery]) {
+            fn.mock.resetCalls();
+        }
+    });
+
+    const channel = () => ({ id: 2, user_id: 1, name: 'Hook', type: 'webhook', config: { url: sink.url }, enabled: true });
+
+    /**
+     * Gets the attempt and outcome of the last recorded attempt
+     * @returns {{attempt: object, outcome: object}}
+     */
+    const lastAttempt = () => {
+        const [, attempt, outcome] = recordAttempt.mock.calls[recordAttempt.mock.callCount() - 1].arguments;
+        return { attempt, outcome };
+    };
+
+    /**
+     * Creates a delivery row as claimed for a retry
+     * @param {object} fields Fields that differ
+     * @returns {object}
+     */
+    const dueDelivery = (fields) => ({
+        id: 9, channel_id: 2, status: 'retrying', attempts: 1, max_attempts: 5,
+        payload: { event: 'down', website, status: 'DOWN', previousStatus: 'UP', checkResult: {}, timestamp: '2025-01-01T00:00:00.000Z' },
+        ...fields,
+    });
+
+    it('logs the delivery and records a successful first attempt', async () => {
+        channelsForWebsite.mock.mockImplementation(async () => [channel()]);
+        await triggerWebhookAlert(website, downResult, true);
+
+        const [logged] = createDelivery.mock.calls[0].arguments;
+        assert.equal(logged.channel_id, 2);
+        assert.equal(logged.event, 'down');
+        assert.equal(logged.target, sink.url);
+        assert.equal(logged.max_attempts, 5);
+        const { attempt, outcome } = lastAttempt();
+        assert.equal(attempt.statusCode, 200);
+        assert.equal(attempt.error, null);
+        assert.deepEqual(outcome, { status: 'delivered', nextAttemptAt: null });
+    });
+
+    it('retries server errors and rate limits with a doubling backoff', async () => {
+        for (const [code, attempts, delayMinutes] of [[503, 0, 1], [500, 1, 2], [429, 3, 8]]) {
+            status = code;
+            getChannel.mock.mockImplementation(async () => channel());
+            claimDue.mock.mockImplementation(async () => [dueDelivery({ attempts })]);
+            const startedAt = Date.now();
+            assert.equal(await retryPendingDeliveries(), 1);
+
+            const { attempt, outcome } = lastAttempt();
+            assert.equal(attempt.statusCode, code);
+            assert.equal(attempt.error, `Request failed with status code ${code}: {"error":"failed with ${code}"}`);
+            assert.equal(outcome.status, 'retrying');
+            const delayMs = outcome.nextAttemptAt.getTime() - startedAt;
+            assert.ok(delayMs >= delayMinutes * 60000 && delayMs < delayMinutes * 60000 + 5000, `${code}: ${delayMs}`);
+        }
+    });
+
+    it('dead-letters a delivery once its attempts are used up', async () => {
+        status = 503;
+        getChannel.mock.mockImplementation(async () => channel());
+        claimDue.mock.mockImplementation(async () => [dueDelivery({ attempts: 4 })]);
+        await retryPendingDeliveries();
+        assert.deepEqual(lastAttempt().outcome, { status: 'dead', nextAttemptAt: null });
+    });
+
+    it('dead-letters client errors right away', async () => {
+        status = 401;
+        channelsForWebsite.mock.mockImplementation(async () => [channel()]);
+        await triggerWebhookAlert(website, downResult, true);
+        assert.equal(lastAttempt().outcome.status, 'dead');
+    });
+
+    it('retries network errors', async () => {
+        channelsForWebsite.mock.mockImplementation(async () => [{ ...channel(), config: { url: 'http://127.0.0.1:1' } }]);
+        await triggerWebhookAlert(website, downResult, true);
+        const { attempt, outcome } = lastAttempt();
+        assert.equal(attempt.statusCode, null);
+        assert.equal(outcome.status, 'retrying');
+    });
+
+    it('dead-letters deliveries whose channel was deleted or disabled', async () => {
+        claimDue.mock.mockImplementation(async () => [dueDelivery({ id: 9 }), dueDelivery({ id: 10, channel_id: 3 })]);
+        getChannel.mock.mockImplementation(async (id) => (id === 2 ? { ...channel(), enabled: false } : null));
+        assert.equal(await retryPendingDeliveries(), 0);
+        assert.deepEqual(failDelivery.mock.calls.map(call => call.arguments), [
+            [9, 'Notification channel is disabled'],
+            [10, 'Notification channel was deleted'],
+        ]);
+        assert.equal(recordAttempt.mock.callCount(), 0);
+    });
+
+    it('sends test notifications once and throws their error', async () => {
+        status = 503;
+        await assert.rejects(sendTestNotification(channel()), /status code 503/);
+        assert.equal(createDelivery.mock.calls[0].arguments[0].max_attempts, 1);
+        assert.equal(lastAttempt().outcome.status, 'dead');
+    });
+
+    it('resends a settled delivery without scheduling retries when it fails', async () => {
+        getChannel.mock.mockImplementation(async () => channel());
+        const delivered = await resendDelivery(dueDelivery({ status: 'dead', attempts: 5 }));
+        assert.equal(delivered.status, 'delivered');
+
+        status = 503;
+        const failed = await resendDelivery(dueDelivery({ status: 'delivered', attempts: 1 }));
+        assert.equal(failed.status, 'dead');
+        assert.match(failed.error.message, /status code 503/);
+    });
+});
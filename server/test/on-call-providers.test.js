@@ -0,0 +1,132 @@
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { getProvider } = require('../src/alerting/providers');
+const { getSeverity, getAlertKey } = require('../src/alerting/message');
+const { createNotification, createRecoveryNotification } = require('./helpers/notifications');
+
+const ROUTING_KEY = 'R0123456789abcdef0123456789abcde';
+
+/**
+ * Creates a certificate expiry notification
+ * @param {number} days Days until the certificate expires
+ * @returns {object}
+ */
+const certificateNotification = (days) => createNotification({
+    event: 'certificate_expiring', status: 'UP', previousStatus: 'UP',
+    certificate: { expires: '2025-01-15T00:00:00.000Z', daysUntilExpiration: days, thresholdDays: 14 },
+});
+
+/**
+ * Creates the notification of a certificate renewed after an expiry notification
+ * @returns {object}
+ */
+const renewedNotification = () => createNotification({
+    event: 'certificate_renewed', status: 'UP', previousStatus: 'UP',
+    certificate: { expires: '2025-04-15T00:00:00.000Z', daysUntilExpiration: 90, thresholdDays: null },
+});
+
+describe('severity and alert key', () => {
+    it('maps the error type of a DOWN alert to a severity', () => {
+        const down = (errorType) => createNotification({ checkResult: { ...createNotification().checkResult, errorType } });
+        assert.equal(getSeverity(down('CONNECTION_ERROR')), 'critical');
+        assert.equal(getSeverity(down('TIMEOUT')), 'critical');
+        assert.equal(getSeverity(down('DNS_ANSWER_CHANGED')), 'warning');
+        assert.equal(getSeverity(down('STATUS_ERROR')), 'error');
+        assert.equal(getSeverity(createRecoveryNotification()), 'info');
+    });
+
+    it('raises the severity of certificate expiry as the date comes closer', () => {
+        assert.equal(getSeverity(certificateNotification(14)), 'warning');
+        assert.equal(getSeverity(certificateNotification(7)), 'error');
+        assert.equal(getSeverity(certificateNotification(1)), 'critical');
+    });
+
+    it('uses one key per monitor for outages and recoveries, and another for its certificate', () => {
+        assert.equal(getAlertKey(createNotification()), 'uptimefel-monitor-7');
+        assert.equal(getAlertKey(createRecoveryNotification()), 'uptimefel-monitor-7');
+        assert.equal(getAlertKey(certificateNotification(3)), 'uptimefel-certificate-7');
+        assert.equal(getAlertKey(renewedNotification()), 'uptimefel-certificate-7');
+    });
+});
+
+describe('on-call providers', () => {
+    let post;
+    beforeEach(() => {
+        post = mock.method(axios, 'post', async () => ({ status: 202, data: {} }));
+    });
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * Gets the URL, body and headers of each request sent
+     * @returns {Array<{url: string, body: object, headers: object}>}
+     */
+    const requests = () => post.mock.calls.map(({ arguments: [url, body, options] }) => ({ url, body, headers: options.headers }));
+
+    it('PagerDuty: triggers on DOWN and resolves on UP with the same dedup key', async () => {
+        const pagerduty = getProvider('pagerduty');
+        await pagerduty.send(createNotification(), { routingKey: ` ${ROUTING_KEY} ` });
+        await pagerduty.send(createRecoveryNotification(), { routingKey: ROUTING_KEY });
+
+        const [trigger, resolve] = requests();
+        assert.equal(trigger.url, 'https://events.pagerduty.com/v2/enqueue');
+        assert.equal(trigger.body.event_action, 'trigger');
+        assert.equal(trigger.body.routing_key, ROUTING_KEY);
+        assert.equal(trigger.body.payload.summary, '[DOWN] API is down');
+        assert.equal(trigger.body.payload.severity, 'error');
+        assert.equal(trigger.body.payload.class, 'STATUS_ERROR');
+        assert.equal(trigger.body.payload.custom_details['Status code'], '503');
+        assert.deepEqual(resolve.body, { routing_key: ROUTING_KEY, event_action: 'resolve', dedup_key: trigger.body.dedup_key });
+    });
+
+    it('PagerDuty: a test triggers and resolves right away', async () => {
+        await getProvider('pagerduty').send(createNotification({ event: 'test' }), { routingKey: ROUTING_KEY });
+        assert.deepEqual(requests().map(({ body }) => body.event_action), ['trigger', 'resolve']);
+    });
+
+    it('PagerDuty: validates the integration key', () => {
+        assert.equal(getProvider('pagerduty').validateConfig({ routingKey: ROUTING_KEY }), null);
+        assert.match(getProvider('pagerduty').validateConfig({ routingKey: 'short' }), /32 letters or digits/);
+    });
+
+    it('Opsgenie: creates on DOWN and closes on UP by alias, in the configured region', async () => {
+        const opsgenie = getProvider('opsgenie');
+        await opsgenie.send(createNotification({ checkResult: { ...createNotification().checkResult, errorType: 'CONNECTION_ERROR' } }), { apiKey: 'key', region: 'eu' });
+        await opsgenie.send(createRecoveryNotification(), { apiKey: 'key', region: 'eu' });
+
+        const [create, close] = requests();
+        assert.equal(create.url, 'https://api.eu.opsgenie.com/v2/alerts');
+        assert.equal(create.headers.Authorization, 'GenieKey key');
+        assert.equal(create.body.alias, 'uptimefel-monitor-7');
+        assert.equal(create.body.priority, 'P1');
+        assert.equal(create.body.message, '[DOWN] API is down');
+        assert.equal(close.url, 'https://api.eu.opsgenie.com/v2/alerts/uptimefel-monitor-7/close?identifierType=alias');
+    });
+
+    it('PagerDuty and Opsgenie: resolve the certificate alert once the certificate is renewed', async () => {
+        await getProvider('pagerduty').send(certificateNotification(7), { routingKey: ROUTING_KEY });
+        await getProvider('pagerduty').send(renewedNotification(), { routingKey: ROUTING_KEY });
+        await getProvider('opsgenie').send(certificateNotification(7), { apiKey: 'key' });
+        await getProvider('opsgenie').send(renewedNotification(), { apiKey: 'key' });
+
+        const [trigger, resolve, create, close] = requests();
+        assert.equal(trigger.body.event_action, 'trigger');
+        assert.equal(trigger.body.dedup_key, 'uptimefel-certificate-7');
+        assert.equal(trigger.body.payload.summary, '[CERT] Certificate of API expires in 7 days');
+        assert.deepEqual(resolve.body, { routing_key: ROUTING_KEY, event_action: 'resolve', dedup_key: 'uptimefel-certificate-7' });
+        assert.equal(create.body.alias, 'uptimefel-certificate-7');
+        assert.equal(close.url, 'https://api.opsgenie.com/v2/alerts/uptimefel-certificate-7/close?identifierType=alias');
+        assert.match(close.body.note, /\[RENEWED\] Certificate of API was renewed and expires in 90 days/);
+    });
+
+    it('Opsgenie: validates the API key and region', () => {
+        assert.equal(getProvider('opsgenie').validateConfig({ apiKey: 'key' }), null);
+        assert.match(getProvider('opsgenie').validateConfig({ apiKey: ' ' }), /API key is required/);
+        assert.match(getProvider('opsgenie').validateConfig({ apiKey: 'key', region: 'ap' }), /region must be one of: us, eu/);
+    });
+
+    it('fail when the API rejects the event', async () => {
+        post.mock.mockImplementation(async () => { throw Object.assign(new Error('Request failed with status code 400'), { response: { status: 400 } }); });
+        await assert.rejects(getProvider('pagerduty').send(createNotification(), { routingKey: ROUTING_KEY }), /status code 400/);
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { checkPort } = require('../src/monitoring/checker');
+
+/**
+ * Starts a TCP server on a free local port
+ * @param {function(net.Socket): void} onConnection Connection handler
+ * @returns {Promise<net.Server>}
+ */
+const listen = (onConnection) => new Promise((resolve) => {
+    const server = net.createServer(onConnection).listen(0, '127.0.0.1', () => resolve(server));
+});
+
+describe('checkPort', () => {
+    let smtp;
+    let silent;
+    before(async () => {
+        // Greets like an SMTP server and answers a payload
+        smtp = await listen((socket) => {
+            socket.write('220 mail.example ESMTP\r\n');
+            socket.on('data', (data) => {
+                if (data.toString() === 'QUIT\r\n') socket.end('221 Bye\r\n');
+            });
+        });
+        // Accepts the connection and closes it without a word
+        silent = await listen((socket) => socket.end());
+    });
+    after(() => {
+        smtp.close();
+        silent.close();
+    });
+
+    const portUrl = (server) => `tcp://127.0.0.1:${server.address().port}`;
+
+    it('is up when the port accepts connections', async () => {
+        const result = await checkPort({ id: 1, url: portUrl(silent), timeout_ms: 2000 });
+        assert.equal(result.isUp, true);
+        assert.equal(typeof result.responseTimeMs, 'number');
+    });
+
+    it('matches the banner against the configured pattern', async () => {
+        const result = await checkPort({ id: 1, url: portUrl(smtp), timeout_ms: 2000, monitor_config: { bannerRegex: '^220 ' } });
+        assert.equal(result.isUp, true);
+        assert.match(result.message, /220 mail\.example/);
+    });
+
+    it('sends the payload with escape sequences turned into characters', async () => {
+        const result = await checkPort({ id: 1, url: portUrl(smtp), timeout_ms: 2000, monitor_config: { payload: 'QUIT\\r\\n', bannerRegex: '221 Bye' } });
+        assert.equal(result.isUp, true);
+    });
+
+    it('is down with BANNER_MISMATCH when the server closes without the expected banner', async () => {
+        const result = await checkPort({ id: 1, url: portUrl(silent), timeout_ms: 2000, monitor_config: { bannerRegex: 'SSH-2.0' } });
+        assert.equal(result.isUp, false);
+        assert.equal(result.error_type, 'BANNER_MISMATCH');
+    });
+
+    it('is down with CONNECTION_ERROR when the port is closed', async () => {
+        const closed = await listen(() => {});
+        const url = portUrl(closed);
+        await new Promise((resolve) => closed.close(resolve));
+        const result = await checkPort({ id: 1, url, timeout_ms: 2000 });
+        assert.equal(result.isUp, false);
+        assert.equal(result.error_type, 'CONNECTION_ERROR');
+    });
+
+    it('reports an invalid banner pattern as a REQUEST_ERROR', async () => {
+        const result = await checkPort({ id: 1, url: portUrl(smtp), monitor_config: { bannerRegex: '(' } });
+        assert.equal(result.isUp, false);
+        assert.equal(result.error_type, 'REQUEST_ERROR');
+    });
+});
+
+describe('port monitor validation', () => {
+    const WebsiteController = require('../src/controllers/WebsiteController');
+    const { createMockResponse } = require('./helpers/http');
+
+    /**
+     * Creates a port monitor through the controller
+     * @param {object} body Request body
+     * @returns {Promise<object>} The response
+     */
+    const create = async (body) => {
+        const res = createMockResponse();
+        await WebsiteController.create({ body: { name: 'Port', monitorType: 'port', ...body }, user: { id: 1 } }, res);
+        return res;
+    };
+
+    it('rejects targets that are not tcp://host:port', async () => {
+        for (const url of ['http://example.com:22', 'tcp://example.com', 'tcp://example.com:70000']) {
+            const res = await create({ url });
+            assert.equal(res.statusCode, 400, url);
+            assert.match(res.body.error, /tcp:\/\/host:port/);
+        }
+    });
+
+    it('rejects an invalid banner regex', async () => {
+        const res = await create({ url: 'tcp://example.com:25', monitorConfig: { bannerRegex: '(' } });
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /Invalid banner regex/);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/database/db');
+const checker = require('../src/monitoring/checker');
+const { createMockResponse } = require('./helpers/http');
+
+const { checkPush, getCheckIntervalMs } = checker;
+
+// PushController takes its functions when it is loaded, so they are replaced before that
+const findMonitor = mock.method(db, 'getWebsiteByPushToken', async () => null);
+const recordPush = mock.method(checker, 'recordPush', async () => ({}));
+const PushController = require('../src/controllers/PushController');
+
+describe('push monitor schedule', () => {
+    it('adds the default grace period to the interval of push monitors only', () => {
+        assert.equal(getCheckIntervalMs({ monitorType: 'push', check_interval: 300 }), 360000);
+        assert.equal(getCheckIntervalMs({ monitorType: 'http', check_interval: 300 }), 300000);
+    });
+
+    it('uses the configured grace period', () => {
+        assert.equal(getCheckIntervalMs({ monitorType: 'push', check_interval: 60, monitor_config: '{"gracePeriod":30}' }), 90000);
+    });
+
+    it('is down with PUSH_TIMEOUT when no push arrived in time', () => {
+        const result = checkPush({ id: 4, monitorType: 'push', check_interval: 60, monitor_config: { gracePeriod: 0 } });
+        assert.equal(result.isUp, false);
+        assert.equal(result.error_type, 'PUSH_TIMEOUT');
+        assert.equal(result.error_message, 'No push received within 60s');
+    });
+});
+
+describe('PushController.receive', () => {
+    const pushMonitor = { id: 4, monitorType: 'push', active: true };
+
+    beforeEach(() => {
+        findMonitor.mock.resetCalls();
+        recordPush.mock.resetCalls();
+    });
+
+    /**
+     * Sends a push
+     * @param {object|null} monitor Monitor found for the token
+     * @param {object} query Query parameters
+     * @returns {Promise<object>} The response
+     */
+    const receive = async (monitor, query = {}) => {
+        findMonitor.mock.mockImplementation(async () => monitor);
+        const res = createMockResponse();
+        await PushController.receive({ params: { token: 'abc' }, query }, res);
+        return res;
+    };
+
+    it('records an up push with its message and ping', async () => {
+        const res = await receive(pushMonitor, { msg: 'backup done', ping: '1200' });
+        assert.deepEqual(res.body, { ok: true });
+        assert.deepEqual(recordPush.mock.calls[0].arguments, [pushMonitor, { isUp: true, message: 'backup done', ping: 1200 }]);
+    });
+
+    it('records a down push and ignores an invalid ping', async () => {
+        await receive(pushMonitor, { status: 'DOWN', ping: '-5' });
+        assert.deepEqual(recordPush.mock.calls[0].arguments[1], { isUp: false, message: 'OK', ping: null });
+    });
+
+    it('rejects an unknown status', async () => {
+        const res = await receive(pushMonitor, { status: 'maybe' });
+        assert.equal(res.statusCode, 400);
+        assert.equal(recordPush.mock.callCount(), 0);
+    });
+
+    it('is not found for unknown tokens, other monitor types and paused monitors', async () => {
+        for (const monitor of [null, { ...pushMonitor, monitorType: 'http' }, { ...pushMonitor, active: false }]) {
+            const res = await receive(monitor);
+            assert.equal(res.statusCode, 404);
+        }
+        assert.equal(recordPush.mock.callCount(), 0);
+    });
+});
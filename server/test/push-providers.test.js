@@ -0,0 +1,145 @@
+const { describe, it, mock, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const db = require('../src/database/db');
+const { getProvider } = require('../src/alerting/providers');
+const { startHttpSink } = require('./helpers/httpSink');
+const { createMockResponse } = require('./helpers/http');
+const { createNotification, createRecoveryNotification } = require('./helpers/notifications');
+const { encryptSecret } = require('../src/utils/secrets');
+
+// The dispatcher takes its database functions when it is loaded, so they are replaced before that
+mock.method(db, 'createNotificationDelivery', async (delivery) => ({ ...delivery, id: 1, attempts: 0, status: 'pending' }));
+mock.method(db, 'recordNotificationDeliveryAttempt', async (id, attempt, outcome) => ({ id, ...attempt, ...outcome }));
+const NotificationController = require('../src/controllers/NotificationController');
+
+const PUSHOVER_TOKEN = 'a'.repeat(30);
+const PUSHOVER_USER = 'u'.repeat(30);
+const BOT_TOKEN = '123456789:ABCDEFGHIJKLMNOPQRSTUVWXYZabcdef';
+
+describe('self-hosted push providers', () => {
+    let sink;
+    before(async () => { sink = await startHttpSink(); });
+    after(() => sink.close());
+    beforeEach(() => { sink.requests.length = 0; });
+
+    it('ntfy: publishes to the topic with a priority per status and the token', async () => {
+        const config = { url: `${sink.url}/sub/alerts`, token: 'tk_secret' };
+        await getProvider('ntfy').send(createNotification({ checkResult: { ...createNotification().checkResult, errorType: 'TIMEOUT' } }), config);
+        await getProvider('ntfy').send(createRecoveryNotification(), config);
+
+        const [down, up] = sink.requests.map(request => ({ ...request, body: JSON.parse(request.body) }));
+        assert.equal(down.path, '/sub/');
+        assert.equal(down.headers.authorization, 'Bearer tk_secret');
+        assert.equal(down.body.topic, 'alerts');
+        assert.equal(down.body.title, '[DOWN] API is down');
+        assert.equal(down.body.priority, 5);
+        assert.equal(down.body.click, 'http://localhost:5173/monitor/7');
+        assert.match(down.body.message, /Error type: TIMEOUT/);
+        assert.equal(up.body.priority, 3);
+    });
+
+    it('ntfy: validates the topic URL and the priority overrides', () => {
+        const ntfy = getProvider('ntfy');
+        assert.equal(ntfy.validateConfig({ url: 'https://ntfy.sh/my-alerts', downPriority: 5 }), null);
+        assert.match(ntfy.validateConfig({ url: 'https://ntfy.sh/' }), /must end with the topic name/);
+        assert.match(ntfy.validateConfig({ url: 'https://ntfy.sh/my-alerts', upPriority: 6 }), /Up priority must be between 1 and 5/);
+    });
+
+    it('Gotify: posts the message with the app token and the configured priority overrides', async () => {
+        const config = { url: `${sink.url}/`, token: ' app-token ', downPriority: '9', upPriority: 2 };
+        await getProvider('gotify').send(createNotification(), config);
+        await getProvider('gotify').send(createRecoveryNotification(), config);
+
+        const [down, up] = sink.requests.map(request => ({ ...request, body: JSON.parse(request.body) }));
+        assert.equal(down.path, '/message');
+        assert.equal(down.headers['x-gotify-key'], 'app-token');
+        assert.equal(down.body.priority, 9);
+        assert.equal(down.body.extras['client::notification'].click.url, 'http://localhost:5173/monitor/7');
+        assert.equal(up.body.priority, 2);
+        assert.equal(up.body.title, '[UP] API is back up');
+    });
+
+    it('Gotify: requires the server URL and the app token', () => {
+        assert.match(getProvider('gotify').validateConfig({ url: 'https://gotify.example.com' }), /application token is required/);
+        assert.match(getProvider('gotify').validateConfig({ url: 'https://gotify.example.com', token: 't', downPriority: 11 }), /between 0 and 10/);
+    });
+});
+
+describe('hosted push providers', () => {
+    let post;
+    beforeEach(() => {
+        post = mock.method(axios, 'post', async () => ({ status: 200, data: { ok: true } }));
+    });
+    afterEach(() => post.mock.restore());
+
+    it('Pushover: sends high priority for DOWN and normal for UP', async () => {
+        const config = { token: PUSHOVER_TOKEN, user: PUSHOVER_USER };
+        await getProvider('pushover').send(createNotification(), config);
+        await getProvider('pushover').send(createRecoveryNotification(), config);
+
+        const [[url, down], [, up]] = post.mock.calls.map(call => call.arguments);
+        assert.equal(url, 'https://api.pushover.net/1/messages.json');
+        assert.equal(down.token, PUSHOVER_TOKEN);
+        assert.equal(down.user, PUSHOVER_USER);
+        assert.equal(down.priority, 1);
+        assert.equal(down.url, 'http://localhost:5173/monitor/7');
+        assert.equal(down.timestamp, 1735689600);
+        assert.equal(up.priority, 0);
+        assert.match(getProvider('pushover').validateConfig({ token: 'x', user: PUSHOVER_USER }), /application token must be 30/);
+    });
+
+    it('Telegram: sends HTML to the chat, silently for recoveries', async () => {
+        const config = { botToken: BOT_TOKEN, chatId: '-100123' };
+        await getProvider('telegram').send(createNotification({ website: { id: 7, name: 'A<b>', url: 'https://api.example.com' } }), config);
+        await getProvider('telegram').send(createRecoveryNotification(), config);
+
+        const [[url, down], [, up]] = post.mock.calls.map(call => call.arguments);
+        assert.equal(url, `https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`);
+        assert.equal(down.chat_id, '-100123');
+        assert.equal(down.parse_mode, 'HTML');
+        assert.match(down.text, /^<b>\[DOWN\] A&lt;b&gt; is down<\/b>/);
+        assert.match(down.text, /<a href="http:\/\/localhost:5173\/monitor\/7">View monitor<\/a>$/);
+        assert.equal(down.disable_notification, false);
+        assert.equal(up.disable_notification, true);
+    });
+
+    it('Telegram: validates the bot token and chat ID', () => {
+        assert.equal(getProvider('telegram').validateConfig({ botToken: BOT_TOKEN, chatId: '@alerts_channel' }), null);
+        assert.match(getProvider('telegram').validateConfig({ botToken: 'nope', chatId: '1' }), /bot token must look like/);
+        assert.match(getProvider('telegram').validateConfig({ botToken: BOT_TOKEN, chatId: 'alerts' }), /chat ID must be a number/);
+    });
+});
+
+describe('send test notification', () => {
+    let sink;
+    before(async () => { sink = await startHttpSink(); });
+    after(() => sink.close());
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * Sends a test notification through the controller
+     * @param {object} channel Channel row returned by the database
+     * @returns {Promise<object>} The response
+     */
+    const test = async (channel) => {
+        mock.method(db, 'getNotificationChannel', async () => channel);
+        const res = createMockResponse();
+        await NotificationController.testChannel({ params: { id: channel.id }, user: { id: 1 } }, res);
+        return res;
+    };
+
+    it('sends a test through the channel', async () => {
+        const res = await test({ id: 3, user_id: 1, name: 'Phone', type: 'ntfy', config: { url: `${sink.url}/alerts` } });
+        assert.equal(res.statusCode, 200);
+        const body = JSON.parse(sink.requests[0].body);
+        assert.equal(body.title, 'Test notification from UptimeFel');
+        assert.deepEqual(body.tags, ['test_tube']);
+    });
+
+    it('reports a failed test with the error', async () => {
+        const res = await test({ id: 3, user_id: 1, name: 'Phone', type: 'gotify', config: { url: 'http://127.0.0.1:1', token: encryptSecret('t') } });
+        assert.equal(res.statusCode, 502);
+        assert.match(res.body.message, /^Test notification failed: /);
+    });
+});
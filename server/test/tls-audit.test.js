@@ -0,0 +1,216 @@
+const { describe, it, before, after, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const https = require('https');
+const tls = require('tls');
+const db = require('../src/database/db');
+const UptimeCalculator = require('../src/services/UptimeCalculator');
+const { createTestPki } = require('./helpers/pki');
+const { createFakeDbClient } = require('./helpers/fakeDb');
+const { startHttpSink } = require('./helpers/httpSink');
+const { buildTitle, buildDetails } = require('../src/alerting/message');
+
+// The dispatcher takes its database functions when it is loaded, so they are replaced before that
+const channelsForWebsite = mock.method(db, 'getNotificationChannelsForWebsite', async () => []);
+mock.method(db, 'createNotificationDelivery', async (delivery) => ({ ...delivery, id: 1, attempts: 0, status: 'pending' }));
+mock.method(db, 'recordNotificationDeliveryAttempt', async (id, attempt, outcome) => ({ id, ...attempt, ...outcome }));
+const { checkCertificate, applyTlsFindingActions, performCheck } = require('../src/monitoring/checker');
+
+/**
+ * Starts a local TLS server that counts the connections it gets
+ * @param {object} options tls.createServer options
+ * @returns {Promise<{port: number, connections: function(): number, close: function(): Promise<void>}>}
+ */
+const startTlsServer = (options) => new Promise((resolve) => {
+    let connections = 0;
+    const server = tls.createServer(options, socket => socket.end());
+    server.on('connection', () => { connections++; });
+    server.on('tlsClientError', () => {}); // Refused probes
+    server.listen(0, 'localhost', () => resolve({
+        port: server.address().port,
+        connections: () => connections,
+        close: () => new Promise(done => server.close(done)),
+    }));
+});
+
+describe('TLS audit', () => {
+    let pki;
+    before(() => { pki = createTestPki(); });
+    after(() => pki.cleanup());
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * Checks the certificate of a local server, trusting the test CA
+     * @param {object} serverOptions tls.createServer options
+     * @returns {Promise<object>} Certificate details and audit from checkCertificate
+     */
+    const audit = async (serverOptions) => {
+        const server = await startTlsServer(serverOptions);
+        try {
+            return await checkCertificate('localhost', server.port, 2000, { ca: [pki.ca.cert] });
+        } finally {
+            await server.close();
+        }
+    };
+
+    it('finds nothing on a server with a complete chain and a modern setup', async () => {
+        const result = await audit({ key: pki.server.key, cert: pki.server.chain });
+        assert.equal(result.valid, true);
+        assert.equal(result.protocol, 'TLSv1.3');
+        assert.match(result.cipher, /^TLS_AES_/);
+        assert.deepEqual(result.legacyProtocols, []);
+        assert.deepEqual(result.findings, []);
+    });
+
+    it('flags a missing intermediate', async () => {
+        const result = await audit({ key: pki.server.key, cert: pki.server.cert });
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.findings.map(item => [item.type, item.severity]), [['incomplete_chain', 'critical']]);
+        assert.equal(result.findings[0].message,
+            'Served chain ends at localhost, issued by Uptime Test Intermediate CA that was not sent or is not trusted');
+    });
+
+    it('flags self-signed certificates, hostname mismatches and weak keys', async () => {
+        const selfSigned = pki.issue('self-signed', { subject: '/CN=localhost', extensions: ['subjectAltName=DNS:localhost'] });
+        assert.deepEqual((await audit(selfSigned)).findings.map(item => item.type), ['self_signed']);
+
+        const otherHost = pki.issue('other-host', { subject: '/CN=other.example', issuer: 'ca', extensions: ['subjectAltName=DNS:other.example'] });
+        const mismatch = await audit(otherHost);
+        assert.deepEqual(mismatch.findings.map(item => item.type), ['hostname_mismatch']);
+        assert.match(mismatch.findings[0].message, /localhost/);
+
+        const weak = pki.issue('weak', { subject: '/CN=localhost', issuer: 'ca', keyType: 'rsa:1024', extensions: ['subjectAltName=DNS:localhost'] });
+        assert.deepEqual((await audit(weak)).findings, [
+            { type: 'weak_key', severity: 'warning', message: 'RSA key of 1024 bits (minimum 2048)' },
+        ]);
+    });
+
+    it('probes legacy protocols once a day per host and port', async () => {
+        const server = await startTlsServer({ key: pki.server.key, cert: pki.server.chain, minVersion: 'TLSv1', ciphers: 'DEFAULT:@SECLEVEL=0' });
+        try {
+            const first = await checkCertificate('localhost', server.port, 2000, { ca: [pki.ca.cert] });
+            assert.deepEqual(first.legacyProtocols, ['TLSv1', 'TLSv1.1']);
+            assert.deepEqual(first.findings.map(item => [item.type, item.message]), [['legacy_protocol', 'Server accepts TLSv1 and TLSv1.1']]);
+            // The check and a probe per legacy protocol
+            assert.equal(server.connections(), 3);
+
+            const cached = await checkCertificate('localhost', server.port, 2000, { ca: [pki.ca.cert] });
+            assert.deepEqual(cached.legacyProtocols, ['TLSv1', 'TLSv1.1']);
+            assert.equal(server.connections(), 4);
+
+            const now = Date.now();
+            mock.method(Date, 'now', () => now + 24 * 60 * 60 * 1000);
+            await checkCertificate('localhost', server.port, 2000, { ca: [pki.ca.cert] });
+            assert.equal(server.connections(), 7);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('shares a probe between concurrent checks', async () => {
+        const server = await startTlsServer({ key: pki.server.key, cert: pki.server.chain });
+        try {
+            const results = await Promise.all([1, 2, 3].map(() => checkCertificate('localhost', server.port, 2000, { ca: [pki.ca.cert] })));
+            assert.equal(results.every(result => result.legacyProtocols.length === 0), true);
+            assert.equal(server.connections(), 5);
+        } finally {
+            await server.close();
+        }
+    });
+});
+
+describe('applyTlsFindingActions', () => {
+    const findings = [
+        { type: 'legacy_protocol', severity: 'warning', message: 'Server accepts TLSv1.1' },
+        { type: 'weak_key', severity: 'warning', message: 'RSA key of 1024 bits (minimum 2048)' },
+        { type: 'self_signed', severity: 'critical', message: 'Certificate is self-signed' },
+    ];
+
+    it('marks the monitor down or degraded by the configured action of each finding', () => {
+        const checkResult = { isUp: true, certInfo: { findings } };
+        applyTlsFindingActions({ monitor_config: { tlsFindingActions: { self_signed: 'down', legacy_protocol: 'degraded', weak_key: 'degraded' } } }, checkResult);
+        assert.equal(checkResult.isUp, false);
+        assert.equal(checkResult.error_type, 'TLS_AUDIT');
+        assert.equal(checkResult.error_message, 'TLS audit: Certificate is self-signed');
+        assert.equal(checkResult.tlsDegraded, true);
+        assert.equal(checkResult.tlsMessage, 'Server accepts TLSv1.1; RSA key of 1024 bits (minimum 2048)');
+    });
+
+    it('only records findings without an action', () => {
+        const checkResult = { isUp: true, certInfo: { findings } };
+        applyTlsFindingActions({ monitor_config: { tlsFindingActions: { weak_key: 'none' } } }, checkResult);
+        assert.deepEqual(checkResult, { isUp: true, certInfo: { findings } });
+    });
+});
+
+describe('TLS audit notifications', () => {
+    let pki;
+    let server;
+    let sink;
+    before(async () => {
+        pki = createTestPki();
+        sink = await startHttpSink();
+        server = https.createServer({ key: pki.server.key, cert: pki.server.chain }, (req, res) => res.end('ok'));
+        await new Promise(resolve => server.listen(0, 'localhost', resolve));
+    });
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await sink.close();
+        pki.cleanup();
+    });
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * Checks the local server with the weak_key finding set to degrade the monitor
+     * @param {object} state Status before the check { is_up, tls_degraded }
+     * @returns {Promise<object>} The check result
+     */
+    const check = async (state) => {
+        mock.method(db, 'getWebsite', async () => ({ id: 7, ...state }));
+        mock.method(db, 'getMaintenanceWindowsForWebsite', async () => []);
+        mock.method(db, 'getWebsiteTlsCredentials', async () => ({ tls_ca_bundle: pki.ca.cert }));
+        mock.method(db, 'upsertWebsiteCertificate', async () => {});
+        mock.method(UptimeCalculator, 'getUptimeCalculator', async () => ({ update: async () => {} }));
+        channelsForWebsite.mock.mockImplementation(async () => [
+            { id: 1, user_id: 1, name: 'Hook', type: 'webhook', config: { url: sink.url }, enabled: true },
+        ]);
+        const website = {
+            id: 7,
+            name: 'API',
+            monitorType: 'https',
+            url: `https://localhost:${server.address().port}/health`,
+            timeout_ms: 2000,
+            monitor_config: { tlsFindingActions: { weak_key: 'degraded' } },
+            tls_ca_bundle: pki.ca.cert,
+        };
+        return performCheck(website, createFakeDbClient((sql) => (/incidents/.test(sql) ? [{ id: 1 }] : [])));
+    };
+
+    it('notify when a finding starts and stops degrading the monitor', async () => {
+        const weak = pki.issue('weak-server', { subject: '/CN=localhost', issuer: 'ca', keyType: 'rsa:1024', extensions: ['subjectAltName=DNS:localhost'] });
+        server.setSecureContext({ key: weak.key, cert: weak.cert });
+        const degraded = await check({ is_up: true, tls_degraded: false });
+        assert.equal(degraded.tlsDegradedChanged, true);
+
+        server.setSecureContext({ key: pki.server.key, cert: pki.server.chain });
+        const restored = await check({ is_up: true, tls_degraded: true });
+        assert.equal(restored.tlsDegradedChanged, true);
+        await check({ is_up: true, tls_degraded: false });
+
+        const [first, second] = sink.requests.map(request => JSON.parse(request.body));
+        assert.equal(sink.requests.length, 2);
+        assert.equal(first.event, 'degraded');
+        assert.deepEqual(first.statusChange, { from: 'UP', to: 'DEGRADED' });
+        assert.equal(first.degradation.cause, 'tls');
+        assert.equal(first.degradation.level, 'warning');
+        assert.equal(first.degradation.message, 'RSA key of 1024 bits (minimum 2048)');
+        assert.equal(second.event, 'degraded_resolved');
+        assert.deepEqual(second.statusChange, { from: 'DEGRADED', to: 'UP' });
+        assert.equal(second.degradation.cause, 'tls');
+        assert.equal(second.degradation.level, null);
+
+        assert.equal(buildTitle(first), '[DEGRADED] API fails the TLS audit');
+        assert.deepEqual(buildDetails(first).find(detail => detail.label === 'TLS audit'),
+            { label: 'TLS audit', value: 'RSA key of 1024 bits (minimum 2048)' });
+        assert.equal(buildTitle(second), '[RESTORED] API passes the TLS audit again');
+    });
+});
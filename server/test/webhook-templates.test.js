@@ -0,0 +1,82 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { renderTemplate, escapeJson } = require('../src/alerting/template');
+const { getProvider } = require('../src/alerting/providers');
+const { startHttpSink } = require('./helpers/httpSink');
+const { createNotification } = require('./helpers/notifications');
+
+const webhook = getProvider('webhook');
+
+describe('renderTemplate', () => {
+    const variables = { monitor: { name: 'API "prod"', id: 7 }, checkResult: { statusCode: 503 }, empty: null };
+
+    it('substitutes dotted variables and renders missing values as empty', () => {
+        assert.equal(renderTemplate('{{monitor.name}} / {{ checkResult.statusCode }} / {{missing.path}}{{empty}}', variables), 'API "prod" / 503 / ');
+    });
+
+    it('escapes {{ }} values and leaves {{{ }}} values raw', () => {
+        assert.equal(renderTemplate('"{{monitor.name}}"', variables, escapeJson), '"API \\"prod\\""');
+        assert.equal(renderTemplate('{{{checkResult}}}', variables, escapeJson), '{"statusCode":503}');
+        assert.equal(renderTemplate('name={{monitor.name}}', variables, encodeURIComponent), 'name=API%20%22prod%22');
+    });
+});
+
+describe('webhook templates, headers and signing', () => {
+    let sink;
+    before(async () => { sink = await startHttpSink(); });
+    after(() => sink.close());
+    beforeEach(() => { sink.requests.length = 0; });
+
+    it('renders the body template for the content type', async () => {
+        const notification = createNotification({ website: { id: 7, name: 'A "quoted"\nname', url: 'https://api.example.com' } });
+        await webhook.send(notification, {
+            url: sink.url,
+            bodyTemplate: '{"text": "{{title}}", "code": {{checkResult.statusCode}}, "monitor": {{{monitor}}}}',
+        });
+        const body = JSON.parse(sink.requests[0].body);
+        assert.equal(body.text, '[DOWN] A "quoted"\nname is down');
+        assert.equal(body.code, 503);
+        assert.equal(body.monitor.link, 'http://localhost:5173/monitor/7');
+
+        await webhook.send(createNotification(), {
+            url: sink.url, contentType: 'application/x-www-form-urlencoded', bodyTemplate: 'status={{status}}&error={{checkResult.error}}',
+        });
+        assert.equal(sink.requests[1].headers['content-type'], 'application/x-www-form-urlencoded');
+        assert.equal(new URLSearchParams(sink.requests[1].body).get('error'), 'Server responded with status: 503');
+    });
+
+    it('sends the custom headers', async () => {
+        await webhook.send(createNotification(), { url: sink.url, headers: '{"X-Team": "ops", "Authorization": "Bearer abc"}' });
+        assert.equal(sink.requests[0].headers['x-team'], 'ops');
+        assert.equal(sink.requests[0].headers.authorization, 'Bearer abc');
+    });
+
+    it('signs the exact body so the receiver can verify it with the shared secret', async () => {
+        const before = Math.floor(Date.now() / 1000);
+        await webhook.send(createNotification(), { url: sink.url, secret: 'shared-secret' });
+        const { headers, body } = sink.requests[0];
+
+        const { t, v1 } = Object.fromEntries(headers['x-signature'].split(',').map(part => part.split('=')));
+        assert.ok(Number(t) >= before && Number(t) <= Math.floor(Date.now() / 1000) + 1);
+        const expected = crypto.createHmac('sha256', 'shared-secret').update(`${t}.${body}`).digest('hex');
+        assert.equal(v1, expected);
+        const forged = crypto.createHmac('sha256', 'other-secret').update(`${t}.${body}`).digest('hex');
+        assert.notEqual(v1, forged);
+    });
+
+    it('does not sign without a secret', async () => {
+        await webhook.send(createNotification(), { url: sink.url });
+        assert.equal(sink.requests[0].headers['x-signature'], undefined);
+    });
+
+    it('rejects templates that do not render valid JSON and reserved or invalid headers', () => {
+        assert.match(webhook.validateConfig({ url: sink.url, bodyTemplate: '{"text": {{title}}}' }), /does not render valid JSON/);
+        assert.equal(webhook.validateConfig({ url: sink.url, bodyTemplate: '{"text": "{{title}}"}' }), null);
+        assert.match(webhook.validateConfig({ url: sink.url, contentType: 'application/xml' }), /Content type must be one of/);
+        assert.match(webhook.validateConfig({ url: sink.url, headers: '{"X-Signature": "x"}' }), /set automatically/);
+        assert.match(webhook.validateConfig({ url: sink.url, headers: '{"Bad Header": "x"}' }), /Invalid header name/);
+        assert.match(webhook.validateConfig({ url: sink.url, headers: '{"X-Count": 1}' }), /string values/);
+        assert.match(webhook.validateConfig({ url: sink.url, headers: '{' }), /not valid JSON/);
+    });
+});
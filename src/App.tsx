@@ -5,8 +5,11 @@ import LoginPage from './components/auth/LoginPage';
  import MonitoringDashboard from './components/dashboard/MonitoringDashboard';
  import MonitorDetailsPage from './components/dashboard/MonitorDetailsPage'; // Import details page
  import NotificationSettingsPage from './components/settings/NotificationSettingsPage'; // Import settings page
+ import MaintenancePage from './components/maintenance/MaintenancePage';
+ import IncidentsPage from './components/incidents/IncidentsPage';
  import PrivateRoute from './components/auth/PrivateRoute.tsx'; // Added .tsx extension
  import PublicStatusPage from './components/public/PublicStatusPage'; // Import the new page
+ import AcknowledgePage from './components/public/AcknowledgePage';
 
 function App() {
   return (
@@ -15,6 +18,7 @@ function App() {
         {/* Public routes */}
         <Route path="/" element={<PublicStatusPage />} /> {/* Root path now shows public status */}
         <Route path="/signin" element={<LoginPage />} /> {/* Login page moved to /signin */}
+        <Route path="/acknowledge/:token" element={<AcknowledgePage />} /> {/* Acknowledge link from alerts, no login */}
         {/* Removed <Route path="/status" element={<PublicStatusPage />} /> */}
 
         {/* Protected routes */}
@@ -23,6 +27,8 @@ function App() {
              {/* Removed <Route path="/" element={<Navigate to="/dashboard" replace />} /> */}
               <Route path="/dashboard" element={<MonitoringDashboard />} />
               <Route path="/monitor/:id" element={<MonitorDetailsPage />} /> {/* Add monitor details route */}
+              <Route path="/incidents" element={<IncidentsPage />} />
+              <Route path="/maintenance" element={<MaintenancePage />} />
               <Route path="/settings" element={<NotificationSettingsPage />} /> {/* Add settings route */}
               <Route path="/status" element={<PublicStatusPage />} /> {/* Add status page route */}
               {/* Add other protected dashboard routes here if needed */}
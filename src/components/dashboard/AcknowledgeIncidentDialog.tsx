@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Incident } from "@/services/monitoringService";
+
+interface AcknowledgeIncidentDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onSubmit: (note: string) => Promise<void>;
+  incident: Incident | null;
+}
+
+const AcknowledgeIncidentDialog: React.FC<AcknowledgeIncidentDialogProps> = ({
+  open,
+  onOpenChange,
+  onSubmit,
+  incident,
+}) => {
+  const [note, setNote] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Start with an empty note each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setNote("");
+    }
+  }, [open]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await onSubmit(note);
+      onOpenChange(false);
+    } catch {
+      // Reported by the parent; keep the dialog open with the note
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[500px] bg-background">
+        <DialogHeader>
+          <DialogTitle>Acknowledge Outage</DialogTitle>
+          <DialogDescription>
+            {incident?.website_name || incident?.website_url} is down since{" "}
+            {incident ? new Date(incident.started_at).toLocaleString() : ""}. Acknowledging stops further
+            alerts for this outage until the monitor recovers.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="acknowledgement-note">Note (optional)</Label>
+            <Textarea
+              id="acknowledgement-note"
+              value={note}
+              maxLength={1000}
+              placeholder="Looking into it"
+              onChange={(e) => setNote(e.target.value)}
+            />
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting ? "Acknowledging..." : "Acknowledge"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default AcknowledgeIncidentDialog;
@@ -1,91 +1,79 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { Search, AlertCircle, Clock, Globe } from "lucide-react";
-
-interface Alert {
-  id: string;
-  websiteId: string;
-  websiteName: string;
-  url: string;
-  timestamp: Date;
-  duration: number; // in seconds
-  type: "down" | "slow";
-  responseTime?: number; // in ms
-  responseCode?: number;
-  resolved: boolean;
-}
+import { Search, AlertCircle, Clock, Globe, RotateCw, CheckCircle } from "lucide-react";
+import { useToast } from "@/components/ui/use-toast";
+import monitoringService, { Incident } from "@/services/monitoringService";
 
 interface AlertLogProps {
-  alerts?: Alert[];
-  onFilterChange?: (filter: string) => void;
-  onClearAlerts?: () => void;
+  websiteId?: number; // Only show incidents of this monitor
+  limit?: number;
 }
 
-const AlertLog = ({
-  alerts = [
-    {
-      id: "1",
-      websiteId: "site1",
-      websiteName: "Example Website",
-      url: "https://example.com",
-      timestamp: new Date(Date.now() - 3600000), // 1 hour ago
-      duration: 120, // 2 minutes
-      type: "down",
-      responseCode: 503,
-      resolved: true,
-    },
-    {
-      id: "2",
-      websiteId: "site2",
-      websiteName: "Test API",
-      url: "https://api.test.com",
-      timestamp: new Date(Date.now() - 1800000), // 30 minutes ago
-      duration: 180, // 3 minutes
-      type: "slow",
-      responseTime: 3500, // 3.5 seconds
-      responseCode: 200,
-      resolved: true,
-    },
-    {
-      id: "3",
-      websiteId: "site3",
-      websiteName: "Production Server",
-      url: "https://production.example.org",
-      timestamp: new Date(),
-      duration: 0, // ongoing
-      type: "down",
-      responseCode: 500,
-      resolved: false,
-    },
-  ],
-  onFilterChange = () => {},
-  onClearAlerts = () => {},
-}: AlertLogProps) => {
+const AlertLog = ({ websiteId, limit = 100 }: AlertLogProps) => {
+  const [incidents, setIncidents] = useState<Incident[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
   const [searchTerm, setSearchTerm] = useState("");
   const [activeTab, setActiveTab] = useState("all");
+  const [acknowledgingId, setAcknowledgingId] = useState<number | null>(null);
+  const { toast } = useToast();
+
+  const fetchIncidents = async () => {
+    try {
+      const data = await monitoringService.getIncidents({ websiteId, limit });
+      setIncidents(data);
+      setError(null);
+    } catch (err) {
+      setError("Failed to load incidents.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchIncidents();
+    const interval = setInterval(fetchIncidents, 30000); // Every 30 seconds
+    return () => clearInterval(interval);
+  }, [websiteId, limit]);
+
+  // Marking an outage as handled stops its reminders and escalation
+  const handleAcknowledge = async (incident: Incident) => {
+    setAcknowledgingId(incident.id);
+    try {
+      const updated = await monitoringService.acknowledgeIncident(incident.id);
+      setIncidents((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+      toast({ title: "Marked as handled", description: `No more reminders for ${incident.website_name}.` });
+    } catch (err: any) {
+      toast({
+        title: "Error",
+        description: err.response?.data?.error || "Failed to mark the incident as handled.",
+        variant: "destructive",
+      });
+    } finally {
+      setAcknowledgingId(null);
+    }
+  };
 
-  // Filter alerts based on search term and active tab
-  const filteredAlerts = alerts.filter((alert) => {
+  // Filter incidents based on search term and active tab
+  const filteredIncidents = incidents.filter((incident) => {
     const matchesSearch =
-      alert.websiteName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      alert.url.toLowerCase().includes(searchTerm.toLowerCase());
+      incident.website_name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      incident.website_url.toLowerCase().includes(searchTerm.toLowerCase());
 
-    if (activeTab === "all") return matchesSearch;
-    if (activeTab === "active") return matchesSearch && !alert.resolved;
-    if (activeTab === "resolved") return matchesSearch && alert.resolved;
-    if (activeTab === "down") return matchesSearch && alert.type === "down";
-    if (activeTab === "slow") return matchesSearch && alert.type === "slow";
+    if (activeTab === "active") return matchesSearch && !incident.resolved_at;
+    if (activeTab === "resolved") return matchesSearch && !!incident.resolved_at;
+    if (activeTab === "down") return matchesSearch && incident.type === "down";
+    if (activeTab === "slow") return matchesSearch && incident.type === "slow";
 
     return matchesSearch;
   });
 
   const formatDuration = (seconds: number): string => {
-    if (seconds === 0) return "Ongoing";
     if (seconds < 60) return `${seconds}s`;
     if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
     const hours = Math.floor(seconds / 3600);
@@ -109,13 +97,8 @@ const AlertLog = ({
             <AlertCircle className="h-5 w-5 text-destructive" />
             Alert Log
           </CardTitle>
-          <Button
-            variant="outline"
-            size="sm"
-            onClick={onClearAlerts}
-            disabled={filteredAlerts.length === 0}
-          >
-            Clear All
+          <Button variant="outline" size="sm" onClick={fetchIncidents}>
+            <RotateCw className="mr-2 h-4 w-4" /> Refresh
           </Button>
         </div>
         <div className="flex items-center gap-2 mt-2">
@@ -124,10 +107,7 @@ const AlertLog = ({
             <Input
               placeholder="Search alerts..."
               value={searchTerm}
-              onChange={(e) => {
-                setSearchTerm(e.target.value);
-                onFilterChange(e.target.value);
-              }}
+              onChange={(e) => setSearchTerm(e.target.value)}
               className="pl-8"
             />
           </div>
@@ -150,28 +130,32 @@ const AlertLog = ({
 
           <TabsContent value={activeTab} className="mt-0">
             <ScrollArea className="h-[250px] pr-4">
-              {filteredAlerts.length > 0 ? (
+              {isLoading ? (
+                <p className="text-sm text-muted-foreground">Loading incidents...</p>
+              ) : error ? (
+                <p className="text-sm text-destructive">{error}</p>
+              ) : filteredIncidents.length > 0 ? (
                 <div className="space-y-3">
-                  {filteredAlerts.map((alert) => (
+                  {filteredIncidents.map((incident) => (
                     <div
-                      key={alert.id}
-                      className={`p-3 rounded-md border ${alert.resolved ? "bg-background" : "bg-destructive/5 border-destructive/20"}`}
+                      key={incident.id}
+                      className={`p-3 rounded-md border ${incident.resolved_at ? "bg-background" : "bg-destructive/5 border-destructive/20"}`}
                     >
                       <div className="flex justify-between items-start">
                         <div>
                           <div className="font-medium flex items-center gap-2">
                             <Globe className="h-4 w-4" />
-                            {alert.websiteName}
+                            {incident.website_name}
                             <Badge
                               variant={
-                                alert.type === "down"
+                                incident.type === "down"
                                   ? "destructive"
                                   : "default"
                               }
                             >
-                              {alert.type === "down" ? "Down" : "Slow"}
+                              {incident.type === "down" ? "Down" : "Slow"}
                             </Badge>
-                            {!alert.resolved && (
+                            {!incident.resolved_at && (
                               <Badge
                                 variant="outline"
                                 className="bg-destructive/10 text-destructive border-destructive/20"
@@ -179,48 +163,69 @@ const AlertLog = ({
                                 Active
                               </Badge>
                             )}
+                            {incident.acknowledged_at && (
+                              <Badge
+                                variant="outline"
+                                title={[new Date(incident.acknowledged_at).toLocaleString(), incident.acknowledgement_note]
+                                  .filter(Boolean)
+                                  .join("\n")}
+                              >
+                                Handled
+                                {(incident.acknowledged_by_email || incident.acknowledged_by_name)
+                                  ? ` by ${incident.acknowledged_by_email || incident.acknowledged_by_name}`
+                                  : ""}
+                              </Badge>
+                            )}
                           </div>
                           <div className="text-sm text-muted-foreground mt-1">
-                            {alert.url}
+                            {incident.website_url}
                           </div>
+                          {incident.error_message && (
+                            <div className="text-sm mt-1">{incident.error_message}</div>
+                          )}
                         </div>
                         <div className="text-xs text-muted-foreground">
-                          {formatDate(alert.timestamp)}{" "}
-                          {formatTime(alert.timestamp)}
+                          {formatDate(new Date(incident.started_at))}{" "}
+                          {formatTime(new Date(incident.started_at))}
                         </div>
                       </div>
                       <div className="mt-2 flex items-center gap-4 text-sm">
                         <div className="flex items-center gap-1">
                           <Clock className="h-3.5 w-3.5 text-muted-foreground" />
                           <span>
-                            Duration: {formatDuration(alert.duration)}
+                            Duration: {formatDuration(incident.duration_seconds)}
+                            {!incident.resolved_at && " (ongoing)"}
                           </span>
                         </div>
-                        {alert.responseCode && (
+                        <div>
+                          {incident.type === "slow" ? "Slow checks" : "Failed checks"}: {incident.failed_checks}
+                        </div>
+                        {incident.type === "slow" && incident.response_time_ms !== null && (
+                          <div>Slowest: {incident.response_time_ms} ms</div>
+                        )}
+                        {incident.type === "down" && !incident.resolved_at && !incident.acknowledged_at && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            className="ml-auto h-7"
+                            onClick={() => handleAcknowledge(incident)}
+                            disabled={acknowledgingId === incident.id}
+                          >
+                            <CheckCircle className="mr-1 h-3.5 w-3.5" />
+                            {acknowledgingId === incident.id ? "Saving..." : "Mark as handled"}
+                          </Button>
+                        )}
+                        {incident.status_code > 0 && (
                           <div>
                             Status:{" "}
                             <span
                               className={
-                                alert.responseCode >= 400
+                                incident.status_code >= 400
                                   ? "text-destructive"
                                   : ""
                               }
                             >
-                              {alert.responseCode}
-                            </span>
-                          </div>
-                        )}
-                        {alert.responseTime && (
-                          <div>
-                            Response:{" "}
-                            <span
-                              className={
-                                alert.responseTime > 2000
-                                  ? "text-amber-500"
-                                  : ""
-                              }
-                            >
-                              {alert.responseTime}ms
+                              {incident.status_code}
                             </span>
                           </div>
                         )}
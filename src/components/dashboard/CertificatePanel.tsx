@@ -0,0 +1,124 @@
+import React from 'react';
+import dayjs from 'dayjs';
+import relativeTime from 'dayjs/plugin/relativeTime';
+import { ShieldCheck, AlertTriangle, CheckCircle2 } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { CertificateDetails } from '@/services/monitoringService';
+
+dayjs.extend(relativeTime);
+
+interface CertificatePanelProps {
+    certificate: CertificateDetails;
+    expiryDays?: number | null;
+}
+
+const formatDate = (value: string | null) => (value ? dayjs(value).format('YYYY-MM-DD HH:mm') : 'N/A');
+
+// Certificate seen by the latest HTTPS check of a monitor
+const CertificatePanel: React.FC<CertificatePanelProps> = ({ certificate, expiryDays }) => {
+    const expiryClass = expiryDays === null || expiryDays === undefined
+        ? ''
+        : expiryDays < 7 ? 'text-red-600' : (expiryDays < 30 ? 'text-yellow-600' : '');
+    const key = [certificate.keyType, certificate.keyBits ? `${certificate.keyBits} bits` : null].filter(Boolean).join(', ');
+
+    const rows: { label: string; value: React.ReactNode }[] = [
+        { label: 'Subject', value: certificate.subject || 'N/A' },
+        { label: 'Issuer', value: certificate.issuer || 'N/A' },
+        { label: 'Valid From', value: formatDate(certificate.validFrom) },
+        {
+            label: 'Valid Until',
+            value: (
+                <span className={expiryClass}>
+                    {formatDate(certificate.validTo)}
+                    {expiryDays !== null && expiryDays !== undefined && ` (${expiryDays} days)`}
+                </span>
+            ),
+        },
+        { label: 'Key', value: key || 'N/A' },
+        { label: 'Signature', value: certificate.signatureAlgorithm || 'N/A' },
+        { label: 'Serial', value: <span className="font-mono break-all">{certificate.serialNumber || 'N/A'}</span> },
+        { label: 'SHA-256', value: <span className="font-mono break-all">{certificate.fingerprint256 || 'N/A'}</span> },
+        { label: 'Protocol', value: certificate.tlsProtocol || 'N/A' },
+        { label: 'Cipher', value: <span className="font-mono break-all">{certificate.tlsCipher || 'N/A'}</span> },
+        {
+            label: 'Legacy Protocols',
+            value: certificate.legacyProtocols.length > 0
+                ? <span className="text-yellow-600">{certificate.legacyProtocols.join(', ')} accepted</span>
+                : 'Not accepted',
+        },
+    ];
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center space-x-2">
+                    {certificate.isValid ? <ShieldCheck className="h-5 w-5 text-green-600" /> : <AlertTriangle className="h-5 w-5 text-red-600" />}
+                    <span>Certificate</span>
+                    {certificate.isValid
+                        ? <Badge className="bg-green-500 text-white">Trusted</Badge>
+                        : <Badge variant="destructive">Not trusted</Badge>}
+                </CardTitle>
+            </CardHeader>
+            <CardContent className="text-sm space-y-4">
+                {!certificate.isValid && certificate.validationError && (
+                    <p className="text-red-600">{certificate.validationError}</p>
+                )}
+                <dl className="grid grid-cols-1 sm:grid-cols-[10rem_1fr] gap-x-4 gap-y-1">
+                    {rows.map(row => (
+                        <React.Fragment key={row.label}>
+                            <dt className="text-gray-500">{row.label}</dt>
+                            <dd className="text-gray-900">{row.value}</dd>
+                        </React.Fragment>
+                    ))}
+                </dl>
+                {certificate.subjectAltNames.length > 0 && (
+                    <div>
+                        <p className="text-gray-500 mb-1">Subject Alternative Names</p>
+                        <div className="flex flex-wrap gap-1">
+                            {certificate.subjectAltNames.map(name => (
+                                <Badge key={name} variant="outline" className="font-normal">{name}</Badge>
+                            ))}
+                        </div>
+                    </div>
+                )}
+                {certificate.issuerChain.length > 0 && (
+                    <div>
+                        <p className="text-gray-500 mb-1">Issuer Chain</p>
+                        <ol className="space-y-1">
+                            {certificate.issuerChain.map((issuer, index) => (
+                                <li key={issuer.fingerprint256 || index} className="text-gray-900">
+                                    {index + 1}. {issuer.subject || 'Unknown'}
+                                    <span className="text-gray-500"> (issued by {issuer.issuer || 'unknown'}, valid until {formatDate(issuer.validTo)})</span>
+                                </li>
+                            ))}
+                        </ol>
+                    </div>
+                )}
+                <div>
+                    <p className="text-gray-500 mb-1">TLS Audit</p>
+                    {certificate.findings.length === 0 ? (
+                        <p className="flex items-center space-x-1 text-green-700">
+                            <CheckCircle2 className="h-4 w-4" />
+                            <span>No findings</span>
+                        </p>
+                    ) : (
+                        <ul className="space-y-1">
+                            {certificate.findings.map(finding => (
+                                <li key={finding.type} className="flex items-start space-x-2">
+                                    {finding.severity === 'critical'
+                                        ? <Badge variant="destructive">Critical</Badge>
+                                        : <Badge className="bg-yellow-500 text-white">Warning</Badge>}
+                                    <span className="text-gray-900">{finding.message}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+                <p className="text-xs text-gray-500">Checked {dayjs(certificate.checkedAt).fromNow()}</p>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default CertificatePanel;
@@ -1,6 +1,6 @@
 import React, { useEffect, useMemo } from 'react';
 import WebsiteForm, { WebsiteFormValues } from './WebsiteForm'; // Import the shared form component and its type
-import monitoringService, { Website } from '@/services/monitoringService'; // Import service and type
+import monitoringService, { MonitorConfig, Website } from '@/services/monitoringService'; // Import service and type
 
 interface EditWebsiteDialogProps {
     open: boolean;
@@ -51,8 +51,14 @@ const EditWebsiteDialog: React.FC<EditWebsiteDialogProps> = ({ open, onClose, we
              parsedConfig = websiteToEdit.monitorConfig; // Already an object
         }
 
+        // The form edits the expiry notification days as comma separated text
+        const { expiryNotifyDays, ...otherConfig } = parsedConfig as MonitorConfig;
+        const formConfig = expiryNotifyDays === undefined
+            ? otherConfig
+            : { ...otherConfig, expiryNotifyDays: Array.isArray(expiryNotifyDays) ? expiryNotifyDays.join(', ') : expiryNotifyDays };
+
         // Define the expected monitor type values and type guard
-        const validMonitorTypes = ['http', 'https', 'keyword'] as const;
+        const validMonitorTypes = ['http', 'https', 'keyword', 'port', 'dns', 'json-query', 'push'] as const;
         type ValidMonitorType = typeof validMonitorTypes[number];
         const isMonitorType = (type: any): type is ValidMonitorType => validMonitorTypes.includes(type);
 
@@ -68,7 +74,34 @@ const EditWebsiteDialog: React.FC<EditWebsiteDialogProps> = ({ open, onClose, we
             name: websiteToEdit.name || "",
             timeout_ms: websiteToEdit.timeout_ms || 5000, // Use timeout_ms
             monitorType: currentMonitorType,
-            monitorConfig: parsedConfig,
+            monitorConfig: formConfig,
+            monitor_method: websiteToEdit.monitor_method || 'GET',
+            request_body: websiteToEdit.request_body || '',
+            request_body_encoding: websiteToEdit.request_body_encoding || 'json',
+            request_headers: typeof websiteToEdit.request_headers === 'string'
+                ? websiteToEdit.request_headers
+                : websiteToEdit.request_headers ? JSON.stringify(websiteToEdit.request_headers, null, 2) : '',
+            auth_method: websiteToEdit.auth_method || 'none',
+            basic_auth_user: websiteToEdit.basic_auth_user || '',
+            basic_auth_pass: '', // Never returned by the API; empty keeps the stored password
+            bearer_token: '', // Same for the token
+            tls_client_cert: websiteToEdit.tls_client_cert || '',
+            tls_client_key: '', // Never returned by the API; empty keeps the stored key
+            tls_client_key_passphrase: '',
+            tls_ca_bundle: websiteToEdit.tls_ca_bundle || '',
+            user_agent: websiteToEdit.user_agent || '',
+            down_after_failures: websiteToEdit.down_after_failures ?? 1,
+            up_after_successes: websiteToEdit.up_after_successes ?? 1,
+            flap_threshold: websiteToEdit.flap_threshold ?? 0,
+            flap_window_minutes: websiteToEdit.flap_window_minutes ?? 30,
+            latency_warning_ms: websiteToEdit.latency_warning_ms ?? 0,
+            latency_critical_ms: websiteToEdit.latency_critical_ms ?? 0,
+            latency_evaluation: websiteToEdit.latency_evaluation ?? 'checks',
+            latency_checks: websiteToEdit.latency_checks ?? 3,
+            latency_window_minutes: websiteToEdit.latency_window_minutes ?? 10,
+            renotify_interval_minutes: websiteToEdit.renotify_interval_minutes ?? 0,
+            escalation_policy_id: websiteToEdit.escalation_policy_id ?? null,
+            notification_channel_ids: websiteToEdit.notification_channel_ids ?? [],
         };
         return values;
     }, [websiteToEdit]);
@@ -86,6 +119,9 @@ const EditWebsiteDialog: React.FC<EditWebsiteDialogProps> = ({ open, onClose, we
             onOpenChange={onClose}
             onSubmit={handleUpdateWebsite}
             isEditing={true}
+            clientKeyStored={websiteToEdit?.tls_client_key_set === true}
+            authPasswordStored={websiteToEdit?.basic_auth_pass_set === true}
+            authTokenStored={websiteToEdit?.bearer_token_set === true}
             initialValues={initialFormValues}
         />
     );
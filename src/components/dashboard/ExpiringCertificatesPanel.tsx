@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import dayjs from 'dayjs';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { Loader2, AlertTriangle, ShieldAlert } from 'lucide-react';
+import monitoringService, { ExpiringCertificate } from '@/services/monitoringService';
+
+const REPORT_DAYS = 30;
+
+// Certificates of all HTTPS monitors that expire within the next 30 days, soonest first
+const ExpiringCertificatesPanel = () => {
+    const [certificates, setCertificates] = useState<ExpiringCertificate[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        const fetchCertificates = async () => {
+            try {
+                setCertificates(await monitoringService.getExpiringCertificates(REPORT_DAYS));
+            } catch (err) {
+                console.error("Error fetching expiring certificates:", err);
+                setError("Failed to load certificates");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchCertificates();
+    }, []);
+
+    const getDaysClass = (days: number) => {
+        if (days <= 7) return 'text-red-600';
+        return days <= 14 ? 'text-yellow-600' : 'text-gray-700';
+    };
+
+    return (
+        <Card className="shadow-sm border border-gray-200">
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                <CardTitle className="text-sm font-medium text-gray-700">
+                    Certificates expiring soon
+                </CardTitle>
+                <ShieldAlert className="h-4 w-4 text-gray-400" />
+            </CardHeader>
+            <CardContent>
+                {isLoading ? (
+                    <div className="text-center text-gray-500 py-4"><Loader2 className="h-6 w-6 mx-auto animate-spin" /></div>
+                ) : error ? (
+                    <div className="text-center text-red-500 py-4"><AlertTriangle className="h-6 w-6 mx-auto mb-2" />{error}</div>
+                ) : certificates.length === 0 ? (
+                    <p className="text-sm text-gray-500">No certificates expire in the next {REPORT_DAYS} days.</p>
+                ) : (
+                    <ul className="divide-y divide-gray-100">
+                        {certificates.map(certificate => (
+                            <li key={certificate.website_id} className="flex items-center justify-between py-2 text-sm">
+                                <div className="min-w-0">
+                                    <Link to={`/monitor/${certificate.website_id}`} className="font-medium text-gray-900 hover:underline truncate block">
+                                        {certificate.website_name || certificate.website_url}
+                                    </Link>
+                                    <p className="text-xs text-gray-500 truncate">
+                                        {certificate.subject || 'Unknown subject'}, {dayjs(certificate.valid_to).format('YYYY-MM-DD')}
+                                    </p>
+                                </div>
+                                <span className={`ml-2 shrink-0 font-semibold ${getDaysClass(certificate.days_until_expiration)}`}>
+                                    {certificate.days_until_expiration <= 0 ? 'Expired' : `${certificate.days_until_expiration}d`}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default ExpiringCertificatesPanel;
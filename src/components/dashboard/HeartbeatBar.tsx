@@ -7,6 +7,7 @@ const UP = 1;
 const DOWN = 0;
 const PENDING = 2;
 const MAINTENANCE = 3;
+const DEGRADED = 4; // Up, but above the latency thresholds
 
 interface Heartbeat {
   id: number;
@@ -15,6 +16,7 @@ interface Heartbeat {
   status: number;
   ping?: number | null;
   message?: string | null;
+  flapping?: boolean;
 }
 
 interface HeartbeatBarProps {
@@ -150,6 +152,9 @@ const HeartbeatBar: React.FC<HeartbeatBarProps> = ({
             case MAINTENANCE: // 3
                  backgroundColor = "#3b82f6"; // Direct Blue
                  break;
+            case DEGRADED: // 4
+                 backgroundColor = "#ca8a04"; // Dark Yellow
+                 break;
             default:
                  backgroundColor = "#d1d5db"; // Gray for unknown status
          }
@@ -158,10 +163,13 @@ const HeartbeatBar: React.FC<HeartbeatBarProps> = ({
         backgroundColor = "aliceblue";
     }
 
+    const flapping = 'timestamp' in beat && beat.flapping;
+
     return {
       width: `${beatWidth}px`,
       height: `${beatHeight}px`,
       backgroundColor,
+      boxShadow: flapping ? "inset 0 -4px 0 #ea580c" : undefined, // Orange underline while flapping
       borderRadius: "var(--radius, 0.25rem)", // Use CSS variable or default
       display: 'inline-block', // Ensure beats are inline
       verticalAlign: 'middle', // Align beats vertically if needed
@@ -187,8 +195,10 @@ const HeartbeatBar: React.FC<HeartbeatBarProps> = ({
           case DOWN: statusText = "Down"; break;
           case PENDING: statusText = "Pending"; break;
           case MAINTENANCE: statusText = "Maintenance"; break;
+          case DEGRADED: statusText = "Degraded"; break;
      }
-    return `${timeStr} - ${statusText}${ping}${msg}`;
+    const flapping = beat.flapping ? " (flapping)" : "";
+    return `${timeStr} - ${statusText}${flapping}${ping}${msg}`;
   };
 
   return (
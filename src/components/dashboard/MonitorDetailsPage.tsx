@@ -3,9 +3,11 @@ import { useParams, Link, useNavigate } from 'react-router-dom'; // Import useNa
 import { Button } from '@/components/ui/button';
  import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
  import { Badge } from '@/components/ui/badge';
- import { ExternalLink, Pause, Play, Edit, Trash2, BarChart, ShieldCheck, AlertTriangle, RefreshCw } from 'lucide-react'; // Add RefreshCw
+ import { ExternalLink, Pause, Play, Edit, Trash2, BarChart, AlertTriangle, RefreshCw, BellOff } from 'lucide-react'; // Add RefreshCw
  import HeartbeatBar from './HeartbeatBar';
  import EditWebsiteDialog from './EditWebsiteDialog'; // Import Edit Dialog
+ import AcknowledgeIncidentDialog from './AcknowledgeIncidentDialog';
+ import CertificatePanel from './CertificatePanel';
  import { useToast } from "@/components/ui/use-toast"; // Import useToast
  import monitoringService, { 
   Website as Monitor, 
@@ -13,9 +15,12 @@ import { Button } from '@/components/ui/button';
   MonitorStatsSummary, 
   ImportantEvent, 
   Website,
-  ChartDataPoint 
+  ChartDataPoint,
+  Incident,
+  getPushUrl
 } from '@/services/monitoringService';
 import PerformanceChart from './PerformanceChart';
+import TimingBreakdownChart from './TimingBreakdownChart';
  import dayjs from 'dayjs';
  import relativeTime from 'dayjs/plugin/relativeTime';
 
@@ -39,6 +44,8 @@ const MonitorDetailsPage: React.FC = () => {
      const [isEditDialogOpen, setIsEditDialogOpen] = useState(false); // State for edit dialog
      const { toast } = useToast(); // Initialize toast
      const [isChecking, setIsChecking] = useState(false); // State for check now button
+     const [openIncident, setOpenIncident] = useState<Incident | null>(null); // Current outage, if the monitor is down
+     const [isAcknowledgeDialogOpen, setIsAcknowledgeDialogOpen] = useState(false);
  
      // --- Real Data Fetching ---
      const fetchMonitorData = async () => {
@@ -52,13 +59,15 @@ const MonitorDetailsPage: React.FC = () => {
                 heartbeatData,
                 statsData,
                 eventData,
-                chartData
+                chartData,
+                openIncidents
             ] = await Promise.all([
                 monitoringService.getWebsite(monitorId), // Fetch monitor details
                 monitoringService.getRecentHeartbeats(monitorId, 100), // Fetch recent 100 heartbeats
                 monitoringService.getMonitorStats(monitorId), // Fetch summary stats
                 monitoringService.getImportantEvents(monitorId, 50), // Fetch last 50 important events
-                monitoringService.getChartData(monitorId, chartTimeRange) // Fetch chart data
+                monitoringService.getChartData(monitorId, chartTimeRange), // Fetch chart data
+                monitoringService.getIncidents({ websiteId: monitorId, status: 'open', type: 'down', limit: 1 }) // Fetch the current outage
             ]);
 
                 setMonitor(monitorData);
@@ -66,6 +75,7 @@ const MonitorDetailsPage: React.FC = () => {
                 setStats(statsData);
                 setImportantEvents(eventData);
                 setChartData(chartData);
+                setOpenIncident(openIncidents[0] ?? null);
 
                 // Log the fetched heartbeats for debugging
                 console.log(`[MonitorDetailsPage] Heartbeats for monitor ${monitorId}:`, heartbeatData);
@@ -173,12 +183,30 @@ const MonitorDetailsPage: React.FC = () => {
     };
     // --- End Handler for Check Now ---
 
+    // Errors are shown as a toast and keep the dialog open
+    const handleAcknowledge = async (note: string) => {
+        if (!openIncident) return;
+        try {
+            setOpenIncident(await monitoringService.acknowledgeIncident(openIncident.id, note));
+            toast({ title: "Outage Acknowledged", description: "No more alerts are sent for this outage until the monitor recovers." });
+        } catch (err: any) {
+            console.error("Error acknowledging outage:", err);
+            toast({
+                title: "Error",
+                description: err.response?.data?.error || "Failed to acknowledge outage.",
+                variant: "destructive",
+            });
+            throw err;
+        }
+    };
+
     const getStatusColor = (status: number) => {
         switch (status) {
             case 1: return 'bg-green-500'; // UP
             case 0: return 'bg-red-500';   // DOWN
             case 2: return 'bg-yellow-500';// PENDING
             case 3: return 'bg-blue-500';  // MAINTENANCE
+            case 4: return 'bg-yellow-600'; // DEGRADED
             default: return 'bg-gray-400'; // Unknown
         }
     };
@@ -189,6 +217,7 @@ const MonitorDetailsPage: React.FC = () => {
             case 0: return 'Down';
             case 2: return 'Pending';
             case 3: return 'Maintenance';
+            case 4: return 'Degraded';
             default: return 'Unknown';
         }
     };
@@ -233,7 +262,9 @@ const MonitorDetailsPage: React.FC = () => {
                     </div>
                     <p className="text-sm text-blue-600 mt-2 break-all">
                         {/* Display relevant URL/Host based on type */}
-                        {monitor.url && <a href={monitor.url} target="_blank" rel="noopener noreferrer">{monitor.url}</a>}
+                        {monitor.monitorType === 'push'
+                            ? monitor.push_token && <span>Push URL: <code>{getPushUrl(monitor.push_token)}?status=up&amp;msg=OK&amp;ping=</code></span>
+                            : monitor.url && <a href={monitor.url} target="_blank" rel="noopener noreferrer">{monitor.url}</a>}
                          {monitor.hostname && <span>{monitor.hostname}{monitor.port ? `:${monitor.port}` : ''}</span>}
                          {/* Add more type-specific details here */}
                      </p>
@@ -252,15 +283,45 @@ const MonitorDetailsPage: React.FC = () => {
                     )}
                     {/* Edit button - opens dialog */}
                     <Button variant="outline" size="sm" onClick={() => setIsEditDialogOpen(true)}><Edit className="mr-2 h-4 w-4" /> Edit</Button>
-                    {/* Add Check Now button */}
-                    <Button variant="outline" size="sm" onClick={handleCheckNow} disabled={isChecking || !monitor.active}>
+                    {/* Add Check Now button (push monitors are only updated by incoming pushes) */}
+                    <Button variant="outline" size="sm" onClick={handleCheckNow} disabled={isChecking || !monitor.active || monitor.monitorType === 'push'}>
                         <RefreshCw className={`mr-2 h-4 w-4 ${isChecking ? 'animate-spin' : ''}`} />
                         {isChecking ? 'Checking...' : 'Check Now'}
                     </Button>
+                    {openIncident && !openIncident.acknowledged_at && (
+                        <Button variant="outline" size="sm" onClick={() => setIsAcknowledgeDialogOpen(true)}>
+                            <BellOff className="mr-2 h-4 w-4" /> Acknowledge
+                        </Button>
+                    )}
                     {/* Clone button removed */}
                     <Button variant="destructive" size="sm" onClick={handleDelete}><Trash2 className="mr-2 h-4 w-4" /> Delete</Button>
                 </div>
 
+                {/* Current outage */}
+                {openIncident && (
+                    <Card className={openIncident.acknowledged_at ? 'border-yellow-400' : 'border-red-400'}>
+                        <CardContent className="p-4 space-y-1 text-sm">
+                            <p className="font-medium flex items-center">
+                                <AlertTriangle className="mr-2 h-4 w-4 text-red-500" />
+                                Down since {dayjs(openIncident.started_at).format('YYYY-MM-DD HH:mm')} ({dayjs(openIncident.started_at).fromNow()})
+                            </p>
+                            {openIncident.acknowledged_at ? (
+                                <>
+                                    <p className="text-gray-600">
+                                        Acknowledged by {openIncident.acknowledged_by_email || openIncident.acknowledged_by_name || 'alert link'}{' '}
+                                        {dayjs(openIncident.acknowledged_at).fromNow()}. Alerts are paused until the monitor recovers.
+                                    </p>
+                                    {openIncident.acknowledgement_note && (
+                                        <p className="text-gray-700 whitespace-pre-wrap">Note: {openIncident.acknowledgement_note}</p>
+                                    )}
+                                </>
+                            ) : (
+                                <p className="text-gray-600">Not acknowledged yet.</p>
+                            )}
+                        </CardContent>
+                    </Card>
+                )}
+
                 {/* Heartbeat Bar & Current Status */}
                 <Card>
                     <CardContent className="p-4">
@@ -322,6 +383,8 @@ const MonitorDetailsPage: React.FC = () => {
                     websiteName={monitor.name}
                     performanceData={chartData}
                     thresholdMs={monitor.timeout_ms || 2000}
+                    warningThresholdMs={monitor.latency_warning_ms}
+                    criticalThresholdMs={monitor.latency_critical_ms}
                     onTimeRangeChange={async (range) => {
                         setChartTimeRange(range);
                         try {
@@ -338,21 +401,14 @@ const MonitorDetailsPage: React.FC = () => {
                     }}
                 />
 
-                {/* Optional: Certificate Info Card */}
-                {stats?.certIssuer && (
-                    <Card>
-                        <CardHeader>
-                            <CardTitle className="flex items-center space-x-2">
-                                {stats.isCertValid ? <ShieldCheck className="h-5 w-5 text-green-600" /> : <AlertTriangle className="h-5 w-5 text-red-600" />}
-                                <span>Certificate Info</span>
-                            </CardTitle>
-                        </CardHeader>
-                        <CardContent className="text-sm space-y-1">
-                            <p><strong>Issuer:</strong> {stats.certIssuer}</p>
-                            <p><strong>Valid Until:</strong> {dayjs(stats.certValidTo).format('YYYY-MM-DD HH:mm')}</p>
-                            <p><strong>Status:</strong> {stats.isCertValid ? <span className="text-green-600">Valid</span> : <span className="text-red-600">Invalid/Expired</span>}</p>
-                        </CardContent>
-                    </Card>
+                {/* DNS, connect, TLS, TTFB and download time of the HTTP checks in the same range */}
+                {chartData.some((point) => point.timings) && (
+                    <TimingBreakdownChart data={chartData} />
+                )}
+
+                {/* Certificate seen by the latest HTTPS check */}
+                {stats?.certificate && (
+                    <CertificatePanel certificate={stats.certificate} expiryDays={stats.certExpiryDays} />
                 )}
 
 
@@ -376,6 +432,7 @@ const MonitorDetailsPage: React.FC = () => {
                                         <tr key={event.id} className="border-b last:border-b-0 hover:bg-gray-50">
                                             <td className="p-2">
                                                 <Badge className={`${getStatusColor(event.status)} text-white`}>{getStatusText(event.status)}</Badge>
+                                                {event.flapping && <Badge className="ml-1 bg-orange-500 text-white">Flapping</Badge>}
                                             </td>
                                             <td className="p-2 text-gray-700">{dayjs(event.timestamp).format('YYYY-MM-DD HH:mm:ss')} ({dayjs(event.timestamp).fromNow()})</td>
                                             <td className="p-2 text-gray-700">{event.message || '-'}</td>
@@ -401,6 +458,12 @@ const MonitorDetailsPage: React.FC = () => {
                 websiteToEdit={monitor}
                 onUpdate={handleUpdateWebsite}
             />
+            <AcknowledgeIncidentDialog
+                open={isAcknowledgeDialogOpen}
+                onOpenChange={setIsAcknowledgeDialogOpen}
+                onSubmit={handleAcknowledge}
+                incident={openIncident}
+            />
         </>
     );
 };
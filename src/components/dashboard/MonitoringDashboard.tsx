@@ -12,6 +12,7 @@ import WebsiteList from './WebsiteList';
 import monitoringService, { Website as WebsiteData, Heartbeat } from '@/services/monitoringService';
 import CurrentStatusPanel from './CurrentStatusPanel'; // Import Status Panel
 import RecentStatsPanel from './RecentStatsPanel';   // Import Status Panel
+import ExpiringCertificatesPanel from './ExpiringCertificatesPanel';
 import { useMemo } from 'react'; // Import useMemo
 
 // Use interface from service, add heartbeats field
@@ -77,6 +78,31 @@ const MonitoringDashboard = () => {
                 monitorType: formData.monitorType,
                 timeout_ms: formData.timeout_ms,
                 monitorConfig: formData.monitorConfig || {},
+                monitor_method: formData.monitor_method,
+                request_body: formData.request_body,
+                request_body_encoding: formData.request_body_encoding,
+                request_headers: formData.request_headers,
+                auth_method: formData.auth_method,
+                basic_auth_user: formData.basic_auth_user,
+                basic_auth_pass: formData.basic_auth_pass,
+                bearer_token: formData.bearer_token,
+                tls_client_cert: formData.tls_client_cert,
+                tls_client_key: formData.tls_client_key,
+                tls_client_key_passphrase: formData.tls_client_key_passphrase,
+                tls_ca_bundle: formData.tls_ca_bundle,
+                user_agent: formData.user_agent,
+                down_after_failures: formData.down_after_failures,
+                up_after_successes: formData.up_after_successes,
+                flap_threshold: formData.flap_threshold,
+                flap_window_minutes: formData.flap_window_minutes,
+                latency_warning_ms: formData.latency_warning_ms,
+                latency_critical_ms: formData.latency_critical_ms,
+                latency_evaluation: formData.latency_evaluation,
+                latency_checks: formData.latency_checks,
+                latency_window_minutes: formData.latency_window_minutes,
+                renotify_interval_minutes: formData.renotify_interval_minutes,
+                escalation_policy_id: formData.escalation_policy_id,
+                notification_channel_ids: formData.notification_channel_ids,
                 active: true, // Add default active state
                 // Add other optional fields from Website interface if needed,
                 // otherwise they default to undefined which is acceptable
@@ -254,6 +280,7 @@ const MonitoringDashboard = () => {
                 <div className="lg:col-span-1 space-y-6 order-1 lg:order-2"> {/* Change order on mobile */}
                     <CurrentStatusPanel />
                     <RecentStatsPanel />
+                    <ExpiringCertificatesPanel />
                 </div>
             </div>
 
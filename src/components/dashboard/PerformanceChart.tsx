@@ -16,6 +16,7 @@ import {
   CartesianGrid,
   Tooltip,
   ResponsiveContainer,
+  ReferenceLine,
 } from "recharts";
 import { AlertCircle } from "lucide-react";
 
@@ -24,6 +25,8 @@ interface PerformanceChartProps {
   websiteName?: string;
   performanceData?: PerformanceDataPoint[];
   thresholdMs?: number;
+  warningThresholdMs?: number; // Latency thresholds of the monitor; 0 or unset hides the line
+  criticalThresholdMs?: number;
   onTimeRangeChange?: (range: string) => void;
 }
 
@@ -42,6 +45,8 @@ const PerformanceChart = ({
   websiteName = "Example Website",
   performanceData = generateMockData(),
   thresholdMs = 2000,
+  warningThresholdMs = 0,
+  criticalThresholdMs = 0,
   onTimeRangeChange
 }: PerformanceChartProps) => {
   const [timeRange, setTimeRange] = useState("24h");
@@ -123,13 +128,33 @@ const PerformanceChart = ({
                     strokeDasharray="5 5"
                     dot={false}
                   />
+                  {warningThresholdMs > 0 && (
+                    <ReferenceLine
+                      y={warningThresholdMs}
+                      stroke="#f59e0b"
+                      strokeDasharray="3 3"
+                      ifOverflow="extendDomain"
+                      label={{ value: "Warning", position: "insideBottomLeft", fill: "#d97706", fontSize: 11 }}
+                    />
+                  )}
+                  {criticalThresholdMs > 0 && (
+                    <ReferenceLine
+                      y={criticalThresholdMs}
+                      stroke="#dc2626"
+                      strokeDasharray="3 3"
+                      ifOverflow="extendDomain"
+                      label={{ value: "Critical", position: "insideBottomLeft", fill: "#dc2626", fontSize: 11 }}
+                    />
+                  )}
                 </LineChart>
               </ResponsiveContainer>
 
               {/* Threshold indicator */}
-              <div className="absolute top-0 right-0 flex items-center text-xs text-red-500 bg-red-50 p-1 rounded">
-                <AlertCircle className="h-3 w-3 mr-1" />
-                <span>Threshold: {thresholdMs}ms</span>
+              <div className="absolute top-0 right-0 flex items-center space-x-2 text-xs bg-red-50 p-1 rounded">
+                <AlertCircle className="h-3 w-3 text-red-500" />
+                <span className="text-red-500">Timeout: {thresholdMs}ms</span>
+                {warningThresholdMs > 0 && <span className="text-amber-600">Warning: {warningThresholdMs}ms</span>}
+                {criticalThresholdMs > 0 && <span className="text-red-600">Critical: {criticalThresholdMs}ms</span>}
               </div>
             </div>
           </TabsContent>
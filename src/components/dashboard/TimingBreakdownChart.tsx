@@ -0,0 +1,77 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+    AreaChart,
+    Area,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+import { ChartDataPoint, CheckTimings } from '@/services/monitoringService';
+
+interface TimingBreakdownChartProps {
+    data: ChartDataPoint[];
+}
+
+// Phases in the order they happen, stacked bottom to top
+const PHASES: { key: keyof CheckTimings; label: string; color: string }[] = [
+    { key: 'dnsMs', label: 'DNS', color: '#8b5cf6' },
+    { key: 'connectMs', label: 'Connect', color: '#3b82f6' },
+    { key: 'tlsMs', label: 'TLS', color: '#14b8a6' },
+    { key: 'ttfbMs', label: 'TTFB', color: '#f59e0b' },
+    { key: 'downloadMs', label: 'Download', color: '#10b981' },
+];
+
+// Average time per phase of the HTTP checks, over the time range of the performance chart
+const TimingBreakdownChart: React.FC<TimingBreakdownChartProps> = ({ data }) => {
+    const points = data.map((point) => ({
+        timestamp: point.timestamp,
+        ...Object.fromEntries(PHASES.map(({ key }) => [key, point.timings ? Math.round(point.timings[key]) : null])),
+    }));
+
+    return (
+        <Card className="w-full bg-white">
+            <CardHeader className="pb-2">
+                <CardTitle className="text-xl font-semibold">Response Time Breakdown</CardTitle>
+            </CardHeader>
+            <CardContent className="h-[300px]">
+                <ResponsiveContainer width="100%" height="100%">
+                    <AreaChart data={points} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                        <XAxis
+                            dataKey="timestamp"
+                            tickFormatter={(value) => {
+                                const date = new Date(value);
+                                return `${date.getHours()}:${date.getMinutes().toString().padStart(2, '0')}`;
+                            }}
+                        />
+                        <YAxis label={{ value: 'Time (ms)', angle: -90, position: 'insideLeft' }} />
+                        <Tooltip
+                            formatter={(value, name) => [`${value} ms`, name]}
+                            labelFormatter={(label) => new Date(label).toLocaleString()}
+                        />
+                        <Legend />
+                        {PHASES.map(({ key, label, color }) => (
+                            <Area
+                                key={key}
+                                type="monotone"
+                                dataKey={key}
+                                name={label}
+                                stackId="timings"
+                                stroke={color}
+                                fill={color}
+                                fillOpacity={0.6}
+                                isAnimationActive={false}
+                            />
+                        ))}
+                    </AreaChart>
+                </ResponsiveContainer>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default TimingBreakdownChart;
@@ -17,11 +17,16 @@ interface Website {
     url: string;
     last_check_time?: string;
     is_up?: boolean;
+    is_pending?: boolean;
+    is_flapping?: boolean;
+    latency_level?: 'warning' | 'critical' | null;
+    tls_degraded?: boolean;
+    in_maintenance?: boolean;
     last_status_code?: number;
     last_response_time?: number;
     last_error?: string;
     heartbeats?: any[];
-    monitorType?: 'http' | 'https' | 'keyword';
+    monitorType?: 'http' | 'https' | 'keyword' | 'port' | 'dns' | 'json-query' | 'push';
     // Add placeholder for check interval if not available in model
     check_interval_minutes?: number; // Example: 5
     // Add placeholder for uptime percentage if not available
@@ -42,11 +47,19 @@ const WebsiteList: React.FC<WebsiteListProps> = ({ websites, onDelete, onCheck }
 
     const getStatusColor = (website: Website) => {
         if (website.is_up === undefined) return 'bg-gray-400'; // Use gray for unknown/unchecked
+        if (website.in_maintenance) return 'bg-blue-500';
+        if (website.is_flapping) return 'bg-orange-500';
+        if (website.is_pending) return 'bg-yellow-500';
+        if (website.is_up && (website.latency_level || website.tls_degraded)) return 'bg-yellow-600';
         return website.is_up ? 'bg-green-500' : 'bg-red-500';
     };
 
     const getStatusText = (website: Website) => {
         if (website.is_up === undefined) return 'Unknown';
+        if (website.in_maintenance) return 'Maintenance';
+        if (website.is_flapping) return 'Flapping';
+        if (website.is_pending) return 'Pending';
+        if (website.is_up && (website.latency_level || website.tls_degraded)) return 'Degraded';
         return website.is_up ? 'Up' : 'Down';
     };
 
@@ -81,7 +94,7 @@ const WebsiteList: React.FC<WebsiteListProps> = ({ websites, onDelete, onCheck }
                                 {website.name}
                             </p>
                             <p className="text-xs text-gray-500 truncate">
-                                {website.monitorType === 'keyword' ? 'Keyword' : website.url} - {getStatusText(website)} {website.last_check_time ? dayjs(website.last_check_time).fromNow() : ''}
+                                {website.monitorType === 'keyword' ? 'Keyword' : website.monitorType === 'push' ? 'Push' : website.url} - {getStatusText(website)} {website.last_check_time ? dayjs(website.last_check_time).fromNow() : ''}
                             </p>
                         </Link>
                     </div>
@@ -0,0 +1,13 @@
+import React from 'react';
+import AlertLog from '@/components/dashboard/AlertLog';
+
+const IncidentsPage: React.FC = () => {
+    return (
+        <div className="container mx-auto p-4 md:p-6">
+            <h1 className="text-2xl font-semibold mb-4">Incidents</h1>
+            <AlertLog />
+        </div>
+    );
+};
+
+export default IncidentsPage;
@@ -60,9 +60,9 @@ const Sidebar = () => {
             {/* Navigation */}
             <nav className="flex-1 px-2 py-4 space-y-1">
                  <NavItem to="/dashboard" icon={LayoutDashboard} label="Monitoring" />
-                 {/* <NavItem to="/incidents" icon={ShieldAlert} label="Incidents" /> */}
+                 <NavItem to="/incidents" icon={ShieldAlert} label="Incidents" />
                  <NavItem to="/status" icon={BarChart3} label="Status pages" />
-                 {/* <NavItem to="/maintenance" icon={Wrench} label="Maintenance" /> */}
+                 <NavItem to="/maintenance" icon={Wrench} label="Maintenance" />
                  <NavItem to="/settings" icon={Settings} label="Settings" /> {/* Add Settings link */}
                  {/* <NavItem to="/team" icon={Users} label="Team members" /> */}
                 {/* <NavItem to="/integrations" icon={Share2} label="Integrations & API" /> */}
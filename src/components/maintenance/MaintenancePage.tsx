@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import dayjs from 'dayjs';
+import { Plus, Pencil, Trash2 } from 'lucide-react';
+import monitoringService, { MaintenanceWindow, MaintenanceWindowInput, Website } from '@/services/monitoringService';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { useToast } from '@/components/ui/use-toast';
+import MaintenanceWindowDialog, { weekdayLabels } from './MaintenanceWindowDialog';
+
+/**
+ * Describes when a maintenance window applies, e.g. "Mon, Thu at 02:00 for 60 min (Europe/Berlin)"
+ */
+const describeSchedule = (maintenanceWindow: MaintenanceWindow): string => {
+    if (maintenanceWindow.strategy === 'single') {
+        return `${dayjs(maintenanceWindow.start_date).format('MMM D, YYYY HH:mm')} – ${dayjs(maintenanceWindow.end_date).format('MMM D, YYYY HH:mm')}`;
+    }
+    const start = maintenanceWindow.strategy === 'weekday'
+        ? `${(maintenanceWindow.weekdays || []).map(day => weekdayLabels[day]).join(', ')} at ${maintenanceWindow.start_time}`
+        : `Cron "${maintenanceWindow.cron_expression}"`;
+    return `${start} for ${maintenanceWindow.duration_minutes} min (${maintenanceWindow.timezone})`;
+};
+
+const MaintenancePage: React.FC = () => {
+    const { toast } = useToast();
+    const [windows, setWindows] = useState<MaintenanceWindow[]>([]);
+    const [websites, setWebsites] = useState<Website[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [dialogOpen, setDialogOpen] = useState(false);
+    const [editingWindow, setEditingWindow] = useState<MaintenanceWindow | null>(null);
+
+    const fetchData = async () => {
+        try {
+            const [windowData, websiteData] = await Promise.all([
+                monitoringService.getMaintenanceWindows(),
+                monitoringService.getWebsites(),
+            ]);
+            setWindows(windowData);
+            setWebsites(websiteData);
+        } catch (error) {
+            console.error("Failed to fetch maintenance windows:", error);
+            toast({
+                title: "Error",
+                description: "Failed to load maintenance windows.",
+                variant: "destructive",
+            });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    const openDialog = (maintenanceWindow: MaintenanceWindow | null) => {
+        setEditingWindow(maintenanceWindow);
+        setDialogOpen(true);
+    };
+
+    const handleSubmit = async (data: MaintenanceWindowInput) => {
+        // Errors propagate to the dialog, which shows the server message
+        if (editingWindow) {
+            await monitoringService.updateMaintenanceWindow(editingWindow.id, data);
+            toast({ title: "Saved", description: `${data.title} has been updated.` });
+        } else {
+            await monitoringService.createMaintenanceWindow(data);
+            toast({ title: "Scheduled", description: `${data.title} has been scheduled.` });
+        }
+        await fetchData();
+    };
+
+    const handleDelete = async (maintenanceWindow: MaintenanceWindow) => {
+        if (!window.confirm(`Are you sure you want to delete maintenance window "${maintenanceWindow.title}"?`)) {
+            return;
+        }
+        try {
+            await monitoringService.deleteMaintenanceWindow(maintenanceWindow.id);
+            setWindows(prev => prev.filter(item => item.id !== maintenanceWindow.id));
+            toast({ title: "Deleted", description: `${maintenanceWindow.title} has been deleted.` });
+        } catch (error) {
+            console.error("Failed to delete maintenance window:", error);
+            toast({ title: "Error", description: "Failed to delete maintenance window.", variant: "destructive" });
+        }
+    };
+
+    const getMonitorNames = (maintenanceWindow: MaintenanceWindow) =>
+        maintenanceWindow.website_ids
+            .map(id => websites.find(website => website.id === id)?.name)
+            .filter(Boolean)
+            .join(', ');
+
+    const getStateBadge = (maintenanceWindow: MaintenanceWindow) => {
+        if (!maintenanceWindow.active) return <Badge variant="outline">Disabled</Badge>;
+        if (maintenanceWindow.is_active_now) return <Badge className="bg-blue-500 hover:bg-blue-500">In progress</Badge>;
+        if (maintenanceWindow.strategy === 'single' && maintenanceWindow.end_date && dayjs(maintenanceWindow.end_date).isBefore(dayjs())) {
+            return <Badge variant="secondary">Ended</Badge>;
+        }
+        return <Badge variant="secondary">Scheduled</Badge>;
+    };
+
+    return (
+        <div className="container mx-auto p-4 md:p-6">
+            <div className="flex items-center justify-between mb-4">
+                <h1 className="text-2xl font-semibold">Maintenance</h1>
+                <Button onClick={() => openDialog(null)}>
+                    <Plus className="mr-2 h-4 w-4" /> Schedule Maintenance
+                </Button>
+            </div>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>Maintenance Windows</CardTitle>
+                    <CardDescription>
+                        Monitors in an active window are shown as under maintenance, do not send alerts and keep their uptime.
+                    </CardDescription>
+                </CardHeader>
+                <CardContent>
+                    {isLoading ? (
+                        <p>Loading maintenance windows...</p>
+                    ) : windows.length === 0 ? (
+                        <p className="text-sm text-gray-500">No maintenance windows scheduled.</p>
+                    ) : (
+                        <div className="divide-y divide-gray-200">
+                            {windows.map(maintenanceWindow => (
+                                <div key={maintenanceWindow.id} className="flex items-center py-3 space-x-4">
+                                    <div className="flex-1 min-w-0">
+                                        <div className="flex items-center space-x-2">
+                                            <p className="text-sm font-medium text-gray-900 truncate">{maintenanceWindow.title}</p>
+                                            {getStateBadge(maintenanceWindow)}
+                                        </div>
+                                        <p className="text-xs text-gray-500 truncate">{describeSchedule(maintenanceWindow)}</p>
+                                        <p className="text-xs text-gray-500 truncate">
+                                            {getMonitorNames(maintenanceWindow) || 'No monitors selected'}
+                                        </p>
+                                    </div>
+                                    <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => openDialog(maintenanceWindow)}>
+                                        <Pencil className="h-4 w-4" />
+                                    </Button>
+                                    <Button variant="ghost" size="icon" className="h-8 w-8 text-red-600" onClick={() => handleDelete(maintenanceWindow)}>
+                                        <Trash2 className="h-4 w-4" />
+                                    </Button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+
+            <MaintenanceWindowDialog
+                open={dialogOpen}
+                onOpenChange={setDialogOpen}
+                onSubmit={handleSubmit}
+                websites={websites}
+                maintenanceWindow={editingWindow}
+            />
+        </div>
+    );
+};
+
+export default MaintenancePage;
@@ -0,0 +1,426 @@
+import React, { useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import * as z from "zod";
+import { AlertCircle } from "lucide-react";
+
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { Checkbox } from "@/components/ui/checkbox";
+import { MaintenanceWindow, MaintenanceWindowInput, Website } from "@/services/monitoringService";
+
+const strategies = [
+  { value: 'single', label: 'One-off' },
+  { value: 'weekday', label: 'Weekly' },
+  { value: 'cron', label: 'Cron expression' },
+] as const;
+
+export const weekdayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formSchema = z.object({
+  title: z.string().min(1, "Title is required"),
+  description: z.string().optional(),
+  strategy: z.enum(['single', 'weekday', 'cron']),
+  active: z.boolean(),
+  timezone: z.string().min(1, "Timezone is required"),
+  start_date: z.string().optional(),
+  end_date: z.string().optional(),
+  weekdays: z.array(z.number().int().min(0).max(6)),
+  start_time: z.string().optional(),
+  duration_minutes: z.coerce.number().int().min(1, "At least 1 minute").max(10080, "At most 7 days"),
+  cron_expression: z.string().optional(),
+  website_ids: z.array(z.number()),
+}).superRefine((values, ctx) => {
+  if (values.strategy === 'single') {
+    if (!values.start_date) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Start is required", path: ['start_date'] });
+    }
+    if (!values.end_date) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: "End is required", path: ['end_date'] });
+    } else if (values.start_date && values.end_date <= values.start_date) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: "End must be after start", path: ['end_date'] });
+    }
+  }
+  if (values.strategy === 'weekday') {
+    if (values.weekdays.length === 0) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Select at least one day", path: ['weekdays'] });
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(values.start_time || '')) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Start time is required", path: ['start_time'] });
+    }
+  }
+  if (values.strategy === 'cron' && (values.cron_expression || '').trim().split(/\s+/).length !== 5) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Enter 5 fields: minute hour day month weekday", path: ['cron_expression'] });
+  }
+});
+
+type MaintenanceFormValues = z.infer<typeof formSchema>;
+
+/**
+ * Formats an ISO timestamp as a datetime-local value in the given timezone
+ */
+const toDateTimeLocal = (iso: string | null | undefined, timezone: string): string => {
+  if (!iso) return '';
+  // sv-SE formats as "YYYY-MM-DD HH:mm:ss"
+  return new Date(iso).toLocaleString('sv-SE', { timeZone: timezone }).replace(' ', 'T').slice(0, 16);
+};
+
+const getDefaultValues = (window?: MaintenanceWindow | null): MaintenanceFormValues => {
+  const timezone = window?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  return {
+    title: window?.title ?? '',
+    description: window?.description ?? '',
+    strategy: window?.strategy ?? 'single',
+    active: window?.active ?? true,
+    timezone,
+    start_date: toDateTimeLocal(window?.start_date, timezone),
+    end_date: toDateTimeLocal(window?.end_date, timezone),
+    weekdays: window?.weekdays ?? [],
+    start_time: window?.start_time ?? '02:00',
+    duration_minutes: window?.duration_minutes ?? 60,
+    cron_expression: window?.cron_expression ?? '',
+    website_ids: window?.website_ids ?? [],
+  };
+};
+
+interface MaintenanceWindowDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onSubmit: (data: MaintenanceWindowInput) => Promise<void>;
+  websites: Website[];
+  maintenanceWindow?: MaintenanceWindow | null; // Set when editing
+}
+
+const MaintenanceWindowDialog: React.FC<MaintenanceWindowDialogProps> = ({
+  open,
+  onOpenChange,
+  onSubmit,
+  websites,
+  maintenanceWindow,
+}) => {
+  const [error, setError] = useState<string | null>(null);
+  const isEditing = !!maintenanceWindow;
+
+  const form = useForm<MaintenanceFormValues>({
+    resolver: zodResolver(formSchema),
+    defaultValues: getDefaultValues(maintenanceWindow),
+  });
+
+  // Load the selected window each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      form.reset(getDefaultValues(maintenanceWindow));
+      setError(null);
+    }
+  }, [open, maintenanceWindow, form]);
+
+  const strategy = form.watch('strategy');
+
+  const handleSubmit = async (values: MaintenanceFormValues) => {
+    try {
+      setError(null);
+      // Dates are sent as wall-clock values; the server reads them in the selected timezone
+      await onSubmit({
+        title: values.title,
+        description: values.description || null,
+        strategy: values.strategy,
+        active: values.active,
+        timezone: values.timezone,
+        start_date: values.start_date || null,
+        end_date: values.end_date || null,
+        weekdays: values.strategy === 'weekday' ? values.weekdays : null,
+        start_time: values.strategy === 'weekday' ? values.start_time : null,
+        duration_minutes: values.strategy === 'single' ? null : values.duration_minutes,
+        cron_expression: values.strategy === 'cron' ? values.cron_expression : null,
+        website_ids: values.website_ids,
+      });
+      onOpenChange(false);
+    } catch (err: any) {
+      setError(err.response?.data?.error || "Failed to save maintenance window");
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[600px] max-h-[90vh] overflow-y-auto bg-background">
+        <DialogHeader>
+          <DialogTitle>
+            {isEditing ? "Edit Maintenance Window" : "Schedule Maintenance"}
+          </DialogTitle>
+          <DialogDescription>
+            During a maintenance window the selected monitors are recorded as under maintenance,
+            no alerts are sent and the time counts as uptime.
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>Error</AlertTitle>
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(handleSubmit)} className="space-y-4">
+            <FormField
+              control={form.control}
+              name="title"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Title</FormLabel>
+                  <FormControl>
+                    <Input placeholder="Database upgrade" {...field} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="description"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Description (optional)</FormLabel>
+                  <FormControl>
+                    <Textarea {...field} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="strategy"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Schedule</FormLabel>
+                  <Select onValueChange={field.onChange} value={field.value}>
+                    <FormControl>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                    </FormControl>
+                    <SelectContent>
+                      {strategies.map((item) => (
+                        <SelectItem key={item.value} value={item.value}>
+                          {item.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="timezone"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Timezone</FormLabel>
+                  <FormControl>
+                    <Input placeholder="Europe/Berlin" {...field} />
+                  </FormControl>
+                  <FormDescription>
+                    IANA timezone the schedule and dates are interpreted in
+                  </FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            {strategy === 'weekday' && (
+              <>
+                <FormField
+                  control={form.control}
+                  name="weekdays"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Days</FormLabel>
+                      <div className="flex flex-wrap gap-4">
+                        {weekdayLabels.map((label, day) => (
+                          <label key={day} className="flex items-center space-x-2 text-sm">
+                            <Checkbox
+                              checked={field.value.includes(day)}
+                              onCheckedChange={(checked) =>
+                                field.onChange(checked
+                                  ? [...field.value, day].sort()
+                                  : field.value.filter((value) => value !== day))
+                              }
+                            />
+                            <span>{label}</span>
+                          </label>
+                        ))}
+                      </div>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="start_time"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Start Time</FormLabel>
+                      <FormControl>
+                        <Input type="time" {...field} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              </>
+            )}
+
+            {strategy === 'cron' && (
+              <FormField
+                control={form.control}
+                name="cron_expression"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Cron Expression</FormLabel>
+                    <FormControl>
+                      <Input className="font-mono" placeholder="0 3 * * SUN" {...field} />
+                    </FormControl>
+                    <FormDescription>
+                      minute hour day-of-month month day-of-week; each match starts a window
+                    </FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            )}
+
+            {strategy !== 'single' && (
+              <FormField
+                control={form.control}
+                name="duration_minutes"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Duration (minutes)</FormLabel>
+                    <FormControl>
+                      <Input type="number" min={1} max={10080} {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            )}
+
+            <div className="grid grid-cols-2 gap-4">
+              <FormField
+                control={form.control}
+                name="start_date"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>{strategy === 'single' ? 'Start' : 'Effective From (optional)'}</FormLabel>
+                    <FormControl>
+                      <Input type="datetime-local" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="end_date"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>{strategy === 'single' ? 'End' : 'Effective Until (optional)'}</FormLabel>
+                    <FormControl>
+                      <Input type="datetime-local" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </div>
+
+            <FormField
+              control={form.control}
+              name="website_ids"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Monitors</FormLabel>
+                  <div className="max-h-40 overflow-y-auto rounded-md border p-3 space-y-2">
+                    {websites.length === 0 && (
+                      <p className="text-sm text-muted-foreground">No monitors yet.</p>
+                    )}
+                    {websites.map((website) => (
+                      <label key={website.id} className="flex items-center space-x-2 text-sm">
+                        <Checkbox
+                          checked={field.value.includes(website.id)}
+                          onCheckedChange={(checked) =>
+                            field.onChange(checked
+                              ? [...field.value, website.id]
+                              : field.value.filter((id) => id !== website.id))
+                          }
+                        />
+                        <span className="truncate">{website.name}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="active"
+              render={({ field }) => (
+                <FormItem className="flex flex-row items-center justify-between rounded-lg border p-4">
+                  <div className="space-y-0.5">
+                    <FormLabel className="text-base">Enabled</FormLabel>
+                    <FormDescription>
+                      Disabled windows are kept but never applied
+                    </FormDescription>
+                  </div>
+                  <FormControl>
+                    <Switch checked={field.value} onCheckedChange={field.onChange} />
+                  </FormControl>
+                </FormItem>
+              )}
+            />
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={form.formState.isSubmitting}>
+                {isEditing ? "Save Changes" : "Schedule"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default MaintenanceWindowDialog;
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { CheckCircle2, Loader2, AlertTriangle } from 'lucide-react';
+import dayjs from 'dayjs';
+import relativeTime from 'dayjs/plugin/relativeTime';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Textarea } from '../ui/textarea';
+import { Card, CardContent } from '../ui/card';
+import monitoringService, { AcknowledgeLinkIncident } from '@/services/monitoringService';
+
+dayjs.extend(relativeTime);
+
+// Opened from the acknowledge link in a DOWN alert; the signed token in the URL replaces the login
+const AcknowledgePage = () => {
+    const { token = '' } = useParams<{ token: string }>();
+    const [incident, setIncident] = useState<AcknowledgeLinkIncident | null>(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [name, setName] = useState('');
+    const [note, setNote] = useState('');
+
+    useEffect(() => {
+        const fetchIncident = async () => {
+            try {
+                setIncident(await monitoringService.getAcknowledgeLinkIncident(token));
+            } catch (err: any) {
+                setError(err.response?.data?.error || 'Failed to load the outage.');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        fetchIncident();
+    }, [token]);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            setIncident(await monitoringService.acknowledgeByLink(token, { name, note }));
+        } catch (err: any) {
+            setError(err.response?.data?.error || 'Failed to acknowledge the outage.');
+            // Someone else may have acknowledged it, or it recovered in the meantime
+            monitoringService.getAcknowledgeLinkIncident(token).then(setIncident).catch(() => undefined);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const renderState = (current: AcknowledgeLinkIncident) => {
+        if (current.resolved_at) {
+            return (
+                <div className="flex items-start space-x-2 text-sm text-green-700">
+                    <CheckCircle2 className="h-5 w-5 shrink-0" />
+                    <span>The monitor recovered {dayjs(current.resolved_at).fromNow()}. Nothing to acknowledge.</span>
+                </div>
+            );
+        }
+        if (current.acknowledged_at) {
+            return (
+                <div className="space-y-2 text-sm">
+                    <div className="flex items-start space-x-2 text-green-700">
+                        <CheckCircle2 className="h-5 w-5 shrink-0" />
+                        <span>
+                            Acknowledged{current.acknowledged_by_name ? ` by ${current.acknowledged_by_name}` : ''}{' '}
+                            {dayjs(current.acknowledged_at).fromNow()}. No more alerts are sent for this outage.
+                        </span>
+                    </div>
+                    {current.acknowledgement_note && (
+                        <p className="rounded border border-gray-200 bg-gray-50 p-3 text-gray-700 whitespace-pre-wrap">
+                            {current.acknowledgement_note}
+                        </p>
+                    )}
+                </div>
+            );
+        }
+        return (
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                    <Label htmlFor="name" className="text-sm font-medium text-gray-700">Your name (optional)</Label>
+                    <Input
+                        id="name"
+                        value={name}
+                        maxLength={100}
+                        onChange={(e) => setName(e.target.value)}
+                        className="bg-white border-gray-300 text-gray-900"
+                    />
+                </div>
+                <div className="space-y-2">
+                    <Label htmlFor="note" className="text-sm font-medium text-gray-700">Note (optional)</Label>
+                    <Textarea
+                        id="note"
+                        value={note}
+                        maxLength={1000}
+                        placeholder="Looking into it"
+                        onChange={(e) => setNote(e.target.value)}
+                        className="bg-white border-gray-300 text-gray-900"
+                    />
+                </div>
+                <Button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="w-full bg-green-500 hover:bg-green-600 text-white font-bold"
+                >
+                    {isSubmitting ? 'Acknowledging...' : 'Acknowledge outage'}
+                </Button>
+                <p className="text-xs text-gray-500">Stops further alerts for this outage until the monitor recovers.</p>
+            </form>
+        );
+    };
+
+    return (
+        <div className="min-h-screen flex flex-col items-center justify-center p-4 bg-gray-100">
+            <div className="mb-8 text-center text-2xl font-semibold text-gray-900 flex items-center space-x-2 justify-center">
+                <span className="h-3 w-3 bg-green-500 rounded-full"></span>
+                <span>{import.meta.env.VITE_APP_NAME || 'Uptime Monitor'}</span>
+            </div>
+
+            <Card className="w-full max-w-md bg-white p-8 rounded-lg shadow-lg border border-gray-200">
+                <CardContent className="p-0 space-y-4">
+                    {isLoading ? (
+                        <div className="flex justify-center text-gray-500">
+                            <Loader2 className="h-6 w-6 animate-spin" />
+                        </div>
+                    ) : (
+                        <>
+                            {error && (
+                                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm flex items-start space-x-2">
+                                    <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+                                    <span>{error}</span>
+                                </div>
+                            )}
+                            {incident && (
+                                <>
+                                    <div>
+                                        <h2 className="text-xl font-bold text-gray-900">{incident.website_name || incident.website_url}</h2>
+                                        <p className="text-sm text-gray-500 break-all">{incident.website_url}</p>
+                                        <p className="mt-2 text-sm text-gray-700">
+                                            Down since {dayjs(incident.started_at).format('YYYY-MM-DD HH:mm')} ({dayjs(incident.started_at).fromNow()})
+                                        </p>
+                                        {incident.error_message && (
+                                            <p className="text-sm text-red-600 break-words">{incident.error_message}</p>
+                                        )}
+                                    </div>
+                                    {renderState(incident)}
+                                </>
+                            )}
+                        </>
+                    )}
+                </CardContent>
+            </Card>
+        </div>
+    );
+};
+
+export default AcknowledgePage;
@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from "react";
+import { useFieldArray, useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import * as z from "zod";
+import { AlertCircle, Plus, Trash2 } from "lucide-react";
+
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form";
+import { Input } from "@/components/ui/input";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  EscalationPolicy,
+  EscalationPolicyInput,
+  NotificationChannel,
+} from "@/services/monitoringService";
+
+const formSchema = z.object({
+  name: z.string().min(1, "Name is required"),
+  steps: z.array(z.object({
+    delay_minutes: z.coerce.number().int().min(0, { message: "Must be 0 or more" }).max(10080, { message: "At most 7 days" }),
+    channel_ids: z.array(z.number()).min(1, "Select at least one channel"),
+  })).min(1, "Add at least one step").max(10, "At most 10 steps"),
+}).superRefine((values, ctx) => {
+  values.steps.forEach((step, index) => {
+    if (index > 0 && step.delay_minutes < values.steps[index - 1].delay_minutes) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Must not be shorter than the previous step",
+        path: ['steps', index, 'delay_minutes'],
+      });
+    }
+  });
+});
+
+type PolicyFormValues = z.infer<typeof formSchema>;
+
+const getDefaultValues = (policy?: EscalationPolicy | null): PolicyFormValues => ({
+  name: policy?.name ?? '',
+  steps: policy?.steps ?? [{ delay_minutes: 0, channel_ids: [] }],
+});
+
+interface EscalationPolicyDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onSubmit: (data: EscalationPolicyInput) => Promise<void>;
+  channels: NotificationChannel[];
+  policy?: EscalationPolicy | null; // Set when editing
+}
+
+const EscalationPolicyDialog: React.FC<EscalationPolicyDialogProps> = ({
+  open,
+  onOpenChange,
+  onSubmit,
+  channels,
+  policy,
+}) => {
+  const [error, setError] = useState<string | null>(null);
+  const isEditing = !!policy;
+
+  const form = useForm<PolicyFormValues>({
+    resolver: zodResolver(formSchema),
+    defaultValues: getDefaultValues(policy),
+  });
+  const { fields, append, remove } = useFieldArray({ control: form.control, name: 'steps' });
+
+  // Load the selected policy each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      form.reset(getDefaultValues(policy));
+      setError(null);
+    }
+  }, [open, policy, form]);
+
+  const handleSubmit = async (values: PolicyFormValues) => {
+    try {
+      setError(null);
+      await onSubmit({
+        name: values.name,
+        steps: values.steps.map((step) => ({
+          delay_minutes: Number(step.delay_minutes),
+          channel_ids: step.channel_ids ?? [],
+        })),
+      });
+      onOpenChange(false);
+    } catch (err: any) {
+      setError(err.response?.data?.message || "Failed to save escalation policy");
+    }
+  };
+
+  const addStep = () => {
+    const steps = form.getValues('steps');
+    const lastDelay = steps.length > 0 ? Number(steps[steps.length - 1].delay_minutes) : 0;
+    append({ delay_minutes: lastDelay + 15, channel_ids: [] });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[600px] max-h-[90vh] overflow-y-auto bg-background">
+        <DialogHeader>
+          <DialogTitle>
+            {isEditing ? "Edit Escalation Policy" : "Add Escalation Policy"}
+          </DialogTitle>
+          <DialogDescription>
+            Each step notifies its channels once the outage has lasted its delay. Steps stop when the
+            monitor recovers or the incident is marked as handled.
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>Error</AlertTitle>
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(handleSubmit)} className="space-y-4">
+            <FormField
+              control={form.control}
+              name="name"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Name</FormLabel>
+                  <FormControl>
+                    <Input placeholder="Production outages" {...field} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            {fields.map((step, index) => (
+              <div key={step.id} className="rounded-lg border p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm font-medium">Step {index + 1}</p>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    className="h-8 w-8 text-red-600"
+                    onClick={() => remove(index)}
+                    disabled={fields.length === 1}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+                <FormField
+                  control={form.control}
+                  name={`steps.${index}.delay_minutes`}
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>After (minutes down)</FormLabel>
+                      <FormControl>
+                        <Input type="number" min={0} max={10080} {...field} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name={`steps.${index}.channel_ids`}
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Notify</FormLabel>
+                      <div className="max-h-32 overflow-y-auto rounded-md border p-3 space-y-2">
+                        {channels.length === 0 && (
+                          <p className="text-sm text-muted-foreground">No notification channels yet.</p>
+                        )}
+                        {channels.map((channel) => (
+                          <label key={channel.id} className="flex items-center space-x-2 text-sm">
+                            <Checkbox
+                              checked={field.value.includes(channel.id)}
+                              onCheckedChange={(checked) =>
+                                field.onChange(checked
+                                  ? [...field.value, channel.id]
+                                  : field.value.filter((id) => id !== channel.id))
+                              }
+                            />
+                            <span className="truncate">{channel.name}</span>
+                            {!channel.enabled && <span className="text-xs text-muted-foreground">(disabled)</span>}
+                          </label>
+                        ))}
+                      </div>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              </div>
+            ))}
+
+            <Button type="button" variant="outline" size="sm" onClick={addStep} disabled={fields.length >= 10}>
+              <Plus className="mr-2 h-4 w-4" /> Add Step
+            </Button>
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={form.formState.isSubmitting}>
+                {isEditing ? "Save Changes" : "Add Policy"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default EscalationPolicyDialog;
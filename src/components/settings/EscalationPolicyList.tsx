@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react';
+import { Plus, Pencil, Trash2 } from 'lucide-react';
+import monitoringService, { EscalationPolicy, EscalationPolicyInput, NotificationChannel } from '@/services/monitoringService';
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/components/ui/use-toast";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import EscalationPolicyDialog from './EscalationPolicyDialog';
+
+interface EscalationPolicyListProps {
+    channels: NotificationChannel[];
+}
+
+const EscalationPolicyList: React.FC<EscalationPolicyListProps> = ({ channels }) => {
+    const { toast } = useToast();
+    const [policies, setPolicies] = useState<EscalationPolicy[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [dialogOpen, setDialogOpen] = useState(false);
+    const [editingPolicy, setEditingPolicy] = useState<EscalationPolicy | null>(null);
+
+    const fetchPolicies = async () => {
+        try {
+            setPolicies(await monitoringService.getEscalationPolicies());
+        } catch (error) {
+            console.error("Failed to fetch escalation policies:", error);
+            toast({
+                title: "Error",
+                description: "Failed to load escalation policies.",
+                variant: "destructive",
+            });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchPolicies();
+    }, []);
+
+    const openDialog = (policy: EscalationPolicy | null) => {
+        setEditingPolicy(policy);
+        setDialogOpen(true);
+    };
+
+    const handleSubmit = async (data: EscalationPolicyInput) => {
+        // Errors propagate to the dialog, which shows the server message
+        if (editingPolicy) {
+            await monitoringService.updateEscalationPolicy(editingPolicy.id, data);
+            toast({ title: "Saved", description: `${data.name} has been updated.` });
+        } else {
+            await monitoringService.createEscalationPolicy(data);
+            toast({ title: "Added", description: `${data.name} has been added.` });
+        }
+        await fetchPolicies();
+    };
+
+    const handleDelete = async (policy: EscalationPolicy) => {
+        if (!window.confirm(`Are you sure you want to delete escalation policy "${policy.name}"?`)) {
+            return;
+        }
+        try {
+            await monitoringService.deleteEscalationPolicy(policy.id);
+            setPolicies(prev => prev.filter(item => item.id !== policy.id));
+            toast({ title: "Deleted", description: `${policy.name} has been deleted.` });
+        } catch (error) {
+            console.error("Failed to delete escalation policy:", error);
+            toast({ title: "Error", description: "Failed to delete escalation policy.", variant: "destructive" });
+        }
+    };
+
+    const describeSteps = (policy: EscalationPolicy) => policy.steps
+        .map(step => {
+            const names = step.channel_ids
+                .map(id => channels.find(channel => channel.id === id)?.name)
+                .filter(Boolean);
+            return `${step.delay_minutes} min: ${names.join(', ') || 'no channels'}`;
+        })
+        .join(' → ');
+
+    const describeMonitors = (policy: EscalationPolicy) => {
+        const count = policy.website_ids.length;
+        if (count === 0) return 'Not used by any monitor';
+        return `${count} monitor${count === 1 ? '' : 's'}`;
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <div className="flex items-center justify-between">
+                    <div>
+                        <CardTitle>Escalation Policies</CardTitle>
+                        <CardDescription>
+                            Notify more channels the longer an outage lasts. Select a policy in the settings of a monitor.
+                        </CardDescription>
+                    </div>
+                    <Button variant="outline" size="sm" onClick={() => openDialog(null)}>
+                        <Plus className="mr-2 h-4 w-4" /> Add Policy
+                    </Button>
+                </div>
+            </CardHeader>
+            <CardContent>
+                {isLoading ? (
+                    <p>Loading policies...</p>
+                ) : policies.length === 0 ? (
+                    <p className="text-sm text-gray-500">No escalation policies configured.</p>
+                ) : (
+                    <div className="divide-y divide-gray-200">
+                        {policies.map(policy => (
+                            <div key={policy.id} className="flex items-center py-3 space-x-4">
+                                <div className="flex-1 min-w-0">
+                                    <p className="text-sm font-medium text-gray-900 truncate">{policy.name}</p>
+                                    <p className="text-xs text-gray-500 truncate">{describeSteps(policy)}</p>
+                                    <p className="text-xs text-gray-500">{describeMonitors(policy)}</p>
+                                </div>
+                                <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => openDialog(policy)}>
+                                    <Pencil className="h-4 w-4" />
+                                </Button>
+                                <Button variant="ghost" size="icon" className="h-8 w-8 text-red-600" onClick={() => handleDelete(policy)}>
+                                    <Trash2 className="h-4 w-4" />
+                                </Button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </CardContent>
+
+            <EscalationPolicyDialog
+                open={dialogOpen}
+                onOpenChange={setDialogOpen}
+                onSubmit={handleSubmit}
+                channels={channels}
+                policy={editingPolicy}
+            />
+        </Card>
+    );
+};
+
+export default EscalationPolicyList;
@@ -0,0 +1,576 @@
+import React, { useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import * as z from "zod";
+import { AlertCircle } from "lucide-react";
+
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  NotificationChannel,
+  NotificationChannelInput,
+  NotificationChannelType,
+  Website,
+} from "@/services/monitoringService";
+
+interface ChannelConfigField {
+  key: string;
+  label: string;
+  input?: 'text' | 'password' | 'number' | 'select' | 'textarea';
+  options?: { value: string; label: string }[]; // For select inputs
+  defaultValue?: string;
+  placeholder?: string;
+  description?: string;
+  required?: boolean;
+}
+
+interface ChannelTypeDefinition {
+  value: NotificationChannelType;
+  label: string;
+  fields: ChannelConfigField[];
+}
+
+/**
+ * Optional DOWN/UP priority overrides of push providers
+ */
+const priorityFields = (min: number, max: number, downDefault: number, upDefault: number): ChannelConfigField[] => [
+  {
+    key: 'downPriority',
+    label: 'Down Priority',
+    input: 'number',
+    placeholder: `Default: ${downDefault}`,
+    description: `${min} (lowest) to ${max} (highest). Leave empty to use the default.`,
+  },
+  {
+    key: 'upPriority',
+    label: 'Up Priority',
+    input: 'number',
+    placeholder: `Default: ${upDefault}`,
+  },
+];
+
+// Config fields shown for each channel type; keys match the server-side provider config
+export const channelTypes: ChannelTypeDefinition[] = [
+  {
+    value: 'webhook',
+    label: 'Webhook',
+    fields: [
+      {
+        key: 'url',
+        label: 'Webhook URL',
+        placeholder: 'https://your-webhook-endpoint.com/...',
+        description: 'Status changes are sent here as a POST request',
+        required: true,
+      },
+      {
+        key: 'contentType',
+        label: 'Content Type',
+        input: 'select',
+        defaultValue: 'application/json',
+        options: [
+          { value: 'application/json', label: 'JSON (application/json)' },
+          { value: 'application/x-www-form-urlencoded', label: 'Form (application/x-www-form-urlencoded)' },
+          { value: 'text/plain', label: 'Text (text/plain)' },
+        ],
+      },
+      {
+        key: 'bodyTemplate',
+        label: 'Body Template',
+        input: 'textarea',
+        placeholder: '{"text": "{{title}}", "monitor": "{{monitor.name}}", "status": "{{status}}"}',
+        description: 'Optional. Variables: {{event}}, {{status}}, {{previousStatus}}, {{monitor.name}}, {{monitor.url}}, ' +
+          '{{monitor.link}}, {{checkResult.statusCode}}, {{checkResult.responseTimeMs}}, {{checkResult.errorType}}, ' +
+          '{{checkResult.error}}, {{downtime}}, {{flapping.stateChanges}}, {{degradation.level}}, ' +
+          '{{degradation.responseTimeMs}}, {{certificate.daysUntilExpiration}}, {{acknowledgeLink}}, {{title}}, ' +
+          '{{message}}, {{timestamp}}. ' +
+          'Values are escaped for the content type; use {{{triple braces}}} for raw values. Leave empty for the ' +
+          'default JSON body.',
+      },
+      {
+        key: 'headers',
+        label: 'Custom Headers',
+        input: 'textarea',
+        placeholder: '{"Authorization": "Bearer ..."}',
+        description: 'Optional JSON object of extra request headers',
+      },
+      {
+        key: 'secret',
+        label: 'Signing Secret',
+        input: 'password',
+        description: 'Optional. Adds an X-Signature header: t=<unix time>,v1=<HMAC-SHA256 of "<unix time>.<body>">',
+      },
+    ],
+  },
+  {
+    value: 'email',
+    label: 'Email (SMTP)',
+    fields: [
+      { key: 'host', label: 'SMTP Host', placeholder: 'smtp.example.com', required: true },
+      { key: 'port', label: 'SMTP Port', input: 'number', defaultValue: '587', required: true },
+      {
+        key: 'security',
+        label: 'Security',
+        input: 'select',
+        defaultValue: 'starttls',
+        options: [
+          { value: 'starttls', label: 'STARTTLS' },
+          { value: 'ssl', label: 'SMTPS (TLS)' },
+          { value: 'none', label: 'None' },
+        ],
+        description: 'STARTTLS usually runs on port 587, SMTPS on port 465',
+      },
+      { key: 'username', label: 'Username', description: 'Leave empty if the server does not require authentication' },
+      { key: 'password', label: 'Password', input: 'password' },
+      { key: 'from', label: 'From', placeholder: 'UptimeFel <alerts@example.com>', required: true },
+      {
+        key: 'to',
+        label: 'Recipients',
+        placeholder: 'ops@example.com, oncall@example.com',
+        description: 'Separate multiple addresses with commas',
+        required: true,
+      },
+    ],
+  },
+  {
+    value: 'slack',
+    label: 'Slack',
+    fields: [
+      { key: 'url', label: 'Incoming Webhook URL', placeholder: 'https://hooks.slack.com/services/...', required: true },
+    ],
+  },
+  {
+    value: 'discord',
+    label: 'Discord',
+    fields: [
+      { key: 'url', label: 'Webhook URL', placeholder: 'https://discord.com/api/webhooks/...', required: true },
+    ],
+  },
+  {
+    value: 'teams',
+    label: 'Microsoft Teams',
+    fields: [
+      { key: 'url', label: 'Incoming Webhook URL', placeholder: 'https://example.webhook.office.com/...', required: true },
+    ],
+  },
+  {
+    value: 'mattermost',
+    label: 'Mattermost',
+    fields: [
+      { key: 'url', label: 'Incoming Webhook URL', placeholder: 'https://mattermost.example.com/hooks/...', required: true },
+    ],
+  },
+  {
+    value: 'pagerduty',
+    label: 'PagerDuty',
+    fields: [
+      {
+        key: 'routingKey',
+        label: 'Integration Key',
+        input: 'password',
+        description: 'From an Events API v2 integration. Incidents are resolved when the monitor recovers.',
+        required: true,
+      },
+    ],
+  },
+  {
+    value: 'opsgenie',
+    label: 'Opsgenie',
+    fields: [
+      {
+        key: 'apiKey',
+        label: 'API Key',
+        input: 'password',
+        description: 'From an API integration. Alerts are closed when the monitor recovers.',
+        required: true,
+      },
+      {
+        key: 'region',
+        label: 'Region',
+        input: 'select',
+        defaultValue: 'us',
+        options: [
+          { value: 'us', label: 'US' },
+          { value: 'eu', label: 'EU' },
+        ],
+      },
+    ],
+  },
+  {
+    value: 'ntfy',
+    label: 'ntfy',
+    fields: [
+      { key: 'url', label: 'Topic URL', placeholder: 'https://ntfy.sh/my-alerts', required: true },
+      { key: 'token', label: 'Access Token', input: 'password', description: 'Only needed for protected topics' },
+      ...priorityFields(1, 5, 4, 3),
+    ],
+  },
+  {
+    value: 'gotify',
+    label: 'Gotify',
+    fields: [
+      { key: 'url', label: 'Server URL', placeholder: 'https://gotify.example.com', required: true },
+      { key: 'token', label: 'Application Token', input: 'password', required: true },
+      ...priorityFields(0, 10, 8, 4),
+    ],
+  },
+  {
+    value: 'pushover',
+    label: 'Pushover',
+    fields: [
+      { key: 'token', label: 'Application Token', input: 'password', required: true },
+      { key: 'user', label: 'User or Group Key', required: true },
+      { key: 'device', label: 'Device', description: 'Leave empty to notify all devices' },
+      ...priorityFields(-2, 1, 1, 0),
+    ],
+  },
+  {
+    value: 'telegram',
+    label: 'Telegram',
+    fields: [
+      { key: 'botToken', label: 'Bot Token', input: 'password', placeholder: '123456789:ABC-DEF...', required: true },
+      {
+        key: 'chatId',
+        label: 'Chat ID',
+        placeholder: '-1001234567890 or @channel',
+        description: 'Recovery messages are delivered silently',
+        required: true,
+      },
+    ],
+  },
+];
+
+export const getChannelTypeLabel = (type: string): string =>
+  channelTypes.find((channelType) => channelType.value === type)?.label ?? type;
+
+const formSchema = z.object({
+  name: z.string().min(1, "Name is required"),
+  type: z.enum(['webhook', 'email', 'slack', 'discord', 'teams', 'mattermost', 'pagerduty', 'opsgenie', 'ntfy', 'gotify', 'pushover', 'telegram']),
+  config: z.record(z.string()),
+  enabled: z.boolean(),
+  is_default: z.boolean(),
+  website_ids: z.array(z.number()),
+  stored_secrets: z.array(z.string()), // Secrets stored for the edited channel; an empty field keeps them
+}).superRefine((values, ctx) => {
+  const fields = channelTypes.find((channelType) => channelType.value === values.type)?.fields ?? [];
+  fields.forEach((field) => {
+    if (field.required && !(values.config[field.key] || '').trim() && !values.stored_secrets.includes(field.key)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `${field.label} is required`, path: ['config', field.key] });
+    }
+  });
+});
+
+type ChannelFormValues = z.infer<typeof formSchema>;
+
+/**
+ * Gets the initial config form values of a channel type
+ */
+const getDefaultConfig = (type: NotificationChannelType): Record<string, string> =>
+  Object.fromEntries(
+    (channelTypes.find((channelType) => channelType.value === type)?.fields ?? [])
+      .filter((field) => field.defaultValue !== undefined)
+      .map((field) => [field.key, field.defaultValue as string])
+  );
+
+const getDefaultValues = (channel?: NotificationChannel | null): ChannelFormValues => ({
+  name: channel?.name ?? '',
+  type: channel?.type ?? 'webhook',
+  config: channel
+    ? Object.fromEntries(
+        Object.entries(channel.config).map(([key, value]) =>
+          [key, value == null ? ''
+            : Array.isArray(value) ? value.join(', ')
+            : typeof value === 'object' ? JSON.stringify(value, null, 2)
+            : String(value)])
+      )
+    : getDefaultConfig('webhook'),
+  enabled: channel?.enabled ?? true,
+  is_default: channel?.is_default ?? false,
+  website_ids: channel?.website_ids ?? [],
+  stored_secrets: channel?.secrets_set ?? [],
+});
+
+interface NotificationChannelDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onSubmit: (data: NotificationChannelInput) => Promise<void>;
+  websites: Website[];
+  channel?: NotificationChannel | null; // Set when editing
+}
+
+const NotificationChannelDialog: React.FC<NotificationChannelDialogProps> = ({
+  open,
+  onOpenChange,
+  onSubmit,
+  websites,
+  channel,
+}) => {
+  const [error, setError] = useState<string | null>(null);
+  const isEditing = !!channel;
+
+  const form = useForm<ChannelFormValues>({
+    resolver: zodResolver(formSchema),
+    defaultValues: getDefaultValues(channel),
+  });
+
+  // Load the selected channel each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      form.reset(getDefaultValues(channel));
+      setError(null);
+    }
+  }, [open, channel, form]);
+
+  const type = form.watch('type');
+  const configFields = channelTypes.find((channelType) => channelType.value === type)?.fields ?? [];
+  const storedSecrets = form.watch('stored_secrets');
+
+  const handleSubmit = async (values: ChannelFormValues) => {
+    try {
+      setError(null);
+      // Only send the config keys of the selected type
+      const config = Object.fromEntries(
+        configFields
+          .filter((field) => (values.config[field.key] || '').trim() !== '')
+          .map((field) => [field.key, values.config[field.key].trim()])
+      );
+      await onSubmit({
+        name: values.name,
+        type: values.type,
+        config,
+        enabled: values.enabled,
+        is_default: values.is_default,
+        website_ids: values.website_ids,
+      });
+      onOpenChange(false);
+    } catch (err: any) {
+      setError(err.response?.data?.message || "Failed to save notification channel");
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[600px] max-h-[90vh] overflow-y-auto bg-background">
+        <DialogHeader>
+          <DialogTitle>
+            {isEditing ? "Edit Notification Channel" : "Add Notification Channel"}
+          </DialogTitle>
+          <DialogDescription>
+            A channel receives an alert whenever one of its monitors goes down or comes back up.
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>Error</AlertTitle>
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(handleSubmit)} className="space-y-4">
+            <FormField
+              control={form.control}
+              name="name"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Name</FormLabel>
+                  <FormControl>
+                    <Input placeholder="Ops team webhook" {...field} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="type"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Type</FormLabel>
+                  <Select
+                    onValueChange={(value) => {
+                      field.onChange(value);
+                      form.setValue('config', getDefaultConfig(value as NotificationChannelType));
+                      // The server drops the stored secrets when the type changes
+                      form.setValue('stored_secrets', value === channel?.type ? channel.secrets_set ?? [] : []);
+                    }}
+                    value={field.value}
+                  >
+                    <FormControl>
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select a channel type" />
+                      </SelectTrigger>
+                    </FormControl>
+                    <SelectContent>
+                      {channelTypes.map((channelType) => (
+                        <SelectItem key={channelType.value} value={channelType.value}>
+                          {channelType.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            {configFields.map((configField) => (
+              <FormField
+                key={`${type}.${configField.key}`}
+                control={form.control}
+                name={`config.${configField.key}`}
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>{configField.label}</FormLabel>
+                    {configField.input === 'textarea' ? (
+                      <FormControl>
+                        <Textarea
+                          placeholder={configField.placeholder}
+                          className="font-mono text-xs"
+                          rows={4}
+                          {...field}
+                          value={field.value ?? ''}
+                        />
+                      </FormControl>
+                    ) : configField.input === 'select' ? (
+                      <Select onValueChange={field.onChange} value={field.value ?? ''}>
+                        <FormControl>
+                          <SelectTrigger>
+                            <SelectValue placeholder={configField.placeholder} />
+                          </SelectTrigger>
+                        </FormControl>
+                        <SelectContent>
+                          {(configField.options ?? []).map((option) => (
+                            <SelectItem key={option.value} value={option.value}>
+                              {option.label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    ) : (
+                      <FormControl>
+                        <Input
+                          type={configField.input ?? 'text'}
+                          placeholder={storedSecrets.includes(configField.key)
+                            ? "Stored encrypted. Leave empty to keep it"
+                            : configField.placeholder}
+                          autoComplete={configField.input === 'password' ? 'new-password' : 'off'}
+                          {...field}
+                          value={field.value ?? ''}
+                        />
+                      </FormControl>
+                    )}
+                    {configField.description && (
+                      <FormDescription>{configField.description}</FormDescription>
+                    )}
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            ))}
+
+            <FormField
+              control={form.control}
+              name="website_ids"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Monitors</FormLabel>
+                  <div className="max-h-40 overflow-y-auto rounded-md border p-3 space-y-2">
+                    {websites.length === 0 && (
+                      <p className="text-sm text-muted-foreground">No monitors yet.</p>
+                    )}
+                    {websites.map((website) => (
+                      <label key={website.id} className="flex items-center space-x-2 text-sm">
+                        <Checkbox
+                          checked={field.value.includes(website.id)}
+                          onCheckedChange={(checked) =>
+                            field.onChange(checked
+                              ? [...field.value, website.id]
+                              : field.value.filter((id) => id !== website.id))
+                          }
+                        />
+                        <span className="truncate">{website.name}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="is_default"
+              render={({ field }) => (
+                <FormItem className="flex flex-row items-center justify-between rounded-lg border p-4">
+                  <div className="space-y-0.5">
+                    <FormLabel className="text-base">Default Channel</FormLabel>
+                    <FormDescription>
+                      Attach this channel to newly created monitors
+                    </FormDescription>
+                  </div>
+                  <FormControl>
+                    <Switch checked={field.value} onCheckedChange={field.onChange} />
+                  </FormControl>
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="enabled"
+              render={({ field }) => (
+                <FormItem className="flex flex-row items-center justify-between rounded-lg border p-4">
+                  <div className="space-y-0.5">
+                    <FormLabel className="text-base">Enabled</FormLabel>
+                    <FormDescription>
+                      Disabled channels keep their monitors but send nothing
+                    </FormDescription>
+                  </div>
+                  <FormControl>
+                    <Switch checked={field.value} onCheckedChange={field.onChange} />
+                  </FormControl>
+                </FormItem>
+              )}
+            />
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={form.formState.isSubmitting}>
+                {isEditing ? "Save Changes" : "Add Channel"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default NotificationChannelDialog;
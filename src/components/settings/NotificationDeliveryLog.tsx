@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronRight, RotateCw, Send } from 'lucide-react';
+import monitoringService, { NotificationDelivery, NotificationDeliveryStatus } from '@/services/monitoringService';
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/components/ui/use-toast";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { getChannelTypeLabel } from './NotificationChannelDialog';
+
+const statusStyles: Record<NotificationDeliveryStatus, string> = {
+    pending: 'bg-gray-100 text-gray-700 border-gray-200',
+    retrying: 'bg-amber-100 text-amber-800 border-amber-200',
+    delivered: 'bg-green-100 text-green-800 border-green-200',
+    dead: 'bg-red-100 text-red-800 border-red-200',
+};
+
+const formatDateTime = (value: string) => new Date(value).toLocaleString();
+
+const formatResponse = (statusCode: number | null, latencyMs: number | null) => {
+    const parts = [statusCode ? `HTTP ${statusCode}` : 'No response'];
+    if (latencyMs !== null) parts.push(`${latencyMs} ms`);
+    return parts.join(' · ');
+};
+
+const NotificationDeliveryLog: React.FC = () => {
+    const { toast } = useToast();
+    const [deliveries, setDeliveries] = useState<NotificationDelivery[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [statusFilter, setStatusFilter] = useState<'all' | NotificationDeliveryStatus>('all');
+    const [expanded, setExpanded] = useState<NotificationDelivery | null>(null);
+    const [resendingId, setResendingId] = useState<number | null>(null);
+
+    const fetchDeliveries = async () => {
+        try {
+            const data = await monitoringService.getNotificationDeliveries({
+                status: statusFilter === 'all' ? undefined : statusFilter,
+                limit: 100,
+            });
+            setDeliveries(data);
+        } catch (error) {
+            console.error("Failed to fetch notification deliveries:", error);
+            toast({
+                title: "Error",
+                description: "Failed to load the delivery log.",
+                variant: "destructive",
+            });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchDeliveries();
+    }, [statusFilter]);
+
+    const toggleDetails = async (delivery: NotificationDelivery) => {
+        if (expanded?.id === delivery.id) {
+            setExpanded(null);
+            return;
+        }
+        try {
+            setExpanded(await monitoringService.getNotificationDelivery(delivery.id));
+        } catch (error) {
+            toast({ title: "Error", description: "Failed to load delivery details.", variant: "destructive" });
+        }
+    };
+
+    const handleResend = async (delivery: NotificationDelivery) => {
+        setResendingId(delivery.id);
+        try {
+            const updated = await monitoringService.resendNotificationDelivery(delivery.id);
+            toast({ title: "Resent", description: `The notification was delivered to ${delivery.channel_name}.` });
+            if (expanded?.id === delivery.id) setExpanded(updated);
+        } catch (error: any) {
+            toast({
+                title: "Resend failed",
+                description: error.response?.data?.message || "Failed to resend the notification.",
+                variant: "destructive",
+            });
+            if (expanded?.id === delivery.id) {
+                setExpanded(await monitoringService.getNotificationDelivery(delivery.id).catch(() => null));
+            }
+        } finally {
+            setResendingId(null);
+            await fetchDeliveries();
+        }
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <div className="flex items-center justify-between">
+                    <div>
+                        <CardTitle>Delivery Log</CardTitle>
+                        <CardDescription>
+                            Every notification sent through your channels. Failed deliveries are retried
+                            with increasing delays and marked as dead after their last attempt.
+                        </CardDescription>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                        <Select value={statusFilter} onValueChange={(value) => setStatusFilter(value as typeof statusFilter)}>
+                            <SelectTrigger className="w-[140px]">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value="all">All statuses</SelectItem>
+                                <SelectItem value="delivered">Delivered</SelectItem>
+                                <SelectItem value="retrying">Retrying</SelectItem>
+                                <SelectItem value="dead">Dead</SelectItem>
+                                <SelectItem value="pending">Pending</SelectItem>
+                            </SelectContent>
+                        </Select>
+                        <Button variant="outline" size="sm" onClick={fetchDeliveries}>
+                            <RotateCw className="mr-2 h-4 w-4" /> Refresh
+                        </Button>
+                    </div>
+                </div>
+            </CardHeader>
+            <CardContent>
+                {isLoading ? (
+                    <p>Loading deliveries...</p>
+                ) : deliveries.length === 0 ? (
+                    <p className="text-sm text-gray-500">No notifications have been sent yet.</p>
+                ) : (
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead className="w-8" />
+                                <TableHead>Time</TableHead>
+                                <TableHead>Channel</TableHead>
+                                <TableHead>Monitor</TableHead>
+                                <TableHead>Event</TableHead>
+                                <TableHead>Status</TableHead>
+                                <TableHead>Attempts</TableHead>
+                                <TableHead>Last response</TableHead>
+                                <TableHead />
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {deliveries.map(delivery => (
+                                <React.Fragment key={delivery.id}>
+                                    <TableRow>
+                                        <TableCell>
+                                            <Button variant="ghost" size="icon" className="h-6 w-6" onClick={() => toggleDetails(delivery)}>
+                                                {expanded?.id === delivery.id
+                                                    ? <ChevronDown className="h-4 w-4" />
+                                                    : <ChevronRight className="h-4 w-4" />}
+                                            </Button>
+                                        </TableCell>
+                                        <TableCell className="whitespace-nowrap text-xs">{formatDateTime(delivery.created_at)}</TableCell>
+                                        <TableCell>
+                                            <div className="text-sm font-medium">{delivery.channel_name}</div>
+                                            <div className="text-xs text-gray-500">{getChannelTypeLabel(delivery.channel_type)}</div>
+                                        </TableCell>
+                                        <TableCell className="text-sm">{delivery.website_name || (delivery.event === 'test' ? 'Test' : '-')}</TableCell>
+                                        <TableCell className="text-sm uppercase">{delivery.event}</TableCell>
+                                        <TableCell>
+                                            <Badge variant="outline" className={statusStyles[delivery.status]}>{delivery.status}</Badge>
+                                            {delivery.status === 'retrying' && delivery.next_attempt_at && (
+                                                <div className="text-xs text-gray-500 mt-1">Next: {formatDateTime(delivery.next_attempt_at)}</div>
+                                            )}
+                                        </TableCell>
+                                        <TableCell className="text-sm">{delivery.attempts}/{delivery.max_attempts}</TableCell>
+                                        <TableCell className="text-xs">
+                                            {delivery.attempts > 0 && formatResponse(delivery.last_status_code, delivery.last_latency_ms)}
+                                            {delivery.last_error && (
+                                                <div className="text-red-600 truncate max-w-[240px]" title={delivery.last_error}>{delivery.last_error}</div>
+                                            )}
+                                        </TableCell>
+                                        <TableCell>
+                                            <Button
+                                                variant="outline"
+                                                size="sm"
+                                                onClick={() => handleResend(delivery)}
+                                                disabled={resendingId === delivery.id || delivery.channel_id === null}
+                                                title={delivery.channel_id === null ? 'The channel was deleted' : undefined}
+                                            >
+                                                <Send className="mr-2 h-4 w-4" />
+                                                {resendingId === delivery.id ? 'Sending...' : 'Resend'}
+                                            </Button>
+                                        </TableCell>
+                                    </TableRow>
+                                    {expanded?.id === delivery.id && (
+                                        <TableRow>
+                                            <TableCell />
+                                            <TableCell colSpan={8} className="space-y-3">
+                                                <p className="text-sm"><span className="text-gray-500">Target:</span> {expanded.target || '-'}</p>
+                                                <div>
+                                                    <p className="text-sm text-gray-500 mb-1">Attempts</p>
+                                                    {(expanded.attempts_log || []).length === 0 ? (
+                                                        <p className="text-xs text-gray-500">No attempts yet.</p>
+                                                    ) : (
+                                                        <ul className="text-xs space-y-1">
+                                                            {(expanded.attempts_log || []).map(attempt => (
+                                                                <li key={attempt.attempt}>
+                                                                    #{attempt.attempt} · {formatDateTime(attempt.attempted_at)} · {formatResponse(attempt.status_code, attempt.latency_ms)}
+                                                                    {attempt.error
+                                                                        ? <span className="text-red-600"> · {attempt.error}</span>
+                                                                        : <span className="text-green-700"> · OK</span>}
+                                                                </li>
+                                                            ))}
+                                                        </ul>
+                                                    )}
+                                                </div>
+                                                <div>
+                                                    <p className="text-sm text-gray-500 mb-1">Payload</p>
+                                                    <pre className="text-xs bg-gray-50 border rounded p-2 overflow-auto max-h-64">
+                                                        {JSON.stringify(expanded.payload, null, 2)}
+                                                    </pre>
+                                                </div>
+                                            </TableCell>
+                                        </TableRow>
+                                    )}
+                                </React.Fragment>
+                            ))}
+                        </TableBody>
+                    </Table>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default NotificationDeliveryLog;
@@ -1,166 +1,183 @@
 import React, { useEffect, useState } from 'react';
-import { useForm } from 'react-hook-form';
-import { zodResolver } from '@hookform/resolvers/zod';
-import * as z from 'zod';
-import monitoringService, { NotificationSettings } from '@/services/monitoringService';
+import { Plus, Pencil, Trash2, Send } from 'lucide-react';
+import monitoringService, { NotificationChannel, NotificationChannelInput, Website } from '@/services/monitoringService';
 import { Button } from "@/components/ui/button";
-import { Input } from "@/components/ui/input";
-import { Switch } from "@/components/ui/switch";
-import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
 import { useToast } from "@/components/ui/use-toast";
-import {
-    Form,
-    FormControl,
-    FormField,
-    FormItem,
-    FormLabel,
-    FormMessage,
-    FormDescription,
-} from "@/components/ui/form";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-
- // Define the form schema using Zod
- const formSchema = z.object({
-     webhook_url: z.string(), // Allow any string (backend handles empty/invalid URL if needed)
-     webhook_enabled: z.boolean(),
- });
-
-type NotificationSettingsFormValues = z.infer<typeof formSchema>;
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import NotificationChannelDialog, { getChannelTypeLabel } from './NotificationChannelDialog';
+import NotificationDeliveryLog from './NotificationDeliveryLog';
+import EscalationPolicyList from './EscalationPolicyList';
 
 const NotificationSettingsPage: React.FC = () => {
     const { toast } = useToast();
+    const [channels, setChannels] = useState<NotificationChannel[]>([]);
+    const [websites, setWebsites] = useState<Website[]>([]);
     const [isLoading, setIsLoading] = useState(true);
-    const [isSaving, setIsSaving] = useState(false);
+    const [dialogOpen, setDialogOpen] = useState(false);
+    const [editingChannel, setEditingChannel] = useState<NotificationChannel | null>(null);
+    const [testingId, setTestingId] = useState<number | null>(null);
 
-    const form = useForm<NotificationSettingsFormValues>({
-        resolver: zodResolver(formSchema),
-        defaultValues: {
-            webhook_url: '',
-            webhook_enabled: false,
-        },
-    });
+    const fetchData = async () => {
+        try {
+            const [channelData, websiteData] = await Promise.all([
+                monitoringService.getNotificationChannels(),
+                monitoringService.getWebsites(),
+            ]);
+            setChannels(channelData);
+            setWebsites(websiteData);
+        } catch (error) {
+            console.error("Failed to fetch notification channels:", error);
+            toast({
+                title: "Error",
+                description: "Failed to load notification channels.",
+                variant: "destructive",
+            });
+        } finally {
+            setIsLoading(false);
+        }
+    };
 
-    // Fetch current settings on component mount
     useEffect(() => {
-        const fetchSettings = async () => {
-            setIsLoading(true);
-            try {
-                const settings = await monitoringService.getNotificationSettings();
-                // Reset form with fetched values
-                form.reset({
-                    webhook_url: settings.webhook_url || '',
-                    webhook_enabled: settings.webhook_enabled || false,
-                });
-            } catch (error) {
-                console.error("Failed to fetch notification settings:", error);
-                toast({
-                    title: "Error",
-                    description: "Failed to load notification settings.",
-                    variant: "destructive",
-                });
-            } finally {
-                setIsLoading(false);
-            }
-        };
+        fetchData();
+    }, []);
 
-        fetchSettings();
-    }, [form, toast]); // Dependencies
+    const openDialog = (channel: NotificationChannel | null) => {
+        setEditingChannel(channel);
+        setDialogOpen(true);
+    };
 
-    // Handle form submission
-     const onSubmit = async (values: NotificationSettingsFormValues) => {
-         setIsSaving(true);
-         try {
-             // Explicitly create the object with the required type
-             const settingsToSave: Omit<NotificationSettings, 'id'> = {
-                 webhook_url: values.webhook_url,
-                 webhook_enabled: values.webhook_enabled
-             };
-             await monitoringService.updateNotificationSettings(settingsToSave);
-             toast({
-                 title: "Success",
-                description: "Notification settings updated successfully.",
-            });
-            // Optionally re-fetch or just update form state if needed,
-            // but backend returns updated data which we can trust for now.
-            form.reset(values); // Reset form with the saved values to clear dirty state
-        } catch (error) {
-            console.error("Failed to update notification settings:", error);
+    const handleSubmit = async (data: NotificationChannelInput) => {
+        // Errors propagate to the dialog, which shows the server message
+        if (editingChannel) {
+            await monitoringService.updateNotificationChannel(editingChannel.id, data);
+            toast({ title: "Saved", description: `${data.name} has been updated.` });
+        } else {
+            await monitoringService.createNotificationChannel(data);
+            toast({ title: "Added", description: `${data.name} has been added.` });
+        }
+        await fetchData();
+    };
+
+    const handleTest = async (channel: NotificationChannel) => {
+        setTestingId(channel.id);
+        try {
+            await monitoringService.testNotificationChannel(channel.id);
+            toast({ title: "Test sent", description: `A test notification was sent to ${channel.name}.` });
+        } catch (error: any) {
             toast({
-                title: "Error",
-                description: "Failed to save notification settings.",
+                title: "Test failed",
+                description: error.response?.data?.message || "Failed to send test notification.",
                 variant: "destructive",
             });
         } finally {
-            setIsSaving(false);
+            setTestingId(null);
         }
     };
 
+    const handleDelete = async (channel: NotificationChannel) => {
+        if (!window.confirm(`Are you sure you want to delete notification channel "${channel.name}"?`)) {
+            return;
+        }
+        try {
+            await monitoringService.deleteNotificationChannel(channel.id);
+            setChannels(prev => prev.filter(item => item.id !== channel.id));
+            toast({ title: "Deleted", description: `${channel.name} has been deleted.` });
+        } catch (error) {
+            console.error("Failed to delete notification channel:", error);
+            toast({ title: "Error", description: "Failed to delete notification channel.", variant: "destructive" });
+        }
+    };
+
+    const describeMonitors = (channel: NotificationChannel) => {
+        const count = channel.website_ids.length;
+        if (count === 0) return 'No monitors attached';
+        return `${count} monitor${count === 1 ? '' : 's'}`;
+    };
+
     return (
         <div className="container mx-auto p-4 md:p-6">
-            <h1 className="text-2xl font-semibold mb-4">Notification Settings</h1>
+            <div className="flex items-center justify-between mb-4">
+                <h1 className="text-2xl font-semibold">Notification Settings</h1>
+                <Button onClick={() => openDialog(null)}>
+                    <Plus className="mr-2 h-4 w-4" /> Add Channel
+                </Button>
+            </div>
 
-            <Card>
-                <CardHeader>
-                    <CardTitle>Webhook Notifications</CardTitle>
-                    <CardDescription>
-                        Configure a webhook URL to receive notifications when a monitored website's status changes.
-                    </CardDescription>
-                </CardHeader>
-                <CardContent>
-                    {isLoading ? (
-                        <p>Loading settings...</p> // TODO: Add Skeleton loader
-                    ) : (
-                        <Form {...form}>
-                            <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
-                                <FormField
-                                    control={form.control}
-                                    name="webhook_url"
-                                    render={({ field }) => (
-                                        <FormItem>
-                                            <FormLabel>Webhook URL</FormLabel>
-                                            <FormControl>
-                                                <Input placeholder="https://your-webhook-endpoint.com/..." {...field} />
-                                            </FormControl>
-                                            <FormDescription>
-                                                The URL where status change notifications will be sent via POST request. Leave empty to disable.
-                                            </FormDescription>
-                                            <FormMessage />
-                                        </FormItem>
-                                    )}
-                                />
+            <Tabs defaultValue="channels">
+                <TabsList className="mb-4">
+                    <TabsTrigger value="channels">Channels</TabsTrigger>
+                    <TabsTrigger value="escalation">Escalation Policies</TabsTrigger>
+                    <TabsTrigger value="deliveries">Delivery Log</TabsTrigger>
+                </TabsList>
 
-                                <FormField
-                                    control={form.control}
-                                    name="webhook_enabled"
-                                    render={({ field }) => (
-                                        <FormItem className="flex flex-row items-center justify-between rounded-lg border p-4">
-                                            <div className="space-y-0.5">
-                                                <FormLabel className="text-base">
-                                                    Enable Webhook Notifications
-                                                </FormLabel>
-                                                <FormDescription>
-                                                    Send notifications to the configured URL when a monitor goes up or down.
-                                                </FormDescription>
+                <TabsContent value="channels">
+                    <Card>
+                        <CardHeader>
+                            <CardTitle>Notification Channels</CardTitle>
+                            <CardDescription>
+                                Each monitor alerts the channels attached to it when its status changes.
+                                Default channels are attached to new monitors automatically.
+                            </CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            {isLoading ? (
+                                <p>Loading channels...</p>
+                            ) : channels.length === 0 ? (
+                                <p className="text-sm text-gray-500">No notification channels configured.</p>
+                            ) : (
+                                <div className="divide-y divide-gray-200">
+                                    {channels.map(channel => (
+                                        <div key={channel.id} className="flex items-center py-3 space-x-4">
+                                            <div className="flex-1 min-w-0">
+                                                <div className="flex items-center space-x-2">
+                                                    <p className="text-sm font-medium text-gray-900 truncate">{channel.name}</p>
+                                                    <Badge variant="outline">{getChannelTypeLabel(channel.type)}</Badge>
+                                                    {channel.is_default && <Badge variant="secondary">Default</Badge>}
+                                                    {!channel.enabled && <Badge variant="outline">Disabled</Badge>}
+                                                </div>
+                                                <p className="text-xs text-gray-500 truncate">{describeMonitors(channel)}</p>
                                             </div>
-                                            <FormControl>
-                                                <Switch
-                                                    checked={field.value}
-                                                    onCheckedChange={field.onChange}
-                                                    disabled={!form.watch('webhook_url')} // Disable if URL is empty
-                                                />
-                                            </FormControl>
-                                        </FormItem>
-                                    )}
-                                />
+                                            <Button
+                                                variant="outline"
+                                                size="sm"
+                                                onClick={() => handleTest(channel)}
+                                                disabled={testingId === channel.id}
+                                            >
+                                                <Send className="mr-2 h-4 w-4" />
+                                                {testingId === channel.id ? 'Sending...' : 'Test'}
+                                            </Button>
+                                            <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => openDialog(channel)}>
+                                                <Pencil className="h-4 w-4" />
+                                            </Button>
+                                            <Button variant="ghost" size="icon" className="h-8 w-8 text-red-600" onClick={() => handleDelete(channel)}>
+                                                <Trash2 className="h-4 w-4" />
+                                            </Button>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </CardContent>
+                    </Card>
+                </TabsContent>
+
+                <TabsContent value="escalation">
+                    <EscalationPolicyList channels={channels} />
+                </TabsContent>
+
+                <TabsContent value="deliveries">
+                    <NotificationDeliveryLog />
+                </TabsContent>
+            </Tabs>
 
-                                <Button type="submit" disabled={isSaving || !form.formState.isDirty}>
-                                    {isSaving ? 'Saving...' : 'Save Settings'}
-                                </Button>
-                            </form>
-                        </Form>
-                    )}
-                </CardContent>
-            </Card>
+            <NotificationChannelDialog
+                open={dialogOpen}
+                onOpenChange={setDialogOpen}
+                onSubmit={handleSubmit}
+                websites={websites}
+                channel={editingChannel}
+            />
         </div>
     );
 };
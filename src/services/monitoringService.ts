@@ -27,16 +27,28 @@ apiClient.interceptors.request.use(
 // These might need adjustments based on the actual API output
 export interface MonitorConfig {
   verifySSL?: boolean;
-  expiryThreshold?: number;
+  expiryNotifyDays?: number[] | string; // Days before expiry to notify, default 30, 14, 7, 1. Comma separated text is accepted when saving
+  tlsFindingActions?: Partial<Record<TlsFindingType, TlsFindingAction>>; // What a TLS audit finding does to the monitor, "none" by default
   keyword?: string;
   caseSensitive?: boolean;
+  payload?: string;
+  bannerRegex?: string;
+  recordType?: 'A' | 'AAAA' | 'CNAME' | 'MX' | 'TXT' | 'NS' | 'SOA';
+  resolverServer?: string;
+  resolverPort?: number;
+  expectedValues?: string[];
+  failOnChange?: boolean;
+  jsonQuery?: string;
+  jsonOperator?: '==' | '!=' | '<' | '>' | 'contains' | 'matches';
+  expectedValue?: string;
+  gracePeriod?: number;
 }
 
 export interface Website {
   id: number;
   name: string;
   url: string;
-  monitorType: 'http' | 'https' | 'keyword';
+  monitorType: 'http' | 'https' | 'keyword' | 'port' | 'dns' | 'json-query' | 'push';
   monitorConfig?: MonitorConfig;
   interval?: number;
   description?: string;
@@ -45,15 +57,50 @@ export interface Website {
   hostname?: string;
   port?: number;
   timeout_ms?: number;
+  monitor_method?: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE' | 'HEAD' | 'OPTIONS';
+  request_body?: string | null;
+  request_body_encoding?: 'json' | 'form' | 'raw';
+  request_headers?: Record<string, string> | string | null; // JSON text is accepted when saving
+  auth_method?: 'none' | 'basic' | 'bearer';
+  basic_auth_user?: string | null;
+  basic_auth_pass?: string; // Only sent when saving: never returned by the API
+  basic_auth_pass_set?: boolean; // Whether a basic auth password is stored
+  bearer_token?: string; // Only sent when saving: never returned by the API
+  bearer_token_set?: boolean; // Whether a bearer token is stored
+  tls_client_cert?: string | null; // PEM client certificate of an HTTPS monitor (mutual TLS)
+  tls_client_key?: string; // PEM client key, only sent when saving: never returned by the API
+  tls_client_key_passphrase?: string; // Only sent when saving, with a new client key
+  tls_client_key_set?: boolean; // Whether a client key is stored
+  tls_ca_bundle?: string | null; // PEM certificates trusted besides the public roots
+  user_agent?: string | null;
+  push_token?: string | null;
+  down_after_failures?: number; // Consecutive failed checks before the monitor is DOWN
+  up_after_successes?: number; // Consecutive successful checks before the monitor is UP again
+  flap_threshold?: number; // Status changes within the flap window that mark the monitor as flapping; 0 disables it
+  flap_window_minutes?: number;
+  latency_warning_ms?: number; // Response time that marks the monitor as DEGRADED (warning); 0 disables it
+  latency_critical_ms?: number; // Response time that marks the monitor as DEGRADED (critical); 0 disables it
+  latency_evaluation?: 'checks' | 'p95'; // Compare the fastest of the last latency_checks checks, or the p95 of the window
+  latency_checks?: number;
+  latency_window_minutes?: number;
+  renotify_interval_minutes?: number; // Repeat the DOWN alert this often while the monitor stays down; 0 disables it
+  escalation_policy_id?: number | null;
   follow_redirects?: boolean;
   max_redirects?: number;
   accepted_statuses?: string;
   retry_count?: number;
-  is_up?: boolean;
+  is_up?: boolean; // Confirmed status
+  is_pending?: boolean; // The last check disagrees with is_up, but the threshold is not reached yet
+  is_flapping?: boolean; // Status change alerts are held back until the monitor settles
+  latency_level?: 'warning' | 'critical' | null; // Set while the monitor is up but DEGRADED
+  tls_degraded?: boolean; // Up, but DEGRADED by a TLS audit finding
+  in_maintenance?: boolean;
+  notification_channel_ids?: number[];
   last_check_time?: string;
   last_status_code?: number;
   last_response_time?: number;
   last_error?: string;
+  dns_answers?: string[] | null;
   certInfo?: {
     valid: boolean;
     expires: string;
@@ -70,6 +117,8 @@ export interface Heartbeat {
   status: number;
   ping?: number | null;
   message?: string | null;
+  important?: boolean; // True for the first beat and every status change
+  flapping?: boolean; // Recorded while the monitor was flapping
   // id and website_id might not be needed directly in frontend for bar
 }
 
@@ -84,6 +133,69 @@ export interface MonitorStatsSummary {
   certIssuer?: string | null;
   certValidTo?: string | null;
   isCertValid?: boolean | null;
+  certificate?: CertificateDetails | null; // Seen by the latest HTTPS check
+}
+
+// Certificate of an HTTPS monitor in the "expiring soon" report
+export interface ExpiringCertificate {
+  website_id: number;
+  website_name: string;
+  website_url: string;
+  active: boolean;
+  subject: string | null;
+  issuer: string | null;
+  serial_number: string | null;
+  valid_to: string;
+  days_until_expiration: number; // 0 or less once expired
+  is_valid: boolean | null;
+  checked_at: string;
+  notified_threshold_days: number | null; // Lowest expiry threshold notified for this certificate
+}
+
+export interface CertificateChainEntry {
+  subject: string | null;
+  issuer: string | null;
+  serialNumber: string | null;
+  fingerprint256: string | null;
+  validTo: string | null;
+}
+
+export type TlsFindingType =
+  | 'legacy_protocol'
+  | 'weak_cipher'
+  | 'incomplete_chain'
+  | 'hostname_mismatch'
+  | 'self_signed'
+  | 'weak_key'
+  | 'weak_signature';
+
+export type TlsFindingAction = 'none' | 'degraded' | 'down';
+
+export interface TlsFinding {
+  type: TlsFindingType;
+  severity: 'warning' | 'critical';
+  message: string;
+}
+
+export interface CertificateDetails {
+  subject: string | null;
+  subjectAltNames: string[]; // e.g. "DNS:example.com"
+  issuer: string | null;
+  issuerChain: CertificateChainEntry[]; // Issuers up to the root, as sent by the server
+  serialNumber: string | null;
+  fingerprint256: string | null;
+  validFrom: string | null;
+  validTo: string | null;
+  keyType: string | null; // e.g. "RSA" or "EC"
+  keyBits: number | null;
+  signatureAlgorithm: string | null;
+  isValid: boolean | null; // Trusted by the monitoring server
+  validationError: string | null;
+  tlsProtocol: string | null; // Negotiated protocol, e.g. "TLSv1.3"
+  tlsCipher: string | null;
+  legacyProtocols: string[]; // Accepted legacy protocols, e.g. ["TLSv1", "TLSv1.1"]
+  findings: TlsFinding[]; // TLS audit of the latest check
+  checkedAt: string;
 }
 
 export interface ImportantEvent {
@@ -92,6 +204,16 @@ export interface ImportantEvent {
    timestamp: string | Date;
    status: number;
    message?: string | null;
+   flapping?: boolean;
+}
+
+// Time spent in each phase of an HTTP check, in ms
+export interface CheckTimings {
+    dnsMs: number;
+    connectMs: number;
+    tlsMs: number;
+    ttfbMs: number;
+    downloadMs: number;
 }
 
 export interface ChartDataPoint {
@@ -102,6 +224,7 @@ export interface ChartDataPoint {
     requestCount: number;
     successCount: number;
     failureCount: number;
+    timings: CheckTimings | null; // Phase averages of the period, null when no check measured them
 }
 
 // Define interface for the new dashboard summary endpoint
@@ -110,21 +233,166 @@ export interface DashboardSummary {
     down: number;
     paused: number;
     total: number;
-    // Add fields from backend placeholder data
+    // Incident figures cover incidents ongoing at any time in the last 24h
     overallUptime24h?: number;
     incidents24h?: number;
     daysWithoutIncidents?: number;
      affectedMonitors24h?: number;
  }
  
- // Define interface for Notification Settings
- export interface NotificationSettings {
-     id: number; // Should always be 1 for the single global row
-     webhook_url: string;
-     webhook_enabled: boolean;
+ export type NotificationChannelType = 'webhook' | 'email' | 'slack' | 'discord' | 'teams' | 'mattermost' | 'pagerduty' | 'opsgenie'
+   | 'ntfy' | 'gotify' | 'pushover' | 'telegram';
+
+ // A destination for alerts; config holds the type-specific settings (e.g. { url } for webhooks)
+ export interface NotificationChannel {
+     id: number;
+     name: string;
+     type: NotificationChannelType;
+     config: Record<string, unknown>; // Secrets (passwords, tokens, keys) are never returned
+     secrets_set: string[]; // Config keys of the secrets that are stored
+     enabled: boolean;
+     is_default: boolean; // Attached to newly created monitors
+     website_ids: number[];
+     created_at?: string;
+     updated_at?: string;
  }
+
+ export type NotificationChannelInput = Omit<NotificationChannel, 'id' | 'secrets_set' | 'created_at' | 'updated_at'>;
+
+export type NotificationDeliveryStatus = 'pending' | 'retrying' | 'delivered' | 'dead';
+
+export interface NotificationDeliveryAttempt {
+  attempt: number;
+  attempted_at: string;
+  status_code: number | null; // null when there was no HTTP response
+  latency_ms: number;
+  error: string | null;
+}
+
+export interface NotificationDelivery {
+  id: number;
+  channel_id: number | null; // null once the channel is deleted
+  channel_name: string;
+  channel_type: NotificationChannelType;
+  website_id: number | null; // null for test notifications
+  website_name: string | null;
+  event: 'down' | 'up' | 'flapping_started' | 'flapping_stopped' | 'degraded' | 'degraded_resolved'
+    | 'certificate_expiring' | 'certificate_renewed' | 'test';
+  target: string | null;
+  payload: Record<string, any>;
+  status: NotificationDeliveryStatus;
+  attempts: number;
+  max_attempts: number;
+  next_attempt_at: string | null; // Set while retrying
+  last_status_code: number | null;
+  last_latency_ms: number | null;
+  last_error: string | null;
+  created_at: string;
+  updated_at: string;
+  delivered_at: string | null;
+  attempts_log?: NotificationDeliveryAttempt[]; // Only when fetched by ID
+}
+
+export interface EscalationStep {
+  delay_minutes: number; // Minutes after the outage started
+  channel_ids: number[];
+}
+
+// Ordered steps that notify more channels the longer an outage lasts, until it recovers or is handled
+export interface EscalationPolicy {
+  id: number;
+  name: string;
+  steps: EscalationStep[];
+  website_ids: number[]; // Monitors using the policy
+  created_at?: string;
+  updated_at?: string;
+}
+
+export type EscalationPolicyInput = Pick<EscalationPolicy, 'name' | 'steps'>;
+
+export interface NotificationDeliveryFilters {
+  status?: NotificationDeliveryStatus;
+  channelId?: number;
+  websiteId?: number;
+  limit?: number;
+  offset?: number;
+}
  
 
+export interface Incident {
+  id: number;
+  website_id: number;
+  website_name: string;
+  website_url: string;
+  type: 'down' | 'slow'; // An outage, or a period above the latency thresholds
+  started_at: string;
+  resolved_at: string | null; // null while the incident is open
+  duration_seconds: number; // Time so far for open incidents
+  error_type: string | null;
+  error_message: string | null;
+  status_code: number | null;
+  response_time_ms: number | null; // Slowest response time of a slow incident
+  failed_checks: number; // Slow checks for slow incidents
+  acknowledged_at: string | null; // Marked as handled: no more reminders or escalation
+  acknowledged_by: number | null;
+  acknowledged_by_email: string | null;
+  acknowledged_by_name: string | null; // Given when acknowledged through the link in an alert
+  acknowledgement_note: string | null;
+}
+
+// Incident as shown to the holder of an acknowledge link from an alert
+export interface AcknowledgeLinkIncident {
+  id: number;
+  website_name: string;
+  website_url: string;
+  started_at: string;
+  resolved_at: string | null;
+  duration_seconds: number;
+  error_message: string | null;
+  acknowledged_at: string | null;
+  acknowledged_by_name: string | null; // null when acknowledged in the dashboard
+  acknowledgement_note: string | null;
+}
+
+export interface IncidentFilters {
+  status?: 'open' | 'resolved';
+  type?: 'down' | 'slow';
+  websiteId?: number;
+  since?: string;
+  until?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export type MaintenanceStrategy = 'single' | 'weekday' | 'cron';
+
+export interface MaintenanceWindow {
+  id: number;
+  title: string;
+  description?: string | null;
+  strategy: MaintenanceStrategy;
+  active: boolean;
+  start_date?: string | null; // ISO timestamp; wall-clock values without offset are read in `timezone` when saving
+  end_date?: string | null;
+  weekdays?: number[] | null; // 0 = Sunday
+  start_time?: string | null; // HH:mm
+  duration_minutes?: number | null;
+  cron_expression?: string | null;
+  timezone: string;
+  website_ids: number[];
+  is_active_now?: boolean;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export type MaintenanceWindowInput = Omit<MaintenanceWindow, 'id' | 'is_active_now' | 'created_at' | 'updated_at'>;
+
+/**
+ * Builds the URL a job calls to report in for a push monitor
+ */
+export const getPushUrl = (pushToken: string): string =>
+  new URL(`${API_BASE_URL}/push/${pushToken}`, window.location.origin).toString();
+
 const monitoringService = {
   // --- Website CRUD ---
   async getWebsites(): Promise<Website[]> {
@@ -249,28 +517,227 @@ const monitoringService = {
       }
     },
  
-   // --- Notification Settings ---
-   async getNotificationSettings(): Promise<NotificationSettings> {
+   // --- Notification Channels ---
+   async getNotificationChannels(): Promise<NotificationChannel[]> {
      try {
-       // Path is relative to apiClient baseURL + /notifications/settings
-       const response = await apiClient.get<NotificationSettings>('/notifications/settings');
+       const response = await apiClient.get<NotificationChannel[]>('/notifications/channels');
        return response.data;
      } catch (error) {
-       console.error('Error fetching notification settings:', error);
+       console.error('Error fetching notification channels:', error);
        throw error;
      }
    },
- 
-   async updateNotificationSettings(settings: Omit<NotificationSettings, 'id'>): Promise<NotificationSettings> {
+
+   async createNotificationChannel(channel: NotificationChannelInput): Promise<NotificationChannel> {
      try {
-       const response = await apiClient.put<NotificationSettings>('/notifications/settings', settings);
+       const response = await apiClient.post<NotificationChannel>('/notifications/channels', channel);
        return response.data;
      } catch (error) {
-       console.error('Error updating notification settings:', error);
+       console.error('Error creating notification channel:', error);
        throw error;
      }
    },
- 
+
+   async updateNotificationChannel(id: number, channel: Partial<NotificationChannelInput>): Promise<NotificationChannel> {
+     try {
+       const response = await apiClient.put<NotificationChannel>(`/notifications/channels/${id}`, channel);
+       return response.data;
+     } catch (error) {
+       console.error(`Error updating notification channel ${id}:`, error);
+       throw error;
+     }
+   },
+
+   async deleteNotificationChannel(id: number): Promise<void> {
+     try {
+       await apiClient.delete(`/notifications/channels/${id}`);
+     } catch (error) {
+       console.error(`Error deleting notification channel ${id}:`, error);
+       throw error;
+     }
+   },
+
+   async testNotificationChannel(id: number): Promise<void> {
+     try {
+       await apiClient.post(`/notifications/channels/${id}/test`);
+     } catch (error) {
+       console.error(`Error testing notification channel ${id}:`, error);
+       throw error;
+     }
+   },
+
+   async getNotificationDeliveries(filters: NotificationDeliveryFilters = {}): Promise<NotificationDelivery[]> {
+     try {
+       const response = await apiClient.get<NotificationDelivery[]>('/notifications/deliveries', { params: filters });
+       return response.data;
+     } catch (error) {
+       console.error('Error fetching notification deliveries:', error);
+       throw error;
+     }
+   },
+
+   async getNotificationDelivery(id: number): Promise<NotificationDelivery> {
+     try {
+       const response = await apiClient.get<NotificationDelivery>(`/notifications/deliveries/${id}`);
+       return response.data;
+     } catch (error) {
+       console.error(`Error fetching notification delivery ${id}:`, error);
+       throw error;
+     }
+   },
+
+   async resendNotificationDelivery(id: number): Promise<NotificationDelivery> {
+     try {
+       const response = await apiClient.post<NotificationDelivery>(`/notifications/deliveries/${id}/resend`);
+       return response.data;
+     } catch (error) {
+       console.error(`Error resending notification delivery ${id}:`, error);
+       throw error;
+     }
+   },
+
+   async getEscalationPolicies(): Promise<EscalationPolicy[]> {
+     try {
+       const response = await apiClient.get<EscalationPolicy[]>('/notifications/escalation-policies');
+       return response.data;
+     } catch (error) {
+       console.error('Error fetching escalation policies:', error);
+       throw error;
+     }
+   },
+
+   async createEscalationPolicy(policy: EscalationPolicyInput): Promise<EscalationPolicy> {
+     try {
+       const response = await apiClient.post<EscalationPolicy>('/notifications/escalation-policies', policy);
+       return response.data;
+     } catch (error) {
+       console.error('Error creating escalation policy:', error);
+       throw error;
+     }
+   },
+
+   async updateEscalationPolicy(id: number, policy: EscalationPolicyInput): Promise<EscalationPolicy> {
+     try {
+       const response = await apiClient.put<EscalationPolicy>(`/notifications/escalation-policies/${id}`, policy);
+       return response.data;
+     } catch (error) {
+       console.error(`Error updating escalation policy ${id}:`, error);
+       throw error;
+     }
+   },
+
+   async deleteEscalationPolicy(id: number): Promise<void> {
+     try {
+       await apiClient.delete(`/notifications/escalation-policies/${id}`);
+     } catch (error) {
+       console.error(`Error deleting escalation policy ${id}:`, error);
+       throw error;
+     }
+   },
+
+   // --- Certificates ---
+   async getExpiringCertificates(days = 30): Promise<ExpiringCertificate[]> {
+     try {
+       const response = await apiClient.get<ExpiringCertificate[]>('/certificates/expiring', { params: { days } });
+       return response.data;
+     } catch (error) {
+       console.error('Error fetching expiring certificates:', error);
+       throw error;
+     }
+   },
+
+   // --- Incidents ---
+   async getIncidents(filters: IncidentFilters = {}): Promise<Incident[]> {
+     try {
+       const response = await apiClient.get<Incident[]>('/incidents', { params: filters });
+       return response.data;
+     } catch (error) {
+       console.error('Error fetching incidents:', error);
+       throw error;
+     }
+   },
+
+   async getIncident(id: number): Promise<Incident> {
+     try {
+       const response = await apiClient.get<Incident>(`/incidents/${id}`);
+       return response.data;
+     } catch (error) {
+       console.error(`Error fetching incident ${id}:`, error);
+       throw error;
+     }
+   },
+
+   async acknowledgeIncident(id: number, note?: string): Promise<Incident> {
+     try {
+       const response = await apiClient.post<Incident>(`/incidents/${id}/acknowledge`, { note });
+       return response.data;
+     } catch (error) {
+       console.error(`Error acknowledging incident ${id}:`, error);
+       throw error;
+     }
+   },
+
+   // --- Acknowledge links (public, the token in the link authorizes the request) ---
+   async getAcknowledgeLinkIncident(token: string): Promise<AcknowledgeLinkIncident> {
+     try {
+       const response = await apiClient.get<AcknowledgeLinkIncident>(`/acknowledge/${encodeURIComponent(token)}`);
+       return response.data;
+     } catch (error) {
+       console.error('Error fetching incident of acknowledge link:', error);
+       throw error;
+     }
+   },
+
+   async acknowledgeByLink(token: string, data: { name?: string; note?: string }): Promise<AcknowledgeLinkIncident> {
+     try {
+       const response = await apiClient.post<AcknowledgeLinkIncident>(`/acknowledge/${encodeURIComponent(token)}`, data);
+       return response.data;
+     } catch (error) {
+       console.error('Error acknowledging incident through link:', error);
+       throw error;
+     }
+   },
+
+   // --- Maintenance Windows ---
+   async getMaintenanceWindows(): Promise<MaintenanceWindow[]> {
+     try {
+       const response = await apiClient.get<MaintenanceWindow[]>('/maintenance');
+       return response.data;
+     } catch (error) {
+       console.error('Error fetching maintenance windows:', error);
+       throw error;
+     }
+   },
+
+   async createMaintenanceWindow(window: MaintenanceWindowInput): Promise<MaintenanceWindow> {
+     try {
+       const response = await apiClient.post<MaintenanceWindow>('/maintenance', window);
+       return response.data;
+     } catch (error) {
+       console.error('Error creating maintenance window:', error);
+       throw error;
+     }
+   },
+
+   async updateMaintenanceWindow(id: number, window: Partial<MaintenanceWindowInput>): Promise<MaintenanceWindow> {
+     try {
+       const response = await apiClient.put<MaintenanceWindow>(`/maintenance/${id}`, window);
+       return response.data;
+     } catch (error) {
+       console.error(`Error updating maintenance window ${id}:`, error);
+       throw error;
+     }
+   },
+
+   async deleteMaintenanceWindow(id: number): Promise<void> {
+     try {
+       await apiClient.delete(`/maintenance/${id}`);
+     } catch (error) {
+       console.error(`Error deleting maintenance window ${id}:`, error);
+       throw error;
+     }
+   },
+
    // --- Listener pattern (optional, for WebSocket integration later) ---
    // listeners: { [key: string]: Function[] } = {
   //   monitorUpdate: [], // Example event name